@@ -1,4 +1,6 @@
 require('dotenv').config();
+const os = require('os');
+const path = require('path');
 
 module.exports = {
   NODE_ENV: process.env.NODE_ENV || 'development',
@@ -10,8 +12,24 @@ module.exports = {
   MAILCHIMP_SERVER_PREFIX: process.env.MAILCHIMP_SERVER_PREFIX,
   MAILCHIMP_LIST_ID: process.env.MAILCHIMP_LIST_ID,
   OPENAI_API_KEY: process.env.OPENAI_API_KEY,
+  ANTHROPIC_API_KEY: process.env.ANTHROPIC_API_KEY,
+  ANTHROPIC_BASE_URL: process.env.ANTHROPIC_BASE_URL || 'https://api.anthropic.com',
+  LLM_PROVIDER: process.env.LLM_PROVIDER || 'openai',
+  LLM_MODEL: process.env.LLM_MODEL,
+  LLM_BASE_URL: process.env.LLM_BASE_URL || 'http://localhost:11434/v1',
+  LLM_API_KEY: process.env.LLM_API_KEY,
   UNSPLASH_API_KEY: process.env.UNSPLASH_API_KEY,
   SEMRUSH_API_KEY: process.env.SEMRUSH_API_KEY,
   BASE_URL: process.env.BASE_URL || 'http://localhost:5000',
-  CLIENT_URL: process.env.CLIENT_URL || 'http://localhost:3000'
+  CLIENT_URL: process.env.CLIENT_URL || 'http://localhost:3000',
+  MAIL_TRANSPORT: process.env.MAIL_TRANSPORT || 'console',
+  MAIL_FROM: process.env.MAIL_FROM || 'no-reply@localhost',
+  MAIL_FILE_DIR: process.env.MAIL_FILE_DIR || path.join(os.tmpdir(), 'automated-ecommerce-mail'),
+  RESET_PASSWORD_EXPIRE_MINUTES: parseInt(process.env.RESET_PASSWORD_EXPIRE_MINUTES, 10) || 10,
+  EMAIL_VERIFICATION_EXPIRE_HOURS: parseInt(process.env.EMAIL_VERIFICATION_EXPIRE_HOURS, 10) || 24,
+  REQUIRE_EMAIL_VERIFICATION: process.env.REQUIRE_EMAIL_VERIFICATION !== 'false',
+  WORKER_ID: process.env.WORKER_ID || `${os.hostname()}:${process.pid}`,
+  SCHEDULER_ENABLED: process.env.SCHEDULER_ENABLED !== 'false',
+  SCHEDULER_POLL_SECONDS: parseInt(process.env.SCHEDULER_POLL_SECONDS, 10) || 60,
+  SCHEDULER_LOCK_MINUTES: parseInt(process.env.SCHEDULER_LOCK_MINUTES, 10) || 30
 };
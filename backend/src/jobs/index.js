@@ -0,0 +1,285 @@
+const AutomationSettings = require('../models/AutomationSettings');
+const SEOSettings = require('../models/SEOSettings');
+const ProductGenerationService = require('../services/ProductGenerationService');
+const SEOOptimizationService = require('../services/SEOOptimizationService');
+const BlogAutomationService = require('../services/BlogAutomationService');
+const MailchimpService = require('../services/MailchimpService');
+const SocialMediaService = require('../services/SocialMediaService');
+const InquiryFollowupService = require('../services/InquiryFollowupService');
+const AnalyticsReportService = require('../services/AnalyticsReportService');
+const StockReservationService = require('../services/StockReservationService');
+const InventoryAlertService = require('../services/InventoryAlertService');
+const {
+  DAY_NAMES,
+  nextDailyRun,
+  nextWeeklyRun,
+  nextMonthlyRun,
+  nextIntervalRun
+} = require('../utils/schedule');
+
+// How often the queue-style jobs poll for due work, in minutes
+const QUEUE_POLL_MINUTES = 5;
+
+// Maximum queue items handled by one run, so a long queue doesn't hold the job lease for hours
+const QUEUE_BATCH_SIZE = 5;
+
+// Day the weekly inventory report is sent, at the daily digest time
+const INVENTORY_REPORT_DAY = 'monday';
+
+// Days between product publications for each publishFrequency option
+const PUBLISH_INTERVAL_DAYS = {
+  daily: 1,
+  every_other_day: 2,
+  weekly: 7
+};
+
+/**
+ * Process queue items until the queue is empty or the batch is full, running as many
+ * workers side by side as the queue concurrency setting allows
+ * @param {Object} service - Service exposing processNextQueueItem()
+ * @returns {Object} Batch summary
+ */
+const drainQueue = async (service) => {
+  const { queueProcessing } = await AutomationSettings.getSettings();
+  const summary = { processed: 0, failed: 0, retried: 0, errors: [] };
+  let claimed = 0;
+
+  const worker = async () => {
+    while (claimed < QUEUE_BATCH_SIZE) {
+      claimed += 1;
+      const result = await service.processNextQueueItem();
+
+      // Queue empty or every concurrency slot taken
+      if (!result.queueItem) {
+        break;
+      }
+
+      if (result.success) {
+        summary.processed += 1;
+      } else if (result.retryScheduled) {
+        summary.retried += 1;
+      } else {
+        summary.failed += 1;
+        summary.errors.push({ queueItem: result.queueItem._id, error: result.error });
+      }
+    }
+  };
+
+  const workers = Math.max(queueProcessing.concurrency || 1, 1);
+  await Promise.all(Array.from({ length: workers }, worker));
+
+  return summary;
+};
+
+/**
+ * Job definitions registered with the scheduler.
+ *
+ * Each job has:
+ * - name: unique identifier, used in the /api/jobs endpoints
+ * - description: human readable summary
+ * - getNextRun(from): resolves to the next run time after `from` (the last run),
+ *   read from the relevant settings document, or null when the job is switched off
+ * - run(context): does the work and resolves to a JSON-serialisable result.
+ *   context holds { trigger, scheduledFor }
+ */
+module.exports = [
+  {
+    name: 'product-generation-queue',
+    description: 'Generate products for queued keyword sets',
+    getNextRun: async (from) => {
+      const settings = await AutomationSettings.getSettings();
+      return settings.productListing.enabled ? nextIntervalRun(from, QUEUE_POLL_MINUTES) : null;
+    },
+    run: () => drainQueue(ProductGenerationService)
+  },
+  {
+    name: 'product-publishing',
+    description: 'Publish due products and schedule the next draft, at the configured publish frequency and time',
+    getNextRun: async (from) => {
+      const { productListing } = await AutomationSettings.getSettings();
+      if (!productListing.enabled) {
+        return null;
+      }
+
+      const intervalDays = productListing.publishFrequency === 'custom'
+        ? productListing.customDaysInterval || 3
+        : PUBLISH_INTERVAL_DAYS[productListing.publishFrequency] || 7;
+
+      return nextDailyRun(from, productListing.publishTime, intervalDays);
+    },
+    run: async () => {
+      const published = await ProductGenerationService.publishScheduledProducts();
+      const scheduled = await ProductGenerationService.scheduleProducts();
+
+      return {
+        publishedCount: published.publishedCount || 0,
+        failedToPublish: published.failed || [],
+        scheduledProduct: scheduled.product ? scheduled.product._id : null,
+        scheduledDate: scheduled.scheduledDate || null
+      };
+    }
+  },
+  {
+    name: 'seo-optimization-scheduling',
+    description: 'Queue products for SEO refresh on the configured optimization schedule',
+    getNextRun: async (from) => {
+      const [automationSettings, seoSettings] = await Promise.all([
+        AutomationSettings.getSettings(),
+        SEOSettings.getSettings()
+      ]);
+
+      if (!automationSettings.seo.enabled || seoSettings.optimizationMode !== 'scheduled') {
+        return null;
+      }
+
+      const { frequency, dayOfWeek, dayOfMonth, timeOfDay } = seoSettings.scheduledOptimization;
+
+      switch (frequency) {
+        case 'daily':
+          return nextDailyRun(from, timeOfDay);
+        case 'weekly':
+          return nextWeeklyRun(from, [dayOfWeek], timeOfDay);
+        case 'quarterly':
+          return nextMonthlyRun(from, dayOfMonth, timeOfDay, 3);
+        default:
+          return nextMonthlyRun(from, dayOfMonth, timeOfDay);
+      }
+    },
+    run: async () => {
+      const result = await SEOOptimizationService.scheduleOptimizations();
+      return { queuedCount: result.queuedCount || 0, message: result.message };
+    }
+  },
+  {
+    name: 'seo-performance-check',
+    description: 'Optimize under-performing products when SEO runs in continuous mode',
+    getNextRun: async (from) => {
+      const [automationSettings, seoSettings] = await Promise.all([
+        AutomationSettings.getSettings(),
+        SEOSettings.getSettings()
+      ]);
+
+      if (!automationSettings.seo.enabled || seoSettings.optimizationMode !== 'continuous') {
+        return null;
+      }
+
+      return nextIntervalRun(from, (seoSettings.continuousOptimization.checkFrequency || 24) * 60);
+    },
+    run: async () => {
+      const result = await SEOOptimizationService.checkAndOptimizeByPerformance();
+      return { queuedCount: result.queuedCount || 0, message: result.message };
+    }
+  },
+  {
+    name: 'seo-optimization-queue',
+    description: 'Run queued SEO optimizations',
+    getNextRun: async (from) => {
+      const settings = await AutomationSettings.getSettings();
+      return settings.seo.enabled ? nextIntervalRun(from, QUEUE_POLL_MINUTES) : null;
+    },
+    run: () => drainQueue(SEOOptimizationService)
+  },
+  {
+    name: 'blog-publishing',
+    description: 'Publish scheduled blog posts on the configured publishing days',
+    getNextRun: async (from) => {
+      const settings = await BlogAutomationService.getSettings();
+      if (!settings.enabled) {
+        return null;
+      }
+
+      const { daysOfWeek, timeOfDay } = settings.publishingSchedule;
+      return nextWeeklyRun(from, daysOfWeek, timeOfDay);
+    },
+    run: async () => {
+      const result = await BlogAutomationService.publishScheduledPosts();
+      if (!result.success) {
+        throw new Error(result.message);
+      }
+
+      return {
+        publishedCount: result.results.filter(post => post.success).length,
+        failedCount: result.results.filter(post => !post.success).length
+      };
+    }
+  },
+  {
+    name: 'email-recurring-campaigns',
+    description: 'Schedule the next send of recurring email campaigns',
+    getNextRun: async (from) => nextIntervalRun(from, 60),
+    run: async () => {
+      const result = await MailchimpService.processRecurringCampaigns();
+      if (!result.success) {
+        throw new Error(result.error ? result.error.message : result.message);
+      }
+
+      return {
+        processedCount: result.results.filter(campaign => campaign.success).length,
+        failedCount: result.results.filter(campaign => !campaign.success).length
+      };
+    }
+  },
+  {
+    name: 'social-media-posting',
+    description: 'Post scheduled social media posts',
+    getNextRun: async (from) => nextIntervalRun(from, QUEUE_POLL_MINUTES),
+    run: async () => {
+      const { processed, failed } = await SocialMediaService.processScheduledPosts();
+      return { processed, failed };
+    }
+  },
+  {
+    name: 'inquiry-followups',
+    description: 'Send pending inquiry follow-ups',
+    getNextRun: async (from) => nextIntervalRun(from, QUEUE_POLL_MINUTES),
+    run: async () => {
+      const { processed, failed } = await InquiryFollowupService.processPendingFollowups();
+      return { processed, failed };
+    }
+  },
+  {
+    name: 'stock-reservation-expiry',
+    description: 'Release stock held for quoted inquiries once the reservations expire',
+    getNextRun: async (from) => nextIntervalRun(from, 60),
+    run: async () => ({ expired: await StockReservationService.releaseExpired() })
+  },
+  {
+    name: 'inventory-alert-digest',
+    description: 'Email the daily digest of low and out of stock items, with restock reminders',
+    getNextRun: async (from) => {
+      const { alerts } = await InventoryAlertService.getSettings();
+      return alerts.enabled && alerts.sendDailyDigest ? nextDailyRun(from, alerts.digestTime) : null;
+    },
+    run: () => InventoryAlertService.sendDailyDigest()
+  },
+  {
+    name: 'inventory-weekly-report',
+    description: 'Email the weekly inventory report, with the stock forecast',
+    getNextRun: async (from) => {
+      const { reporting, alerts } = await InventoryAlertService.getSettings();
+      return reporting.generateWeeklyReport
+        ? nextWeeklyRun(from, [DAY_NAMES.indexOf(INVENTORY_REPORT_DAY)], alerts.digestTime)
+        : null;
+    },
+    run: () => InventoryAlertService.sendWeeklyReport()
+  },
+  {
+    name: 'analytics-reports',
+    description: 'Generate the daily, weekly and monthly analytics reports',
+    getNextRun: async (from) => {
+      const { reportGeneration } = await AnalyticsReportService.getSettings();
+
+      const candidates = [
+        reportGeneration.daily.enabled && nextDailyRun(from, reportGeneration.daily.time),
+        reportGeneration.weekly.enabled &&
+          nextWeeklyRun(from, [DAY_NAMES.indexOf(reportGeneration.weekly.day)], reportGeneration.weekly.time),
+        reportGeneration.monthly.enabled &&
+          nextMonthlyRun(from, reportGeneration.monthly.dayOfMonth, reportGeneration.monthly.time)
+      ].filter(Boolean);
+
+      return candidates.length > 0 ? new Date(Math.min(...candidates)) : null;
+    },
+    // Evaluate the schedule at the slot being run, so a late run still produces the right reports
+    run: ({ scheduledFor }) => AnalyticsReportService.generateScheduledReports(scheduledFor)
+  }
+];
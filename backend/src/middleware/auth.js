@@ -0,0 +1,101 @@
+const jwt = require('jsonwebtoken');
+const config = require('../config/config');
+const User = require('../models/User');
+const { runAsActor } = require('../utils/actorContext');
+
+/**
+ * Find the user a JWT was issued to. Tokens issued before the user's password or email
+ * address last changed are revoked.
+ * @param {String} token - JWT
+ * @returns {Promise<Object>} User, or null if the token is not valid
+ */
+const findTokenUser = async (token) => {
+  const decoded = jwt.verify(token, config.JWT_SECRET);
+  const user = await User.findById(decoded.id);
+
+  // Tokens issued before versions were signed in count as version 0
+  if (!user || (decoded.version || 0) !== user.tokenVersion) {
+    return null;
+  }
+
+  return user;
+};
+
+/**
+ * Whether a user still has to verify their email address before using their account
+ * @param {Object} user - User document
+ * @returns {Boolean} True if verification is required and outstanding
+ */
+const needsVerification = (user) => config.REQUIRE_EMAIL_VERIFICATION && !user.isEmailVerified;
+
+/**
+ * Require a valid JWT (Authorization: Bearer <token>) and attach the user to req.user
+ */
+const protect = async (req, res, next) => {
+  let token;
+  
+  if (req.headers.authorization && req.headers.authorization.startsWith('Bearer ')) {
+    token = req.headers.authorization.split(' ')[1];
+  }
+  
+  if (!token) {
+    return res.status(401).json({ success: false, message: 'Not authorized to access this route' });
+  }
+  
+  try {
+    const user = await findTokenUser(token);
+    
+    if (!user) {
+      return res.status(401).json({ success: false, message: 'Not authorized to access this route' });
+    }
+    
+    if (needsVerification(user)) {
+      return res.status(403).json({ success: false, message: 'Please verify your email address' });
+    }
+    
+    req.user = user;
+    // Changes made while handling the request are attributed to this user
+    runAsActor({ type: 'user', user: user._id }, next);
+  } catch (error) {
+    return res.status(401).json({ success: false, message: 'Not authorized to access this route' });
+  }
+};
+
+/**
+ * Attach the user to req.user when a valid JWT is sent, for public routes that show more to
+ * signed-in staff. Requests without a valid token carry on as guests.
+ */
+const optionalAuth = async (req, res, next) => {
+  if (!req.headers.authorization || !req.headers.authorization.startsWith('Bearer ')) {
+    return next();
+  }
+  
+  try {
+    const user = await findTokenUser(req.headers.authorization.split(' ')[1]);
+    
+    if (user && !needsVerification(user)) {
+      req.user = user;
+      return runAsActor({ type: 'user', user: user._id }, next);
+    }
+  } catch (error) {
+    // An invalid, expired or revoked token is treated as no token
+  }
+  
+  next();
+};
+
+/**
+ * Restrict a route to the given roles. Must be used after protect.
+ * @param {...String} roles - Roles allowed to access the route
+ */
+const authorize = (...roles) => (req, res, next) => {
+  if (!req.user || !roles.includes(req.user.role)) {
+    return res.status(403).json({
+      success: false,
+      message: `User role ${req.user ? req.user.role : 'guest'} is not authorized to access this route`
+    });
+  }
+  next();
+};
+
+module.exports = { protect, optionalAuth, authorize };
@@ -0,0 +1,73 @@
+const mongoose = require('mongoose');
+
+// Parts of the system that spend money on AI calls
+const AI_SUBSYSTEMS = ['product_generation', 'blog', 'seo', 'social', 'image'];
+
+const AIUsageSchema = new mongoose.Schema({
+  // What made the call
+  subsystem: {
+    type: String,
+    enum: AI_SUBSYSTEMS,
+    required: [true, 'Subsystem is required']
+  },
+  task: {
+    type: String
+  },
+
+  // Who served it
+  provider: {
+    type: String
+  },
+  model: {
+    type: String
+  },
+
+  // Usage
+  inputTokens: {
+    type: Number,
+    default: 0
+  },
+  outputTokens: {
+    type: Number,
+    default: 0
+  },
+  imageCount: {
+    type: Number,
+    default: 0
+  },
+
+  // Estimated cost in US dollars. priced is false when the model is missing from the price table.
+  estimatedCost: {
+    type: Number,
+    default: 0
+  },
+  priced: {
+    type: Boolean,
+    default: true
+  },
+
+  // The record the call was for, e.g. { type: 'Product', id }
+  entity: {
+    type: {
+      type: String
+    },
+    id: {
+      type: mongoose.Schema.ObjectId
+    }
+  },
+
+  // Prompt template version the prompt was rendered from, if any
+  promptTemplate: {
+    name: String,
+    version: Number
+  }
+}, {
+  timestamps: true
+});
+
+AIUsageSchema.index({ createdAt: 1, subsystem: 1 });
+AIUsageSchema.index({ 'entity.type': 1, 'entity.id': 1 });
+
+AIUsageSchema.statics.SUBSYSTEMS = AI_SUBSYSTEMS;
+
+module.exports = mongoose.model('AIUsage', AIUsageSchema);
@@ -177,6 +177,7 @@ const AnalyticsDataSchema = new mongoose.Schema({
         default: 0
       }
     }],
+    // Storefront product searches (from SearchQuery)
     searchTerms: [{
       term: {
         type: String,
@@ -185,8 +186,34 @@ const AnalyticsDataSchema = new mongoose.Schema({
       count: {
         type: Number,
         default: 0
+      },
+      averageResults: {
+        type: Number,
+        default: 0
+      },
+      clickThroughRate: {
+        type: Number, // percentage
+        default: 0
       }
-    }]
+    }],
+    zeroResultSearches: [{
+      term: {
+        type: String,
+        trim: true
+      },
+      count: {
+        type: Number,
+        default: 0
+      }
+    }],
+    totalSearches: {
+      type: Number,
+      default: 0
+    },
+    searchClickThroughRate: {
+      type: Number, // percentage
+      default: 0
+    }
   },
   
   // Email metrics
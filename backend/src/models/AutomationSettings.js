@@ -27,6 +27,11 @@ const AutomationSettingsSchema = new mongoose.Schema({
     requireApproval: {
       type: Boolean,
       default: true
+    },
+    // Reviewer assigned to generated products awaiting approval
+    defaultReviewer: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User'
     }
   },
   
@@ -53,6 +58,13 @@ const AutomationSettingsSchema = new mongoose.Schema({
   
   // Content generation settings
   contentGeneration: {
+    // single_call asks for the whole product in one structured response;
+    // sections generates each section separately, independent ones concurrently
+    generationMode: {
+      type: String,
+      enum: ['single_call', 'sections'],
+      default: 'single_call'
+    },
     model: {
       type: String,
       default: 'gpt-4'
@@ -91,6 +103,91 @@ const AutomationSettingsSchema = new mongoose.Schema({
     }
   },
   
+  // Queue worker settings (product generation and SEO optimization queues)
+  queueProcessing: {
+    concurrency: {
+      type: Number,
+      min: 1,
+      default: 1 // Items processed at the same time per queue, across all workers
+    },
+    leaseMinutes: {
+      type: Number,
+      min: 1,
+      default: 15 // Items still processing after this long are assumed stuck and requeued
+    },
+    maxAttempts: {
+      type: Number,
+      min: 1,
+      default: 3 // Attempts per item before it is moved to dead_letter
+    },
+    retryBaseSeconds: {
+      type: Number,
+      min: 1,
+      default: 60 // Delay before the first retry; doubles on each further attempt
+    },
+    retryMaxMinutes: {
+      type: Number,
+      min: 1,
+      default: 60 // Upper bound on the retry delay
+    }
+  },
+  
+  // Monthly AI spending caps in US dollars (0 = no cap). When a cap is reached, automated
+  // generation for the affected subsystems pauses until the next calendar month (UTC).
+  aiBudget: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    monthlyLimit: {
+      type: Number,
+      min: 0,
+      default: 0 // Cap on total spend across all subsystems
+    },
+    subsystemLimits: {
+      product_generation: { type: Number, min: 0, default: 0 },
+      blog: { type: Number, min: 0, default: 0 },
+      seo: { type: Number, min: 0, default: 0 },
+      social: { type: Number, min: 0, default: 0 },
+      image: { type: Number, min: 0, default: 0 }
+    }
+  },
+  
+  // Checks run on generated products before they are saved. Products that fail are
+  // saved with status needs_review and the reasons, instead of being published.
+  qualityGate: {
+    enabled: {
+      type: Boolean,
+      default: true
+    },
+    // Case-insensitive phrases that must not appear anywhere in the generated content
+    bannedPhrases: {
+      type: [String],
+      default: [
+        'as an ai',
+        'language model',
+        'lorem ipsum',
+        '[insert',
+        'best price',
+        'lowest price',
+        'cheapest',
+        'guaranteed results'
+      ]
+    },
+    minReadabilityScore: {
+      type: Number,
+      min: 0,
+      max: 100,
+      default: 20 // Flesch reading ease of the description; dense technical copy often scores 20-40
+    },
+    maxDescriptionSimilarity: {
+      type: Number,
+      min: 0,
+      max: 1,
+      default: 0.6 // Share of overlapping word sequences above which a description counts as a near-duplicate
+    }
+  },
+  
   // System settings
   system: {
     lastRun: {
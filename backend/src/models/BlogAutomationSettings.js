@@ -206,9 +206,10 @@ const BlogAutomationSettingsSchema = new mongoose.Schema({
   
   // Content generation API settings
   contentGenerationAPI: {
+    // 'custom' is any OpenAI-compatible endpoint (see baseUrl); 'fixture' returns canned offline responses
     provider: {
       type: String,
-      enum: ['openai', 'anthropic', 'custom'],
+      enum: ['openai', 'anthropic', 'custom', 'fixture'],
       default: 'openai'
     },
     model: {
@@ -226,6 +227,10 @@ const BlogAutomationSettingsSchema = new mongoose.Schema({
     apiKey: {
       type: String,
       select: false // Don't return API key in queries
+    },
+    baseUrl: {
+      type: String,
+      trim: true
     }
   },
   
@@ -280,6 +285,11 @@ const BlogAutomationSettingsSchema = new mongoose.Schema({
     basedOnKeywords: {
       type: Boolean,
       default: true
+    },
+    // Seed topics with what storefront visitors search for, especially searches with no results
+    basedOnSearches: {
+      type: Boolean,
+      default: true
     }
   },
   
@@ -126,6 +126,12 @@ const BlogPostSchema = new mongoose.Schema({
     generationPrompt: {
       type: String
     },
+    // Prompt template versions that produced the post
+    promptTemplates: [{
+      _id: false,
+      name: String,
+      version: Number
+    }],
     generationKeywords: [{
       type: String,
       trim: true
@@ -72,7 +72,7 @@ const BlogTopicSchema = new mongoose.Schema({
     },
     generationMethod: {
       type: String,
-      enum: ['product_based', 'trend_based', 'keyword_based', 'manual'],
+      enum: ['product_based', 'trend_based', 'keyword_based', 'search_based', 'manual'],
       default: 'manual'
     },
     generationSource: {
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { resolveUnit } = require('../utils/units');
 
 const CategorySchema = new mongoose.Schema({
   name: {
@@ -34,6 +35,33 @@ const CategorySchema = new mongoose.Schema({
     ref: 'Category',
     default: null
   },
+  // Typed specification attributes for products in this category and its subcategories
+  specSchema: [{
+    _id: false,
+    name: {
+      type: String,
+      required: [true, 'Spec attributes need a name'],
+      trim: true
+    },
+    type: {
+      type: String,
+      enum: ['number', 'range', 'text', 'boolean', 'enum'],
+      default: 'text'
+    },
+    // Unit that number and range values are converted to, e.g. kW
+    unit: {
+      type: String,
+      trim: true
+    },
+    allowedValues: [{
+      type: String,
+      trim: true
+    }],
+    required: {
+      type: Boolean,
+      default: false
+    }
+  }],
   createdAt: {
     type: Date,
     default: Date.now
@@ -48,8 +76,8 @@ const CategorySchema = new mongoose.Schema({
   toObject: { virtuals: true }
 });
 
-// Create slug from name
-CategorySchema.pre('save', function(next) {
+// Create slug from name (before validation, since slug is required)
+CategorySchema.pre('validate', function(next) {
   if (!this.isModified('name')) {
     next();
     return;
@@ -62,6 +90,37 @@ CategorySchema.pre('save', function(next) {
   next();
 });
 
+// Check spec attributes and store units by their standard symbol
+CategorySchema.pre('validate', function(next) {
+  if (!this.isModified('specSchema')) {
+    next();
+    return;
+  }
+  
+  const names = new Set();
+  this.specSchema.forEach((attribute, index) => {
+    const key = String(attribute.name || '').toLowerCase();
+    if (names.has(key)) {
+      this.invalidate(`specSchema.${index}.name`, `Spec attribute ${attribute.name} is defined more than once`);
+    }
+    names.add(key);
+    
+    if (attribute.unit) {
+      const unit = resolveUnit(attribute.unit);
+      if (!unit) {
+        this.invalidate(`specSchema.${index}.unit`, `Unknown unit ${attribute.unit}`);
+      } else {
+        attribute.unit = unit;
+      }
+    }
+    
+    if (attribute.type === 'enum' && attribute.allowedValues.length === 0) {
+      this.invalidate(`specSchema.${index}.allowedValues`, `Spec attribute ${attribute.name} needs allowed values`);
+    }
+  });
+  next();
+});
+
 // Reverse populate with products
 CategorySchema.virtual('products', {
   ref: 'Product',
@@ -70,4 +129,145 @@ CategorySchema.virtual('products', {
   justOne: false
 });
 
+// Get the ancestors of a category, ordered from the root down to its parent
+CategorySchema.statics.getAncestors = async function(categoryId) {
+  const ancestors = [];
+  const visited = new Set([String(categoryId)]);
+  
+  let current = await this.findById(categoryId).select('name slug parentCategory').lean();
+  
+  while (current && current.parentCategory) {
+    const parentId = String(current.parentCategory);
+    
+    // Stop on corrupt data rather than looping forever
+    if (visited.has(parentId)) {
+      break;
+    }
+    visited.add(parentId);
+    
+    current = await this.findById(parentId).select('name slug parentCategory').lean();
+    if (current) {
+      ancestors.unshift(current);
+    }
+  }
+  
+  return ancestors;
+};
+
+// Get the breadcrumb path of a category, from the root down to the category itself
+CategorySchema.statics.getBreadcrumbs = async function(categoryId) {
+  const category = await this.findById(categoryId).select('name slug').lean();
+  if (!category) {
+    return [];
+  }
+  
+  const ancestors = await this.getAncestors(categoryId);
+  
+  return [...ancestors, category].map(({ _id, name, slug }) => ({ _id, name, slug }));
+};
+
+// Get the IDs of every category below a category in the tree
+CategorySchema.statics.getDescendantIds = async function(categoryId) {
+  const descendantIds = [];
+  const visited = new Set([String(categoryId)]);
+  let frontier = [categoryId];
+  
+  while (frontier.length > 0) {
+    const children = await this.find({ parentCategory: { $in: frontier } }).select('_id').lean();
+    
+    frontier = children
+      .map(child => child._id)
+      .filter(id => !visited.has(String(id)));
+    
+    frontier.forEach(id => {
+      visited.add(String(id));
+      descendantIds.push(id);
+    });
+  }
+  
+  return descendantIds;
+};
+
+// Get the spec attributes that apply to a category: its own and those inherited from its
+// ancestors, where a category's attribute replaces an ancestor's of the same name
+CategorySchema.statics.getSpecSchema = async function(categoryId) {
+  const category = await this.findById(categoryId).select('specSchema').lean();
+  if (!category) {
+    return [];
+  }
+  
+  const ancestors = await this.getAncestors(categoryId);
+  const ancestorSchemas = await this.find({ _id: { $in: ancestors.map(ancestor => ancestor._id) } })
+    .select('specSchema')
+    .lean();
+  const schemaById = new Map(ancestorSchemas.map(ancestor => [String(ancestor._id), ancestor.specSchema || []]));
+  
+  const attributes = new Map();
+  [...ancestors.map(ancestor => schemaById.get(String(ancestor._id)) || []), category.specSchema || []]
+    .forEach(schema => schema.forEach(attribute => attributes.set(attribute.name.toLowerCase(), attribute)));
+  
+  return [...attributes.values()];
+};
+
+// Check whether moving a category under a new parent would create a cycle
+CategorySchema.statics.wouldCreateCycle = async function(categoryId, newParentId) {
+  if (!newParentId) {
+    return false;
+  }
+  
+  if (String(categoryId) === String(newParentId)) {
+    return true;
+  }
+  
+  const ancestors = await this.getAncestors(newParentId);
+  return ancestors.some(ancestor => String(ancestor._id) === String(categoryId));
+};
+
+// Build the full category hierarchy with product counts and breadcrumbs
+CategorySchema.statics.getTree = async function() {
+  const categories = await this.find().sort({ name: 1 }).lean();
+  
+  // Count products directly assigned to each category
+  const counts = await mongoose.model('Product').aggregate([
+    { $group: { _id: '$category', count: { $sum: 1 } } }
+  ]);
+  const countMap = new Map(counts.map(c => [String(c._id), c.count]));
+  
+  // Index nodes by ID
+  const nodes = new Map();
+  categories.forEach(category => {
+    nodes.set(String(category._id), {
+      ...category,
+      productCount: countMap.get(String(category._id)) || 0,
+      totalProductCount: 0,
+      breadcrumbs: [],
+      children: []
+    });
+  });
+  
+  // Attach each node to its parent; orphans become roots
+  const roots = [];
+  nodes.forEach(node => {
+    const parent = node.parentCategory ? nodes.get(String(node.parentCategory)) : null;
+    if (parent) {
+      parent.children.push(node);
+    } else {
+      roots.push(node);
+    }
+  });
+  
+  // Fill in breadcrumbs and totals including descendants
+  const visit = (node, trail) => {
+    node.breadcrumbs = [...trail, { _id: node._id, name: node.name, slug: node.slug }];
+    node.totalProductCount = node.productCount + node.children.reduce(
+      (sum, child) => sum + visit(child, node.breadcrumbs),
+      0
+    );
+    return node.totalProductCount;
+  };
+  roots.forEach(root => visit(root, []));
+  
+  return roots;
+};
+
 module.exports = mongoose.model('Category', CategorySchema);
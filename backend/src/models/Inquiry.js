@@ -45,6 +45,19 @@ const InquirySchema = new mongoose.Schema({
       type: mongoose.Schema.Types.ObjectId,
       ref: 'Product'
     },
+    // Specific variant of the product (_id of an entry in Product.variants)
+    variant: {
+      type: mongoose.Schema.Types.ObjectId
+    },
+    // SKU and label of the variant when the inquiry was made
+    variantSku: {
+      type: String,
+      trim: true
+    },
+    variantLabel: {
+      type: String,
+      trim: true
+    },
     quantity: {
       type: Number,
       default: 1
@@ -120,7 +120,7 @@ const InquiryFollowupSettingsSchema = new mongoose.Schema({
       },
       body: {
         type: String,
-        default: 'Dear {customer_name},\n\nWe hope this email finds you well. We wanted to follow up on your recent inquiry about {product_names}.\n\nAre you still interested in these products? We would be happy to provide you with more information or answer any questions you might have.\n\n{product_details}\n\nFeel free to reply to this email or contact us via WhatsApp for a quicker response.\n\nBest regards,\nThe Team'
+        default: 'Dear {customer_name},\n\nWe hope this email finds you well. We wanted to follow up on your recent inquiry about {product_names}.\n\nAre you still interested in these products? We would be happy to provide you with more information or answer any questions you might have.\n\n{product_details}\n\n{related_products}\n\nFeel free to reply to this email or contact us via WhatsApp for a quicker response.\n\nBest regards,\nThe Team'
       }
     },
     secondFollowUpTemplate: {
@@ -130,7 +130,7 @@ const InquiryFollowupSettingsSchema = new mongoose.Schema({
       },
       body: {
         type: String,
-        default: 'Dear {customer_name},\n\nWe noticed you inquired about {product_names} a while ago, and we wanted to check if you are still interested or if your requirements have changed.\n\nWe would be happy to discuss your specific needs and provide a customized solution.\n\n{product_details}\n\nFeel free to reply to this email or contact us via WhatsApp for a quicker response.\n\nBest regards,\nThe Team'
+        default: 'Dear {customer_name},\n\nWe noticed you inquired about {product_names} a while ago, and we wanted to check if you are still interested or if your requirements have changed.\n\nWe would be happy to discuss your specific needs and provide a customized solution.\n\n{product_details}\n\n{related_products}\n\nFeel free to reply to this email or contact us via WhatsApp for a quicker response.\n\nBest regards,\nThe Team'
       }
     }
   },
@@ -164,7 +164,7 @@ const InquiryFollowupSettingsSchema = new mongoose.Schema({
       },
       body: {
         type: String,
-        default: 'Dear {customer_name},\n\nWe hope this email finds you well. We wanted to follow up on the quote we sent you for {product_names}.\n\nHave you had a chance to review it? We would be happy to address any questions or concerns you might have.\n\nFeel free to reply to this email or contact us via WhatsApp for a quicker response.\n\nBest regards,\nThe Team'
+        default: 'Dear {customer_name},\n\nWe hope this email finds you well. We wanted to follow up on the quote we sent you for {product_names}.\n\nHave you had a chance to review it? We would be happy to address any questions or concerns you might have.\n\n{related_products}\n\nFeel free to reply to this email or contact us via WhatsApp for a quicker response.\n\nBest regards,\nThe Team'
       }
     }
   },
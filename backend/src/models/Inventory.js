@@ -1,4 +1,12 @@
 const mongoose = require('mongoose');
+const InventorySettings = require('./InventorySettings');
+
+/**
+ * Build an error that the routes can turn into a 4xx response
+ * @param {String} message - Error message
+ * @returns {Error} Error with a 400 status
+ */
+const stockError = (message) => Object.assign(new Error(message), { status: 400 });
 
 const InventorySchema = new mongoose.Schema({
   // Product reference
@@ -8,13 +16,55 @@ const InventorySchema = new mongoose.Schema({
     required: true
   },
   
-  // Stock information
+  // Product variant (_id of an entry in Product.variants); null for the product as a whole
+  variant: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  
+  // Stock information; the total of all locations when stock is tracked per location
   stockLevel: {
     type: Number,
     default: 0,
     min: 0
   },
   
+  // Stock held by active reservations for quoted inquiries. Only changed with atomic
+  // updates by StockReservationService, so two quotes can't hold the same units.
+  reservedLevel: {
+    type: Number,
+    default: 0
+  },
+  
+  // Stock per location (codes from InventorySettings.locations)
+  locations: [{
+    _id: false,
+    code: {
+      type: String,
+      required: true,
+      trim: true,
+      lowercase: true
+    },
+    stockLevel: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    // Low stock threshold for this location; the record's threshold applies if unset
+    lowStockThreshold: {
+      type: Number,
+      min: 0
+    },
+    section: {
+      type: String,
+      trim: true
+    },
+    shelf: {
+      type: String,
+      trim: true
+    }
+  }],
+  
   // Stock status
   status: {
     type: String,
@@ -29,6 +79,14 @@ const InventorySchema = new mongoose.Schema({
     min: 1
   },
   
+  // Whether low stock is judged on the total stock ('global') or on each location
+  // against its own threshold ('location')
+  lowStockScope: {
+    type: String,
+    enum: ['global', 'location'],
+    default: 'global'
+  },
+  
   // Availability
   isAvailable: {
     type: Boolean,
@@ -61,7 +119,7 @@ const InventorySchema = new mongoose.Schema({
     }
   },
   
-  // Stock location
+  // Stock location of records that don't track stock per location
   location: {
     warehouse: {
       type: String,
@@ -85,9 +143,19 @@ const InventorySchema = new mongoose.Schema({
     },
     action: {
       type: String,
-      enum: ['add', 'remove', 'adjust', 'restock', 'audit'],
+      enum: ['add', 'remove', 'adjust', 'restock', 'audit', 'transfer'],
       required: true
     },
+    // Location the stock was added to, removed from or transferred from
+    location: {
+      type: String,
+      trim: true
+    },
+    // Location the stock was transferred to
+    toLocation: {
+      type: String,
+      trim: true
+    },
     quantity: {
       type: Number,
       required: true
@@ -125,7 +193,17 @@ const InventorySchema = new mongoose.Schema({
     recipients: [{
       type: String,
       trim: true
-    }]
+    }],
+    // When each kind of alert was last sent, so alerts aren't repeated too often
+    lastSent: {
+      lowStock: Date,
+      outOfStock: Date,
+      restock: Date
+    },
+    // When the stock last ran out, for restock reminders
+    outOfStockSince: {
+      type: Date
+    }
   },
   
   // Additional metadata
@@ -204,13 +282,24 @@ const InventorySchema = new mongoose.Schema({
   timestamps: true
 });
 
+// One record per product, and per variant of a product
+InventorySchema.index({ product: 1, variant: 1 }, { unique: true });
+
 // Pre-save middleware to update status based on stock level
 InventorySchema.pre('save', function(next) {
+  if (this.locations.length > 0) {
+    this.stockLevel = this.locations.reduce((total, location) => total + location.stockLevel, 0);
+  }
+  
   if (this.automation.autoUpdateStatus) {
+    const lowStock = this.lowStockScope === 'location' && this.locations.length > 0
+      ? this.getLowStockLocations().length > 0
+      : this.stockLevel <= this.lowStockThreshold;
+    
     if (this.stockLevel <= 0) {
       this.status = 'out_of_stock';
       this.isAvailable = false;
-    } else if (this.stockLevel <= this.lowStockThreshold) {
+    } else if (lowStock) {
       this.status = 'low_stock';
       this.isAvailable = true;
     } else {
@@ -219,48 +308,184 @@ InventorySchema.pre('save', function(next) {
     }
   }
   
+  // Note threshold crossings; the alert is sent once the save succeeds. New records start
+  // out empty, so they don't raise alerts.
+  if (this.isNew || this.isModified('status')) {
+    if (this.status === 'out_of_stock') {
+      this.alerts.outOfStockSince = this.alerts.outOfStockSince || new Date();
+    } else {
+      this.alerts.outOfStockSince = undefined;
+    }
+    
+    if (!this.isNew && (this.status === 'low_stock' || this.status === 'out_of_stock')) {
+      this.$locals.stockAlert = this.status === 'low_stock' ? 'lowStock' : 'outOfStock';
+    }
+  }
+  
+  // Stock changes may call for a reorder, checked once the save succeeds
+  if (!this.isNew && this.isModified('stockLevel')) {
+    this.$locals.stockChanged = true;
+  }
+  
   this.lastUpdated.date = new Date();
   
   next();
 });
 
-// Method to add stock
-InventorySchema.methods.addStock = async function(quantity, notes = '', performedBy = 'system') {
+// Send the alert for a threshold crossed by this save and draft a reorder if stock ran low.
+// Neither can fail the save.
+InventorySchema.post('save', function(doc) {
+  const { stockAlert, stockChanged } = doc.$locals;
+  delete doc.$locals.stockAlert;
+  delete doc.$locals.stockChanged;
+  
+  // Required here because these services themselves use this model
+  if (stockAlert) {
+    const InventoryAlertService = require('../services/InventoryAlertService');
+    InventoryAlertService.sendAlert(doc, stockAlert).catch(error => {
+      console.error(`Error sending ${stockAlert} alert for inventory ${doc._id}:`, error);
+    });
+  }
+  
+  if (stockChanged) {
+    const PurchaseOrderService = require('../services/PurchaseOrderService');
+    PurchaseOrderService.reorderIfNeeded(doc).catch(error => {
+      console.error(`Error reordering stock for inventory ${doc._id}:`, error);
+    });
+  }
+});
+
+// Stock entry of a location, optionally adding one with no stock
+InventorySchema.methods.getLocationStock = function(code, create = false) {
+  const key = String(code || '').trim().toLowerCase();
+  let entry = this.locations.find(location => location.code === key);
+  
+  if (!entry && create) {
+    this.locations.push({ code: key, stockLevel: 0 });
+    entry = this.locations[this.locations.length - 1];
+  }
+  
+  return entry || null;
+};
+
+// Locations at or below their low stock threshold
+InventorySchema.methods.getLowStockLocations = function() {
+  return this.locations.filter(location => {
+    const threshold = location.lowStockThreshold !== undefined && location.lowStockThreshold !== null
+      ? location.lowStockThreshold
+      : this.lowStockThreshold;
+    return location.stockLevel <= threshold;
+  });
+};
+
+// Start tracking stock per location. Stock recorded before then is assigned to the default
+// location, together with the record's section and shelf.
+InventorySchema.methods.startLocationTracking = async function() {
+  if (this.locations.length > 0 || this.stockLevel <= 0) {
+    return;
+  }
+  
+  const settings = await InventorySettings.findOne();
+  const code = settings && (settings.defaultLocation || (settings.locations[0] && settings.locations[0].code));
+  if (!code) {
+    throw stockError('No inventory locations are defined');
+  }
+  
+  this.locations.push({
+    code,
+    stockLevel: this.stockLevel,
+    section: this.location && this.location.section,
+    shelf: this.location && this.location.shelf
+  });
+};
+
+// Stock entry a change applies to, or null for records that don't track locations
+InventorySchema.methods.resolveLocationStock = async function(location, create = false) {
+  if (!location) {
+    if (this.locations.length > 0) {
+      throw stockError('Location is required, since stock is held per location');
+    }
+    return null;
+  }
+  
+  await this.startLocationTracking();
+  const entry = this.getLocationStock(location, create);
+  if (!entry) {
+    throw stockError(`No stock is held at location ${location}`);
+  }
+  return entry;
+};
+
+/**
+ * Add stock to a record and record it in the history
+ * @param {Object} inventory - Inventory document
+ * @param {String} action - History action, add or restock
+ * @param {Number} quantity - Quantity added
+ * @param {String} notes - History notes
+ * @param {String} performedBy - Who added the stock
+ * @param {String} location - Location code, for records that track stock per location
+ * @returns {Promise<Object>} Saved inventory
+ */
+const increaseStock = async (inventory, action, quantity, notes, performedBy, location) => {
   if (quantity <= 0) {
     throw new Error('Quantity must be greater than 0');
   }
   
-  const previousLevel = this.stockLevel;
-  this.stockLevel += quantity;
+  const entry = await inventory.resolveLocationStock(location, true);
+  const previousLevel = inventory.stockLevel;
+  inventory.stockLevel += quantity;
+  if (entry) {
+    entry.stockLevel += quantity;
+  }
   
-  this.history.push({
+  inventory.history.push({
     date: new Date(),
-    action: 'add',
+    action,
     quantity,
     previousLevel,
-    newLevel: this.stockLevel,
+    newLevel: inventory.stockLevel,
+    location: entry ? entry.code : undefined,
     notes,
     performedBy
   });
   
-  this.lastUpdated.date = new Date();
-  this.lastUpdated.by = performedBy;
+  inventory.lastUpdated.date = new Date();
+  inventory.lastUpdated.by = performedBy;
   
-  return this.save();
+  return inventory.save();
+};
+
+// Method to add stock
+InventorySchema.methods.addStock = function(quantity, notes = '', performedBy = 'system', location = null) {
+  return increaseStock(this, 'add', quantity, notes, performedBy, location);
+};
+
+// Method to record stock delivered by a supplier; clears the expected restock date
+InventorySchema.methods.restock = function(quantity, notes = '', performedBy = 'system', location = null) {
+  this.restockDate = undefined;
+  return increaseStock(this, 'restock', quantity, notes, performedBy, location);
 };
 
 // Method to remove stock
-InventorySchema.methods.removeStock = async function(quantity, notes = '', performedBy = 'system') {
+InventorySchema.methods.removeStock = async function(quantity, notes = '', performedBy = 'system', location = null) {
   if (quantity <= 0) {
     throw new Error('Quantity must be greater than 0');
   }
   
+  const entry = await this.resolveLocationStock(location);
+  
+  if (entry && quantity > entry.stockLevel) {
+    throw stockError(`Cannot remove more than the ${entry.stockLevel} in stock at ${entry.code}`);
+  }
   if (quantity > this.stockLevel) {
     throw new Error('Cannot remove more than available stock');
   }
   
   const previousLevel = this.stockLevel;
   this.stockLevel -= quantity;
+  if (entry) {
+    entry.stockLevel -= quantity;
+  }
   
   this.history.push({
     date: new Date(),
@@ -268,6 +493,7 @@ InventorySchema.methods.removeStock = async function(quantity, notes = '', perfo
     quantity: -quantity,
     previousLevel,
     newLevel: this.stockLevel,
+    location: entry ? entry.code : undefined,
     notes,
     performedBy
   });
@@ -278,16 +504,20 @@ InventorySchema.methods.removeStock = async function(quantity, notes = '', perfo
   return this.save();
 };
 
-// Method to adjust stock to a specific level
-InventorySchema.methods.adjustStock = async function(newLevel, notes = '', performedBy = 'system') {
+// Method to adjust stock to a specific level (at one location, for records tracking locations)
+InventorySchema.methods.adjustStock = async function(newLevel, notes = '', performedBy = 'system', location = null) {
   if (newLevel < 0) {
     throw new Error('New stock level cannot be negative');
   }
   
+  const entry = await this.resolveLocationStock(location, true);
   const previousLevel = this.stockLevel;
-  const quantity = newLevel - previousLevel;
+  const quantity = newLevel - (entry ? entry.stockLevel : previousLevel);
   
-  this.stockLevel = newLevel;
+  this.stockLevel = previousLevel + quantity;
+  if (entry) {
+    entry.stockLevel = newLevel;
+  }
   
   this.history.push({
     date: new Date(),
@@ -295,6 +525,47 @@ InventorySchema.methods.adjustStock = async function(newLevel, notes = '', perfo
     quantity,
     previousLevel,
     newLevel: this.stockLevel,
+    location: entry ? entry.code : undefined,
+    notes,
+    performedBy
+  });
+  
+  this.lastUpdated.date = new Date();
+  this.lastUpdated.by = performedBy;
+  
+  return this.save();
+};
+
+// Method to move stock from one location to another; the total stays the same
+InventorySchema.methods.transferStock = async function(from, to, quantity, notes = '', performedBy = 'system') {
+  if (quantity <= 0) {
+    throw stockError('Quantity must be greater than 0');
+  }
+  
+  if (!from || !to) {
+    throw stockError('Both the source and destination locations are required');
+  }
+  
+  const source = await this.resolveLocationStock(from);
+  if (String(to).trim().toLowerCase() === source.code) {
+    throw stockError('Stock must be transferred to a different location');
+  }
+  if (quantity > source.stockLevel) {
+    throw stockError(`Cannot transfer more than the ${source.stockLevel} in stock at ${source.code}`);
+  }
+  
+  const destination = this.getLocationStock(to, true);
+  source.stockLevel -= quantity;
+  destination.stockLevel += quantity;
+  
+  this.history.push({
+    date: new Date(),
+    action: 'transfer',
+    quantity,
+    previousLevel: this.stockLevel,
+    newLevel: this.stockLevel,
+    location: source.code,
+    toLocation: destination.code,
     notes,
     performedBy
   });
@@ -310,7 +581,22 @@ InventorySchema.statics.findLowStock = function() {
   return this.find({
     $or: [
       { status: 'low_stock' },
-      { $expr: { $lte: ['$stockLevel', '$lowStockThreshold'] } }
+      {
+        $or: [{ lowStockScope: 'global' }, { locations: { $size: 0 } }],
+        $expr: { $lte: ['$stockLevel', '$lowStockThreshold'] }
+      },
+      {
+        lowStockScope: 'location',
+        $expr: {
+          $anyElementTrue: [{
+            $map: {
+              input: '$locations',
+              as: 'location',
+              in: { $lte: ['$$location.stockLevel', { $ifNull: ['$$location.lowStockThreshold', '$lowStockThreshold'] }] }
+            }
+          }]
+        }
+      }
     ]
   }).populate('product');
 };
@@ -325,4 +611,66 @@ InventorySchema.statics.findOutOfStock = function() {
   }).populate('product');
 };
 
+// Stock of a product and its variants added up across records and locations, for the
+// product page. Returns null if the product's stock isn't tracked.
+InventorySchema.statics.getAvailability = async function(productId) {
+  const records = await this.find({ product: productId }).lean();
+  if (records.length === 0) {
+    return null;
+  }
+  
+  const settings = await InventorySettings.findOne();
+  const stockLevel = records.reduce((total, record) => total + record.stockLevel, 0);
+  
+  let status;
+  if (records.every(record => record.status === 'discontinued')) {
+    status = 'discontinued';
+  } else if (stockLevel > 0) {
+    status = records.some(record => record.status === 'low_stock') ? 'low_stock' : 'in_stock';
+  } else {
+    status = records.some(record => record.status === 'pre_order') ? 'pre_order' : 'out_of_stock';
+  }
+  
+  // Stock by location; records that don't track locations are counted under their warehouse
+  const byLocation = new Map();
+  records.forEach(record => {
+    const entries = record.locations && record.locations.length > 0
+      ? record.locations
+      : [{ code: (record.location && record.location.warehouse) || null, stockLevel: record.stockLevel }];
+    
+    entries.forEach(entry => {
+      byLocation.set(entry.code, (byLocation.get(entry.code) || 0) + entry.stockLevel);
+    });
+  });
+  
+  const restockDates = records
+    .filter(record => record.stockLevel <= 0 && record.restockDate)
+    .map(record => record.restockDate);
+  
+  return {
+    product: productId,
+    stockLevel,
+    status,
+    isAvailable: records.some(record => record.isAvailable),
+    restockDate: stockLevel <= 0 && restockDates.length > 0 ? new Date(Math.min(...restockDates)) : null,
+    locations: [...byLocation.entries()].map(([code, level]) => {
+      const location = settings && code ? settings.getLocation(code) : null;
+      return {
+        code,
+        name: location ? location.name : code,
+        type: location ? location.type : null,
+        stockLevel: level
+      };
+    }),
+    variants: records
+      .filter(record => record.variant)
+      .map(record => ({
+        variant: record.variant,
+        sku: record.metadata && record.metadata.sku,
+        stockLevel: record.stockLevel,
+        status: record.status
+      }))
+  };
+};
+
 module.exports = mongoose.model('Inventory', InventorySchema);
@@ -7,6 +7,46 @@ const InventorySettingsSchema = new mongoose.Schema({
     default: true
   },
   
+  // Places stock is held, such as warehouses and a showroom
+  locations: [{
+    _id: false,
+    // Short identifier used in inventory records, e.g. 'main-warehouse'
+    code: {
+      type: String,
+      required: true,
+      trim: true,
+      lowercase: true,
+      match: [/^[a-z0-9][a-z0-9_-]*$/, 'Location codes may only contain letters, digits, hyphens and underscores']
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    type: {
+      type: String,
+      enum: ['warehouse', 'showroom', 'store'],
+      default: 'warehouse'
+    },
+    address: {
+      type: String,
+      trim: true
+    },
+    // Inactive locations keep their stock but can't receive any
+    isActive: {
+      type: Boolean,
+      default: true
+    }
+  }],
+  
+  // Location that stock recorded before locations were tracked is assigned to
+  // (defaults to the first location)
+  defaultLocation: {
+    type: String,
+    trim: true,
+    lowercase: true
+  },
+  
   // Default thresholds
   defaultLowStockThreshold: {
     type: Number,
@@ -90,6 +130,18 @@ const InventorySettingsSchema = new mongoose.Schema({
         }
       }
     },
+    // Hours before the same alert is sent again for the same item
+    repeatAfterHours: {
+      type: Number,
+      default: 24,
+      min: 0
+    },
+    // Days an item can be out of stock before restock reminders are sent
+    restockReminderDays: {
+      type: Number,
+      default: 7,
+      min: 1
+    },
     sendDailyDigest: {
       type: Boolean,
       default: true
@@ -136,6 +188,20 @@ const InventorySettingsSchema = new mongoose.Schema({
     }
   },
   
+  // Stock held for quoted inquiries
+  reservations: {
+    enabled: {
+      type: Boolean,
+      default: true
+    },
+    // Days a reservation holds stock before it expires
+    expiryDays: {
+      type: Number,
+      default: 14,
+      min: 1
+    }
+  },
+  
   // Supplier integration settings
   supplierIntegration: {
     enabled: {
@@ -210,4 +276,25 @@ const InventorySettingsSchema = new mongoose.Schema({
   timestamps: true
 });
 
+// Location codes must be unique, and the default location must be one of them
+InventorySettingsSchema.pre('validate', function(next) {
+  const codes = this.locations.map(location => location.code);
+  
+  const duplicate = codes.find((code, index) => codes.indexOf(code) !== index);
+  if (duplicate) {
+    this.invalidate('locations', `Location ${duplicate} is defined more than once`);
+  }
+  
+  if (this.defaultLocation && !codes.includes(this.defaultLocation)) {
+    this.invalidate('defaultLocation', `Default location ${this.defaultLocation} is not one of the locations`);
+  }
+  
+  next();
+});
+
+// Location with the given code
+InventorySettingsSchema.methods.getLocation = function(code) {
+  return this.locations.find(location => location.code === String(code || '').trim().toLowerCase()) || null;
+};
+
 module.exports = mongoose.model('InventorySettings', InventorySettingsSchema);
@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+
+const JobRunSchema = new mongoose.Schema({
+  // Name of the scheduled job
+  job: {
+    type: String,
+    required: [true, 'Job name is required'],
+    index: true
+  },
+
+  // What started the run
+  trigger: {
+    type: String,
+    enum: ['schedule', 'manual'],
+    default: 'schedule'
+  },
+  triggeredBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  },
+
+  // Outcome
+  status: {
+    type: String,
+    enum: ['running', 'succeeded', 'failed'],
+    default: 'running'
+  },
+  result: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  error: {
+    type: String
+  },
+
+  // Which process ran the job
+  workerId: {
+    type: String
+  },
+
+  // Timing
+  scheduledFor: {
+    type: Date
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  finishedAt: {
+    type: Date
+  },
+  durationMs: {
+    type: Number
+  }
+}, {
+  timestamps: true
+});
+
+JobRunSchema.index({ job: 1, startedAt: -1 });
+
+module.exports = mongoose.model('JobRun', JobRunSchema);
@@ -1,4 +1,10 @@
 const mongoose = require('mongoose');
+const ProductRevision = require('./ProductRevision');
+const Category = require('./Category');
+const { normalizeSpecifications } = require('../utils/specifications');
+
+// Statuses in which a product must have every required spec attribute of its category
+const COMPLETE_SPEC_STATUSES = ['approved', 'scheduled', 'published'];
 
 const ProductSchema = new mongoose.Schema({
   // Basic product information
@@ -32,6 +38,18 @@ const ProductSchema = new mongoose.Schema({
     type: Map,
     of: String
   },
+  
+  // Typed values of the specifications defined by the category's spec schema, in the
+  // schema's units, for filtering and comparison. Set from specifications on save.
+  specificationValues: {
+    type: Map,
+    of: new mongoose.Schema({
+      value: mongoose.Schema.Types.Mixed,
+      min: Number,
+      max: Number,
+      unit: String
+    }, { _id: false })
+  },
   applications: [{
     type: String
   }],
@@ -57,6 +75,57 @@ const ProductSchema = new mongoose.Schema({
     }
   }],
   
+  // Variant options, e.g. { name: 'voltage', label: 'Voltage', values: ['110V', '220V'] }
+  options: [{
+    _id: false,
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      match: [/^[a-z][a-z0-9_]*$/, 'Option names may only contain lower-case letters, digits and underscores']
+    },
+    label: {
+      type: String,
+      trim: true
+    },
+    values: [{
+      type: String,
+      trim: true
+    }]
+  }],
+  
+  // One variant per combination of option values. Variants are deactivated rather
+  // than deleted when their combination goes away, since inventory and inquiries refer to them.
+  variants: [{
+    sku: {
+      type: String,
+      required: [true, 'Each variant needs a SKU'],
+      trim: true,
+      uppercase: true
+    },
+    optionValues: {
+      type: Map,
+      of: String
+    },
+    // Specifications that differ from the product's, e.g. { Power: '220V / 50Hz' }
+    specificationOverrides: {
+      type: Map,
+      of: String
+    },
+    images: [{
+      url: String,
+      alt: String,
+      isMain: {
+        type: Boolean,
+        default: false
+      }
+    }],
+    isActive: {
+      type: Boolean,
+      default: true
+    }
+  }],
+  
   // SEO fields
   metaTitle: {
     type: String,
@@ -89,17 +158,69 @@ const ProductSchema = new mongoose.Schema({
   generationErrors: [{
     type: String
   }],
+  // Result of the automated quality gate; failed products are held in needs_review
+  qualityCheck: {
+    passed: Boolean,
+    reasons: [String],
+    readabilityScore: Number,
+    checkedAt: Date
+  },
+  // Prompt template versions that produced the content
+  promptTemplates: [{
+    _id: false,
+    name: String,
+    version: Number
+  }],
   
   // Publication fields
   status: {
     type: String,
-    enum: ['draft', 'scheduled', 'published'],
+    // draft -> in_review -> approved -> scheduled -> published when approval is required;
+    // needs_review holds products that failed the quality gate, rejected ones are replaced
+    enum: ['draft', 'needs_review', 'in_review', 'approved', 'rejected', 'scheduled', 'published'],
     default: 'draft'
   },
   scheduledPublishDate: {
     type: Date
   },
   
+  // Human approval workflow
+  review: {
+    assignedTo: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User'
+    },
+    submittedAt: Date,
+    decidedBy: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User'
+    },
+    decidedAt: Date,
+    rejectionReason: String,
+    // Queue item regenerating a rejected product
+    regenerationRequest: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'ProductGenerationQueue'
+    },
+    // Reviewer comments and workflow events, oldest first
+    comments: [{
+      user: {
+        type: mongoose.Schema.ObjectId,
+        ref: 'User'
+      },
+      action: {
+        type: String,
+        enum: ['comment', 'submitted', 'assigned', 'approved', 'rejected', 'changes_requested'],
+        default: 'comment'
+      },
+      text: String,
+      createdAt: {
+        type: Date,
+        default: Date.now
+      }
+    }]
+  },
+  
   // Timestamps
   createdAt: {
     type: Date,
@@ -120,18 +241,131 @@ const ProductSchema = new mongoose.Schema({
   timestamps: true
 });
 
-// Create slug from title
-ProductSchema.pre('save', function(next) {
+// Create slug from title (before validation, since slug is required). A numeric
+// suffix keeps it unique when another product already has the same title.
+ProductSchema.pre('validate', async function() {
   if (!this.isModified('title')) {
-    next();
     return;
   }
-  this.slug = this.title
+  const base = this.title
     .toLowerCase()
     .replace(/[^a-z0-9]/g, '-')
     .replace(/-+/g, '-')
     .replace(/^-|-$/g, '');
-  next();
+
+  let slug = base;
+  let suffix = 2;
+  while (await this.constructor.exists({ slug, _id: { $ne: this._id } })) {
+    slug = `${base}-${suffix}`;
+    suffix += 1;
+  }
+  this.slug = slug;
+});
+
+// Full-text search (GET /api/products/search), weighted towards titles and keywords
+ProductSchema.index({
+  title: 'text',
+  keywords: 'text',
+  shortDescription: 'text',
+  description: 'text',
+  'faqs.question': 'text',
+  'faqs.answer': 'text'
+}, {
+  name: 'product_search',
+  weights: {
+    title: 10,
+    keywords: 5,
+    shortDescription: 3,
+    description: 2,
+    'faqs.question': 1,
+    'faqs.answer': 1
+  }
+});
+
+// SKUs are unique across all products; products without variants are not indexed
+ProductSchema.index(
+  { 'variants.sku': 1 },
+  { unique: true, partialFilterExpression: { 'variants.sku': { $exists: true } } }
+);
+
+// A variant's SKU must also be unique within its own product, which the index can't enforce
+ProductSchema.pre('validate', function() {
+  const skus = this.variants.map(variant => variant.sku && variant.sku.toUpperCase());
+  const duplicate = skus.find((sku, index) => sku && skus.indexOf(sku) !== index);
+  if (duplicate) {
+    this.invalidate('variants', `SKU ${duplicate} is used by more than one variant`);
+  }
+});
+
+// Check specifications against the category's spec schema, converting values to its units
+ProductSchema.pre('validate', async function() {
+  const changed = ['specifications', 'category', 'status', 'variants'].some(path => this.isModified(path));
+  if (!this.isNew && !changed) {
+    return;
+  }
+  
+  const categoryId = this.populated('category') || this.category;
+  const attributes = categoryId ? await Category.getSpecSchema(categoryId) : [];
+  const result = normalizeSpecifications(this.specifications, attributes, {
+    requireAll: COMPLETE_SPEC_STATUSES.includes(this.status)
+  });
+  
+  this.specifications = result.specifications;
+  this.specificationValues = result.values;
+  result.errors.forEach(error => this.invalidate(`specifications.${error.name}`, error.message));
+  
+  this.variants.forEach((variant, index) => {
+    if (!variant.specificationOverrides) {
+      return;
+    }
+    const overrides = normalizeSpecifications(variant.specificationOverrides, attributes);
+    variant.specificationOverrides = overrides.specifications;
+    overrides.errors.forEach(error => {
+      this.invalidate(`variants.${index}.specificationOverrides.${error.name}`, error.message);
+    });
+  });
+});
+
+/**
+ * Human-readable label of a variant, e.g. "220V / Large booth"
+ * @param {Object} variant - Variant subdocument
+ * @returns {String} Label
+ */
+ProductSchema.methods.getVariantLabel = function(variant) {
+  return this.options
+    .map(option => variant.optionValues && variant.optionValues.get(option.name))
+    .filter(Boolean)
+    .join(' / ');
+};
+
+/**
+ * Specifications of a variant: the product's, with the variant's overrides applied
+ * @param {Object} variant - Variant subdocument
+ * @returns {Object} Specifications
+ */
+ProductSchema.methods.getVariantSpecifications = function(variant) {
+  return {
+    ...(this.specifications ? Object.fromEntries(this.specifications) : {}),
+    ...(variant.specificationOverrides ? Object.fromEntries(variant.specificationOverrides) : {})
+  };
+};
+
+// Keep the stored state so the change can be recorded as a revision after saving
+ProductSchema.pre('save', async function() {
+  this.$locals.wasNew = this.isNew;
+  this.$locals.storedState = this.isNew ? null : await this.constructor.findById(this._id).lean();
+});
+
+// Record every saved change as a ProductRevision. Failures are logged rather than
+// thrown, since the product itself has already been saved.
+ProductSchema.post('save', async function(doc) {
+  try {
+    await ProductRevision.record(doc, doc.$locals.wasNew ? null : doc.$locals.storedState, doc.$locals.revision);
+  } catch (error) {
+    console.error(`Error recording revision for product ${doc._id}:`, error);
+  }
+  doc.$locals.storedState = undefined;
+  doc.$locals.revision = undefined;
 });
 
 module.exports = mongoose.model('Product', ProductSchema);
@@ -17,10 +17,36 @@ const ProductGenerationQueueSchema = new mongoose.Schema({
   // Processing status
   status: {
     type: String,
-    enum: ['queued', 'processing', 'completed', 'failed'],
+    enum: ['queued', 'processing', 'completed', 'failed', 'dead_letter'],
     default: 'queued'
   },
   
+  // Retry tracking. Retryable failures are rescheduled via scheduledFor with
+  // exponential backoff; items out of attempts end up in dead_letter, and items
+  // with a permanent error in failed.
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  lastError: {
+    message: String,
+    type: {
+      type: String,
+      enum: ['retryable', 'permanent']
+    },
+    at: Date
+  },
+  
+  // Set when regenerating a product a reviewer rejected: the product it replaces and
+  // the rejection reason, which is passed to the model
+  regeneration: {
+    product: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'Product'
+    },
+    feedback: String
+  },
+  
   // Priority (higher number = higher priority)
   priority: {
     type: Number,
@@ -52,9 +78,20 @@ const ProductGenerationQueueSchema = new mongoose.Schema({
   },
   completedAt: {
     type: Date
+  },
+  
+  // Worker lease while processing. Items whose lease expires are returned to the queue.
+  workerId: {
+    type: String
+  },
+  leaseExpiresAt: {
+    type: Date
   }
 }, {
   timestamps: true
 });
 
+// Claim order used by the queue workers
+ProductGenerationQueueSchema.index({ status: 1, priority: -1, queuedAt: 1 });
+
 module.exports = mongoose.model('ProductGenerationQueue', ProductGenerationQueueSchema);
@@ -0,0 +1,124 @@
+const mongoose = require('mongoose');
+const { getActor } = require('../utils/actorContext');
+const { toSnapshot, diffSnapshots } = require('../utils/revisionDiff');
+
+// Times a revision is recorded before giving up on revision number clashes
+const MAX_RECORD_ATTEMPTS = 5;
+
+const ProductRevisionSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+
+  // Sequential per product, starting at 1
+  revision: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+
+  // baseline records a product's state from before revisions were kept
+  action: {
+    type: String,
+    enum: ['create', 'update', 'rollback', 'baseline'],
+    required: true
+  },
+
+  // Who made the change: a user, a scheduled job, or the system (scripts, startup tasks)
+  author: {
+    type: {
+      type: String,
+      enum: ['user', 'job', 'system'],
+      default: 'system'
+    },
+    user: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User'
+    },
+    job: String
+  },
+
+  // Revision restored by a rollback
+  rolledBackTo: Number,
+
+  changedFields: [String],
+
+  // Top-level fields that changed, with their old and new values
+  changes: [{
+    _id: false,
+    field: String,
+    before: mongoose.Schema.Types.Mixed,
+    after: mongoose.Schema.Types.Mixed
+  }],
+
+  // The whole product after this revision, used for comparisons and rollback
+  snapshot: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+ProductRevisionSchema.index({ product: 1, revision: -1 }, { unique: true });
+
+/**
+ * Record a saved product change. Called from the Product save hooks.
+ * @param {Object} product - Product document after saving
+ * @param {Object} before - Stored product before saving (null for a new product)
+ * @param {Object} options - { action, rolledBackTo } for rollbacks
+ * @returns {Promise<Object>} Revision, or null if nothing changed
+ */
+ProductRevisionSchema.statics.record = async function(product, before, options = {}) {
+  const beforeSnapshot = before ? toSnapshot(before) : {};
+  const afterSnapshot = toSnapshot(product);
+  const changes = diffSnapshots(beforeSnapshot, afterSnapshot);
+
+  if (before && changes.length === 0) {
+    return null;
+  }
+
+  const { type, user, job } = getActor();
+
+  // Revision numbers are the latest plus one; a concurrent save that takes the same number
+  // fails on the unique index, and the number is worked out again
+  for (let attempt = 1; ; attempt++) {
+    try {
+      const latest = await this.findOne({ product: product._id }).sort({ revision: -1 }).select('revision');
+      let revision = latest ? latest.revision + 1 : 1;
+
+      // Products from before revisions were kept get their prior state as a baseline to roll back to
+      if (!latest && before) {
+        await this.create({
+          product: product._id,
+          revision,
+          action: 'baseline',
+          author: { type: 'system' },
+          changedFields: [],
+          changes: [],
+          snapshot: beforeSnapshot
+        });
+        revision += 1;
+      }
+
+      return await this.create({
+        product: product._id,
+        revision,
+        action: options.action || (before ? 'update' : 'create'),
+        author: { type, user, job },
+        rolledBackTo: options.rolledBackTo,
+        changedFields: changes.map(change => change.field),
+        changes: before ? changes : [],
+        snapshot: afterSnapshot
+      });
+    } catch (error) {
+      if (error.code !== 11000 || attempt >= MAX_RECORD_ATTEMPTS) {
+        throw error;
+      }
+    }
+  }
+};
+
+module.exports = mongoose.model('ProductRevision', ProductRevisionSchema);
@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+
+const PromptTemplateSchema = new mongoose.Schema({
+  // Template name, matching the generation task it is used for (e.g. 'product.faqs')
+  name: {
+    type: String,
+    required: [true, 'Template name is required'],
+    trim: true,
+    match: [/^[a-z][a-zA-Z0-9_.-]*$/, 'Template name may only contain letters, digits, dots, dashes and underscores']
+  },
+
+  // Versions are immutable; editing a template creates the next version
+  version: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+
+  // The version generation uses. Exactly one version per name is active.
+  isActive: {
+    type: Boolean,
+    default: false
+  },
+
+  description: {
+    type: String,
+    trim: true
+  },
+
+  // Template text with {variable_name} placeholders
+  body: {
+    type: String,
+    required: [true, 'Template body is required']
+  },
+
+  // Variables the template expects
+  variables: [{
+    _id: false,
+    name: {
+      type: String,
+      required: true,
+      match: [/^[A-Za-z][A-Za-z0-9_]*$/, 'Variable names may only contain letters, digits and underscores']
+    },
+    description: String,
+    required: {
+      type: Boolean,
+      default: true
+    },
+    defaultValue: String
+  }],
+
+  // What changed in this version
+  notes: {
+    type: String,
+    trim: true
+  },
+
+  createdBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+PromptTemplateSchema.index({ name: 1, version: 1 }, { unique: true });
+PromptTemplateSchema.index({ name: 1, isActive: 1 });
+
+module.exports = mongoose.model('PromptTemplate', PromptTemplateSchema);
@@ -0,0 +1,171 @@
+const mongoose = require('mongoose');
+
+// Order statuses in the order they normally happen
+const STATUSES = ['draft', 'sent', 'partially_received', 'received', 'cancelled'];
+
+// Order for stock from a supplier, drafted by hand or by automatic reordering
+const PurchaseOrderSchema = new mongoose.Schema({
+  // Reference shown to the supplier, e.g. PO-20250301-4F3A
+  number: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+
+  status: {
+    type: String,
+    enum: STATUSES,
+    default: 'draft'
+  },
+
+  // Supplier details at the time of ordering (the name matches an entry in
+  // InventorySettings.supplierIntegration.suppliers, if there is one)
+  supplier: {
+    name: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    email: {
+      type: String,
+      trim: true
+    },
+    phone: {
+      type: String,
+      trim: true
+    }
+  },
+
+  lines: [{
+    inventory: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Inventory',
+      required: true
+    },
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product',
+      required: true
+    },
+    variant: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null
+    },
+    sku: {
+      type: String,
+      trim: true
+    },
+    description: {
+      type: String,
+      trim: true
+    },
+    quantityOrdered: {
+      type: Number,
+      required: true,
+      min: 1
+    },
+    quantityReceived: {
+      type: Number,
+      default: 0,
+      min: 0
+    }
+  }],
+
+  // Whether the order was drafted by automatic reordering
+  isAutomatic: {
+    type: Boolean,
+    default: false
+  },
+
+  // Expected delivery, from the supplier lead time
+  expectedDeliveryDate: {
+    type: Date
+  },
+
+  // Submission to the supplier's HTTP endpoint, if it has one
+  submission: {
+    submittedAt: Date,
+    externalReference: {
+      type: String,
+      trim: true
+    },
+    error: {
+      type: String,
+      trim: true
+    }
+  },
+
+  // Deliveries received against the order
+  receipts: [{
+    _id: false,
+    date: {
+      type: Date,
+      default: Date.now
+    },
+    line: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true
+    },
+    quantity: {
+      type: Number,
+      required: true,
+      min: 1
+    },
+    location: {
+      type: String,
+      trim: true
+    },
+    receivedBy: {
+      type: String,
+      trim: true
+    },
+    // Set while the received quantity is still to be added to inventory
+    pendingRestock: {
+      type: Boolean,
+      default: false
+    }
+  }],
+
+  notes: {
+    type: String,
+    trim: true
+  },
+
+  createdBy: {
+    type: String,
+    trim: true
+  },
+  sentAt: {
+    type: Date
+  },
+  receivedAt: {
+    type: Date
+  },
+  cancelledAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+PurchaseOrderSchema.index({ status: 1, 'supplier.name': 1 });
+PurchaseOrderSchema.index({ 'lines.inventory': 1, status: 1 });
+
+// Automatic reorders for a supplier are collected on one draft until it is sent
+PurchaseOrderSchema.index(
+  { 'supplier.name': 1 },
+  { unique: true, partialFilterExpression: { status: 'draft', isAutomatic: true } }
+);
+
+// Quantity of a line still to be delivered
+PurchaseOrderSchema.methods.getOutstandingQuantity = function(line) {
+  return Math.max(line.quantityOrdered - line.quantityReceived, 0);
+};
+
+PurchaseOrderSchema.statics.STATUSES = STATUSES;
+
+// Statuses of orders whose stock is still to come
+PurchaseOrderSchema.statics.OPEN_STATUSES = ['draft', 'sent', 'partially_received'];
+
+module.exports = mongoose.model('PurchaseOrder', PurchaseOrderSchema);
@@ -18,10 +18,26 @@ const SEOOptimizationQueueSchema = new mongoose.Schema({
   // Processing status
   status: {
     type: String,
-    enum: ['queued', 'processing', 'completed', 'failed'],
+    enum: ['queued', 'processing', 'completed', 'failed', 'dead_letter'],
     default: 'queued'
   },
   
+  // Retry tracking. Retryable failures are rescheduled via scheduledFor with
+  // exponential backoff; items out of attempts end up in dead_letter, and items
+  // with a permanent error in failed.
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  lastError: {
+    message: String,
+    type: {
+      type: String,
+      enum: ['retryable', 'permanent']
+    },
+    at: Date
+  },
+  
   // Priority (higher number = higher priority)
   priority: {
     type: Number,
@@ -63,9 +79,20 @@ const SEOOptimizationQueueSchema = new mongoose.Schema({
   },
   completedAt: {
     type: Date
+  },
+  
+  // Worker lease while processing. Items whose lease expires are returned to the queue.
+  workerId: {
+    type: String
+  },
+  leaseExpiresAt: {
+    type: Date
   }
 }, {
   timestamps: true
 });
 
+// Claim order used by the queue workers
+SEOOptimizationQueueSchema.index({ status: 1, priority: -1, queuedAt: 1 });
+
 module.exports = mongoose.model('SEOOptimizationQueue', SEOOptimizationQueueSchema);
@@ -98,8 +98,8 @@ const SEOSettingsSchema = new mongoose.Schema({
       default: 5
     },
     minRelevanceScore: {
-      type: Number, // 0-100
-      default: 70
+      type: Number, // 0-100, see ProductRecommendationService
+      default: 40
     },
     requireApproval: {
       type: Boolean,
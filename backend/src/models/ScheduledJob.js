@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+// Persistent state of a job registered with the scheduler. The job's code and
+// timing rules live in src/jobs; this document only tracks its runtime state.
+const ScheduledJobSchema = new mongoose.Schema({
+  // Job name, matching the registered definition
+  name: {
+    type: String,
+    required: [true, 'Job name is required'],
+    unique: true
+  },
+
+  // Paused jobs are skipped by the scheduler but can still be triggered manually
+  paused: {
+    type: Boolean,
+    default: false
+  },
+
+  // Timing
+  nextRunAt: {
+    type: Date
+  },
+  lastRunAt: {
+    type: Date
+  },
+  lastStatus: {
+    type: String,
+    enum: ['succeeded', 'failed']
+  },
+  lastError: {
+    type: String
+  },
+
+  // Lease held while a run is in progress, so only one process runs the job at a time
+  lockedBy: {
+    type: String
+  },
+  lockedUntil: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('ScheduledJob', ScheduledJobSchema);
@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+
+// Storefront searches are kept for a year
+const RETENTION_SECONDS = 365 * 24 * 60 * 60;
+
+// One storefront product search, with the results the visitor clicked
+const SearchQuerySchema = new mongoose.Schema({
+  // Search text as typed
+  query: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 200
+  },
+
+  // Lower-case search terms, used to group the same search typed differently
+  normalizedQuery: {
+    type: String,
+    required: true,
+    index: true
+  },
+
+  // Spelling-corrected text the search ran on, if it was corrected
+  correctedQuery: {
+    type: String
+  },
+
+  // Filters applied with the search
+  filters: {
+    category: String,
+    stock: String,
+    specs: {
+      type: Map,
+      of: String
+    }
+  },
+
+  // Number of matching products
+  resultCount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+
+  // Results clicked from this search
+  clicks: [{
+    _id: false,
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product',
+      required: true
+    },
+    // 1-based position in the results
+    position: Number,
+    clickedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+SearchQuerySchema.index({ createdAt: 1 }, { expireAfterSeconds: RETENTION_SECONDS });
+SearchQuerySchema.index({ resultCount: 1, createdAt: -1 });
+
+module.exports = mongoose.model('SearchQuery', SearchQuerySchema);
@@ -344,10 +344,15 @@ const SocialMediaSettingsSchema = new mongoose.Schema({
         type: Boolean,
         default: true
       },
+      // 'custom' is any OpenAI-compatible endpoint (see customEndpoint)
+      provider: {
+        type: String,
+        enum: ['openai', 'anthropic', 'custom', 'fixture'],
+        default: 'openai'
+      },
       model: {
         type: String,
-        default: 'gpt-4',
-        enum: ['gpt-3.5-turbo', 'gpt-4', 'custom']
+        default: 'gpt-4'
       },
       customEndpoint: {
         type: String,
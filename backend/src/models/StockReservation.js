@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+
+// Stock held for one line of a quoted inquiry until it expires, is released or is converted
+const StockReservationSchema = new mongoose.Schema({
+  inquiry: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Inquiry',
+    required: true
+  },
+
+  // _id of the entry in Inquiry.products the stock is held for
+  inquiryItem: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+
+  // Product variant (_id of an entry in Product.variants); null for the product as a whole
+  variant: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+
+  // Inventory record the stock is held in
+  inventory: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Inventory',
+    required: true
+  },
+
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+
+  status: {
+    type: String,
+    enum: ['active', 'released', 'expired', 'converted'],
+    default: 'active'
+  },
+
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+
+  // When and why the reservation stopped holding stock
+  endedAt: {
+    type: Date
+  },
+  endReason: {
+    type: String,
+    trim: true
+  },
+
+  createdBy: {
+    type: String,
+    trim: true
+  }
+}, {
+  timestamps: true
+});
+
+StockReservationSchema.index({ inventory: 1, status: 1, expiresAt: 1 });
+StockReservationSchema.index({ inquiry: 1, status: 1 });
+StockReservationSchema.index({ status: 1, expiresAt: 1 });
+
+module.exports = mongoose.model('StockReservation', StockReservationSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const crypto = require('crypto');
 const bcrypt = require('bcrypt');
 const jwt = require('jsonwebtoken');
 const config = require('../config/config');
@@ -19,7 +20,7 @@ const UserSchema = new mongoose.Schema({
   },
   role: {
     type: String,
-    enum: ['user', 'admin'],
+    enum: ['user', 'editor', 'sales', 'admin'],
     default: 'user'
   },
   password: {
@@ -30,6 +31,17 @@ const UserSchema = new mongoose.Schema({
   },
   resetPasswordToken: String,
   resetPasswordExpire: Date,
+  isEmailVerified: {
+    type: Boolean,
+    default: false
+  },
+  emailVerificationToken: String,
+  emailVerificationExpire: Date,
+  // Signed into every JWT; raising it revokes all tokens issued before
+  tokenVersion: {
+    type: Number,
+    default: 0
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -50,7 +62,7 @@ UserSchema.pre('save', async function(next) {
 
 // Sign JWT and return
 UserSchema.methods.getSignedJwtToken = function() {
-  return jwt.sign({ id: this._id }, config.JWT_SECRET, {
+  return jwt.sign({ id: this._id, version: this.tokenVersion }, config.JWT_SECRET, {
     expiresIn: config.JWT_EXPIRE
   });
 };
@@ -60,4 +72,34 @@ UserSchema.methods.matchPassword = async function(enteredPassword) {
   return await bcrypt.compare(enteredPassword, this.password);
 };
 
+// Revoke every token issued so far, e.g. after the password or email address changes
+UserSchema.methods.revokeTokens = function() {
+  this.tokenVersion += 1;
+};
+
+// Hash a one-time token for storage; only the unhashed token is ever sent to the user
+UserSchema.statics.hashToken = function(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+// Generate and store a hashed password reset token, returning the unhashed token
+UserSchema.methods.getResetPasswordToken = function() {
+  const resetToken = crypto.randomBytes(20).toString('hex');
+  
+  this.resetPasswordToken = this.constructor.hashToken(resetToken);
+  this.resetPasswordExpire = Date.now() + config.RESET_PASSWORD_EXPIRE_MINUTES * 60 * 1000;
+  
+  return resetToken;
+};
+
+// Generate and store a hashed email verification token, returning the unhashed token
+UserSchema.methods.getEmailVerificationToken = function() {
+  const verificationToken = crypto.randomBytes(20).toString('hex');
+  
+  this.emailVerificationToken = this.constructor.hashToken(verificationToken);
+  this.emailVerificationExpire = Date.now() + config.EMAIL_VERIFICATION_EXPIRE_HOURS * 60 * 60 * 1000;
+  
+  return verificationToken;
+};
+
 module.exports = mongoose.model('User', UserSchema);
@@ -8,9 +8,14 @@ const Inquiry = require('../models/Inquiry');
 const BlogPost = require('../models/BlogPost');
 const EmailCampaign = require('../models/EmailCampaign');
 const SocialMediaPost = require('../models/SocialMediaPost');
+const { protect, authorize } = require('../middleware/auth');
+const AnalyticsReportService = require('../services/AnalyticsReportService');
+const AIUsageService = require('../services/AIUsageService');
+const SearchAnalyticsService = require('../services/SearchAnalyticsService');
+const AIUsage = require('../models/AIUsage');
 
 // Get analytics settings
-router.get('/settings', async (req, res) => {
+router.get('/settings', protect, authorize('admin'), async (req, res) => {
   try {
     let settings = await AnalyticsSettings.findOne();
     
@@ -28,7 +33,7 @@ router.get('/settings', async (req, res) => {
 });
 
 // Update analytics settings
-router.put('/settings', async (req, res) => {
+router.put('/settings', protect, authorize('admin'), async (req, res) => {
   try {
     let settings = await AnalyticsSettings.findOne();
     
@@ -57,8 +62,43 @@ router.put('/settings', async (req, res) => {
   }
 });
 
+// Get AI usage and estimated spend by subsystem and day (defaults to the current month),
+// with the monthly budget status
+router.get('/ai-usage', protect, authorize('admin'), async (req, res) => {
+  try {
+    const { startDate, endDate, subsystem } = req.query;
+    const now = new Date();
+    
+    const from = startDate ? new Date(startDate) : new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+    let to = endDate ? new Date(endDate) : now;
+    
+    if (isNaN(from.getTime()) || isNaN(to.getTime())) {
+      return res.status(400).json({ msg: 'Invalid start or end date' });
+    }
+    
+    // A date-only end date includes that whole day
+    if (endDate && /^\d{4}-\d{2}-\d{2}$/.test(endDate)) {
+      to = new Date(to.getTime() + 24 * 60 * 60 * 1000);
+    }
+    
+    if (subsystem && !AIUsage.SUBSYSTEMS.includes(subsystem)) {
+      return res.status(400).json({ msg: `Subsystem must be one of: ${AIUsage.SUBSYSTEMS.join(', ')}` });
+    }
+    
+    const [usage, budget] = await Promise.all([
+      AIUsageService.getUsageReport({ from, to, subsystem }),
+      AIUsageService.getBudgetStatus(now)
+    ]);
+    
+    res.json({ ...usage, budget });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+});
+
 // Get analytics data for a specific date range
-router.get('/data', async (req, res) => {
+router.get('/data', protect, authorize('admin'), async (req, res) => {
   try {
     const { startDate, endDate, reportType } = req.query;
     
@@ -94,7 +134,7 @@ router.get('/data', async (req, res) => {
 });
 
 // Generate analytics report for a specific date range
-router.post('/generate', async (req, res) => {
+router.post('/generate', protect, authorize('admin'), async (req, res) => {
   try {
     const { startDate, endDate, reportType } = req.body;
     
@@ -204,22 +244,34 @@ router.post('/generate', async (req, res) => {
       ]
     };
     
+    // Get real search data for the report
+    const searchSummary = await SearchAnalyticsService.getSummary({
+      start: new Date(startDate),
+      end: new Date(endDate),
+      limit: 20
+    });
+    
+    newAnalyticsData.content = {
+      searchTerms: searchSummary.topQueries.map(({ term, count, averageResults, clickThroughRate }) => ({
+        term,
+        count,
+        averageResults,
+        clickThroughRate
+      })),
+      zeroResultSearches: searchSummary.zeroResultQueries.map(({ term, count }) => ({ term, count })),
+      totalSearches: searchSummary.totalSearches,
+      searchClickThroughRate: searchSummary.clickThroughRate
+    };
+    
     // Get real blog data for the report
     const blogPosts = await BlogPost.find().limit(5);
     if (blogPosts.length > 0) {
-      newAnalyticsData.content = {
-        blogPerformance: blogPosts.map((blog, index) => ({
-          blogId: blog._id,
-          views: Math.floor(Math.random() * 500) + 50 - (index * 25),
-          avgTimeOnPage: Math.floor(Math.random() * 300) + 60,
-          inquiriesGenerated: Math.floor(Math.random() * 20) + 2 - index
-        })),
-        searchTerms: [
-          { term: 'powder coating machine', count: Math.floor(Math.random() * 100) + 10 },
-          { term: 'industrial spray booth', count: Math.floor(Math.random() * 80) + 8 },
-          { term: 'conveyor system price', count: Math.floor(Math.random() * 60) + 6 }
-        ]
-      };
+      newAnalyticsData.content.blogPerformance = blogPosts.map((blog, index) => ({
+        blogId: blog._id,
+        views: Math.floor(Math.random() * 500) + 50 - (index * 25),
+        avgTimeOnPage: Math.floor(Math.random() * 300) + 60,
+        inquiriesGenerated: Math.floor(Math.random() * 20) + 2 - index
+      }));
     }
     
     // Get real email campaign data for the report
@@ -287,8 +339,32 @@ router.post('/generate', async (req, res) => {
   }
 });
 
+// Get storefront search metrics: top searches, searches with no results and click-through
+router.get('/search', protect, authorize('admin'), async (req, res) => {
+  try {
+    const { startDate, endDate } = req.query;
+    const end = endDate ? new Date(endDate) : new Date();
+    const start = startDate ? new Date(startDate) : new Date(end.getTime() - 30 * 24 * 60 * 60 * 1000);
+    
+    if (isNaN(start.getTime()) || isNaN(end.getTime())) {
+      return res.status(400).json({ msg: 'Invalid date range' });
+    }
+    
+    const summary = await SearchAnalyticsService.getSummary({
+      start,
+      end,
+      limit: Math.min(parseInt(req.query.limit, 10) || 20, 100)
+    });
+    
+    res.json(summary);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+});
+
 // Get dashboard data (summary of recent analytics)
-router.get('/dashboard', async (req, res) => {
+router.get('/dashboard', protect, authorize('admin'), async (req, res) => {
   try {
     // Get analytics settings for dashboard configuration
     let settings = await AnalyticsSettings.findOne();
@@ -365,6 +441,9 @@ router.get('/dashboard', async (req, res) => {
         createdAt: { $gte: startDate, $lte: endDate }
       });
       
+      // Get storefront search metrics, including searches that found nothing
+      const searchMetrics = await SearchAnalyticsService.getSummary({ start: startDate, end: endDate });
+      
       // Get recent inquiries
       const recentInquiries = await Inquiry.find()
         .sort({ createdAt: -1 })
@@ -390,6 +469,7 @@ router.get('/dashboard', async (req, res) => {
           converted: convertedInquiries,
           conversionRate: totalInquiries > 0 ? (convertedInquiries / totalInquiries) * 100 : 0
         },
+        searchMetrics,
         recentInquiries: recentInquiries.map(inquiry => ({
           id: inquiry._id,
           customer: inquiry.customer.name,
@@ -432,6 +512,7 @@ router.get('/dashboard', async (req, res) => {
         }))
       },
       inquiryMetrics: analyticsData.inquiries,
+      searchMetrics: await SearchAnalyticsService.getSummary({ start: startDate, end: endDate }),
       categoryPerformance: analyticsData.products.categoryPerformance,
       geographicData: analyticsData.traffic.geographicData
     };
@@ -443,164 +524,10 @@ router.get('/dashboard', async (req, res) => {
   }
 });
 
-// Schedule report generation (for cron job)
-router.post('/schedule', async (req, res) => {
+// Generate the reports due right now (also run automatically by the job scheduler)
+router.post('/schedule', protect, authorize('admin'), async (req, res) => {
   try {
-    // Get analytics settings
-    let settings = await AnalyticsSettings.findOne();
-    if (!settings) {
-      settings = new AnalyticsSettings();
-      await settings.save();
-    }
-    
-    // Determine which reports to generate based on current time
-    const now = new Date();
-    const reports = [];
-    
-    // Check for daily report
-    if (settings.reportGeneration.daily.enabled) {
-      const [hour, minute] = settings.reportGeneration.daily.time.split(':').map(Number);
-      const scheduledTime = new Date(now);
-      scheduledTime.setHours(hour, minute, 0, 0);
-      
-      // If it's time to generate the daily report (within 5 minutes of scheduled time)
-      if (Math.abs(now - scheduledTime) < 5 * 60 * 1000) {
-        const startDate = new Date(now);
-        startDate.setDate(startDate.getDate() - 1);
-        startDate.setHours(0, 0, 0, 0);
-        
-        const endDate = new Date(now);
-        endDate.setDate(endDate.getDate() - 1);
-        endDate.setHours(23, 59, 59, 999);
-        
-        reports.push({
-          type: 'daily',
-          startDate,
-          endDate,
-          recipients: settings.reportGeneration.daily.recipients
-        });
-      }
-    }
-    
-    // Check for weekly report
-    if (settings.reportGeneration.weekly.enabled) {
-      const days = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
-      const today = days[now.getDay()];
-      
-      if (today === settings.reportGeneration.weekly.day) {
-        const [hour, minute] = settings.reportGeneration.weekly.time.split(':').map(Number);
-        const scheduledTime = new Date(now);
-        scheduledTime.setHours(hour, minute, 0, 0);
-        
-        // If it's time to generate the weekly report (within 5 minutes of scheduled time)
-        if (Math.abs(now - scheduledTime) < 5 * 60 * 1000) {
-          const startDate = new Date(now);
-          startDate.setDate(startDate.getDate() - 7);
-          startDate.setHours(0, 0, 0, 0);
-          
-          const endDate = new Date(now);
-          endDate.setDate(endDate.getDate() - 1);
-          endDate.setHours(23, 59, 59, 999);
-          
-          reports.push({
-            type: 'weekly',
-            startDate,
-            endDate,
-            recipients: settings.reportGeneration.weekly.recipients
-          });
-        }
-      }
-    }
-    
-    // Check for monthly report
-    if (settings.reportGeneration.monthly.enabled) {
-      const today = now.getDate();
-      
-      if (today === settings.reportGeneration.monthly.dayOfMonth) {
-        const [hour, minute] = settings.reportGeneration.monthly.time.split(':').map(Number);
-        const scheduledTime = new Date(now);
-        scheduledTime.setHours(hour, minute, 0, 0);
-        
-        // If it's time to generate the monthly report (within 5 minutes of scheduled time)
-        if (Math.abs(now - scheduledTime) < 5 * 60 * 1000) {
-          const startDate = new Date(now);
-          startDate.setMonth(startDate.getMonth() - 1);
-          startDate.setDate(1);
-          startDate.setHours(0, 0, 0, 0);
-          
-          const endDate = new Date(now);
-          endDate.setDate(0); // Last day of previous month
-          endDate.setHours(23, 59, 59, 999);
-          
-          reports.push({
-            type: 'monthly',
-            startDate,
-            endDate,
-            recipients: settings.reportGeneration.monthly.recipients
-          });
-        }
-      }
-    }
-    
-    // Generate the reports
-    const results = {
-      scheduled: reports.length,
-      generated: 0,
-      details: []
-    };
-    
-    for (const report of reports) {
-      try {
-        // Check if report already exists
-        const existingReport = await AnalyticsData.findOne({
-          'dateRange.start': report.startDate,
-          'dateRange.end': report.endDate,
-          'metadata.reportType': report.type
-        });
-        
-        if (!existingReport) {
-          // In a real implementation, this would generate the report and send emails
-          // For demonstration, we'll just create a placeholder
-          const newReport = new AnalyticsData({
-            dateRange: {
-              start: report.startDate,
-              end: report.endDate
-            },
-            metadata: {
-              reportType: report.type,
-              generatedAt: new Date(),
-              generatedBy: 'system'
-            }
-          });
-          
-          await newReport.save();
-          
-          results.generated += 1;
-          results.details.push({
-            type: report.type,
-            startDate: report.startDate,
-            endDate: report.endDate,
-            status: 'generated'
-          });
-        } else {
-          results.details.push({
-            type: report.type,
-            startDate: report.startDate,
-            endDate: report.endDate,
-            status: 'already exists'
-          });
-        }
-      } catch (error) {
-        results.details.push({
-          type: report.type,
-          startDate: report.startDate,
-          endDate: report.endDate,
-          status: 'failed',
-          error: error.message
-        });
-      }
-    }
-    
+    const results = await AnalyticsReportService.generateScheduledReports();
     res.json(results);
   } catch (err) {
     console.error(err.message);
@@ -2,13 +2,14 @@ const express = require('express');
 const router = express.Router();
 const { check, validationResult } = require('express-validator');
 const AutomationSettings = require('../models/AutomationSettings');
+const { protect, authorize } = require('../middleware/auth');
 
 /**
  * @route   GET /api/automation-settings
  * @desc    Get automation settings
  * @access  Private/Admin
  */
-router.get('/', async (req, res) => {
+router.get('/', protect, authorize('admin'), async (req, res) => {
   try {
     const settings = await AutomationSettings.getSettings();
     res.json(settings);
@@ -23,7 +24,7 @@ router.get('/', async (req, res) => {
  * @desc    Update automation settings
  * @access  Private/Admin
  */
-router.put('/', async (req, res) => {
+router.put('/', protect, authorize('admin'), async (req, res) => {
   try {
     const settings = await AutomationSettings.getSettings();
     
@@ -31,8 +32,11 @@ router.put('/', async (req, res) => {
       productListing,
       seo,
       contentGeneration,
-      imageGeneration
-    } = req.body;
+      imageGeneration,
+      queueProcessing,
+      aiBudget,
+      qualityGate
+    } = req.body || {};
     
     // Update product listing settings
     if (productListing) {
@@ -42,6 +46,7 @@ router.put('/', async (req, res) => {
       if (productListing.publishTime) settings.productListing.publishTime = productListing.publishTime;
       if (productListing.maxProductsPerMonth) settings.productListing.maxProductsPerMonth = productListing.maxProductsPerMonth;
       if (productListing.requireApproval !== undefined) settings.productListing.requireApproval = productListing.requireApproval;
+      if (productListing.defaultReviewer !== undefined) settings.productListing.defaultReviewer = productListing.defaultReviewer || undefined;
     }
     
     // Update SEO settings
@@ -54,6 +59,7 @@ router.put('/', async (req, res) => {
     
     // Update content generation settings
     if (contentGeneration) {
+      if (contentGeneration.generationMode) settings.contentGeneration.generationMode = contentGeneration.generationMode;
       if (contentGeneration.model) settings.contentGeneration.model = contentGeneration.model;
       if (contentGeneration.temperature) settings.contentGeneration.temperature = contentGeneration.temperature;
       if (contentGeneration.maxTokens) settings.contentGeneration.maxTokens = contentGeneration.maxTokens;
@@ -68,6 +74,36 @@ router.put('/', async (req, res) => {
       if (imageGeneration.preferredStyle) settings.imageGeneration.preferredStyle = imageGeneration.preferredStyle;
     }
     
+    // Update queue worker settings
+    if (queueProcessing) {
+      if (queueProcessing.concurrency) settings.queueProcessing.concurrency = queueProcessing.concurrency;
+      if (queueProcessing.leaseMinutes) settings.queueProcessing.leaseMinutes = queueProcessing.leaseMinutes;
+      if (queueProcessing.maxAttempts) settings.queueProcessing.maxAttempts = queueProcessing.maxAttempts;
+      if (queueProcessing.retryBaseSeconds) settings.queueProcessing.retryBaseSeconds = queueProcessing.retryBaseSeconds;
+      if (queueProcessing.retryMaxMinutes) settings.queueProcessing.retryMaxMinutes = queueProcessing.retryMaxMinutes;
+    }
+    
+    // Update AI budget caps (0 removes a cap)
+    if (aiBudget) {
+      if (aiBudget.enabled !== undefined) settings.aiBudget.enabled = aiBudget.enabled;
+      if (aiBudget.monthlyLimit !== undefined) settings.aiBudget.monthlyLimit = aiBudget.monthlyLimit;
+      if (aiBudget.subsystemLimits) {
+        Object.keys(aiBudget.subsystemLimits).forEach(subsystem => {
+          if (settings.aiBudget.subsystemLimits[subsystem] !== undefined) {
+            settings.aiBudget.subsystemLimits[subsystem] = aiBudget.subsystemLimits[subsystem];
+          }
+        });
+      }
+    }
+    
+    // Update content quality gate settings
+    if (qualityGate) {
+      if (qualityGate.enabled !== undefined) settings.qualityGate.enabled = qualityGate.enabled;
+      if (Array.isArray(qualityGate.bannedPhrases)) settings.qualityGate.bannedPhrases = qualityGate.bannedPhrases;
+      if (qualityGate.minReadabilityScore !== undefined) settings.qualityGate.minReadabilityScore = qualityGate.minReadabilityScore;
+      if (qualityGate.maxDescriptionSimilarity !== undefined) settings.qualityGate.maxDescriptionSimilarity = qualityGate.maxDescriptionSimilarity;
+    }
+    
     await settings.save();
     
     res.json(settings);
@@ -82,7 +118,7 @@ router.put('/', async (req, res) => {
  * @desc    Get automation system status
  * @access  Private/Admin
  */
-router.get('/status', async (req, res) => {
+router.get('/status', protect, authorize('admin'), async (req, res) => {
   try {
     const settings = await AutomationSettings.getSettings();
     
@@ -103,7 +139,7 @@ router.get('/status', async (req, res) => {
  * @desc    Reset automation settings to defaults
  * @access  Private/Admin
  */
-router.post('/reset', async (req, res) => {
+router.post('/reset', protect, authorize('admin'), async (req, res) => {
   try {
     // Delete existing settings
     await AutomationSettings.deleteMany({});
@@ -5,6 +5,7 @@ const BlogAutomationService = require('../services/BlogAutomationService');
 const BlogPost = require('../models/BlogPost');
 const BlogTopic = require('../models/BlogTopic');
 const BlogAutomationSettings = require('../models/BlogAutomationSettings');
+const { protect, authorize } = require('../middleware/auth');
 
 // Middleware to validate request
 const validate = (req, res, next) => {
@@ -20,7 +21,7 @@ const validate = (req, res, next) => {
  * @desc    Get blog automation settings
  * @access  Private
  */
-router.get('/settings', async (req, res) => {
+router.get('/settings', protect, authorize('admin', 'editor'), async (req, res) => {
   try {
     const settings = await BlogAutomationService.getSettings();
     res.json({ success: true, settings });
@@ -35,7 +36,7 @@ router.get('/settings', async (req, res) => {
  * @desc    Update blog automation settings
  * @access  Private
  */
-router.put('/settings', [
+router.put('/settings', protect, authorize('admin', 'editor'), [
   check('contentTypes').optional().isObject(),
   check('publishingSchedule').optional().isObject(),
   check('reviewWorkflow').optional().isObject(),
@@ -78,7 +79,7 @@ router.put('/settings', [
  * @desc    Get blog topics
  * @access  Private
  */
-router.get('/topics', async (req, res) => {
+router.get('/topics', protect, authorize('admin', 'editor'), async (req, res) => {
   try {
     const { status, contentType, limit = 20, page = 1 } = req.query;
     
@@ -130,7 +131,7 @@ router.get('/topics', async (req, res) => {
  * @desc    Generate blog topic suggestions
  * @access  Private
  */
-router.post('/topics/generate', [
+router.post('/topics/generate', protect, authorize('admin', 'editor'), [
   check('count').optional().isInt({ min: 1, max: 20 }),
   check('contentTypes').optional().isArray(),
   validate
@@ -149,7 +150,7 @@ router.post('/topics/generate', [
  * @desc    Create a new blog topic manually
  * @access  Private
  */
-router.post('/topics', [
+router.post('/topics', protect, authorize('admin', 'editor'), [
   check('title').notEmpty().withMessage('Title is required'),
   check('description').notEmpty().withMessage('Description is required'),
   check('contentType').isIn(['product', 'industry_news', 'how_to', 'case_study']).withMessage('Valid content type is required'),
@@ -180,7 +181,7 @@ router.post('/topics', [
  * @desc    Update a blog topic
  * @access  Private
  */
-router.put('/topics/:id', [
+router.put('/topics/:id', protect, authorize('admin', 'editor'), [
   check('title').optional().notEmpty().withMessage('Title cannot be empty'),
   check('description').optional().notEmpty().withMessage('Description cannot be empty'),
   check('contentType').optional().isIn(['product', 'industry_news', 'how_to', 'case_study']).withMessage('Valid content type is required'),
@@ -221,7 +222,7 @@ router.put('/topics/:id', [
  * @desc    Delete a blog topic
  * @access  Private
  */
-router.delete('/topics/:id', async (req, res) => {
+router.delete('/topics/:id', protect, authorize('admin', 'editor'), async (req, res) => {
   try {
     const topic = await BlogTopic.findById(req.params.id);
     
@@ -243,7 +244,7 @@ router.delete('/topics/:id', async (req, res) => {
  * @desc    Generate a blog post draft from a topic
  * @access  Private
  */
-router.post('/topics/:id/generate', async (req, res) => {
+router.post('/topics/:id/generate', protect, authorize('admin', 'editor'), async (req, res) => {
   try {
     const result = await BlogAutomationService.generateBlogPostDraft(req.params.id);
     res.json(result);
@@ -258,7 +259,7 @@ router.post('/topics/:id/generate', async (req, res) => {
  * @desc    Get blog posts
  * @access  Private
  */
-router.get('/posts', async (req, res) => {
+router.get('/posts', protect, authorize('admin', 'editor'), async (req, res) => {
   try {
     const { status, contentType, limit = 20, page = 1 } = req.query;
     
@@ -309,7 +310,7 @@ router.get('/posts', async (req, res) => {
  * @desc    Get a blog post by ID
  * @access  Private
  */
-router.get('/posts/:id', async (req, res) => {
+router.get('/posts/:id', protect, authorize('admin', 'editor'), async (req, res) => {
   try {
     const post = await BlogPost.findById(req.params.id)
       .populate('categories')
@@ -333,7 +334,7 @@ router.get('/posts/:id', async (req, res) => {
  * @desc    Update a blog post
  * @access  Private
  */
-router.put('/posts/:id', [
+router.put('/posts/:id', protect, authorize('admin', 'editor'), [
   check('title').optional().notEmpty().withMessage('Title cannot be empty'),
   check('content').optional().notEmpty().withMessage('Content cannot be empty'),
   check('status').optional().isIn(['draft', 'review', 'scheduled', 'published', 'archived']).withMessage('Valid status is required'),
@@ -382,7 +383,7 @@ router.put('/posts/:id', [
  * @desc    Review a blog post
  * @access  Private
  */
-router.post('/posts/:id/review', [
+router.post('/posts/:id/review', protect, authorize('admin', 'editor'), [
   check('status').isIn(['approved', 'rejected']).withMessage('Valid review status is required'),
   validate
 ], async (req, res) => {
@@ -404,7 +405,7 @@ router.post('/posts/:id/review', [
  * @desc    Generate images for a blog post
  * @access  Private
  */
-router.post('/posts/:id/images', async (req, res) => {
+router.post('/posts/:id/images', protect, authorize('admin', 'editor'), async (req, res) => {
   try {
     const result = await BlogAutomationService.generateBlogImages(req.params.id);
     res.json(result);
@@ -419,7 +420,7 @@ router.post('/posts/:id/images', async (req, res) => {
  * @desc    Publish scheduled blog posts
  * @access  Private
  */
-router.post('/publish-scheduled', async (req, res) => {
+router.post('/publish-scheduled', protect, authorize('admin', 'editor'), async (req, res) => {
   try {
     const result = await BlogAutomationService.publishScheduledPosts();
     res.json(result);
@@ -434,7 +435,7 @@ router.post('/publish-scheduled', async (req, res) => {
  * @desc    Promote blog posts via email
  * @access  Private
  */
-router.post('/promote-via-email', async (req, res) => {
+router.post('/promote-via-email', protect, authorize('admin', 'editor'), async (req, res) => {
   try {
     const result = await BlogAutomationService.promoteBlogPostsViaEmail();
     res.json(result);
@@ -449,7 +450,7 @@ router.post('/promote-via-email', async (req, res) => {
  * @desc    Generate a content calendar
  * @access  Private
  */
-router.get('/content-calendar', async (req, res) => {
+router.get('/content-calendar', protect, authorize('admin', 'editor'), async (req, res) => {
   try {
     const { weeks, startDate } = req.query;
     
@@ -1,39 +1,281 @@
 const express = require('express');
 const router = express.Router();
+const mongoose = require('mongoose');
+const { check, validationResult } = require('express-validator');
+const Category = require('../models/Category');
+const Product = require('../models/Product');
+const { getValidationErrors } = require('../utils/validationErrors');
+const { protect, authorize } = require('../middleware/auth');
+
+// Fields that may be set through the create/update endpoints
+const EDITABLE_FIELDS = [
+  'name',
+  'description',
+  'image',
+  'metaTitle',
+  'metaDescription',
+  'parentCategory',
+  'specSchema'
+];
+
+/**
+ * Check that a requested parent category exists
+ * @param {String|null} parentId - Parent category ID
+ * @returns {Promise<Boolean>} Whether the parent is valid (empty means top level)
+ */
+const parentExists = async (parentId) => {
+  if (!parentId) {
+    return true;
+  }
+
+  if (!mongoose.isValidObjectId(parentId)) {
+    return false;
+  }
+
+  return !!(await Category.exists({ _id: parentId }));
+};
 
 // @route   GET api/categories
 // @desc    Get all categories
 // @access  Public
-router.get('/', (req, res) => {
-  res.json({ message: 'Get all categories' });
+router.get('/', async (req, res) => {
+  try {
+    const query = {};
+
+    // Allow listing the children of one category, or top-level categories with ?parent=root
+    if (req.query.parent) {
+      query.parentCategory = req.query.parent === 'root' ? null : req.query.parent;
+    }
+
+    const categories = await Category.find(query)
+      .sort({ name: 1 })
+      .populate('parentCategory', 'name slug');
+
+    res.json({ success: true, categories });
+  } catch (error) {
+    const validationErrors = getValidationErrors(error);
+    if (validationErrors) {
+      return res.status(400).json({ success: false, errors: validationErrors });
+    }
+
+    console.error('Error getting categories:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// @route   GET api/categories/tree
+// @desc    Get the nested category hierarchy with product counts and breadcrumbs
+// @access  Public
+router.get('/tree', async (req, res) => {
+  try {
+    const tree = await Category.getTree();
+    res.json({ success: true, tree });
+  } catch (error) {
+    console.error('Error getting category tree:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
 });
 
 // @route   GET api/categories/:id
 // @desc    Get single category
 // @access  Public
-router.get('/:id', (req, res) => {
-  res.json({ message: `Get category with id ${req.params.id}` });
+router.get('/:id', async (req, res) => {
+  try {
+    // Accept either an ObjectId or a slug
+    const category = mongoose.isValidObjectId(req.params.id)
+      ? await Category.findById(req.params.id).populate('parentCategory', 'name slug')
+      : await Category.findOne({ slug: req.params.id }).populate('parentCategory', 'name slug');
+
+    if (!category) {
+      return res.status(404).json({ success: false, message: 'Category not found' });
+    }
+
+    const [breadcrumbs, children, productCount] = await Promise.all([
+      Category.getBreadcrumbs(category._id),
+      Category.find({ parentCategory: category._id }).sort({ name: 1 }).select('name slug'),
+      Product.countDocuments({ category: category._id })
+    ]);
+
+    res.json({
+      success: true,
+      category,
+      breadcrumbs,
+      children,
+      productCount
+    });
+  } catch (error) {
+    console.error(`Error getting category ${req.params.id}:`, error);
+    res.status(500).json({ success: false, message: error.message });
+  }
 });
 
 // @route   POST api/categories
 // @desc    Create a category
 // @access  Private
-router.post('/', (req, res) => {
-  res.json({ message: 'Create a category' });
+router.post('/', protect, authorize('admin', 'editor'), [
+  check('name', 'Name is required').not().isEmpty(),
+  check('description', 'Description is required').not().isEmpty(),
+  check('parentCategory', 'Parent category must be a valid ID').optional({ nullable: true }).isMongoId()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+
+  try {
+    if (!(await parentExists(req.body.parentCategory))) {
+      return res.status(404).json({ success: false, message: 'Parent category not found' });
+    }
+
+    const category = new Category();
+    EDITABLE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) {
+        category[field] = req.body[field];
+      }
+    });
+
+    await category.save();
+
+    res.status(201).json({ success: true, category });
+  } catch (error) {
+    const validationErrors = getValidationErrors(error);
+    if (validationErrors) {
+      return res.status(400).json({ success: false, errors: validationErrors });
+    }
+
+    console.error('Error creating category:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
 });
 
 // @route   PUT api/categories/:id
 // @desc    Update a category
 // @access  Private
-router.put('/:id', (req, res) => {
-  res.json({ message: `Update category with id ${req.params.id}` });
+router.put('/:id', protect, authorize('admin', 'editor'), [
+  check('parentCategory', 'Parent category must be a valid ID').optional({ nullable: true }).isMongoId()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ success: false, message: 'Category not found' });
+    }
+
+    const category = await Category.findById(req.params.id);
+
+    if (!category) {
+      return res.status(404).json({ success: false, message: 'Category not found' });
+    }
+
+    const body = req.body || {};
+
+    // Validate reparenting
+    if (body.parentCategory !== undefined) {
+      if (!(await parentExists(body.parentCategory))) {
+        return res.status(404).json({ success: false, message: 'Parent category not found' });
+      }
+
+      if (await Category.wouldCreateCycle(category._id, body.parentCategory)) {
+        return res.status(400).json({
+          success: false,
+          message: 'A category cannot be moved under itself or one of its descendants'
+        });
+      }
+    }
+
+    EDITABLE_FIELDS.forEach(field => {
+      if (body[field] !== undefined) {
+        category[field] = body[field];
+      }
+    });
+
+    await category.save();
+
+    res.json({ success: true, category });
+  } catch (error) {
+    const validationErrors = getValidationErrors(error);
+    if (validationErrors) {
+      return res.status(400).json({ success: false, errors: validationErrors });
+    }
+
+    console.error(`Error updating category ${req.params.id}:`, error);
+    res.status(500).json({ success: false, message: error.message });
+  }
 });
 
 // @route   DELETE api/categories/:id
-// @desc    Delete a category
+// @desc    Delete a category. Refuses while products or child categories reference it,
+//          unless ?reassignTo=<categoryId> is given to move them first.
 // @access  Private
-router.delete('/:id', (req, res) => {
-  res.json({ message: `Delete category with id ${req.params.id}` });
+router.delete('/:id', protect, authorize('admin', 'editor'), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ success: false, message: 'Category not found' });
+    }
+
+    const category = await Category.findById(req.params.id);
+
+    if (!category) {
+      return res.status(404).json({ success: false, message: 'Category not found' });
+    }
+
+    const reassignTo = req.query.reassignTo || (req.body && req.body.reassignTo);
+
+    const [productCount, childCount] = await Promise.all([
+      Product.countDocuments({ category: category._id }),
+      Category.countDocuments({ parentCategory: category._id })
+    ]);
+
+    if ((productCount > 0 || childCount > 0) && !reassignTo) {
+      return res.status(400).json({
+        success: false,
+        message: 'Category is still in use. Reassign its products and child categories first, or pass reassignTo.',
+        productCount,
+        childCount
+      });
+    }
+
+    if (reassignTo) {
+      if (!mongoose.isValidObjectId(reassignTo) || !(await Category.exists({ _id: reassignTo }))) {
+        return res.status(404).json({ success: false, message: 'Reassignment category not found' });
+      }
+
+      // The target must survive the delete and must not end up under a moved child
+      const descendantIds = await Category.getDescendantIds(category._id);
+      if (
+        String(reassignTo) === String(category._id) ||
+        descendantIds.some(id => String(id) === String(reassignTo))
+      ) {
+        return res.status(400).json({
+          success: false,
+          message: 'Cannot reassign to the category being deleted or one of its descendants'
+        });
+      }
+
+      // Products are saved one by one so each move is recorded as a revision. As with a bulk
+      // update, they aren't checked against the new category's spec schema until their next edit.
+      const products = await Product.find({ category: category._id });
+      for (const product of products) {
+        product.category = reassignTo;
+        await product.save({ validateBeforeSave: false });
+      }
+      await Category.updateMany({ parentCategory: category._id }, { parentCategory: reassignTo });
+    }
+
+    await category.deleteOne();
+
+    res.json({
+      success: true,
+      message: 'Category removed',
+      reassigned: reassignTo ? { to: reassignTo, products: productCount, children: childCount } : null
+    });
+  } catch (error) {
+    console.error(`Error deleting category ${req.params.id}:`, error);
+    res.status(500).json({ success: false, message: error.message });
+  }
 });
 
 module.exports = router;
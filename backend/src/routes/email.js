@@ -5,13 +5,14 @@ const MailchimpService = require('../services/MailchimpService');
 const EmailTemplate = require('../models/EmailTemplate');
 const EmailCampaign = require('../models/EmailCampaign');
 const EmailSubscriber = require('../models/EmailSubscriber');
+const { protect, authorize } = require('../middleware/auth');
 
 /**
  * @route   GET /api/email/templates
  * @desc    Get all email templates
  * @access  Private/Admin
  */
-router.get('/templates', async (req, res) => {
+router.get('/templates', protect, authorize('admin'), async (req, res) => {
   try {
     const templates = await EmailTemplate.find().sort({ type: 1, createdAt: -1 });
     res.json(templates);
@@ -26,7 +27,7 @@ router.get('/templates', async (req, res) => {
  * @desc    Get a specific email template
  * @access  Private/Admin
  */
-router.get('/templates/:id', async (req, res) => {
+router.get('/templates/:id', protect, authorize('admin'), async (req, res) => {
   try {
     const template = await EmailTemplate.findById(req.params.id);
     
@@ -48,6 +49,8 @@ router.get('/templates/:id', async (req, res) => {
  */
 router.post(
   '/templates',
+  protect,
+  authorize('admin'),
   [
     check('name', 'Name is required').not().isEmpty(),
     check('type', 'Type is required').isIn(['welcome', 'product_announcement', 'inquiry_followup', 'promotional', 'newsletter']),
@@ -99,6 +102,8 @@ router.post(
  */
 router.put(
   '/templates/:id',
+  protect,
+  authorize('admin'),
   [
     check('name', 'Name is required').not().isEmpty(),
     check('subject', 'Subject is required').not().isEmpty(),
@@ -152,7 +157,7 @@ router.put(
  * @desc    Delete an email template
  * @access  Private/Admin
  */
-router.delete('/templates/:id', async (req, res) => {
+router.delete('/templates/:id', protect, authorize('admin'), async (req, res) => {
   try {
     const template = await EmailTemplate.findById(req.params.id);
     
@@ -181,7 +186,7 @@ router.delete('/templates/:id', async (req, res) => {
  * @desc    Get all email campaigns
  * @access  Private/Admin
  */
-router.get('/campaigns', async (req, res) => {
+router.get('/campaigns', protect, authorize('admin'), async (req, res) => {
   try {
     const campaigns = await EmailCampaign.find()
       .populate('template', 'name type')
@@ -199,7 +204,7 @@ router.get('/campaigns', async (req, res) => {
  * @desc    Get a specific email campaign
  * @access  Private/Admin
  */
-router.get('/campaigns/:id', async (req, res) => {
+router.get('/campaigns/:id', protect, authorize('admin'), async (req, res) => {
   try {
     const campaign = await EmailCampaign.findById(req.params.id)
       .populate('template');
@@ -222,6 +227,8 @@ router.get('/campaigns/:id', async (req, res) => {
  */
 router.post(
   '/campaigns',
+  protect,
+  authorize('admin'),
   [
     check('name', 'Name is required').not().isEmpty(),
     check('type', 'Type is required').isIn(['welcome', 'product_announcement', 'inquiry_followup', 'promotional', 'newsletter']),
@@ -272,6 +279,8 @@ router.post(
  */
 router.put(
   '/campaigns/:id',
+  protect,
+  authorize('admin'),
   [
     check('name', 'Name is required').not().isEmpty()
   ],
@@ -330,7 +339,7 @@ router.put(
  * @desc    Delete an email campaign
  * @access  Private/Admin
  */
-router.delete('/campaigns/:id', async (req, res) => {
+router.delete('/campaigns/:id', protect, authorize('admin'), async (req, res) => {
   try {
     const campaign = await EmailCampaign.findById(req.params.id);
     
@@ -357,7 +366,7 @@ router.delete('/campaigns/:id', async (req, res) => {
  * @desc    Schedule an email campaign
  * @access  Private/Admin
  */
-router.post('/campaigns/:id/schedule', async (req, res) => {
+router.post('/campaigns/:id/schedule', protect, authorize('admin'), async (req, res) => {
   try {
     const campaign = await EmailCampaign.findById(req.params.id);
     
@@ -403,7 +412,7 @@ router.post('/campaigns/:id/schedule', async (req, res) => {
  * @desc    Send an email campaign immediately
  * @access  Private/Admin
  */
-router.post('/campaigns/:id/send', async (req, res) => {
+router.post('/campaigns/:id/send', protect, authorize('admin'), async (req, res) => {
   try {
     const campaign = await EmailCampaign.findById(req.params.id);
     
@@ -450,7 +459,7 @@ router.post('/campaigns/:id/send', async (req, res) => {
  * @desc    Get campaign statistics
  * @access  Private/Admin
  */
-router.get('/campaigns/:id/stats', async (req, res) => {
+router.get('/campaigns/:id/stats', protect, authorize('admin'), async (req, res) => {
   try {
     const campaign = await EmailCampaign.findById(req.params.id);
     
@@ -482,7 +491,7 @@ router.get('/campaigns/:id/stats', async (req, res) => {
  * @desc    Get all email subscribers
  * @access  Private/Admin
  */
-router.get('/subscribers', async (req, res) => {
+router.get('/subscribers', protect, authorize('admin'), async (req, res) => {
   try {
     const subscribers = await EmailSubscriber.find()
       .sort({ createdAt: -1 });
@@ -499,7 +508,7 @@ router.get('/subscribers', async (req, res) => {
  * @desc    Get a specific email subscriber
  * @access  Private/Admin
  */
-router.get('/subscribers/:id', async (req, res) => {
+router.get('/subscribers/:id', protect, authorize('admin'), async (req, res) => {
   try {
     const subscriber = await EmailSubscriber.findById(req.params.id);
     
@@ -521,6 +530,8 @@ router.get('/subscribers/:id', async (req, res) => {
  */
 router.post(
   '/subscribers',
+  protect,
+  authorize('admin'),
   [
     check('email', 'Valid email is required').isEmail()
   ],
@@ -577,6 +588,8 @@ router.post(
  */
 router.put(
   '/subscribers/:id',
+  protect,
+  authorize('admin'),
   [
     check('email', 'Valid email is required').isEmail()
   ],
@@ -637,7 +650,7 @@ router.put(
  * @desc    Delete an email subscriber
  * @access  Private/Admin
  */
-router.delete('/subscribers/:id', async (req, res) => {
+router.delete('/subscribers/:id', protect, authorize('admin'), async (req, res) => {
   try {
     const subscriber = await EmailSubscriber.findById(req.params.id);
     
@@ -659,7 +672,7 @@ router.delete('/subscribers/:id', async (req, res) => {
  * @desc    Import subscribers from CSV
  * @access  Private/Admin
  */
-router.post('/subscribers/import', async (req, res) => {
+router.post('/subscribers/import', protect, authorize('admin'), async (req, res) => {
   try {
     // This would be handled by a file upload middleware
     // For now, we'll assume the data is in the request body
@@ -817,7 +830,7 @@ router.post(
  * @desc    Process a new product announcement
  * @access  Private/Admin
  */
-router.post('/process-new-product', async (req, res) => {
+router.post('/process-new-product', protect, authorize('admin'), async (req, res) => {
   try {
     const productData = req.body;
     
@@ -843,7 +856,7 @@ router.post('/process-new-product', async (req, res) => {
  * @desc    Schedule a newsletter campaign
  * @access  Private/Admin
  */
-router.post('/schedule-newsletter', async (req, res) => {
+router.post('/schedule-newsletter', protect, authorize('admin'), async (req, res) => {
   try {
     const options = req.body;
     
@@ -869,7 +882,7 @@ router.post('/schedule-newsletter', async (req, res) => {
  * @desc    Schedule a promotional campaign
  * @access  Private/Admin
  */
-router.post('/schedule-promotional', async (req, res) => {
+router.post('/schedule-promotional', protect, authorize('admin'), async (req, res) => {
   try {
     const options = req.body;
     
@@ -895,7 +908,7 @@ router.post('/schedule-promotional', async (req, res) => {
  * @desc    Process recurring campaigns
  * @access  Private/Admin
  */
-router.post('/process-recurring', async (req, res) => {
+router.post('/process-recurring', protect, authorize('admin'), async (req, res) => {
   try {
     const result = await MailchimpService.processRecurringCampaigns();
     
@@ -915,7 +928,7 @@ router.post('/process-recurring', async (req, res) => {
  * @desc    Test Mailchimp connection
  * @access  Private/Admin
  */
-router.get('/test-connection', async (req, res) => {
+router.get('/test-connection', protect, authorize('admin'), async (req, res) => {
   try {
     const result = await MailchimpService.testConnection();
     
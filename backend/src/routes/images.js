@@ -7,6 +7,7 @@ const ImageAutomationSettings = require('../models/ImageAutomationSettings');
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs').promises;
+const { protect, authorize } = require('../middleware/auth');
 
 // Configure multer for image uploads
 const storage = multer.diskStorage({
@@ -36,7 +37,7 @@ const upload = multer({
  * @desc    Get all images with pagination and filtering
  * @access  Private
  */
-router.get('/', async (req, res) => {
+router.get('/', protect, authorize('admin', 'editor'), async (req, res) => {
   try {
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 20;
@@ -95,7 +96,7 @@ router.get('/', async (req, res) => {
  * @desc    Get image by ID
  * @access  Private
  */
-router.get('/:id', async (req, res) => {
+router.get('/:id', protect, authorize('admin', 'editor'), async (req, res) => {
   try {
     const image = await Image.findById(req.params.id);
     
@@ -115,7 +116,7 @@ router.get('/:id', async (req, res) => {
  * @desc    Get images for an entity
  * @access  Private
  */
-router.get('/entity/:type/:id', async (req, res) => {
+router.get('/entity/:type/:id', protect, authorize('admin', 'editor'), async (req, res) => {
   try {
     const result = await ImageAutomationService.getEntityImages(
       req.params.type,
@@ -138,7 +139,7 @@ router.get('/entity/:type/:id', async (req, res) => {
  * @desc    Source an image
  * @access  Private
  */
-router.post('/source', [
+router.post('/source', protect, authorize('admin', 'editor'), [
   check('type', 'Image type is required').not().isEmpty(),
   check('entityType', 'Entity type is required').not().isEmpty(),
   check('entityName', 'Entity name is required').not().isEmpty()
@@ -168,7 +169,7 @@ router.post('/source', [
  * @desc    Source images for a product
  * @access  Private
  */
-router.post('/product/:id', async (req, res) => {
+router.post('/product/:id', protect, authorize('admin', 'editor'), async (req, res) => {
   try {
     // Get product
     const product = await require('../models/Product').findById(req.params.id);
@@ -197,7 +198,7 @@ router.post('/product/:id', async (req, res) => {
  * @desc    Source images for a blog post
  * @access  Private
  */
-router.post('/blog/:id', async (req, res) => {
+router.post('/blog/:id', protect, authorize('admin', 'editor'), async (req, res) => {
   try {
     // Get blog post
     const blogPost = await require('../models/BlogPost').findById(req.params.id);
@@ -226,7 +227,7 @@ router.post('/blog/:id', async (req, res) => {
  * @desc    Source a banner image for a category
  * @access  Private
  */
-router.post('/category/:id', async (req, res) => {
+router.post('/category/:id', protect, authorize('admin', 'editor'), async (req, res) => {
   try {
     // Get category
     const category = await require('../models/Category').findById(req.params.id);
@@ -254,7 +255,7 @@ router.post('/category/:id', async (req, res) => {
  * @desc    Source a social media image
  * @access  Private
  */
-router.post('/social', [
+router.post('/social', protect, authorize('admin', 'editor'), [
   check('title', 'Title is required').not().isEmpty()
 ], async (req, res) => {
   // Check for validation errors
@@ -283,7 +284,7 @@ router.post('/social', [
  * @desc    Upload an image
  * @access  Private
  */
-router.post('/upload', upload.single('image'), async (req, res) => {
+router.post('/upload', protect, authorize('admin', 'editor'), upload.single('image'), async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({ success: false, message: 'No image file provided' });
@@ -342,7 +343,7 @@ router.post('/upload', upload.single('image'), async (req, res) => {
  * @desc    Update an image
  * @access  Private
  */
-router.put('/:id', async (req, res) => {
+router.put('/:id', protect, authorize('admin', 'editor'), async (req, res) => {
   try {
     const image = await Image.findById(req.params.id);
     
@@ -397,7 +398,7 @@ router.put('/:id', async (req, res) => {
  * @desc    Optimize an existing image
  * @access  Private
  */
-router.post('/:id/optimize', async (req, res) => {
+router.post('/:id/optimize', protect, authorize('admin', 'editor'), async (req, res) => {
   try {
     const result = await ImageAutomationService.optimizeExistingImage(req.params.id);
     
@@ -417,7 +418,7 @@ router.post('/:id/optimize', async (req, res) => {
  * @desc    Generate alt text for an image
  * @access  Private
  */
-router.post('/:id/alt-text', async (req, res) => {
+router.post('/:id/alt-text', protect, authorize('admin', 'editor'), async (req, res) => {
   try {
     const result = await ImageAutomationService.generateAltText(req.params.id);
     
@@ -437,7 +438,7 @@ router.post('/:id/alt-text', async (req, res) => {
  * @desc    Batch process images
  * @access  Private
  */
-router.post('/batch', async (req, res) => {
+router.post('/batch', protect, authorize('admin', 'editor'), async (req, res) => {
   try {
     const result = await ImageAutomationService.batchProcessImages(req.body);
     
@@ -457,7 +458,7 @@ router.post('/batch', async (req, res) => {
  * @desc    Delete an image (mark as deleted)
  * @access  Private
  */
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', protect, authorize('admin', 'editor'), async (req, res) => {
   try {
     const image = await Image.findById(req.params.id);
     
@@ -481,7 +482,7 @@ router.delete('/:id', async (req, res) => {
  * @desc    Get image automation settings
  * @access  Private
  */
-router.get('/settings', async (req, res) => {
+router.get('/settings', protect, authorize('admin', 'editor'), async (req, res) => {
   try {
     const settings = await ImageAutomationService.getSettings();
     res.json({ success: true, settings });
@@ -496,7 +497,7 @@ router.get('/settings', async (req, res) => {
  * @desc    Update image automation settings
  * @access  Private
  */
-router.put('/settings', async (req, res) => {
+router.put('/settings', protect, authorize('admin', 'editor'), async (req, res) => {
   try {
     // Get current settings
     let settings = await ImageAutomationSettings.findOne().sort({ createdAt: -1 });
@@ -6,9 +6,75 @@ const InquiryFollowup = require('../models/InquiryFollowup');
 const InquiryFollowupSettings = require('../models/InquiryFollowupSettings');
 const Product = require('../models/Product');
 const { check, validationResult } = require('express-validator');
+const { protect, authorize } = require('../middleware/auth');
+const InquiryFollowupService = require('../services/InquiryFollowupService');
+const ProductVariantService = require('../services/ProductVariantService');
+const ProductRecommendationService = require('../services/ProductRecommendationService');
+const StockReservationService = require('../services/StockReservationService');
+const StockReservation = require('../models/StockReservation');
+
+/**
+ * Check the products of a new inquiry and record the SKU and label of any variant
+ * @param {Array<Object>} items - Items as { product, variant, quantity, notes }
+ * @returns {Promise<Object>} { products } or { error }
+ */
+const resolveInquiryProducts = async (items) => {
+  const products = [];
+  
+  for (const item of items || []) {
+    if (!item || !item.variant) {
+      products.push(item);
+      continue;
+    }
+    
+    const product = mongoose.isValidObjectId(item.product)
+      ? await Product.findById(item.product).select('options variants')
+      : null;
+    const variant = product && mongoose.isValidObjectId(item.variant)
+      ? ProductVariantService.findActiveVariant(product, item.variant)
+      : null;
+    
+    if (!variant) {
+      return { error: `Variant ${item.variant} is not available for product ${item.product}` };
+    }
+    
+    products.push({
+      ...item,
+      variant: variant._id,
+      variantSku: variant.sku,
+      variantLabel: product.getVariantLabel(variant)
+    });
+  }
+  
+  return { products };
+};
+
+/**
+ * Links to products related to the ones in an inquiry, for the {related_products} placeholder
+ * of follow-up emails. Recommendations are a nice-to-have, so failures leave it empty.
+ * @param {Object} inquiry - Inquiry
+ * @returns {Promise<String>} HTML, or an empty string if there are none
+ */
+const relatedProductLinks = async (inquiry) => {
+  try {
+    const related = await ProductRecommendationService.getRelatedToProducts(
+      (inquiry.products || []).map(p => p.product && (p.product._id || p.product))
+    );
+    if (related.length === 0) {
+      return '';
+    }
+    
+    return 'You may also be interested in:<br>' + related.map(({ product }) =>
+      `<a href="${process.env.FRONTEND_URL}/product/${product.slug}">${product.title}</a>`
+    ).join('<br>');
+  } catch (err) {
+    console.error(`Error finding related products for inquiry ${inquiry._id}:`, err.message);
+    return '';
+  }
+};
 
 // Get all inquiries
-router.get('/', async (req, res) => {
+router.get('/', protect, authorize('admin', 'sales'), async (req, res) => {
   try {
     const inquiries = await Inquiry.find().sort({ createdAt: -1 });
     res.json(inquiries);
@@ -19,7 +85,7 @@ router.get('/', async (req, res) => {
 });
 
 // Get inquiry by ID
-router.get('/:id', async (req, res) => {
+router.get('/:id', protect, authorize('admin', 'sales'), async (req, res) => {
   try {
     const inquiry = await Inquiry.findById(req.params.id).populate('products.product');
     
@@ -49,12 +115,18 @@ router.post('/', [
   }
   
   try {
+    // Check any product variants referenced by the inquiry
+    const { products, error } = await resolveInquiryProducts(req.body.products);
+    if (error) {
+      return res.status(400).json({ msg: error });
+    }
+    
     // Create new inquiry
     const newInquiry = new Inquiry({
       customer: req.body.customer,
       subject: req.body.subject,
       message: req.body.message,
-      products: req.body.products || [],
+      products,
       source: req.body.source || 'website',
       tags: req.body.tags || []
     });
@@ -98,6 +170,7 @@ router.post('/', [
         productDetails = inquiry.products.map(p => 
           `<div style="margin-bottom: 15px;">
             <strong>${p.product.name}</strong>
+            ${p.variantLabel ? `<p>Variant: ${p.variantLabel} (${p.variantSku})</p>` : ''}
             <p>${p.product.shortDescription}</p>
             <p>Quantity: ${p.quantity || 1}</p>
             ${p.notes ? `<p>Notes: ${p.notes}</p>` : ''}
@@ -228,7 +301,8 @@ router.post('/', [
         let followUpBody = settings.automatedFollowUp.firstFollowUpTemplate.body
           .replace('{product_names}', productNames || 'our products')
           .replace('{customer_name}', inquiry.customer.name)
-          .replace('{product_details}', productDetails || '');
+          .replace('{product_details}', productDetails || '')
+          .replace('{related_products}', await relatedProductLinks(inquiry));
         
         if (settings.automatedFollowUp.emailEnabled) {
           const emailFollowUp = new InquiryFollowup({
@@ -299,7 +373,10 @@ router.post('/', [
 });
 
 // Update inquiry status
-router.put('/:id/status', async (req, res) => {
+router.put('/:id/status', protect, authorize('admin', 'sales'), async (req, res) => {
+  // Stock reserved by this change, released again if the change fails
+  let reservedIds = [];
+  
   try {
     const inquiry = await Inquiry.findById(req.params.id);
     
@@ -310,6 +387,25 @@ router.put('/:id/status', async (req, res) => {
     // Update status
     inquiry.status = req.body.status;
     
+    // Hold stock while quoted and take it out of inventory on conversion before the new status
+    // is saved, so the inquiry is never quoted or converted without its stock handled. A
+    // conversion only removes the stock of reservations still active, so a conversion that
+    // failed part way, or whose save failed, can be retried by setting the status again.
+    const performedBy = req.user ? req.user.email : 'system';
+    let reservations = null;
+    if (inquiry.status === 'quoted') {
+      reservations = await StockReservationService.reserveForInquiry(inquiry, { performedBy });
+      reservedIds = reservations.created;
+    } else if (inquiry.status === 'converted') {
+      reservations = await StockReservationService.convertForInquiry(inquiry, performedBy);
+      if (reservations.failed.length > 0) {
+        return res.status(409).json({
+          msg: 'Reserved stock could not be removed for every line, so the inquiry was not converted',
+          reservations
+        });
+      }
+    }
+    
     // If status is changed to 'quoted', schedule quote follow-up
     if (req.body.status === 'quoted') {
       // Get follow-up settings
@@ -340,7 +436,8 @@ router.put('/:id/status', async (req, res) => {
         
         let followUpBody = settings.quoteFollowUp.template.body
           .replace('{product_names}', productNames || 'our products')
-          .replace('{customer_name}', inquiry.customer.name);
+          .replace('{customer_name}', inquiry.customer.name)
+          .replace('{related_products}', await relatedProductLinks(inquiry));
         
         const quoteFollowUp = new InquiryFollowup({
           inquiry: inquiry._id,
@@ -372,9 +469,26 @@ router.put('/:id/status', async (req, res) => {
     }
     
     await inquiry.save();
-    res.json(inquiry);
+    
+    // Released after the save: if releasing fails, the stock is only held until the
+    // reservations expire, and can be released through DELETE /:id/reservations
+    if (inquiry.status === 'closed' || inquiry.status === 'spam') {
+      try {
+        reservations = { released: await StockReservationService.releaseForInquiry(inquiry._id, `Inquiry ${inquiry.status}`) };
+      } catch (error) {
+        console.error(`Error releasing stock for inquiry ${inquiry._id}:`, error);
+        reservations = { released: 0, error: error.message };
+      }
+    }
+    
+    res.json(reservations ? { ...inquiry.toObject(), reservations } : inquiry);
   } catch (err) {
     console.error(err.message);
+    if (reservedIds.length > 0) {
+      await StockReservationService.releaseReservations(reservedIds, 'Inquiry status change failed').catch(releaseError => {
+        console.error(`Error releasing stock reserved for inquiry ${req.params.id}:`, releaseError);
+      });
+    }
     if (err.kind === 'ObjectId') {
       return res.status(404).json({ msg: 'Inquiry not found' });
     }
@@ -382,8 +496,43 @@ router.put('/:id/status', async (req, res) => {
   }
 });
 
+// Get the stock reservations of an inquiry
+router.get('/:id/reservations', protect, authorize('admin', 'sales'), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ msg: 'Inquiry not found' });
+    }
+    
+    const reservations = await StockReservation.find({ inquiry: req.params.id })
+      .populate('product', 'title slug')
+      .sort({ createdAt: -1 });
+    res.json(reservations);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+});
+
+// Release the stock held for an inquiry
+router.delete('/:id/reservations', protect, authorize('admin', 'sales'), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ msg: 'Inquiry not found' });
+    }
+    
+    const released = await StockReservationService.releaseForInquiry(
+      req.params.id,
+      `Released by ${req.user ? req.user.email : 'staff'}`
+    );
+    res.json({ released });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+});
+
 // Add communication to inquiry
-router.post('/:id/communication', [
+router.post('/:id/communication', protect, authorize('admin', 'sales'), [
   check('type', 'Communication type is required').not().isEmpty(),
   check('direction', 'Communication direction is required').not().isEmpty(),
   check('content', 'Content is required').not().isEmpty()
@@ -435,7 +584,7 @@ router.post('/:id/communication', [
 });
 
 // Get all follow-ups for an inquiry
-router.get('/:id/followups', async (req, res) => {
+router.get('/:id/followups', protect, authorize('admin', 'sales'), async (req, res) => {
   try {
     const followups = await InquiryFollowup.find({ inquiry: req.params.id }).sort({ scheduledTime: 1 });
     res.json(followups);
@@ -446,7 +595,7 @@ router.get('/:id/followups', async (req, res) => {
 });
 
 // Get follow-up settings
-router.get('/followup/settings', async (req, res) => {
+router.get('/followup/settings', protect, authorize('admin', 'sales'), async (req, res) => {
   try {
     let settings = await InquiryFollowupSettings.findOne();
     
@@ -464,7 +613,7 @@ router.get('/followup/settings', async (req, res) => {
 });
 
 // Update follow-up settings
-router.put('/followup/settings', async (req, res) => {
+router.put('/followup/settings', protect, authorize('admin'), async (req, res) => {
   try {
     let settings = await InquiryFollowupSettings.findOne();
     
@@ -493,69 +642,10 @@ router.put('/followup/settings', async (req, res) => {
   }
 });
 
-// Process pending follow-ups (for cron job)
-router.post('/followup/process', async (req, res) => {
+// Process pending follow-ups now (also run automatically by the job scheduler)
+router.post('/followup/process', protect, authorize('admin'), async (req, res) => {
   try {
-    const now = new Date();
-    
-    // Find all pending follow-ups scheduled for now or earlier
-    const pendingFollowups = await InquiryFollowup.find({
-      status: 'pending',
-      scheduledTime: { $lte: now }
-    }).populate('inquiry');
-    
-    const results = {
-      processed: 0,
-      failed: 0,
-      details: []
-    };
-    
-    // Process each follow-up
-    for (const followup of pendingFollowups) {
-      try {
-        // Here you would implement the actual sending logic
-        // For email, WhatsApp, etc. based on the channel
-        
-        // For demonstration, we'll just mark it as sent
-        followup.status = 'sent';
-        followup.sentTime = new Date();
-        await followup.save();
-        
-        // Update inquiry automation tracking
-        if (followup.inquiry) {
-          if (followup.type === 'auto_response') {
-            followup.inquiry.automation.autoResponseSent = true;
-            followup.inquiry.automation.autoResponseTime = new Date();
-          } else if (followup.type === 'quote_followup') {
-            followup.inquiry.automation.followUpEmailsSent += 1;
-          }
-          
-          followup.inquiry.automation.lastAutomatedAction = new Date();
-          await followup.inquiry.save();
-        }
-        
-        results.processed += 1;
-        results.details.push({
-          id: followup._id,
-          type: followup.type,
-          channel: followup.channel,
-          status: 'sent'
-        });
-      } catch (error) {
-        followup.status = 'failed';
-        await followup.save();
-        
-        results.failed += 1;
-        results.details.push({
-          id: followup._id,
-          type: followup.type,
-          channel: followup.channel,
-          status: 'failed',
-          error: error.message
-        });
-      }
-    }
-    
+    const results = await InquiryFollowupService.processPendingFollowups();
     res.json(results);
   } catch (err) {
     console.error(err.message);
@@ -5,12 +5,50 @@ const Inventory = require('../models/Inventory');
 const InventorySettings = require('../models/InventorySettings');
 const Product = require('../models/Product');
 const { check, validationResult } = require('express-validator');
+const { protect, authorize } = require('../middleware/auth');
+const StockReservationService = require('../services/StockReservationService');
+const StockForecastService = require('../services/StockForecastService');
+
+// Inventory record of a product, or of one of its variants with ?variant=<variantId>
+const inventoryFilter = (req) => ({
+  product: req.params.productId,
+  variant: req.query.variant || null
+});
+
+// Inventory records with the stock held for quoted inquiries and what's left available
+const withReservations = async (records) => {
+  const reserved = await StockReservationService.getReservedQuantities(records.map(record => record._id));
+  
+  return records.map(record => {
+    const reservedLevel = reserved.get(String(record._id)) || 0;
+    return {
+      ...record.toObject(),
+      reservedLevel,
+      availableLevel: Math.max(record.stockLevel - reservedLevel, 0)
+    };
+  });
+};
+
+// Check a location code against the inventory settings. Stock can only be put into
+// active locations. Returns an error message, or null if the location is fine.
+const checkLocation = async (code, receiving = false) => {
+  const settings = await InventorySettings.findOne();
+  const location = settings ? settings.getLocation(code) : null;
+  
+  if (!location) {
+    return `Unknown location: ${code}`;
+  }
+  if (receiving && !location.isActive) {
+    return `Location ${location.code} is inactive`;
+  }
+  return null;
+};
 
 // Get all inventory items
-router.get('/', async (req, res) => {
+router.get('/', protect, authorize('admin', 'sales'), async (req, res) => {
   try {
     const inventory = await Inventory.find().populate('product', 'name slug images');
-    res.json(inventory);
+    res.json(await withReservations(inventory));
   } catch (err) {
     console.error(err.message);
     res.status(500).send('Server Error');
@@ -18,7 +56,7 @@ router.get('/', async (req, res) => {
 });
 
 // Get inventory settings
-router.get('/settings', async (req, res) => {
+router.get('/settings', protect, authorize('admin', 'sales'), async (req, res) => {
   try {
     let settings = await InventorySettings.findOne();
     
@@ -36,7 +74,7 @@ router.get('/settings', async (req, res) => {
 });
 
 // Update inventory settings
-router.put('/settings', async (req, res) => {
+router.put('/settings', protect, authorize('admin'), async (req, res) => {
   try {
     let settings = await InventorySettings.findOne();
     
@@ -47,8 +85,8 @@ router.put('/settings', async (req, res) => {
     
     // Update fields from request body
     const updateFields = [
-      'enabled', 'defaultLowStockThreshold', 'defaultLimitedStockThreshold',
-      'defaultAutomation', 'alerts', 'display', 'supplierIntegration', 'reporting'
+      'enabled', 'locations', 'defaultLocation', 'defaultLowStockThreshold', 'defaultLimitedStockThreshold',
+      'defaultAutomation', 'alerts', 'display', 'reservations', 'supplierIntegration', 'reporting'
     ];
     
     updateFields.forEach(field => {
@@ -59,6 +97,69 @@ router.put('/settings', async (req, res) => {
     
     await settings.save();
     res.json(settings);
+  } catch (err) {
+    console.error(err.message);
+    if (err.name === 'ValidationError') {
+      return res.status(400).json({ msg: err.message });
+    }
+    res.status(500).send('Server Error');
+  }
+});
+
+// Get inventory locations with the stock held at each
+router.get('/locations', protect, authorize('admin', 'sales'), async (req, res) => {
+  try {
+    const settings = await InventorySettings.findOne();
+    const locations = settings ? settings.locations : [];
+    
+    const totals = await Inventory.aggregate([
+      { $unwind: '$locations' },
+      {
+        $group: {
+          _id: '$locations.code',
+          stockLevel: { $sum: '$locations.stockLevel' },
+          records: { $sum: 1 }
+        }
+      }
+    ]);
+    const totalsByCode = new Map(totals.map(total => [total._id, total]));
+    
+    res.json(locations.map(location => ({
+      ...location.toObject(),
+      isDefault: location.code === (settings.defaultLocation || locations[0].code),
+      stockLevel: totalsByCode.has(location.code) ? totalsByCode.get(location.code).stockLevel : 0,
+      records: totalsByCode.has(location.code) ? totalsByCode.get(location.code).records : 0
+    })));
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+});
+
+// Get a product's availability across its variants and locations, for the product page
+router.get('/availability/:productId', async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.productId)) {
+      return res.status(404).json({ msg: 'Product not found' });
+    }
+    
+    const availability = await Inventory.getAvailability(req.params.productId);
+    if (!availability) {
+      return res.status(404).json({ msg: 'Inventory not found for this product' });
+    }
+    
+    // Stock levels are only shown if the settings allow it
+    const settings = await InventorySettings.findOne();
+    if (!settings || !settings.display.showStockLevelOnProductPage) {
+      delete availability.stockLevel;
+      availability.locations = availability.locations.map(({ stockLevel, ...location }) => ({
+        ...location,
+        isAvailable: stockLevel > 0
+      }));
+      availability.variants = availability.variants.map(({ stockLevel, ...variant }) => variant);
+    }
+    
+    res.json(availability);
   } catch (err) {
     console.error(err.message);
     res.status(500).send('Server Error');
@@ -66,15 +167,16 @@ router.put('/settings', async (req, res) => {
 });
 
 // Get inventory for a specific product
-router.get('/product/:productId', async (req, res) => {
+router.get('/product/:productId', protect, authorize('admin', 'sales'), async (req, res) => {
   try {
-    const inventory = await Inventory.findOne({ product: req.params.productId }).populate('product', 'name slug images');
+    const inventory = await Inventory.findOne(inventoryFilter(req)).populate('product', 'name slug images');
     
     if (!inventory) {
       return res.status(404).json({ msg: 'Inventory not found for this product' });
     }
     
-    res.json(inventory);
+    const [withReserved] = await withReservations([inventory]);
+    res.json(withReserved);
   } catch (err) {
     console.error(err.message);
     if (err.kind === 'ObjectId') {
@@ -85,7 +187,7 @@ router.get('/product/:productId', async (req, res) => {
 });
 
 // Create or update inventory for a product
-router.post('/product/:productId', [
+router.post('/product/:productId', protect, authorize('admin', 'sales'), [
   check('stockLevel', 'Stock level is required').isNumeric(),
 ], async (req, res) => {
   const errors = validationResult(req);
@@ -100,6 +202,11 @@ router.post('/product/:productId', [
       return res.status(404).json({ msg: 'Product not found' });
     }
     
+    const variant = req.query.variant ? product.variants.id(req.query.variant) : null;
+    if (req.query.variant && !variant) {
+      return res.status(404).json({ msg: 'Variant not found for this product' });
+    }
+    
     // Get inventory settings for defaults
     let settings = await InventorySettings.findOne();
     if (!settings) {
@@ -108,14 +215,17 @@ router.post('/product/:productId', [
     }
     
     // Find existing inventory or create new
-    let inventory = await Inventory.findOne({ product: req.params.productId });
+    let inventory = await Inventory.findOne(inventoryFilter(req));
     
     if (!inventory) {
       // Create new inventory
       inventory = new Inventory({
         product: req.params.productId,
+        variant: variant ? variant._id : null,
+        metadata: variant ? { sku: variant.sku } : undefined,
         stockLevel: req.body.stockLevel,
         lowStockThreshold: req.body.lowStockThreshold || settings.defaultLowStockThreshold,
+        lowStockScope: req.body.lowStockScope,
         automation: {
           autoUpdateStatus: req.body.autoUpdateStatus !== undefined ? req.body.autoUpdateStatus : settings.defaultAutomation.autoUpdateStatus,
           autoHideWhenOutOfStock: req.body.autoHideWhenOutOfStock !== undefined ? req.body.autoHideWhenOutOfStock : settings.defaultAutomation.autoHideWhenOutOfStock,
@@ -139,12 +249,18 @@ router.post('/product/:productId', [
         performedBy: req.body.updatedBy || 'system'
       });
     } else {
+      // Stock held per location can only be changed per location
+      if (inventory.locations.length > 0 && Number(req.body.stockLevel) !== inventory.stockLevel) {
+        return res.status(400).json({ msg: 'Stock is held per location; change it at a location instead' });
+      }
+      
       // Update existing inventory
       const previousLevel = inventory.stockLevel;
       inventory.stockLevel = req.body.stockLevel;
       
       // Update other fields if provided
       if (req.body.lowStockThreshold) inventory.lowStockThreshold = req.body.lowStockThreshold;
+      if (req.body.lowStockScope) inventory.lowStockScope = req.body.lowStockScope;
       if (req.body.status) inventory.status = req.body.status;
       if (req.body.isAvailable !== undefined) inventory.isAvailable = req.body.isAvailable;
       if (req.body.restockDate) inventory.restockDate = req.body.restockDate;
@@ -187,11 +303,11 @@ router.post('/product/:productId', [
     
     await inventory.save();
     
-    // Check if we need to update product visibility based on stock
-    if (inventory.automation.autoHideWhenOutOfStock && inventory.stockLevel <= 0) {
+    // Check if we need to update product visibility based on stock (variants never hide the whole product)
+    if (!inventory.variant && inventory.automation.autoHideWhenOutOfStock && inventory.stockLevel <= 0) {
       product.isVisible = false;
       await product.save();
-    } else if (inventory.automation.autoHideWhenOutOfStock && inventory.stockLevel > 0 && !product.isVisible) {
+    } else if (!inventory.variant && inventory.automation.autoHideWhenOutOfStock && inventory.stockLevel > 0 && !product.isVisible) {
       product.isVisible = true;
       await product.save();
     }
@@ -204,7 +320,7 @@ router.post('/product/:productId', [
 });
 
 // Add stock to a product
-router.post('/product/:productId/add', [
+router.post('/product/:productId/add', protect, authorize('admin', 'sales'), [
   check('quantity', 'Quantity is required').isNumeric(),
 ], async (req, res) => {
   const errors = validationResult(req);
@@ -213,20 +329,28 @@ router.post('/product/:productId/add', [
   }
   
   try {
-    let inventory = await Inventory.findOne({ product: req.params.productId });
+    let inventory = await Inventory.findOne(inventoryFilter(req));
     
     if (!inventory) {
       return res.status(404).json({ msg: 'Inventory not found for this product' });
     }
     
+    if (req.body.location) {
+      const locationError = await checkLocation(req.body.location, true);
+      if (locationError) {
+        return res.status(400).json({ msg: locationError });
+      }
+    }
+    
     await inventory.addStock(
       req.body.quantity,
       req.body.notes || 'Stock added',
-      req.body.performedBy || 'system'
+      req.body.performedBy || 'system',
+      req.body.location
     );
     
     // Check if we need to update product visibility
-    if (inventory.automation.autoHideWhenOutOfStock && inventory.stockLevel > 0) {
+    if (!inventory.variant && inventory.automation.autoHideWhenOutOfStock && inventory.stockLevel > 0) {
       const product = await Product.findById(req.params.productId);
       if (product && !product.isVisible) {
         product.isVisible = true;
@@ -237,12 +361,15 @@ router.post('/product/:productId/add', [
     res.json(inventory);
   } catch (err) {
     console.error(err.message);
+    if (err.status) {
+      return res.status(err.status).json({ msg: err.message });
+    }
     res.status(500).send('Server Error');
   }
 });
 
 // Remove stock from a product
-router.post('/product/:productId/remove', [
+router.post('/product/:productId/remove', protect, authorize('admin', 'sales'), [
   check('quantity', 'Quantity is required').isNumeric(),
 ], async (req, res) => {
   const errors = validationResult(req);
@@ -251,7 +378,7 @@ router.post('/product/:productId/remove', [
   }
   
   try {
-    let inventory = await Inventory.findOne({ product: req.params.productId });
+    let inventory = await Inventory.findOne(inventoryFilter(req));
     
     if (!inventory) {
       return res.status(404).json({ msg: 'Inventory not found for this product' });
@@ -260,11 +387,12 @@ router.post('/product/:productId/remove', [
     await inventory.removeStock(
       req.body.quantity,
       req.body.notes || 'Stock removed',
-      req.body.performedBy || 'system'
+      req.body.performedBy || 'system',
+      req.body.location
     );
     
     // Check if we need to update product visibility
-    if (inventory.automation.autoHideWhenOutOfStock && inventory.stockLevel <= 0) {
+    if (!inventory.variant && inventory.automation.autoHideWhenOutOfStock && inventory.stockLevel <= 0) {
       const product = await Product.findById(req.params.productId);
       if (product && product.isVisible) {
         product.isVisible = false;
@@ -275,12 +403,108 @@ router.post('/product/:productId/remove', [
     res.json(inventory);
   } catch (err) {
     console.error(err.message);
+    if (err.status) {
+      return res.status(err.status).json({ msg: err.message });
+    }
+    res.status(500).send('Server Error');
+  }
+});
+
+// Transfer stock between locations ({ from, to, quantity })
+router.post('/product/:productId/transfer', protect, authorize('admin', 'sales'), [
+  check('from', 'Source location is required').not().isEmpty(),
+  check('to', 'Destination location is required').not().isEmpty(),
+  check('quantity', 'Quantity must be a positive whole number').isInt({ min: 1 }),
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+  
+  try {
+    const inventory = await Inventory.findOne(inventoryFilter(req));
+    
+    if (!inventory) {
+      return res.status(404).json({ msg: 'Inventory not found for this product' });
+    }
+    
+    const locationError = await checkLocation(req.body.to, true);
+    if (locationError) {
+      return res.status(400).json({ msg: locationError });
+    }
+    
+    await inventory.transferStock(
+      req.body.from,
+      req.body.to,
+      Number(req.body.quantity),
+      req.body.notes || 'Stock transferred',
+      req.body.performedBy || 'system'
+    );
+    
+    res.json(inventory);
+  } catch (err) {
+    console.error(err.message);
+    if (err.status) {
+      return res.status(err.status).json({ msg: err.message });
+    }
+    res.status(500).send('Server Error');
+  }
+});
+
+// Set the stock level, low stock threshold, section or shelf of a product at one location
+router.put('/product/:productId/locations/:code', protect, authorize('admin', 'sales'), [
+  check('stockLevel', 'Stock level must be a whole number of 0 or more').optional().isInt({ min: 0 }),
+  check('lowStockThreshold', 'Low stock threshold must be 0 or more').optional({ values: 'null' }).isInt({ min: 0 }),
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+  
+  try {
+    const inventory = await Inventory.findOne(inventoryFilter(req));
+    
+    if (!inventory) {
+      return res.status(404).json({ msg: 'Inventory not found for this product' });
+    }
+    
+    const existing = inventory.getLocationStock(req.params.code);
+    const locationError = await checkLocation(req.params.code, !existing);
+    if (locationError) {
+      return res.status(400).json({ msg: locationError });
+    }
+    
+    await inventory.startLocationTracking();
+    const entry = inventory.getLocationStock(req.params.code, true);
+    
+    const body = req.body || {};
+    if (body.lowStockThreshold !== undefined) entry.lowStockThreshold = body.lowStockThreshold;
+    if (body.section !== undefined) entry.section = body.section;
+    if (body.shelf !== undefined) entry.shelf = body.shelf;
+    
+    if (body.stockLevel !== undefined && Number(body.stockLevel) !== entry.stockLevel) {
+      await inventory.adjustStock(
+        Number(body.stockLevel),
+        body.notes || 'Stock level updated',
+        body.performedBy || 'system',
+        entry.code
+      );
+    } else {
+      await inventory.save();
+    }
+    
+    res.json(inventory);
+  } catch (err) {
+    console.error(err.message);
+    if (err.status) {
+      return res.status(err.status).json({ msg: err.message });
+    }
     res.status(500).send('Server Error');
   }
 });
 
 // Get low stock items
-router.get('/low-stock', async (req, res) => {
+router.get('/low-stock', protect, authorize('admin', 'sales'), async (req, res) => {
   try {
     const lowStockItems = await Inventory.findLowStock();
     res.json(lowStockItems);
@@ -291,7 +515,7 @@ router.get('/low-stock', async (req, res) => {
 });
 
 // Get out of stock items
-router.get('/out-of-stock', async (req, res) => {
+router.get('/out-of-stock', protect, authorize('admin', 'sales'), async (req, res) => {
   try {
     const outOfStockItems = await Inventory.findOutOfStock();
     res.json(outOfStockItems);
@@ -301,10 +525,30 @@ router.get('/out-of-stock', async (req, res) => {
   }
 });
 
+// Get the stock forecast: daily demand, predicted stock-out and recommended reorder dates
+// (?days= of history to estimate demand from, 7 to 365, and ?product= to forecast one product)
+router.get('/forecast', protect, authorize('admin', 'sales'), async (req, res) => {
+  try {
+    const days = req.query.days === undefined ? undefined : Number(req.query.days);
+    if (days !== undefined && (!Number.isInteger(days) || days < 7 || days > 365)) {
+      return res.status(400).json({ msg: 'Days must be a whole number from 7 to 365' });
+    }
+    if (req.query.product && !mongoose.isValidObjectId(req.query.product)) {
+      return res.status(400).json({ msg: 'Invalid product ID' });
+    }
+
+    const forecast = await StockForecastService.getForecast({ days, productId: req.query.product });
+    res.json(forecast);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+});
+
 // Get inventory history for a product
-router.get('/product/:productId/history', async (req, res) => {
+router.get('/product/:productId/history', protect, authorize('admin', 'sales'), async (req, res) => {
   try {
-    const inventory = await Inventory.findOne({ product: req.params.productId });
+    const inventory = await Inventory.findOne(inventoryFilter(req));
     
     if (!inventory) {
       return res.status(404).json({ msg: 'Inventory not found for this product' });
@@ -318,9 +562,9 @@ router.get('/product/:productId/history', async (req, res) => {
 });
 
 // Delete inventory for a product
-router.delete('/product/:productId', async (req, res) => {
+router.delete('/product/:productId', protect, authorize('admin'), async (req, res) => {
   try {
-    const inventory = await Inventory.findOne({ product: req.params.productId });
+    const inventory = await Inventory.findOne(inventoryFilter(req));
     
     if (!inventory) {
       return res.status(404).json({ msg: 'Inventory not found for this product' });
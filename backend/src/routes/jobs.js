@@ -0,0 +1,172 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const SchedulerService = require('../services/SchedulerService');
+const JobRun = require('../models/JobRun');
+const { protect, authorize } = require('../middleware/auth');
+
+/**
+ * @route   GET /api/jobs
+ * @desc    List scheduled jobs with their state and next run time
+ * @access  Private/Admin
+ */
+router.get('/', protect, authorize('admin'), async (req, res) => {
+  try {
+    const jobs = await SchedulerService.listJobs();
+    res.json(jobs);
+  } catch (error) {
+    console.error('Error listing jobs:', error);
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @route   GET /api/jobs/runs
+ * @desc    Get job run history, newest first (filter with ?job= and ?status=)
+ * @access  Private/Admin
+ */
+router.get('/runs', protect, authorize('admin'), async (req, res) => {
+  try {
+    const { job, status } = req.query;
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+
+    const query = {};
+    if (job) query.job = job;
+    if (status) query.status = status;
+
+    const [runs, total] = await Promise.all([
+      JobRun.find(query)
+        .sort({ startedAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate('triggeredBy', 'name email'),
+      JobRun.countDocuments(query)
+    ]);
+
+    res.json({
+      runs,
+      pagination: {
+        total,
+        page,
+        limit,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Error getting job runs:', error);
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @route   GET /api/jobs/runs/:id
+ * @desc    Get a single job run
+ * @access  Private/Admin
+ */
+router.get('/runs/:id', protect, authorize('admin'), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ message: 'Job run not found' });
+    }
+
+    const run = await JobRun.findById(req.params.id).populate('triggeredBy', 'name email');
+
+    if (!run) {
+      return res.status(404).json({ message: 'Job run not found' });
+    }
+
+    res.json(run);
+  } catch (error) {
+    console.error('Error getting job run:', error);
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @route   GET /api/jobs/:name
+ * @desc    Get a single job with its state
+ * @access  Private/Admin
+ */
+router.get('/:name', protect, authorize('admin'), async (req, res) => {
+  try {
+    const job = SchedulerService.getJob(req.params.name);
+    if (!job) {
+      return res.status(404).json({ message: 'Job not found' });
+    }
+
+    res.json(await SchedulerService.describe(job));
+  } catch (error) {
+    console.error('Error getting job:', error);
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @route   POST /api/jobs/:name/pause
+ * @desc    Pause a job. Paused jobs are skipped by the scheduler but can still be triggered.
+ * @access  Private/Admin
+ */
+router.post('/:name/pause', protect, authorize('admin'), async (req, res) => {
+  try {
+    const job = SchedulerService.getJob(req.params.name);
+    if (!job) {
+      return res.status(404).json({ message: 'Job not found' });
+    }
+
+    await SchedulerService.setPaused(job.name, true);
+
+    res.json(await SchedulerService.describe(job));
+  } catch (error) {
+    console.error('Error pausing job:', error);
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @route   POST /api/jobs/:name/resume
+ * @desc    Resume a paused job
+ * @access  Private/Admin
+ */
+router.post('/:name/resume', protect, authorize('admin'), async (req, res) => {
+  try {
+    const job = SchedulerService.getJob(req.params.name);
+    if (!job) {
+      return res.status(404).json({ message: 'Job not found' });
+    }
+
+    await SchedulerService.setPaused(job.name, false);
+
+    res.json(await SchedulerService.describe(job));
+  } catch (error) {
+    console.error('Error resuming job:', error);
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @route   POST /api/jobs/:name/trigger
+ * @desc    Run a job now. Returns the started run; poll GET /api/jobs/runs/:id for the outcome.
+ * @access  Private/Admin
+ */
+router.post('/:name/trigger', protect, authorize('admin'), async (req, res) => {
+  try {
+    const job = SchedulerService.getJob(req.params.name);
+    if (!job) {
+      return res.status(404).json({ message: 'Job not found' });
+    }
+
+    const run = await SchedulerService.trigger(job.name, req.user._id);
+
+    if (!run) {
+      return res.status(409).json({ message: 'Job is already running' });
+    }
+
+    res.status(202).json(run);
+  } catch (error) {
+    console.error('Error triggering job:', error);
+    res.status(500).json({ message: error.message });
+  }
+});
+
+module.exports = router;
@@ -1,10 +1,29 @@
 const express = require('express');
 const router = express.Router();
+const mongoose = require('mongoose');
 const { check, validationResult } = require('express-validator');
 const ProductGenerationService = require('../services/ProductGenerationService');
+const ContentGenerationService = require('../services/ContentGenerationService');
+const ContentQualityService = require('../services/ContentQualityService');
+const ProductReviewService = require('../services/ProductReviewService');
+const SearchAnalyticsService = require('../services/SearchAnalyticsService');
+const AutomationSettings = require('../models/AutomationSettings');
 const ProductGenerationQueue = require('../models/ProductGenerationQueue');
 const Product = require('../models/Product');
 const Category = require('../models/Category');
+const { protect, authorize } = require('../middleware/auth');
+const { REQUEUEABLE_STATUSES, requeueItems } = require('../utils/queueLease');
+const { parseCsv } = require('../utils/csv');
+const multer = require('multer');
+
+// Maximum rows accepted by one keyword import
+const MAX_IMPORT_ROWS = 1000;
+
+// Keyword import files are parsed in memory
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 2 * 1024 * 1024 } // 2MB limit
+}).single('file');
 
 /**
  * @route   POST /api/product-generation/queue
@@ -13,6 +32,8 @@ const Category = require('../models/Category');
  */
 router.post(
   '/queue',
+  protect,
+  authorize('admin'),
   [
     check('keywords', 'At least one keyword is required').isArray({ min: 1 }),
     check('categoryId', 'Category ID is required').not().isEmpty(),
@@ -47,14 +68,79 @@ router.post(
   }
 );
 
+/**
+ * @route   POST /api/product-generation/import
+ * @desc    Bulk queue keyword sets from a CSV or JSON upload (field "file"), or from a JSON
+ *          body of { rows: [...] }. Columns: keywords, category (ID, slug or name), priority,
+ *          scheduledFor. Pass ?dryRun=true to validate without queueing.
+ * @access  Private/Admin
+ */
+router.post(
+  '/import',
+  protect,
+  authorize('admin'),
+  (req, res, next) => {
+    importUpload(req, res, (err) => {
+      if (err) {
+        return res.status(400).json({ message: err.message });
+      }
+      next();
+    });
+  },
+  async (req, res) => {
+    let rows;
+
+    try {
+      if (req.file) {
+        const content = req.file.buffer.toString('utf8');
+        const isJson = /\.json$/i.test(req.file.originalname) || req.file.mimetype === 'application/json';
+
+        if (isJson) {
+          const parsed = JSON.parse(content);
+          rows = Array.isArray(parsed) ? parsed : parsed.rows;
+        } else {
+          rows = parseCsv(content);
+        }
+      } else if (req.body) {
+        rows = req.body.rows;
+      }
+    } catch (error) {
+      return res.status(400).json({ message: `Could not parse import file: ${error.message}` });
+    }
+
+    if (!Array.isArray(rows) || rows.length === 0) {
+      return res.status(400).json({ message: 'Provide a CSV or JSON file, or a rows array, with at least one row' });
+    }
+
+    if (rows.length > MAX_IMPORT_ROWS) {
+      return res.status(400).json({ message: `An import may contain at most ${MAX_IMPORT_ROWS} rows` });
+    }
+
+    try {
+      const dryRun = req.query.dryRun === 'true' || (req.body && String(req.body.dryRun) === 'true');
+      const result = await ProductGenerationService.importKeywordSets(rows, { dryRun });
+
+      res.status(dryRun ? 200 : 201).json(result);
+    } catch (error) {
+      console.error('Error importing keyword sets:', error);
+      res.status(500).json({ message: error.message });
+    }
+  }
+);
+
 /**
  * @route   GET /api/product-generation/queue
  * @desc    Get all queued products
  * @access  Private/Admin
  */
-router.get('/queue', async (req, res) => {
+router.get('/queue', protect, authorize('admin'), async (req, res) => {
   try {
-    const queueItems = await ProductGenerationQueue.find()
+    const query = {};
+    if (req.query.status) {
+      query.status = req.query.status;
+    }
+
+    const queueItems = await ProductGenerationQueue.find(query)
       .sort({ status: 1, priority: -1, queuedAt: 1 })
       .populate('category', 'name');
 
@@ -65,12 +151,33 @@ router.get('/queue', async (req, res) => {
   }
 });
 
+/**
+ * @route   GET /api/product-generation/keyword-suggestions
+ * @desc    Keyword sets from storefront searches that found nothing or got no clicks,
+ *          for queueing (?days=30&limit=10&minSearches=2)
+ * @access  Private/Admin
+ */
+router.get('/keyword-suggestions', protect, authorize('admin'), async (req, res) => {
+  try {
+    const suggestions = await SearchAnalyticsService.getKeywordSuggestions({
+      days: Math.min(Math.max(parseInt(req.query.days, 10) || 30, 1), 365),
+      limit: Math.min(Math.max(parseInt(req.query.limit, 10) || 10, 1), 50),
+      minSearches: Math.max(parseInt(req.query.minSearches, 10) || 2, 1)
+    });
+
+    res.json(suggestions);
+  } catch (error) {
+    console.error('Error getting keyword suggestions:', error);
+    res.status(500).json({ message: error.message });
+  }
+});
+
 /**
  * @route   GET /api/product-generation/queue/:id
  * @desc    Get a specific queue item
  * @access  Private/Admin
  */
-router.get('/queue/:id', async (req, res) => {
+router.get('/queue/:id', protect, authorize('admin'), async (req, res) => {
   try {
     const queueItem = await ProductGenerationQueue.findById(req.params.id)
       .populate('category', 'name')
@@ -92,7 +199,7 @@ router.get('/queue/:id', async (req, res) => {
  * @desc    Delete a queue item
  * @access  Private/Admin
  */
-router.delete('/queue/:id', async (req, res) => {
+router.delete('/queue/:id', protect, authorize('admin'), async (req, res) => {
   try {
     const queueItem = await ProductGenerationQueue.findById(req.params.id);
 
@@ -109,12 +216,79 @@ router.delete('/queue/:id', async (req, res) => {
   }
 });
 
+/**
+ * @route   POST /api/product-generation/queue/requeue
+ * @desc    Requeue failed and dead-lettered items in bulk (optionally only the given ids or one status)
+ * @access  Private/Admin
+ */
+router.post(
+  '/queue/requeue',
+  protect,
+  authorize('admin'),
+  [
+    check('ids', 'ids must be an array of queue item IDs').optional().isArray(),
+    check('ids.*', 'Invalid queue item ID').isMongoId(),
+    check('status', `Status must be one of: ${REQUEUEABLE_STATUSES.join(', ')}`).optional().isIn(REQUEUEABLE_STATUSES),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const { ids, status } = req.body || {};
+
+      const filter = {};
+      if (ids) filter._id = { $in: ids };
+      if (status) filter.status = status;
+
+      const requeued = await requeueItems(ProductGenerationQueue, filter);
+
+      res.json({ message: `Requeued ${requeued} items`, requeued });
+    } catch (error) {
+      console.error('Error requeueing queue items:', error);
+      res.status(500).json({ message: error.message });
+    }
+  }
+);
+
+/**
+ * @route   POST /api/product-generation/queue/:id/retry
+ * @desc    Retry a failed or dead-lettered queue item with a fresh set of attempts
+ * @access  Private/Admin
+ */
+router.post('/queue/:id/retry', protect, authorize('admin'), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ message: 'Queue item not found' });
+    }
+
+    const queueItem = await ProductGenerationQueue.findById(req.params.id);
+
+    if (!queueItem) {
+      return res.status(404).json({ message: 'Queue item not found' });
+    }
+
+    if (!REQUEUEABLE_STATUSES.includes(queueItem.status)) {
+      return res.status(400).json({ message: `Only ${REQUEUEABLE_STATUSES.join(' or ')} items can be retried` });
+    }
+
+    await requeueItems(ProductGenerationQueue, { _id: queueItem._id });
+
+    res.json(await ProductGenerationQueue.findById(queueItem._id).populate('category', 'name'));
+  } catch (error) {
+    console.error('Error retrying queue item:', error);
+    res.status(500).json({ message: error.message });
+  }
+});
+
 /**
  * @route   POST /api/product-generation/process
  * @desc    Process the next queue item
  * @access  Private/Admin
  */
-router.post('/process', async (req, res) => {
+router.post('/process', protect, authorize('admin'), async (req, res) => {
   try {
     const result = await ProductGenerationService.processNextQueueItem();
     res.json(result);
@@ -129,7 +303,7 @@ router.post('/process', async (req, res) => {
  * @desc    Schedule products for publication
  * @access  Private/Admin
  */
-router.post('/schedule', async (req, res) => {
+router.post('/schedule', protect, authorize('admin'), async (req, res) => {
   try {
     const result = await ProductGenerationService.scheduleProducts();
     res.json(result);
@@ -144,7 +318,7 @@ router.post('/schedule', async (req, res) => {
  * @desc    Publish scheduled products
  * @access  Private/Admin
  */
-router.post('/publish', async (req, res) => {
+router.post('/publish', protect, authorize('admin'), async (req, res) => {
   try {
     const result = await ProductGenerationService.publishScheduledProducts();
     res.json(result);
@@ -154,14 +328,37 @@ router.post('/publish', async (req, res) => {
   }
 });
 
+/**
+ * Run a review action and send the updated product, or the workflow error
+ * @param {Object} res - Express response
+ * @param {Function} action - Async function returning the result, or null if the product does not exist
+ */
+const handleReviewAction = async (res, action) => {
+  try {
+    const result = await action();
+
+    if (!result) {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+
+    res.json(result);
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Error in product review:', error);
+    res.status(500).json({ message: error.message });
+  }
+};
+
 /**
  * @route   GET /api/product-generation/products
- * @desc    Get all generated products
+ * @desc    Get all generated products (filter with ?status= and ?reviewer=<user ID or "me">)
  * @access  Private/Admin
  */
-router.get('/products', async (req, res) => {
+router.get('/products', protect, authorize('admin'), async (req, res) => {
   try {
-    const { status } = req.query;
+    const { status, reviewer } = req.query;
     
     const query = { isAutomated: true };
     
@@ -169,9 +366,14 @@ router.get('/products', async (req, res) => {
       query.status = status;
     }
     
+    if (reviewer) {
+      query['review.assignedTo'] = reviewer === 'me' ? req.user.id : reviewer;
+    }
+    
     const products = await Product.find(query)
       .sort({ createdAt: -1 })
-      .populate('category', 'name');
+      .populate('category', 'name')
+      .populate('review.assignedTo', 'name email');
 
     res.json(products);
   } catch (error) {
@@ -185,7 +387,7 @@ router.get('/products', async (req, res) => {
  * @desc    Update a generated product
  * @access  Private/Admin
  */
-router.put('/products/:id', async (req, res) => {
+router.put('/products/:id', protect, authorize('admin'), async (req, res) => {
   try {
     const product = await Product.findById(req.params.id);
 
@@ -216,22 +418,221 @@ router.put('/products/:id', async (req, res) => {
     if (faqs) product.faqs = faqs;
     if (metaTitle) product.metaTitle = metaTitle;
     if (metaDescription) product.metaDescription = metaDescription;
-    if (status) {
-      product.status = status;
+    if (status && status !== product.status) {
+      const settings = await AutomationSettings.getSettings();
+      ProductReviewService.assertEditTransition(product, status, settings);
       
       // If publishing, set publishedAt
-      if (status === 'published' && product.status !== 'published') {
+      if (status === 'published') {
         product.publishedAt = new Date();
       }
+      
+      product.status = status;
     }
 
     await product.save();
 
     res.json(product);
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
     console.error('Error updating product:', error);
     res.status(500).json({ message: error.message });
   }
 });
 
+/**
+ * @route   POST /api/product-generation/products/:id/regenerate/:section
+ * @desc    Regenerate one section of a generated product (title, description, shortDescription,
+ *          features, specifications, applications, faqs or seo)
+ * @access  Private/Admin
+ */
+router.post('/products/:id/regenerate/:section', protect, authorize('admin'), async (req, res) => {
+  try {
+    const { id, section } = req.params;
+
+    if (!ContentGenerationService.sections.includes(section)) {
+      return res.status(400).json({
+        message: `Unknown section. Use one of: ${ContentGenerationService.sections.join(', ')}`
+      });
+    }
+
+    if (!mongoose.isValidObjectId(id)) {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+
+    const product = await ProductGenerationService.regenerateProductSection(id, section);
+
+    if (!product) {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+
+    res.json(product);
+  } catch (error) {
+    console.error('Error regenerating product section:', error);
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @route   POST /api/product-generation/products/:id/quality-check
+ * @desc    Re-run the content quality gate on a product, e.g. after editing it. A product in
+ *          needs_review that passes goes back to draft; a draft that fails goes to needs_review.
+ * @access  Private/Admin
+ */
+router.post('/products/:id/quality-check', protect, authorize('admin'), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+
+    const product = await ContentQualityService.recheckProduct(req.params.id);
+
+    if (!product) {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+
+    res.json(product);
+  } catch (error) {
+    console.error('Error checking product quality:', error);
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @route   POST /api/product-generation/products/:id/submit
+ * @desc    Submit a draft product for review. Body: { reviewerId, comment }; without a
+ *          reviewer, the current or default reviewer is kept.
+ * @access  Private/Admin/Editor
+ */
+router.post('/products/:id/submit', protect, authorize('admin', 'editor'), async (req, res) => {
+  const { reviewerId, comment } = req.body || {};
+
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    return res.status(404).json({ message: 'Product not found' });
+  }
+
+  await handleReviewAction(res, () => ProductReviewService.submitForReview(req.params.id, req.user, { reviewerId, comment }));
+});
+
+/**
+ * @route   PUT /api/product-generation/products/:id/reviewer
+ * @desc    Assign a reviewer (an admin or editor) to a product. Body: { reviewerId }
+ * @access  Private/Admin
+ */
+router.put(
+  '/products/:id/reviewer',
+  protect,
+  authorize('admin'),
+  [check('reviewerId', 'Reviewer ID is required').isMongoId()],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+
+    await handleReviewAction(res, () => ProductReviewService.assignReviewer(req.params.id, req.user, req.body.reviewerId));
+  }
+);
+
+/**
+ * @route   POST /api/product-generation/products/:id/approve
+ * @desc    Approve a product in review so it can be scheduled. Body: { comment }
+ * @access  Private/Admin/Editor (the assigned reviewer, or any admin)
+ */
+router.post('/products/:id/approve', protect, authorize('admin', 'editor'), async (req, res) => {
+  const { comment } = req.body || {};
+
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    return res.status(404).json({ message: 'Product not found' });
+  }
+
+  await handleReviewAction(res, () => ProductReviewService.approve(req.params.id, req.user, comment));
+});
+
+/**
+ * @route   POST /api/product-generation/products/:id/request-changes
+ * @desc    Send a product in review back to draft with the changes needed. Body: { comment }
+ * @access  Private/Admin/Editor (the assigned reviewer, or any admin)
+ */
+router.post(
+  '/products/:id/request-changes',
+  protect,
+  authorize('admin', 'editor'),
+  [check('comment', 'Describe the changes needed').isString().trim().notEmpty()],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+
+    await handleReviewAction(res, () => ProductReviewService.requestChanges(req.params.id, req.user, req.body.comment));
+  }
+);
+
+/**
+ * @route   POST /api/product-generation/products/:id/reject
+ * @desc    Reject a product in review. Body: { reason, regenerate }. Unless regenerate is
+ *          false, a replacement is queued with the same keywords and the reason is passed
+ *          to the model. Returns { product, queueItem }.
+ * @access  Private/Admin/Editor (the assigned reviewer, or any admin)
+ */
+router.post(
+  '/products/:id/reject',
+  protect,
+  authorize('admin', 'editor'),
+  [
+    check('reason', 'A rejection reason is required').isString().trim().notEmpty(),
+    check('regenerate', 'Regenerate must be a boolean').optional().isBoolean()
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+
+    const { reason, regenerate } = req.body;
+    await handleReviewAction(res, () => ProductReviewService.reject(req.params.id, req.user, reason, {
+      regenerate: regenerate !== false
+    }));
+  }
+);
+
+/**
+ * @route   POST /api/product-generation/products/:id/comments
+ * @desc    Add a reviewer comment to a product. Body: { text }
+ * @access  Private/Admin/Editor
+ */
+router.post(
+  '/products/:id/comments',
+  protect,
+  authorize('admin', 'editor'),
+  [check('text', 'Comment text is required').isString().trim().notEmpty()],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+
+    await handleReviewAction(res, () => ProductReviewService.addComment(req.params.id, req.user, req.body.text));
+  }
+);
+
 module.exports = router;
@@ -1,39 +1,686 @@
 const express = require('express');
 const router = express.Router();
+const mongoose = require('mongoose');
+const { check, validationResult } = require('express-validator');
+const Product = require('../models/Product');
+const Category = require('../models/Category');
+const AutomationSettings = require('../models/AutomationSettings');
+const { getValidationErrors } = require('../utils/validationErrors');
+const { protect, optionalAuth, authorize } = require('../middleware/auth');
+const ProductRevisionService = require('../services/ProductRevisionService');
+const ProductVariantService = require('../services/ProductVariantService');
+const ProductSpecificationService = require('../services/ProductSpecificationService');
+const ProductSearchService = require('../services/ProductSearchService');
+const SearchAnalyticsService = require('../services/SearchAnalyticsService');
+const ProductRecommendationService = require('../services/ProductRecommendationService');
+const ProductReviewService = require('../services/ProductReviewService');
+
+// Fields that may be set through the create/update endpoints
+const EDITABLE_FIELDS = [
+  'title',
+  'description',
+  'shortDescription',
+  'features',
+  'specifications',
+  'applications',
+  'faqs',
+  'category',
+  'images',
+  'metaTitle',
+  'metaDescription',
+  'keywords',
+  'schemaMarkup',
+  'isAutomated',
+  'sourceKeywords',
+  'generationStatus',
+  'status',
+  'scheduledPublishDate'
+];
+
+/**
+ * Copy editable fields from the request body onto a product document
+ * @param {Object} product - Product document
+ * @param {Object} body - Request body
+ */
+const applyProductFields = (product, body = {}) => {
+  const wasPublished = product.status === 'published';
+
+  EDITABLE_FIELDS.forEach(field => {
+    if (body[field] !== undefined) {
+      product[field] = body[field];
+    }
+  });
+
+  // Stamp the publication date the first time a product goes live
+  if (product.status === 'published' && !wasPublished && !product.publishedAt) {
+    product.publishedAt = new Date();
+  }
+};
+
+// Roles that can see products that aren't published
+const STAFF_ROLES = ['admin', 'editor'];
+
+/**
+ * Whether the request may see unpublished products (drafts, products in review, rejected ones)
+ * @param {Object} req - Express request, after optionalAuth
+ * @returns {Boolean} True for signed-in admins and editors
+ */
+const canSeeUnpublished = (req) => !!req.user && STAFF_ROLES.includes(req.user.role);
+
+/**
+ * Check a status change in the request body against the approval workflow. The review
+ * statuses can only be reached through the review endpoints.
+ * @param {Object} product - Product document
+ * @param {Object} body - Request body
+ * @throws {Error} 400 or 409 error if the change is not allowed
+ */
+const assertStatusChange = async (product, body = {}) => {
+  if (body.status === undefined || body.status === product.status) {
+    return;
+  }
+
+  const settings = await AutomationSettings.getSettings();
+  ProductReviewService.assertEditTransition(product, body.status, settings);
+};
+
+/**
+ * Resolve a category filter given either an ObjectId or a slug
+ * @param {String} value - Category ID or slug
+ * @returns {Promise<String|null>} Category ID, or null if no category matches
+ */
+const resolveCategoryId = async (value) => {
+  if (mongoose.isValidObjectId(value)) {
+    return value;
+  }
+
+  const category = await Category.findOne({ slug: value }).select('_id');
+  return category ? category._id : null;
+};
+
+/**
+ * Send an error from the variant service, using its status for 4xx errors
+ * @param {Object} res - Express response
+ * @param {Error} error - Error thrown by the service
+ * @param {String} context - What was being done, for the log
+ */
+const sendVariantError = (res, error, context) => {
+  if (error.status) {
+    return res.status(error.status).json({ success: false, message: error.message });
+  }
+
+  const validationErrors = getValidationErrors(error.cause || error);
+  if (validationErrors) {
+    return res.status(400).json({ success: false, errors: validationErrors });
+  }
+
+  console.error(`Error ${context}:`, error);
+  res.status(500).json({ success: false, message: error.message });
+};
 
 // @route   GET api/products
-// @desc    Get all products
+// @desc    Get all products (paginated, filterable by category, status and generationStatus).
+//          Guests only see published products.
+// @access  Public
+router.get('/', optionalAuth, async (req, res) => {
+  try {
+    const { category, status, generationStatus, sort = '-createdAt' } = req.query;
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+
+    // Build query
+    const query = {};
+
+    if (category) {
+      const categoryId = await resolveCategoryId(category);
+      if (!categoryId) {
+        return res.json({
+          success: true,
+          products: [],
+          pagination: { total: 0, page, limit, pages: 0 }
+        });
+      }
+      query.category = categoryId;
+    }
+
+    if (!canSeeUnpublished(req)) {
+      query.status = 'published';
+    } else if (status) {
+      query.status = status;
+    }
+
+    if (generationStatus) {
+      query.generationStatus = generationStatus;
+    }
+
+    // Get products
+    const products = await Product.find(query)
+      .sort(sort)
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .populate('category', 'name slug');
+
+    // Get total count
+    const total = await Product.countDocuments(query);
+
+    res.json({
+      success: true,
+      products,
+      pagination: {
+        total,
+        page,
+        limit,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Error getting products:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// @route   GET api/products/search
+// @desc    Full-text search over published products with facets. Supports q, category,
+//          stock (comma-separated statuses), spec.<name>=<a,b> or spec.<name>=<min..max>,
+//          sort (relevance, newest, oldest, title, -title), page and limit. First pages of
+//          searches with text are logged; report clicks with the returned searchId.
 // @access  Public
-router.get('/', (req, res) => {
-  res.json({ message: 'Get all products' });
+router.get('/search', async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+
+    const specs = {};
+    Object.keys(req.query)
+      .filter(key => key.startsWith('spec.'))
+      .forEach(key => {
+        specs[key.slice('spec.'.length)] = req.query[key];
+      });
+
+    const result = await ProductSearchService.search({
+      q: String(req.query.q || ''),
+      category: req.query.category,
+      stock: req.query.stock,
+      specs,
+      sort: req.query.sort,
+      page,
+      limit
+    });
+
+    const logged = page === 1
+      ? await SearchAnalyticsService.logSearch({
+        query: result.query,
+        correctedQuery: result.correctedQuery,
+        filters: { category: req.query.category, stock: req.query.stock, specs },
+        resultCount: result.pagination.total
+      })
+      : null;
+
+    res.json({ success: true, searchId: logged ? logged._id : null, ...result });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ success: false, message: error.message });
+    }
+
+    console.error('Error searching products:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// @route   POST api/products/search/:searchId/click
+// @desc    Record a click on a search result ({ productId, position })
+// @access  Public
+router.post('/search/:searchId/click', async (req, res) => {
+  try {
+    const { productId, position } = req.body || {};
+
+    if (!mongoose.isValidObjectId(productId)) {
+      return res.status(400).json({ success: false, message: 'A valid productId is required' });
+    }
+
+    if (!mongoose.isValidObjectId(req.params.searchId)) {
+      return res.status(404).json({ success: false, message: 'Search not found' });
+    }
+
+    const found = await SearchAnalyticsService.recordClick(
+      req.params.searchId,
+      productId,
+      parseInt(position, 10) || null
+    );
+
+    if (!found) {
+      return res.status(404).json({ success: false, message: 'Search not found' });
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error recording search click:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// @route   GET api/products/compare?ids=
+// @desc    Compare 2-6 products side by side (comma-separated IDs) with an aligned spec table.
+//          Guests can only compare published products.
+// @access  Public
+router.get('/compare', optionalAuth, async (req, res) => {
+  try {
+    const ids = String(req.query.ids || '').split(',').map(id => id.trim()).filter(Boolean);
+
+    const comparison = await ProductSpecificationService.compareProducts(ids, {
+      publishedOnly: !canSeeUnpublished(req)
+    });
+
+    res.json({ success: true, ...comparison });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ success: false, message: error.message });
+    }
+
+    console.error('Error comparing products:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// @route   GET api/products/slug/:slug
+// @desc    Get single product by slug (guests only see published products)
+// @access  Public
+router.get('/slug/:slug', optionalAuth, async (req, res) => {
+  try {
+    const filter = { slug: req.params.slug };
+    if (!canSeeUnpublished(req)) {
+      filter.status = 'published';
+    }
+
+    const product = await Product.findOne(filter)
+      .populate('category', 'name slug');
+
+    if (!product) {
+      return res.status(404).json({ success: false, message: 'Product not found' });
+    }
+
+    res.json({ success: true, product });
+  } catch (error) {
+    console.error(`Error getting product by slug ${req.params.slug}:`, error);
+    res.status(500).json({ success: false, message: error.message });
+  }
 });
 
 // @route   GET api/products/:id
-// @desc    Get single product
+// @desc    Get single product (guests only see published products)
 // @access  Public
-router.get('/:id', (req, res) => {
-  res.json({ message: `Get product with id ${req.params.id}` });
+router.get('/:id', optionalAuth, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ success: false, message: 'Product not found' });
+    }
+
+    const filter = { _id: req.params.id };
+    if (!canSeeUnpublished(req)) {
+      filter.status = 'published';
+    }
+
+    const product = await Product.findOne(filter)
+      .populate('category', 'name slug');
+
+    if (!product) {
+      return res.status(404).json({ success: false, message: 'Product not found' });
+    }
+
+    res.json({ success: true, product });
+  } catch (error) {
+    console.error(`Error getting product ${req.params.id}:`, error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// @route   GET api/products/:id/related
+// @desc    Get published products related to a product, best first, with their scores (?limit=, up to 20)
+// @access  Public (unpublished source products: admin/editor)
+router.get('/:id/related', optionalAuth, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ success: false, message: 'Product not found' });
+    }
+
+    const filter = { _id: req.params.id };
+    if (!canSeeUnpublished(req)) {
+      filter.status = 'published';
+    }
+
+    const product = await Product.findOne(filter)
+      .select('title category keywords specifications specificationValues')
+      .lean();
+
+    if (!product) {
+      return res.status(404).json({ success: false, message: 'Product not found' });
+    }
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 6, 1), 20);
+
+    const related = await ProductRecommendationService.getRelatedProducts(product, { limit });
+
+    res.json({ success: true, related });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ success: false, message: error.message });
+    }
+
+    console.error(`Error getting products related to ${req.params.id}:`, error);
+    res.status(500).json({ success: false, message: error.message });
+  }
 });
 
 // @route   POST api/products
 // @desc    Create a product
 // @access  Private
-router.post('/', (req, res) => {
-  res.json({ message: 'Create a product' });
+router.post('/', protect, authorize('admin', 'editor'), [
+  check('title', 'Title is required').not().isEmpty(),
+  check('description', 'Description is required').not().isEmpty(),
+  check('shortDescription', 'Short description is required').not().isEmpty(),
+  check('category', 'Category is required').isMongoId()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+
+  try {
+    // Verify category exists
+    const category = await Category.findById(req.body.category);
+    if (!category) {
+      return res.status(404).json({ success: false, message: 'Category not found' });
+    }
+
+    // Products created through the API are hand-written unless stated otherwise
+    const product = new Product({ isAutomated: false });
+    await assertStatusChange(product, req.body);
+    applyProductFields(product, req.body);
+
+    await product.save();
+
+    res.status(201).json({ success: true, product });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ success: false, message: error.message });
+    }
+
+    const validationErrors = getValidationErrors(error);
+    if (validationErrors) {
+      return res.status(400).json({ success: false, errors: validationErrors });
+    }
+
+    console.error('Error creating product:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
 });
 
 // @route   PUT api/products/:id
 // @desc    Update a product
 // @access  Private
-router.put('/:id', (req, res) => {
-  res.json({ message: `Update product with id ${req.params.id}` });
+router.put('/:id', protect, authorize('admin', 'editor'), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ success: false, message: 'Product not found' });
+    }
+
+    const product = await Product.findById(req.params.id);
+
+    if (!product) {
+      return res.status(404).json({ success: false, message: 'Product not found' });
+    }
+
+    // Verify the new category exists if it is being changed
+    if (req.body && req.body.category && String(req.body.category) !== String(product.category)) {
+      const category = mongoose.isValidObjectId(req.body.category)
+        ? await Category.findById(req.body.category)
+        : null;
+
+      if (!category) {
+        return res.status(404).json({ success: false, message: 'Category not found' });
+      }
+    }
+
+    await assertStatusChange(product, req.body);
+    applyProductFields(product, req.body);
+
+    await product.save();
+
+    res.json({ success: true, product });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ success: false, message: error.message });
+    }
+
+    const validationErrors = getValidationErrors(error);
+    if (validationErrors) {
+      return res.status(400).json({ success: false, errors: validationErrors });
+    }
+
+    console.error(`Error updating product ${req.params.id}:`, error);
+    res.status(500).json({ success: false, message: error.message });
+  }
 });
 
 // @route   DELETE api/products/:id
 // @desc    Delete a product
 // @access  Private
-router.delete('/:id', (req, res) => {
-  res.json({ message: `Delete product with id ${req.params.id}` });
+router.delete('/:id', protect, authorize('admin', 'editor'), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ success: false, message: 'Product not found' });
+    }
+
+    const product = await Product.findById(req.params.id);
+
+    if (!product) {
+      return res.status(404).json({ success: false, message: 'Product not found' });
+    }
+
+    await product.deleteOne();
+
+    res.json({ success: true, message: 'Product removed' });
+  } catch (error) {
+    console.error(`Error deleting product ${req.params.id}:`, error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// @route   GET api/products/:id/revisions
+// @desc    List a product's revisions, newest first (paginated)
+// @access  Private
+router.get('/:id/revisions', protect, authorize('admin', 'editor'), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ success: false, message: 'Product not found' });
+    }
+
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+
+    const { revisions, pagination } = await ProductRevisionService.listRevisions(req.params.id, { page, limit });
+
+    res.json({ success: true, revisions, pagination });
+  } catch (error) {
+    console.error(`Error getting revisions for product ${req.params.id}:`, error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// @route   GET api/products/:id/revisions/compare?from=&to=
+// @desc    Compare a product's content at two revisions
+// @access  Private
+router.get('/:id/revisions/compare', protect, authorize('admin', 'editor'), async (req, res) => {
+  try {
+    const from = parseInt(req.query.from, 10);
+    const to = parseInt(req.query.to, 10);
+
+    if (!from || !to) {
+      return res.status(400).json({ success: false, message: 'Both from and to revision numbers are required' });
+    }
+
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ success: false, message: 'Product not found' });
+    }
+
+    const comparison = await ProductRevisionService.compareRevisions(req.params.id, from, to);
+
+    if (!comparison) {
+      return res.status(404).json({ success: false, message: 'Revision not found' });
+    }
+
+    res.json({ success: true, ...comparison });
+  } catch (error) {
+    console.error(`Error comparing revisions for product ${req.params.id}:`, error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// @route   GET api/products/:id/revisions/:revision
+// @desc    Get one revision, including the full product snapshot
+// @access  Private
+router.get('/:id/revisions/:revision', protect, authorize('admin', 'editor'), async (req, res) => {
+  try {
+    const revisionNumber = parseInt(req.params.revision, 10);
+
+    if (!mongoose.isValidObjectId(req.params.id) || !revisionNumber) {
+      return res.status(404).json({ success: false, message: 'Revision not found' });
+    }
+
+    const revision = await ProductRevisionService.getRevision(req.params.id, revisionNumber);
+
+    if (!revision) {
+      return res.status(404).json({ success: false, message: 'Revision not found' });
+    }
+
+    res.json({ success: true, revision });
+  } catch (error) {
+    console.error(`Error getting revision for product ${req.params.id}:`, error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// @route   POST api/products/:id/revisions/:revision/rollback
+// @desc    Restore a product's content to a revision (saved as a new revision)
+// @access  Private
+router.post('/:id/revisions/:revision/rollback', protect, authorize('admin', 'editor'), async (req, res) => {
+  try {
+    const revisionNumber = parseInt(req.params.revision, 10);
+
+    if (!mongoose.isValidObjectId(req.params.id) || !revisionNumber) {
+      return res.status(404).json({ success: false, message: 'Revision not found' });
+    }
+
+    const product = await ProductRevisionService.rollback(req.params.id, revisionNumber);
+
+    if (!product) {
+      return res.status(404).json({ success: false, message: 'Product or revision not found' });
+    }
+
+    res.json({ success: true, product });
+  } catch (error) {
+    // The restored content can fail the category's current spec schema or the slug rules
+    const validationErrors = getValidationErrors(error.cause || error);
+    if (validationErrors) {
+      return res.status(400).json({ success: false, errors: validationErrors });
+    }
+
+    console.error(`Error rolling back product ${req.params.id}:`, error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// @route   PUT api/products/:id/options
+// @desc    Replace a product's variant options, e.g. [{ name: 'voltage', label: 'Voltage', values: ['110V', '220V'] }]
+// @access  Private
+router.put('/:id/options', protect, authorize('admin', 'editor'), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ success: false, message: 'Product not found' });
+    }
+
+    const product = await ProductVariantService.setOptions(req.params.id, (req.body || {}).options);
+
+    if (!product) {
+      return res.status(404).json({ success: false, message: 'Product not found' });
+    }
+
+    res.json({ success: true, options: product.options });
+  } catch (error) {
+    sendVariantError(res, error, `setting options for product ${req.params.id}`);
+  }
+});
+
+// @route   POST api/products/:id/variants/generate
+// @desc    Generate a variant for every combination of the product's options
+// @access  Private
+router.post('/:id/variants/generate', protect, authorize('admin', 'editor'), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ success: false, message: 'Product not found' });
+    }
+
+    const result = await ProductVariantService.generateVariants(req.params.id, {
+      skuPrefix: (req.body || {}).skuPrefix
+    });
+
+    if (!result) {
+      return res.status(404).json({ success: false, message: 'Product not found' });
+    }
+
+    res.json({
+      success: true,
+      created: result.created.length,
+      reactivated: result.reactivated.length,
+      deactivated: result.deactivated.length,
+      variants: result.product.variants
+    });
+  } catch (error) {
+    sendVariantError(res, error, `generating variants for product ${req.params.id}`);
+  }
+});
+
+// @route   GET api/products/:id/variants
+// @desc    List a product's variants with their specifications and inventory (?includeInactive=true for all)
+// @access  Private
+router.get('/:id/variants', protect, authorize('admin', 'editor'), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ success: false, message: 'Product not found' });
+    }
+
+    const result = await ProductVariantService.listVariants(req.params.id, {
+      includeInactive: req.query.includeInactive === 'true'
+    });
+
+    if (!result) {
+      return res.status(404).json({ success: false, message: 'Product not found' });
+    }
+
+    res.json({ success: true, ...result });
+  } catch (error) {
+    sendVariantError(res, error, `listing variants for product ${req.params.id}`);
+  }
+});
+
+// @route   PUT api/products/:id/variants/:variantId
+// @desc    Update a variant's SKU, specification overrides, images or active flag
+// @access  Private
+router.put('/:id/variants/:variantId', protect, authorize('admin', 'editor'), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id) || !mongoose.isValidObjectId(req.params.variantId)) {
+      return res.status(404).json({ success: false, message: 'Variant not found' });
+    }
+
+    const result = await ProductVariantService.updateVariant(req.params.id, req.params.variantId, req.body || {});
+
+    if (!result) {
+      return res.status(404).json({ success: false, message: 'Variant not found' });
+    }
+
+    res.json({ success: true, variant: result.variant });
+  } catch (error) {
+    sendVariantError(res, error, `updating variant ${req.params.variantId}`);
+  }
 });
 
 module.exports = router;
@@ -0,0 +1,216 @@
+const express = require('express');
+const router = express.Router();
+const { check, validationResult } = require('express-validator');
+const PromptTemplateService = require('../services/PromptTemplateService');
+const { protect, authorize } = require('../middleware/auth');
+
+/**
+ * Send a prompt template error with its status (400 for invalid templates,
+ * 404 for unknown ones, 409 for conflicts) or 500
+ * @param {Object} res - Express response
+ * @param {Error} error - Error thrown by PromptTemplateService
+ * @param {String} context - What was being done, for the log
+ */
+const sendError = (res, error, context) => {
+  if (error.status) {
+    return res.status(error.status).json({ message: error.message, missingVariables: error.missingVariables });
+  }
+  if (error.name === 'CastError') {
+    return res.status(404).json({ message: 'Prompt template version not found' });
+  }
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({ message: error.message });
+  }
+  console.error(`Error ${context}:`, error);
+  res.status(500).json({ message: error.message });
+};
+
+const variableChecks = [
+  check('variables', 'Variables must be an array').optional().isArray(),
+  check('variables.*.name', 'Each variable needs a name').isString().notEmpty()
+];
+
+/**
+ * @route   GET /api/prompt-templates
+ * @desc    List prompt templates with their active and latest versions
+ * @access  Private/Admin
+ */
+router.get('/', protect, authorize('admin'), async (req, res) => {
+  try {
+    const templates = await PromptTemplateService.listTemplates();
+    res.json(templates);
+  } catch (error) {
+    sendError(res, error, 'listing prompt templates');
+  }
+});
+
+/**
+ * @route   GET /api/prompt-templates/:name
+ * @desc    Get all versions of a prompt template, newest first
+ * @access  Private/Admin
+ */
+router.get('/:name', protect, authorize('admin'), async (req, res) => {
+  try {
+    const versions = await PromptTemplateService.getVersions(req.params.name);
+
+    if (versions.length === 0) {
+      return res.status(404).json({ message: 'Prompt template not found' });
+    }
+
+    res.json(versions);
+  } catch (error) {
+    sendError(res, error, 'getting prompt template');
+  }
+});
+
+/**
+ * @route   GET /api/prompt-templates/:name/versions/:version
+ * @desc    Get one version of a prompt template
+ * @access  Private/Admin
+ */
+router.get('/:name/versions/:version', protect, authorize('admin'), async (req, res) => {
+  try {
+    const template = await PromptTemplateService.getVersion(req.params.name, Number(req.params.version));
+
+    if (!template) {
+      return res.status(404).json({ message: 'Prompt template version not found' });
+    }
+
+    res.json(template);
+  } catch (error) {
+    sendError(res, error, 'getting prompt template version');
+  }
+});
+
+/**
+ * @route   POST /api/prompt-templates
+ * @desc    Create a new prompt template (saved as active version 1)
+ * @access  Private/Admin
+ */
+router.post(
+  '/',
+  protect,
+  authorize('admin'),
+  [
+    check('name', 'Template name is required').isString().notEmpty(),
+    check('body', 'Template body is required').isString().notEmpty(),
+    ...variableChecks
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const { name, description, body, variables, notes } = req.body;
+      const template = await PromptTemplateService.createTemplate(
+        { name, description, body, variables, notes },
+        req.user.id
+      );
+
+      res.status(201).json(template);
+    } catch (error) {
+      sendError(res, error, 'creating prompt template');
+    }
+  }
+);
+
+/**
+ * @route   POST /api/prompt-templates/:name/versions
+ * @desc    Create the next version of a prompt template. Fields that are left out are
+ *          copied from the latest version. The new version becomes active unless
+ *          activate is false.
+ * @access  Private/Admin
+ */
+router.post(
+  '/:name/versions',
+  protect,
+  authorize('admin'),
+  [
+    check('body', 'Template body must be text').optional().isString().notEmpty(),
+    check('activate', 'Activate must be a boolean').optional().isBoolean(),
+    ...variableChecks
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const { description, body, variables, notes, activate } = req.body;
+      const template = await PromptTemplateService.createVersion(
+        req.params.name,
+        { description, body, variables, notes },
+        req.user.id,
+        activate !== false
+      );
+
+      res.status(201).json(template);
+    } catch (error) {
+      sendError(res, error, 'creating prompt template version');
+    }
+  }
+);
+
+/**
+ * @route   PUT /api/prompt-templates/:name/versions/:version/activate
+ * @desc    Make a version the one used for generation (also used to roll back)
+ * @access  Private/Admin
+ */
+router.put('/:name/versions/:version/activate', protect, authorize('admin'), async (req, res) => {
+  try {
+    const template = await PromptTemplateService.activateVersion(req.params.name, Number(req.params.version));
+
+    if (!template) {
+      return res.status(404).json({ message: 'Prompt template version not found' });
+    }
+
+    res.json(template);
+  } catch (error) {
+    sendError(res, error, 'activating prompt template version');
+  }
+});
+
+/**
+ * @route   DELETE /api/prompt-templates/:name/versions/:version
+ * @desc    Delete an inactive version of a prompt template
+ * @access  Private/Admin
+ */
+router.delete('/:name/versions/:version', protect, authorize('admin'), async (req, res) => {
+  try {
+    const deleted = await PromptTemplateService.deleteVersion(req.params.name, Number(req.params.version));
+
+    if (!deleted) {
+      return res.status(404).json({ message: 'Prompt template version not found' });
+    }
+
+    res.json({ message: 'Prompt template version deleted' });
+  } catch (error) {
+    sendError(res, error, 'deleting prompt template version');
+  }
+});
+
+/**
+ * @route   POST /api/prompt-templates/:name/render
+ * @desc    Preview a rendered prompt without calling a model. Body: { values, version };
+ *          the active version is used when version is left out.
+ * @access  Private/Admin
+ */
+router.post('/:name/render', protect, authorize('admin'), async (req, res) => {
+  try {
+    const { values, version } = req.body || {};
+    const rendered = await PromptTemplateService.preview(
+      req.params.name,
+      values || {},
+      version ? Number(version) : undefined
+    );
+
+    res.json(rendered);
+  } catch (error) {
+    sendError(res, error, 'rendering prompt template');
+  }
+});
+
+module.exports = router;
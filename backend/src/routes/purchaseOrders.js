@@ -0,0 +1,127 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const PurchaseOrder = require('../models/PurchaseOrder');
+const { protect, authorize } = require('../middleware/auth');
+const PurchaseOrderService = require('../services/PurchaseOrderService');
+
+// Send a service error with its status, or a 500
+const sendError = (res, err) => {
+  if (err.status) {
+    return res.status(err.status).json({ msg: err.message });
+  }
+  if (err.name === 'ValidationError') {
+    return res.status(400).json({ msg: err.message });
+  }
+  console.error(err.message);
+  res.status(500).send('Server Error');
+};
+
+// Who is making a change, for order and inventory history
+const performedBy = (req) => (req.user ? req.user.email : 'system');
+
+// Get purchase orders, newest first (filter with ?status= and ?supplier=)
+router.get('/', protect, authorize('admin', 'sales'), async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.status) {
+      if (!PurchaseOrder.STATUSES.includes(req.query.status)) {
+        return res.status(400).json({ msg: `Status must be one of: ${PurchaseOrder.STATUSES.join(', ')}` });
+      }
+      filter.status = req.query.status;
+    }
+    if (req.query.supplier) {
+      filter['supplier.name'] = String(req.query.supplier);
+    }
+
+    const orders = await PurchaseOrder.find(filter).sort({ createdAt: -1 });
+    res.json(orders);
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// Draft reorders for every item at or below the reorder threshold
+router.post('/reorder', protect, authorize('admin', 'sales'), async (req, res) => {
+  try {
+    const result = await PurchaseOrderService.draftReorders();
+    res.json(result);
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// Get a purchase order
+router.get('/:id', protect, authorize('admin', 'sales'), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ msg: 'Purchase order not found' });
+    }
+
+    const order = await PurchaseOrder.findById(req.params.id)
+      .populate('lines.product', 'title slug');
+
+    if (!order) {
+      return res.status(404).json({ msg: 'Purchase order not found' });
+    }
+
+    res.json(order);
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// Create a draft purchase order ({ supplier, lines: [{ inventory, quantity }], notes })
+router.post('/', protect, authorize('admin', 'sales'), async (req, res) => {
+  try {
+    const order = await PurchaseOrderService.createPurchaseOrder(req.body || {}, performedBy(req));
+    res.status(201).json(order);
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// Change the lines or notes of a draft purchase order
+router.put('/:id', protect, authorize('admin', 'sales'), async (req, res) => {
+  try {
+    const order = await PurchaseOrderService.updatePurchaseOrder(req.params.id, req.body || {});
+    res.json(order);
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// Send a draft purchase order, submitting it to the supplier's endpoint if it has one
+// ({ submit: false } to mark it sent without submitting)
+router.post('/:id/send', protect, authorize('admin', 'sales'), async (req, res) => {
+  try {
+    const order = await PurchaseOrderService.sendPurchaseOrder(req.params.id, {
+      submit: (req.body || {}).submit !== false
+    });
+    res.json(order);
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// Receive a delivery ({ items: [{ line, quantity, location }] })
+router.post('/:id/receive', protect, authorize('admin', 'sales'), async (req, res) => {
+  try {
+    const order = await PurchaseOrderService.receive(req.params.id, (req.body || {}).items, performedBy(req));
+    res.json(order);
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// Cancel a draft or sent purchase order
+router.post('/:id/cancel', protect, authorize('admin', 'sales'), async (req, res) => {
+  try {
+    const order = await PurchaseOrderService.cancel(req.params.id);
+    res.json(order);
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+module.exports = router;
@@ -1,10 +1,13 @@
 const express = require('express');
 const router = express.Router();
+const mongoose = require('mongoose');
 const { check, validationResult } = require('express-validator');
 const SEOOptimizationService = require('../services/SEOOptimizationService');
 const SEOOptimizationQueue = require('../models/SEOOptimizationQueue');
 const SEOSettings = require('../models/SEOSettings');
 const Product = require('../models/Product');
+const { protect, authorize } = require('../middleware/auth');
+const { REQUEUEABLE_STATUSES, requeueItems } = require('../utils/queueLease');
 
 /**
  * @route   POST /api/seo-optimization/queue
@@ -13,6 +16,8 @@ const Product = require('../models/Product');
  */
 router.post(
   '/queue',
+  protect,
+  authorize('admin'),
   [
     check('productId', 'Product ID is required').not().isEmpty(),
     check('optimizationType', 'Optimization type is required').isIn(['initial', 'refresh', 'performance_based']),
@@ -52,9 +57,14 @@ router.post(
  * @desc    Get all queued SEO optimizations
  * @access  Private/Admin
  */
-router.get('/queue', async (req, res) => {
+router.get('/queue', protect, authorize('admin'), async (req, res) => {
   try {
-    const queueItems = await SEOOptimizationQueue.find()
+    const query = {};
+    if (req.query.status) {
+      query.status = req.query.status;
+    }
+
+    const queueItems = await SEOOptimizationQueue.find(query)
       .sort({ status: 1, priority: -1, queuedAt: 1 })
       .populate('product', 'title');
 
@@ -70,7 +80,7 @@ router.get('/queue', async (req, res) => {
  * @desc    Get a specific SEO optimization queue item
  * @access  Private/Admin
  */
-router.get('/queue/:id', async (req, res) => {
+router.get('/queue/:id', protect, authorize('admin'), async (req, res) => {
   try {
     const queueItem = await SEOOptimizationQueue.findById(req.params.id)
       .populate('product', 'title');
@@ -91,7 +101,7 @@ router.get('/queue/:id', async (req, res) => {
  * @desc    Delete a SEO optimization queue item
  * @access  Private/Admin
  */
-router.delete('/queue/:id', async (req, res) => {
+router.delete('/queue/:id', protect, authorize('admin'), async (req, res) => {
   try {
     const queueItem = await SEOOptimizationQueue.findById(req.params.id);
 
@@ -108,12 +118,79 @@ router.delete('/queue/:id', async (req, res) => {
   }
 });
 
+/**
+ * @route   POST /api/seo-optimization/queue/requeue
+ * @desc    Requeue failed and dead-lettered items in bulk (optionally only the given ids or one status)
+ * @access  Private/Admin
+ */
+router.post(
+  '/queue/requeue',
+  protect,
+  authorize('admin'),
+  [
+    check('ids', 'ids must be an array of queue item IDs').optional().isArray(),
+    check('ids.*', 'Invalid queue item ID').isMongoId(),
+    check('status', `Status must be one of: ${REQUEUEABLE_STATUSES.join(', ')}`).optional().isIn(REQUEUEABLE_STATUSES),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const { ids, status } = req.body || {};
+
+      const filter = {};
+      if (ids) filter._id = { $in: ids };
+      if (status) filter.status = status;
+
+      const requeued = await requeueItems(SEOOptimizationQueue, filter);
+
+      res.json({ message: `Requeued ${requeued} items`, requeued });
+    } catch (error) {
+      console.error('Error requeueing queue items:', error);
+      res.status(500).json({ message: error.message });
+    }
+  }
+);
+
+/**
+ * @route   POST /api/seo-optimization/queue/:id/retry
+ * @desc    Retry a failed or dead-lettered queue item with a fresh set of attempts
+ * @access  Private/Admin
+ */
+router.post('/queue/:id/retry', protect, authorize('admin'), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ message: 'Queue item not found' });
+    }
+
+    const queueItem = await SEOOptimizationQueue.findById(req.params.id);
+
+    if (!queueItem) {
+      return res.status(404).json({ message: 'Queue item not found' });
+    }
+
+    if (!REQUEUEABLE_STATUSES.includes(queueItem.status)) {
+      return res.status(400).json({ message: `Only ${REQUEUEABLE_STATUSES.join(' or ')} items can be retried` });
+    }
+
+    await requeueItems(SEOOptimizationQueue, { _id: queueItem._id });
+
+    res.json(await SEOOptimizationQueue.findById(queueItem._id).populate('product', 'title slug'));
+  } catch (error) {
+    console.error('Error retrying queue item:', error);
+    res.status(500).json({ message: error.message });
+  }
+});
+
 /**
  * @route   POST /api/seo-optimization/process
  * @desc    Process the next SEO optimization queue item
  * @access  Private/Admin
  */
-router.post('/process', async (req, res) => {
+router.post('/process', protect, authorize('admin'), async (req, res) => {
   try {
     const result = await SEOOptimizationService.processNextQueueItem();
     res.json(result);
@@ -128,7 +205,7 @@ router.post('/process', async (req, res) => {
  * @desc    Schedule SEO optimizations
  * @access  Private/Admin
  */
-router.post('/schedule', async (req, res) => {
+router.post('/schedule', protect, authorize('admin'), async (req, res) => {
   try {
     const result = await SEOOptimizationService.scheduleOptimizations();
     res.json(result);
@@ -143,7 +220,7 @@ router.post('/schedule', async (req, res) => {
  * @desc    Check and optimize products based on performance
  * @access  Private/Admin
  */
-router.post('/check-performance', async (req, res) => {
+router.post('/check-performance', protect, authorize('admin'), async (req, res) => {
   try {
     const result = await SEOOptimizationService.checkAndOptimizeByPerformance();
     res.json(result);
@@ -158,7 +235,7 @@ router.post('/check-performance', async (req, res) => {
  * @desc    Optimize a specific product
  * @access  Private/Admin
  */
-router.post('/optimize/:id', async (req, res) => {
+router.post('/optimize/:id', protect, authorize('admin'), async (req, res) => {
   try {
     const { optimizationType = 'refresh' } = req.body;
     
@@ -183,7 +260,7 @@ router.post('/optimize/:id', async (req, res) => {
  * @desc    Get SEO settings
  * @access  Private/Admin
  */
-router.get('/settings', async (req, res) => {
+router.get('/settings', protect, authorize('admin'), async (req, res) => {
   try {
     const settings = await SEOSettings.getSettings();
     res.json(settings);
@@ -198,7 +275,7 @@ router.get('/settings', async (req, res) => {
  * @desc    Update SEO settings
  * @access  Private/Admin
  */
-router.put('/settings', async (req, res) => {
+router.put('/settings', protect, authorize('admin'), async (req, res) => {
   try {
     const settings = await SEOSettings.getSettings();
     
@@ -271,7 +348,7 @@ router.put('/settings', async (req, res) => {
  * @desc    Analyze SEO performance of a product
  * @access  Private/Admin
  */
-router.get('/analyze/:id', async (req, res) => {
+router.get('/analyze/:id', protect, authorize('admin'), async (req, res) => {
   try {
     // Verify product exists
     const product = await Product.findById(req.params.id).populate('category');
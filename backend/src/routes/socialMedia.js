@@ -6,9 +6,11 @@ const SocialMediaSettings = require('../models/SocialMediaSettings');
 const Product = require('../models/Product');
 const BlogPost = require('../models/BlogPost');
 const { check, validationResult } = require('express-validator');
+const { protect, authorize } = require('../middleware/auth');
+const SocialMediaService = require('../services/SocialMediaService');
 
 // Get all social media posts
-router.get('/', async (req, res) => {
+router.get('/', protect, authorize('admin', 'editor'), async (req, res) => {
   try {
     const posts = await SocialMediaPost.find().sort({ createdAt: -1 });
     res.json(posts);
@@ -19,7 +21,7 @@ router.get('/', async (req, res) => {
 });
 
 // Get social media settings
-router.get('/settings', async (req, res) => {
+router.get('/settings', protect, authorize('admin', 'editor'), async (req, res) => {
   try {
     let settings = await SocialMediaSettings.findOne();
     
@@ -37,7 +39,7 @@ router.get('/settings', async (req, res) => {
 });
 
 // Update social media settings
-router.put('/settings', async (req, res) => {
+router.put('/settings', protect, authorize('admin', 'editor'), async (req, res) => {
   try {
     let settings = await SocialMediaSettings.findOne();
     
@@ -67,7 +69,7 @@ router.put('/settings', async (req, res) => {
 });
 
 // Create a new social media post
-router.post('/', [
+router.post('/', protect, authorize('admin', 'editor'), [
   check('content.text', 'Post text is required').not().isEmpty(),
   check('relatedTo.type', 'Related content type is required').not().isEmpty(),
   check('platforms', 'At least one platform must be selected').isArray({ min: 1 })
@@ -104,7 +106,7 @@ router.post('/', [
 });
 
 // Get a specific post
-router.get('/:id', async (req, res) => {
+router.get('/:id', protect, authorize('admin', 'editor'), async (req, res) => {
   try {
     const post = await SocialMediaPost.findById(req.params.id);
     
@@ -130,7 +132,7 @@ router.get('/:id', async (req, res) => {
 });
 
 // Update a post
-router.put('/:id', async (req, res) => {
+router.put('/:id', protect, authorize('admin', 'editor'), async (req, res) => {
   try {
     const post = await SocialMediaPost.findById(req.params.id);
     
@@ -165,7 +167,7 @@ router.put('/:id', async (req, res) => {
 });
 
 // Delete a post
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', protect, authorize('admin', 'editor'), async (req, res) => {
   try {
     const post = await SocialMediaPost.findById(req.params.id);
     
@@ -185,7 +187,7 @@ router.delete('/:id', async (req, res) => {
 });
 
 // Auto-generate post for a product
-router.post('/generate/product/:productId', async (req, res) => {
+router.post('/generate/product/:productId', protect, authorize('admin', 'editor'), async (req, res) => {
   try {
     // Find product
     const product = await Product.findById(req.params.productId);
@@ -260,6 +262,9 @@ router.post('/generate/product/:productId', async (req, res) => {
         .replace('{product_category}', product.category || 'product')
         .replace('{product_use_case}', product.useCase || 'industrial applications');
       
+      // Let the language model rewrite the template text when AI generation is enabled
+      postText = await SocialMediaService.generatePostText(postText, platform.name, { title: product.name, type: 'Product', id: product._id }, settings);
+      
       // Add hashtags
       if (hashtags.length > 0) {
         // Check if the template already includes hashtags
@@ -353,7 +358,7 @@ router.post('/generate/product/:productId', async (req, res) => {
 });
 
 // Auto-generate post for a blog post
-router.post('/generate/blog/:blogId', async (req, res) => {
+router.post('/generate/blog/:blogId', protect, authorize('admin', 'editor'), async (req, res) => {
   try {
     // Find blog post
     const blogPost = await BlogPost.findById(req.params.blogId);
@@ -437,6 +442,9 @@ router.post('/generate/blog/:blogId', async (req, res) => {
         .replace('{blog_short_excerpt}', shortExcerpt)
         .replace('{blog_topic}', blogPost.categories ? blogPost.categories[0] : 'industry topics');
       
+      // Let the language model rewrite the template text when AI generation is enabled
+      postText = await SocialMediaService.generatePostText(postText, platform.name, { title: blogPost.title, type: 'BlogPost', id: blogPost._id }, settings);
+      
       // Add hashtags
       if (hashtags.length > 0) {
         // Check if the template already includes hashtags
@@ -527,62 +535,10 @@ router.post('/generate/blog/:blogId', async (req, res) => {
   }
 });
 
-// Process scheduled posts (for cron job)
-router.post('/process', async (req, res) => {
+// Process scheduled posts now (also run automatically by the job scheduler)
+router.post('/process', protect, authorize('admin', 'editor'), async (req, res) => {
   try {
-    const now = new Date();
-    
-    // Find all scheduled posts due for posting
-    const scheduledPosts = await SocialMediaPost.find({
-      status: 'scheduled',
-      scheduledTime: { $lte: now }
-    });
-    
-    const results = {
-      processed: 0,
-      failed: 0,
-      details: []
-    };
-    
-    // Process each post
-    for (const post of scheduledPosts) {
-      try {
-        // Here you would implement the actual posting logic
-        // For each platform in the post.platforms array
-        
-        // For demonstration, we'll just mark it as posted
-        post.status = 'posted';
-        
-        // Update platform-specific status
-        post.platforms.forEach(platform => {
-          platform.status = 'posted';
-          platform.postedTime = new Date();
-          platform.postId = 'demo_post_id_' + Math.random().toString(36).substring(7);
-          platform.postUrl = `https://${platform.name}.com/demo/post/${platform.postId}`;
-        });
-        
-        await post.save();
-        
-        results.processed += 1;
-        results.details.push({
-          id: post._id,
-          platforms: post.platforms.map(p => p.name),
-          status: 'posted'
-        });
-      } catch (error) {
-        post.status = 'failed';
-        await post.save();
-        
-        results.failed += 1;
-        results.details.push({
-          id: post._id,
-          platforms: post.platforms.map(p => p.name),
-          status: 'failed',
-          error: error.message
-        });
-      }
-    }
-    
+    const results = await SocialMediaService.processScheduledPosts();
     res.json(results);
   } catch (err) {
     console.error(err.message);
@@ -1,39 +1,399 @@
 const express = require('express');
 const router = express.Router();
+const mongoose = require('mongoose');
+const { check, validationResult } = require('express-validator');
+const User = require('../models/User');
+const MailService = require('../services/MailService');
+const config = require('../config/config');
+const { protect, authorize } = require('../middleware/auth');
+const { getValidationErrors } = require('../utils/validationErrors');
+
+/**
+ * Issue a new email verification token for a user and email it
+ * @param {Object} user - User document
+ */
+const sendVerification = async (user) => {
+  const verificationToken = user.getEmailVerificationToken();
+  await user.save({ validateBeforeSave: false });
+
+  try {
+    await MailService.sendVerificationEmail(user, verificationToken);
+  } catch (error) {
+    // The account stays usable for a resend; just report the delivery failure
+    console.error(`Error sending verification email to ${user.email}:`, error);
+  }
+};
+
+/**
+ * Build the token response returned by register and login
+ * @param {Object} user - User document
+ * @returns {Object} Response body
+ */
+const tokenResponse = (user) => ({
+  success: true,
+  token: user.getSignedJwtToken(),
+  user: {
+    id: user._id,
+    name: user.name,
+    email: user.email,
+    role: user.role
+  }
+});
 
 // @route   POST api/users/register
 // @desc    Register user
 // @access  Public
-router.post('/register', (req, res) => {
-  res.json({ message: 'Register user' });
+router.post('/register', [
+  check('name', 'Name is required').not().isEmpty(),
+  check('email', 'Please include a valid email').isEmail(),
+  check('password', 'Password must be at least 6 characters').isLength({ min: 6 })
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+
+  try {
+    const { name, email, password } = req.body;
+
+    const existingUser = await User.findOne({ email: email.toLowerCase() });
+    if (existingUser) {
+      return res.status(400).json({ success: false, message: 'A user with this email already exists' });
+    }
+
+    // The very first account bootstraps the admin; everyone else starts with the lowest role
+    const isFirstUser = (await User.countDocuments()) === 0;
+
+    const user = await User.create({
+      name,
+      email: email.toLowerCase(),
+      password,
+      role: isFirstUser ? 'admin' : 'user'
+    });
+
+    await sendVerification(user);
+
+    if (config.REQUIRE_EMAIL_VERIFICATION) {
+      return res.status(201).json({
+        success: true,
+        message: 'Registration successful. Please check your email to verify your account.'
+      });
+    }
+
+    res.status(201).json(tokenResponse(user));
+  } catch (error) {
+    const validationErrors = getValidationErrors(error);
+    if (validationErrors) {
+      return res.status(400).json({ success: false, errors: validationErrors });
+    }
+
+    console.error('Error registering user:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
 });
 
 // @route   POST api/users/login
 // @desc    Login user & get token
 // @access  Public
-router.post('/login', (req, res) => {
-  res.json({ message: 'Login user' });
+router.post('/login', [
+  check('email', 'Please include a valid email').isEmail(),
+  check('password', 'Password is required').not().isEmpty()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+
+  try {
+    const { email, password } = req.body;
+
+    const user = await User.findOne({ email: email.toLowerCase() }).select('+password');
+
+    if (!user || !(await user.matchPassword(password))) {
+      return res.status(401).json({ success: false, message: 'Invalid credentials' });
+    }
+
+    if (config.REQUIRE_EMAIL_VERIFICATION && !user.isEmailVerified) {
+      return res.status(403).json({ success: false, message: 'Please verify your email address before logging in' });
+    }
+
+    res.json(tokenResponse(user));
+  } catch (error) {
+    console.error('Error logging in user:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// @route   GET api/users/verify-email/:token
+// @desc    Verify email address
+// @access  Public
+router.get('/verify-email/:token', async (req, res) => {
+  try {
+    const user = await User.findOne({
+      emailVerificationToken: User.hashToken(req.params.token),
+      emailVerificationExpire: { $gt: Date.now() }
+    });
+
+    if (!user) {
+      return res.status(400).json({ success: false, message: 'Invalid or expired verification token' });
+    }
+
+    user.isEmailVerified = true;
+    user.emailVerificationToken = undefined;
+    user.emailVerificationExpire = undefined;
+    await user.save({ validateBeforeSave: false });
+
+    res.json(tokenResponse(user));
+  } catch (error) {
+    console.error('Error verifying email:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// @route   POST api/users/resend-verification
+// @desc    Resend the email verification link
+// @access  Public
+router.post('/resend-verification', [
+  check('email', 'Please include a valid email').isEmail()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+
+  try {
+    const user = await User.findOne({ email: req.body.email.toLowerCase() });
+
+    // Respond the same way whether or not the account exists
+    if (user && !user.isEmailVerified) {
+      await sendVerification(user);
+    }
+
+    res.json({ success: true, message: 'If the account exists and is unverified, a verification email has been sent' });
+  } catch (error) {
+    console.error('Error resending verification email:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// @route   POST api/users/forgot-password
+// @desc    Email a password reset link
+// @access  Public
+router.post('/forgot-password', [
+  check('email', 'Please include a valid email').isEmail()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+
+  const genericResponse = { success: true, message: 'If an account exists for this email, a reset link has been sent' };
+
+  try {
+    const user = await User.findOne({ email: req.body.email.toLowerCase() });
+
+    // Respond the same way whether or not the account exists
+    if (!user) {
+      return res.json(genericResponse);
+    }
+
+    const resetToken = user.getResetPasswordToken();
+    await user.save({ validateBeforeSave: false });
+
+    try {
+      await MailService.sendPasswordResetEmail(user, resetToken);
+    } catch (error) {
+      // Don't leave a usable token behind if the user never received it
+      user.resetPasswordToken = undefined;
+      user.resetPasswordExpire = undefined;
+      await user.save({ validateBeforeSave: false });
+
+      console.error(`Error sending password reset email to ${user.email}:`, error);
+      return res.status(500).json({ success: false, message: 'Password reset email could not be sent' });
+    }
+
+    res.json(genericResponse);
+  } catch (error) {
+    console.error('Error requesting password reset:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// @route   PUT api/users/reset-password/:token
+// @desc    Reset password using a reset token
+// @access  Public
+router.put('/reset-password/:token', [
+  check('password', 'Password must be at least 6 characters').isLength({ min: 6 })
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+
+  try {
+    const user = await User.findOne({
+      resetPasswordToken: User.hashToken(req.params.token),
+      resetPasswordExpire: { $gt: Date.now() }
+    });
+
+    if (!user) {
+      return res.status(400).json({ success: false, message: 'Invalid or expired reset token' });
+    }
+
+    user.password = req.body.password;
+    user.resetPasswordToken = undefined;
+    user.resetPasswordExpire = undefined;
+
+    // Receiving the reset link proves ownership of the address
+    user.isEmailVerified = true;
+
+    // Sign out every session, including any opened with a stolen token
+    user.revokeTokens();
+
+    await user.save();
+
+    res.json(tokenResponse(user));
+  } catch (error) {
+    console.error('Error resetting password:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
 });
 
 // @route   GET api/users/me
 // @desc    Get current user profile
 // @access  Private
-router.get('/me', (req, res) => {
-  res.json({ message: 'Get current user profile' });
+router.get('/me', protect, async (req, res) => {
+  res.json({ success: true, user: req.user });
 });
 
 // @route   PUT api/users/me
-// @desc    Update user profile
+// @desc    Update user profile. Changing the email or password needs the current password.
 // @access  Private
-router.put('/me', (req, res) => {
-  res.json({ message: 'Update user profile' });
+router.put('/me', protect, [
+  check('name', 'Name cannot be empty').optional().not().isEmpty(),
+  check('email', 'Please include a valid email').optional().isEmail(),
+  check('password', 'Password must be at least 6 characters').optional().isLength({ min: 6 })
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+
+  try {
+    const { name, email, password, currentPassword } = req.body || {};
+    const user = await User.findById(req.user._id).select('+password');
+
+    const emailChanged = !!email && email.toLowerCase() !== user.email;
+
+    // A token on its own must not be enough to take over the account
+    if ((password || emailChanged) && !(currentPassword && await user.matchPassword(currentPassword))) {
+      return res.status(401).json({ success: false, message: 'Current password is incorrect' });
+    }
+
+    if (emailChanged) {
+      const existingUser = await User.findOne({ email: email.toLowerCase() });
+      if (existingUser) {
+        return res.status(400).json({ success: false, message: 'A user with this email already exists' });
+      }
+    }
+
+    if (name) user.name = name;
+    if (password) user.password = password;
+
+    // A new address has to be verified again
+    if (emailChanged) {
+      user.email = email.toLowerCase();
+      user.isEmailVerified = false;
+    }
+
+    // Tokens issued for the old credentials stop working
+    if (password || emailChanged) {
+      user.revokeTokens();
+    }
+
+    await user.save();
+
+    if (emailChanged) {
+      await sendVerification(user);
+    }
+
+    // Never send the password hash back
+    user.password = undefined;
+
+    const body = { success: true, user };
+
+    // Keep this session signed in, unless the new address has to be verified first
+    if ((password || emailChanged) && !(config.REQUIRE_EMAIL_VERIFICATION && !user.isEmailVerified)) {
+      body.token = user.getSignedJwtToken();
+    }
+
+    res.json(body);
+  } catch (error) {
+    const validationErrors = getValidationErrors(error);
+    if (validationErrors) {
+      return res.status(400).json({ success: false, errors: validationErrors });
+    }
+
+    console.error('Error updating user profile:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
 });
 
 // @route   GET api/users
 // @desc    Get all users (admin only)
 // @access  Private/Admin
-router.get('/', (req, res) => {
-  res.json({ message: 'Get all users (admin only)' });
+router.get('/', protect, authorize('admin'), async (req, res) => {
+  try {
+    const query = {};
+
+    if (req.query.role) {
+      query.role = req.query.role;
+    }
+
+    const users = await User.find(query).sort({ createdAt: -1 });
+
+    res.json({ success: true, users });
+  } catch (error) {
+    console.error('Error getting users:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// @route   PUT api/users/:id/role
+// @desc    Change a user's role (admin only)
+// @access  Private/Admin
+router.put('/:id/role', protect, authorize('admin'), [
+  check('role', 'Role is required').isIn(User.schema.path('role').enumValues)
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+
+    // Stop admins from locking themselves out
+    if (String(user._id) === String(req.user._id) && req.body.role !== 'admin') {
+      return res.status(400).json({ success: false, message: 'You cannot remove your own admin role' });
+    }
+
+    user.role = req.body.role;
+    await user.save();
+
+    res.json({ success: true, user });
+  } catch (error) {
+    console.error(`Error updating role for user ${req.params.id}:`, error);
+    res.status(500).json({ success: false, message: error.message });
+  }
 });
 
 module.exports = router;
@@ -21,6 +21,14 @@ const inquiryRoutes = require('./routes/inquiry');
 const socialMediaRoutes = require('./routes/socialMedia');
 const analyticsRoutes = require('./routes/analytics');
 const imagesRoutes = require('./routes/images');
+const jobRoutes = require('./routes/jobs');
+const promptTemplateRoutes = require('./routes/promptTemplates');
+const purchaseOrderRoutes = require('./routes/purchaseOrders');
+
+// Import services
+const SchedulerService = require('./services/SchedulerService');
+const StockReservationService = require('./services/StockReservationService');
+const config = require('./config/config');
 
 // Initialize Express app
 const app = express();
@@ -40,7 +48,19 @@ const connectDB = async () => {
   }
 };
 
-connectDB();
+connectDB().then(async () => {
+  // Count the stock held by reservations made before inventory records kept a reserved level
+  try {
+    await StockReservationService.backfillReservedLevels();
+  } catch (error) {
+    console.error('Error backfilling reserved stock levels:', error);
+  }
+
+  // Start the recurring automation jobs once the database is available
+  if (config.SCHEDULER_ENABLED) {
+    SchedulerService.start();
+  }
+});
 
 // Middleware
 app.use(express.json({ extended: false }));
@@ -63,6 +83,9 @@ app.use('/api/inquiry', inquiryRoutes);
 app.use('/api/social-media', socialMediaRoutes);
 app.use('/api/analytics', analyticsRoutes);
 app.use('/api/images', imagesRoutes);
+app.use('/api/jobs', jobRoutes);
+app.use('/api/prompt-templates', promptTemplateRoutes);
+app.use('/api/purchase-orders', purchaseOrderRoutes);
 
 // Basic route for testing
 app.get('/', (req, res) => {
@@ -0,0 +1,225 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const AIUsage = require('../models/AIUsage');
+const AutomationSettings = require('../models/AutomationSettings');
+const { estimateCost } = require('../utils/aiPricing');
+
+/**
+ * Start of the calendar month (UTC) containing a date
+ * @param {Date} date - Date in the month
+ * @returns {Date} First instant of the month
+ */
+const startOfMonth = (date) => new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1));
+
+/**
+ * Service for recording AI usage, estimating its cost and enforcing monthly budget caps
+ */
+class AIUsageService {
+  /**
+   * Initialize the AI usage service
+   */
+  constructor() {
+    // Carries the entity being worked on through nested generation calls
+    this.context = new AsyncLocalStorage();
+  }
+
+  /**
+   * Run a function with usage context, so every AI call made inside it is attributed
+   * to the given entity (useful when the calls happen several layers down)
+   * @param {Object} context - Usage context, e.g. { entity: { type: 'Product', id } }
+   * @param {Function} fn - Async function to run
+   * @returns {Promise<*>} Result of fn
+   */
+  withContext(context, fn) {
+    return this.context.run({ ...this.context.getStore(), ...context }, fn);
+  }
+
+  /**
+   * Record one AI call. Accounting problems are logged, never thrown, so they can't
+   * break generation.
+   * @param {Object} usage - Call details
+   * @param {String} usage.subsystem - product_generation, blog, seo, social or image
+   * @param {String} usage.task - Task name, e.g. 'product.faqs'
+   * @param {String} usage.provider - Provider name
+   * @param {String} usage.model - Model name
+   * @param {Number} usage.inputTokens - Prompt tokens
+   * @param {Number} usage.outputTokens - Completion tokens
+   * @param {Number} usage.imageCount - Images generated
+   * @param {Object} usage.entity - Record the call was for ({ type, id }), defaults to the context's
+   * @param {Object} usage.promptTemplate - Prompt template version used ({ name, version })
+   * @returns {Promise<Object>} Usage record, or null if it could not be saved
+   */
+  async record(usage) {
+    try {
+      const store = this.context.getStore() || {};
+      const { cost, priced } = estimateCost(usage);
+
+      if (!priced) {
+        console.warn(`No price known for AI model ${usage.model}; its usage is recorded at no cost`);
+      }
+
+      return await AIUsage.create({
+        subsystem: usage.subsystem,
+        task: usage.task,
+        provider: usage.provider,
+        model: usage.model,
+        inputTokens: usage.inputTokens || 0,
+        outputTokens: usage.outputTokens || 0,
+        imageCount: usage.imageCount || 0,
+        estimatedCost: cost,
+        priced,
+        entity: usage.entity || store.entity,
+        promptTemplate: usage.promptTemplate
+      });
+    } catch (error) {
+      console.error('Error recording AI usage:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Spend so far this month, overall and per subsystem
+   * @param {Date} now - Current time
+   * @returns {Promise<Object>} { total, bySubsystem }
+   */
+  async getMonthToDateSpend(now = new Date()) {
+    const rows = await AIUsage.aggregate([
+      { $match: { createdAt: { $gte: startOfMonth(now) } } },
+      { $group: { _id: '$subsystem', cost: { $sum: '$estimatedCost' } } }
+    ]);
+
+    const bySubsystem = {};
+    AIUsage.SUBSYSTEMS.forEach(subsystem => {
+      bySubsystem[subsystem] = 0;
+    });
+
+    let total = 0;
+    rows.forEach(row => {
+      bySubsystem[row._id] = row.cost;
+      total += row.cost;
+    });
+
+    return { total, bySubsystem };
+  }
+
+  /**
+   * Compare this month's spend with the caps in AutomationSettings.aiBudget
+   * @param {Date} now - Current time
+   * @returns {Promise<Object>} Budget status, with a paused flag per subsystem
+   */
+  async getBudgetStatus(now = new Date()) {
+    const [{ aiBudget }, spend] = await Promise.all([
+      AutomationSettings.getSettings(),
+      this.getMonthToDateSpend(now)
+    ]);
+
+    const overallExceeded = aiBudget.enabled && aiBudget.monthlyLimit > 0 && spend.total >= aiBudget.monthlyLimit;
+
+    const subsystems = {};
+    AIUsage.SUBSYSTEMS.forEach(subsystem => {
+      const limit = aiBudget.subsystemLimits[subsystem] || 0;
+      const spent = spend.bySubsystem[subsystem];
+      const exceeded = aiBudget.enabled && limit > 0 && spent >= limit;
+
+      subsystems[subsystem] = {
+        spent,
+        limit,
+        paused: overallExceeded || exceeded
+      };
+    });
+
+    return {
+      enabled: aiBudget.enabled,
+      periodStart: startOfMonth(now),
+      spent: spend.total,
+      monthlyLimit: aiBudget.monthlyLimit,
+      exceeded: overallExceeded,
+      subsystems
+    };
+  }
+
+  /**
+   * Whether automated generation for a subsystem is paused by the budget
+   * @param {String} subsystem - Subsystem name
+   * @returns {Promise<Boolean>} True if a cap has been reached
+   */
+  async isPaused(subsystem) {
+    const status = await this.getBudgetStatus();
+    const paused = status.subsystems[subsystem].paused;
+
+    if (paused) {
+      console.log(`Monthly AI budget reached; ${subsystem} automation is paused`);
+    }
+
+    return paused;
+  }
+
+  /**
+   * Usage and estimated spend for a period, broken down by subsystem, day and model
+   * @param {Object} options - Report options
+   * @param {Date} options.from - Start of the period (inclusive)
+   * @param {Date} options.to - End of the period (exclusive)
+   * @param {String} options.subsystem - Only include one subsystem
+   * @returns {Promise<Object>} Usage report
+   */
+  async getUsageReport({ from, to, subsystem }) {
+    const match = { createdAt: { $gte: from, $lt: to } };
+    if (subsystem) {
+      match.subsystem = subsystem;
+    }
+
+    const totals = {
+      calls: { $sum: 1 },
+      inputTokens: { $sum: '$inputTokens' },
+      outputTokens: { $sum: '$outputTokens' },
+      imageCount: { $sum: '$imageCount' },
+      estimatedCost: { $sum: '$estimatedCost' }
+    };
+
+    const [result] = await AIUsage.aggregate([
+      { $match: match },
+      {
+        $facet: {
+          totals: [{ $group: { _id: null, ...totals } }],
+          bySubsystem: [
+            { $group: { _id: '$subsystem', ...totals } },
+            { $sort: { estimatedCost: -1 } }
+          ],
+          byDay: [
+            {
+              $group: {
+                _id: {
+                  date: { $dateToString: { format: '%Y-%m-%d', date: '$createdAt' } },
+                  subsystem: '$subsystem'
+                },
+                ...totals
+              }
+            },
+            { $sort: { '_id.date': 1, '_id.subsystem': 1 } }
+          ],
+          byModel: [
+            { $group: { _id: { provider: '$provider', model: '$model' }, ...totals } },
+            { $sort: { estimatedCost: -1 } }
+          ],
+          unpricedCalls: [
+            { $match: { priced: false } },
+            { $count: 'count' }
+          ]
+        }
+      }
+    ]);
+
+    const strip = ({ _id, ...values }) => values;
+    const empty = { calls: 0, inputTokens: 0, outputTokens: 0, imageCount: 0, estimatedCost: 0 };
+
+    return {
+      period: { from, to },
+      totals: result.totals.length > 0 ? strip(result.totals[0]) : empty,
+      bySubsystem: result.bySubsystem.map(row => ({ subsystem: row._id, ...strip(row) })),
+      byDay: result.byDay.map(row => ({ date: row._id.date, subsystem: row._id.subsystem, ...strip(row) })),
+      byModel: result.byModel.map(row => ({ provider: row._id.provider, model: row._id.model, ...strip(row) })),
+      unpricedCalls: result.unpricedCalls.length > 0 ? result.unpricedCalls[0].count : 0
+    };
+  }
+}
+
+module.exports = new AIUsageService();
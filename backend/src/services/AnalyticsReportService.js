@@ -0,0 +1,159 @@
+const AnalyticsData = require('../models/AnalyticsData');
+const AnalyticsSettings = require('../models/AnalyticsSettings');
+const { DAY_NAMES, atTimeOfDay } = require('../utils/schedule');
+
+// How close to its configured time a report must be to count as due
+const SCHEDULE_WINDOW_MS = 5 * 60 * 1000;
+
+/**
+ * Service for generating the scheduled analytics reports
+ */
+class AnalyticsReportService {
+  /**
+   * Get the analytics settings, creating the defaults if needed
+   * @returns {Object} Analytics settings
+   */
+  async getSettings() {
+    let settings = await AnalyticsSettings.findOne();
+    if (!settings) {
+      settings = new AnalyticsSettings();
+      await settings.save();
+    }
+    return settings;
+  }
+
+  /**
+   * Work out which reports are due at a given time
+   * @param {Object} settings - Analytics settings
+   * @param {Date} now - Time to evaluate the schedule at
+   * @returns {Array} Reports with type, date range and recipients
+   */
+  getDueReports(settings, now) {
+    const reports = [];
+    const isDue = (time) => Math.abs(now - atTimeOfDay(now, time)) < SCHEDULE_WINDOW_MS;
+
+    // Daily report covers yesterday
+    const daily = settings.reportGeneration.daily;
+    if (daily.enabled && isDue(daily.time)) {
+      const startDate = new Date(now);
+      startDate.setDate(startDate.getDate() - 1);
+      startDate.setHours(0, 0, 0, 0);
+
+      const endDate = new Date(now);
+      endDate.setDate(endDate.getDate() - 1);
+      endDate.setHours(23, 59, 59, 999);
+
+      reports.push({ type: 'daily', startDate, endDate, recipients: daily.recipients });
+    }
+
+    // Weekly report covers the previous seven days
+    const weekly = settings.reportGeneration.weekly;
+    if (weekly.enabled && DAY_NAMES[now.getDay()] === weekly.day && isDue(weekly.time)) {
+      const startDate = new Date(now);
+      startDate.setDate(startDate.getDate() - 7);
+      startDate.setHours(0, 0, 0, 0);
+
+      const endDate = new Date(now);
+      endDate.setDate(endDate.getDate() - 1);
+      endDate.setHours(23, 59, 59, 999);
+
+      reports.push({ type: 'weekly', startDate, endDate, recipients: weekly.recipients });
+    }
+
+    // Monthly report covers the previous calendar month
+    const monthly = settings.reportGeneration.monthly;
+    if (monthly.enabled && now.getDate() === monthly.dayOfMonth && isDue(monthly.time)) {
+      const startDate = new Date(now);
+      startDate.setMonth(startDate.getMonth() - 1);
+      startDate.setDate(1);
+      startDate.setHours(0, 0, 0, 0);
+
+      const endDate = new Date(now);
+      endDate.setDate(0); // Last day of previous month
+      endDate.setHours(23, 59, 59, 999);
+
+      reports.push({ type: 'monthly', startDate, endDate, recipients: monthly.recipients });
+    }
+
+    return reports;
+  }
+
+  /**
+   * Generate the reports that are due at a given time
+   * @param {Date} now - Time to evaluate the schedule at (defaults to now)
+   * @returns {Object} Generation results
+   */
+  async generateScheduledReports(now = new Date()) {
+    try {
+      console.log(`Generating scheduled analytics reports for ${now.toISOString()}`);
+
+      const settings = await this.getSettings();
+      const reports = this.getDueReports(settings, now);
+
+      const results = {
+        scheduled: reports.length,
+        generated: 0,
+        details: []
+      };
+
+      for (const report of reports) {
+        try {
+          // Check if report already exists
+          const existingReport = await AnalyticsData.findOne({
+            'dateRange.start': report.startDate,
+            'dateRange.end': report.endDate,
+            'metadata.reportType': report.type
+          });
+
+          if (!existingReport) {
+            // In a real implementation, this would generate the report and send emails
+            // For demonstration, we'll just create a placeholder
+            const newReport = new AnalyticsData({
+              dateRange: {
+                start: report.startDate,
+                end: report.endDate
+              },
+              metadata: {
+                reportType: report.type,
+                generatedAt: new Date(),
+                generatedBy: 'system'
+              }
+            });
+
+            await newReport.save();
+
+            results.generated += 1;
+            results.details.push({
+              type: report.type,
+              startDate: report.startDate,
+              endDate: report.endDate,
+              status: 'generated'
+            });
+          } else {
+            results.details.push({
+              type: report.type,
+              startDate: report.startDate,
+              endDate: report.endDate,
+              status: 'already exists'
+            });
+          }
+        } catch (error) {
+          results.details.push({
+            type: report.type,
+            startDate: report.startDate,
+            endDate: report.endDate,
+            status: 'failed',
+            error: error.message
+          });
+        }
+      }
+
+      return results;
+    } catch (error) {
+      console.error('Error generating scheduled analytics reports:', error);
+      throw new Error(`Failed to generate scheduled reports: ${error.message}`);
+    }
+  }
+}
+
+module.exports = new AnalyticsReportService();
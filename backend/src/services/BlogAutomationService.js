@@ -1,11 +1,23 @@
-const openai = require('openai');
-const config = require('../config/config');
 const BlogPost = require('../models/BlogPost');
 const BlogTopic = require('../models/BlogTopic');
 const BlogAutomationSettings = require('../models/BlogAutomationSettings');
 const Product = require('../models/Product');
 const Category = require('../models/Category');
 const MailchimpService = require('./MailchimpService');
+const LLMService = require('./LLMService');
+const AIUsageService = require('./AIUsageService');
+const PromptTemplateService = require('./PromptTemplateService');
+const SearchAnalyticsService = require('./SearchAnalyticsService');
+const ProductRecommendationService = require('./ProductRecommendationService');
+const { renderTemplate } = require('../utils/promptTemplate');
+
+// How each content type is described in prompts
+const CONTENT_TYPE_LABELS = {
+  product: 'product-focused article',
+  how_to: 'how-to guide',
+  case_study: 'case study',
+  industry_news: 'industry news article'
+};
 
 /**
  * Service for managing blog content generation and automation
@@ -15,9 +27,6 @@ class BlogAutomationService {
    * Initialize the blog automation service
    */
   constructor() {
-    // Initialize OpenAI client
-    this.openai = new openai.OpenAIApi(config.OPENAI_API_KEY);
-    
     // Cache for settings to avoid frequent DB queries
     this.settingsCache = null;
     this.settingsCacheExpiry = null;
@@ -48,6 +57,37 @@ class BlogAutomationService {
     return settings;
   }
 
+  /**
+   * Get the LLM provider options from the content generation API settings
+   * @param {Object} settings - Blog automation settings
+   * @returns {Promise<Object>} Options for LLMService.complete
+   * @private
+   */
+  async _getLLMOptions(settings) {
+    // The API key is not selected by default, so it is never part of the cached settings
+    const withKey = await BlogAutomationSettings.findById(settings._id).select('+contentGenerationAPI.apiKey');
+    const api = withKey ? withKey.contentGenerationAPI : settings.contentGenerationAPI;
+
+    return {
+      provider: api.provider,
+      model: api.model,
+      apiKey: api.apiKey,
+      baseUrl: api.baseUrl
+    };
+  }
+
+  /**
+   * Fill in the brief configured for a content type (contentTypes[type].promptTemplate).
+   * Placeholders without a value are left for the model to interpret.
+   * @param {Object} contentTypeSettings - Settings for the content type
+   * @param {Object} values - Values for {product_name}, {topic} and {client_name}
+   * @returns {String} Article brief
+   * @private
+   */
+  _renderArticleBrief(contentTypeSettings, values) {
+    return renderTemplate(contentTypeSettings.promptTemplate || '', values);
+  }
+
   /**
    * Generate blog topic suggestions
    * @param {Object} options - Options for topic generation
@@ -64,6 +104,10 @@ class BlogAutomationService {
         return { success: false, message: 'Topic generation is disabled in settings' };
       }
       
+      if (await AIUsageService.isPaused('blog')) {
+        return { success: false, message: 'Monthly AI budget reached; blog generation is paused' };
+      }
+      
       const count = options.count || topicGenSettings.topicsPerBatch;
       const contentTypes = options.contentTypes || Object.keys(settings.contentTypes)
         .filter(type => settings.contentTypes[type].enabled);
@@ -92,6 +136,16 @@ class BlogAutomationService {
         }
       }
       
+      // Generate topics based on storefront searches if enabled and we still need more topics
+      if (topicGenSettings.basedOnSearches && topics.length < count) {
+        const searchTopics = await this._generateTopicsFromSearches(
+          count - topics.length,
+          contentTypes
+        );
+        
+        topics.push(...searchTopics);
+      }
+      
       // Generate topics based on trends if enabled and we still need more topics
       if (topicGenSettings.basedOnTrends && topics.length < count) {
         const trendTopics = await this._generateTopicsFromTrends(
@@ -130,59 +184,33 @@ class BlogAutomationService {
   async _generateTopicFromProduct(product, contentType) {
     try {
       const settings = await this.getSettings();
-      const promptTemplate = settings.contentTypes[contentType].promptTemplate;
-      
-      // Create a prompt based on the product and content type
-      let prompt;
-      
-      switch (contentType) {
-        case 'product':
-          prompt = `Generate a blog topic idea for a product-focused article about ${product.title}. 
-                   The topic should highlight the product's features, benefits, and use cases. 
-                   Include a compelling title and brief description.`;
-          break;
-        case 'how_to':
-          prompt = `Generate a blog topic idea for a how-to guide related to ${product.title}. 
-                   The topic should focus on practical instructions, tips, and best practices. 
-                   Include a compelling title and brief description.`;
-          break;
-        case 'case_study':
-          prompt = `Generate a blog topic idea for a case study featuring ${product.title}. 
-                   The topic should focus on a hypothetical customer success story. 
-                   Include a compelling title and brief description.`;
-          break;
-        case 'industry_news':
-          prompt = `Generate a blog topic idea for an industry news article related to ${product.category ? product.category.name : 'coating machines'}. 
-                   The topic should connect industry trends to our products like ${product.title}. 
-                   Include a compelling title and brief description.`;
-          break;
-        default:
-          prompt = `Generate a blog topic idea related to ${product.title}. 
-                   Include a compelling title and brief description.`;
-      }
+      const categoryName = product.category && product.category.name ? product.category.name : undefined;
+      
+      const { prompt, template } = await PromptTemplateService.render('blog.topic', {
+        content_type: CONTENT_TYPE_LABELS[contentType] || contentType,
+        product_name: product.title,
+        category_name: categoryName,
+        article_brief: this._renderArticleBrief(settings.contentTypes[contentType], {
+          product_name: product.title,
+          topic: categoryName || product.title
+        })
+      });
       
-      // Add instructions for the response format
-      prompt += `\n\nFormat your response as JSON with the following structure:
-                {
-                  "title": "The blog post title",
-                  "description": "A brief description of the blog post (100-200 words)",
-                  "primaryKeyword": "The main keyword to target",
-                  "secondaryKeywords": ["keyword1", "keyword2", "keyword3"],
-                  "outline": "A brief outline of the main sections of the blog post"
-                }`;
-      
-      // Generate the topic using OpenAI
-      const response = await this.openai.createCompletion({
-        model: settings.contentGenerationAPI.model,
+      // Generate the topic
+      const response = await LLMService.complete({
+        task: 'blog.topic',
         prompt,
-        max_tokens: 1000,
+        template,
         temperature: 0.7,
-        n: 1
-      });
+        maxTokens: 1000,
+        json: true,
+        context: { title: product.title, keywords: product.keywords },
+        entity: { type: 'Product', id: product._id }
+      }, await this._getLLMOptions(settings));
       
       // Parse the response
-      const responseText = response.data.choices[0].text.trim();
-      const topicData = JSON.parse(responseText);
+      const responseText = response.text;
+      const topicData = LLMService.parseJSON(responseText);
       
       // Create a new topic in the database
       const topic = await BlogTopic.create({
@@ -240,18 +268,18 @@ class BlogAutomationService {
                        ...
                      ]`;
       
-      // Generate the topics using OpenAI
-      const response = await this.openai.createCompletion({
-        model: settings.contentGenerationAPI.model,
+      // Generate the topics
+      const response = await LLMService.complete({
+        task: 'blog.topics',
         prompt,
-        max_tokens: 2000,
         temperature: 0.8,
-        n: 1
-      });
+        maxTokens: 2000,
+        context: { count, contentTypes }
+      }, await this._getLLMOptions(settings));
       
       // Parse the response
-      const responseText = response.data.choices[0].text.trim();
-      const topicsData = JSON.parse(responseText);
+      const responseText = response.text;
+      const topicsData = LLMService.parseJSON(responseText);
       
       // Create the topics in the database
       const topics = [];
@@ -319,18 +347,18 @@ class BlogAutomationService {
                        ...
                      ]`;
       
-      // Generate the topics using OpenAI
-      const response = await this.openai.createCompletion({
-        model: settings.contentGenerationAPI.model,
+      // Generate the topics
+      const response = await LLMService.complete({
+        task: 'blog.topics',
         prompt,
-        max_tokens: 2000,
         temperature: 0.8,
-        n: 1
-      });
+        maxTokens: 2000,
+        context: { count, contentTypes }
+      }, await this._getLLMOptions(settings));
       
       // Parse the response
-      const responseText = response.data.choices[0].text.trim();
-      const topicsData = JSON.parse(responseText);
+      const responseText = response.text;
+      const topicsData = LLMService.parseJSON(responseText);
       
       // Create the topics in the database
       const topics = [];
@@ -368,6 +396,87 @@ class BlogAutomationService {
     }
   }
 
+  /**
+   * Generate blog topics answering what visitors search the storefront for, giving
+   * priority to searches that found no products
+   * @param {Number} count - Number of topics to generate
+   * @param {Array} contentTypes - Types of content to generate
+   * @returns {Promise<Array>} Array of generated topics
+   * @private
+   */
+  async _generateTopicsFromSearches(count, contentTypes) {
+    try {
+      const searchTerms = await SearchAnalyticsService.getTopicSeeds({ limit: 10 });
+      
+      if (searchTerms.length === 0) {
+        return [];
+      }
+      
+      const settings = await this.getSettings();
+      
+      // Create a prompt to generate search-based topics
+      const prompt = `Generate ${count} blog topic ideas for a coating machines business that answer what visitors 
+                     search our website for. Recent searches: ${searchTerms.join(', ')}.
+                     
+                     For each topic, include a compelling title, brief description, primary keyword, 
+                     3-5 secondary keywords, and a brief outline of the main sections.
+                     
+                     The topics should be distributed across these content types: ${contentTypes.join(', ')}.
+                     
+                     Format your response as JSON with the following structure:
+                     [
+                       {
+                         "title": "The blog post title",
+                         "description": "A brief description of the blog post (100-200 words)",
+                         "contentType": "one of: product, industry_news, how_to, case_study",
+                         "primaryKeyword": "The main keyword to target",
+                         "secondaryKeywords": ["keyword1", "keyword2", "keyword3"],
+                         "outline": "A brief outline of the main sections of the blog post"
+                       },
+                       ...
+                     ]`;
+      
+      // Generate the topics
+      const response = await LLMService.complete({
+        task: 'blog.topics',
+        prompt,
+        temperature: 0.8,
+        maxTokens: 2000,
+        context: { count, contentTypes, keywords: searchTerms }
+      }, await this._getLLMOptions(settings));
+      
+      // Parse the response
+      const topicsData = LLMService.parseJSON(response.text);
+      
+      // Create the topics in the database
+      const topics = [];
+      
+      for (const topicData of topicsData.slice(0, count)) {
+        const topic = await BlogTopic.create({
+          title: topicData.title,
+          description: topicData.description,
+          contentType: topicData.contentType,
+          primaryKeyword: topicData.primaryKeyword,
+          secondaryKeywords: topicData.secondaryKeywords,
+          outline: topicData.outline,
+          automation: {
+            isAutoGenerated: true,
+            generationMethod: 'search_based',
+            generationSource: `Site searches: ${searchTerms.join(', ')}`,
+            generationDate: new Date()
+          }
+        });
+        
+        topics.push(topic);
+      }
+      
+      return topics;
+    } catch (error) {
+      console.error('Error generating topics from searches:', error);
+      return [];
+    }
+  }
+
   /**
    * Generate a blog post draft from a topic
    * @param {String} topicId - ID of the topic to generate content for
@@ -393,96 +502,45 @@ class BlogAutomationService {
         return { success: false, message: `Content type ${topic.contentType} is disabled or not found` };
       }
       
-      // Create a prompt for the blog post
-      let prompt = `Write a comprehensive blog post with the title "${topic.title}".
-                   
-                   Content type: ${topic.contentType}
-                   Primary keyword: ${topic.primaryKeyword}
-                   Secondary keywords: ${topic.secondaryKeywords.join(', ')}
-                   
-                   Use this outline as a guide:
-                   ${topic.outline}
-                   
-                   The blog post should be between ${contentTypeSettings.minWordCount} and ${contentTypeSettings.maxWordCount} words.
-                   
-                   Include the following elements:
-                   - An engaging introduction that hooks the reader
-                   - Well-structured sections with appropriate H2 and H3 headings
-                   - Practical information and actionable advice
-                   - A compelling conclusion with a call to action
-                   
-                   Format the content with proper HTML tags for headings, paragraphs, lists, etc.`;
-      
-      // Add specific instructions based on content type
-      switch (topic.contentType) {
-        case 'product':
-          if (topic.relatedProducts && topic.relatedProducts.length > 0) {
-            const product = topic.relatedProducts[0];
-            prompt += `\n\nThis is a product-focused article about ${product.title}.
-                      Include these product details in your content:
-                      - Product name: ${product.title}
-                      - Key features: ${product.features ? product.features.join(', ') : 'high quality, durable, efficient'}
-                      - Main benefits: improved efficiency, cost savings, better quality results
-                      
-                      Focus on the product's unique selling points and how it solves customer problems.
-                      Do NOT include any pricing information.
-                      Include a call-to-action encouraging readers to inquire about the product.`;
-          }
-          break;
-        
-        case 'how_to':
-          prompt += `\n\nThis is a how-to guide. Structure it with these elements:
-                    - Clear, step-by-step instructions
-                    - Tips and best practices
-                    - Common mistakes to avoid
-                    - Troubleshooting advice
-                    - Safety considerations
-                    
-                    Make the content practical and actionable, positioning our company as an expert in the field.`;
-          break;
-        
-        case 'case_study':
-          prompt += `\n\nThis is a case study. Structure it with these elements:
-                    - Background information about the client (you can create a fictional but realistic client)
-                    - The challenge or problem they faced
-                    - The solution implemented (using our products)
-                    - The implementation process
-                    - Results and benefits achieved
-                    - Client testimonial (create a realistic quote)
-                    
-                    Focus on demonstrating real-world value and success stories.`;
-          break;
-        
-        case 'industry_news':
-          prompt += `\n\nThis is an industry news article. Structure it with these elements:
-                    - Recent developments or trends in the coating industry
-                    - Expert insights and analysis
-                    - Implications for businesses in the industry
-                    - How our products relate to these developments
-                    
-                    Position our company as knowledgeable and up-to-date with industry developments.`;
-          break;
+      if (await AIUsageService.isPaused('blog')) {
+        return { success: false, message: 'Monthly AI budget reached; blog generation is paused' };
       }
       
-      // Add SEO instructions
-      prompt += `\n\nOptimize the content for SEO:
-                - Use the primary keyword in the first paragraph, at least one H2 heading, and throughout the content naturally
-                - Include secondary keywords throughout the content
-                - Keep paragraphs and sentences relatively short for readability
-                - Use bullet points and numbered lists where appropriate
-                - Include a meta description (150-160 characters) that includes the primary keyword`;
-      
-      // Generate the blog post using OpenAI
-      const response = await this.openai.createCompletion({
-        model: settings.contentGenerationAPI.model,
+      const relatedProduct = topic.relatedProducts && topic.relatedProducts.length > 0
+        ? topic.relatedProducts[0]
+        : null;
+      
+      const { prompt, template } = await PromptTemplateService.render('blog.post', {
+        title: topic.title,
+        content_type: CONTENT_TYPE_LABELS[topic.contentType] || topic.contentType,
+        primary_keyword: topic.primaryKeyword,
+        secondary_keywords: topic.secondaryKeywords,
+        outline: topic.outline,
+        min_words: contentTypeSettings.minWordCount,
+        max_words: contentTypeSettings.maxWordCount,
+        article_brief: this._renderArticleBrief(contentTypeSettings, {
+          product_name: relatedProduct ? relatedProduct.title : topic.title,
+          topic: topic.title
+        }),
+        related_product: relatedProduct ? relatedProduct.title : undefined,
+        related_product_features: relatedProduct && relatedProduct.features
+          ? relatedProduct.features.map(feature => feature.title)
+          : undefined
+      });
+      
+      // Generate the blog post
+      const response = await LLMService.complete({
+        task: 'blog.post',
         prompt,
-        max_tokens: 4000,
+        template,
         temperature: 0.7,
-        n: 1
-      });
+        maxTokens: 4000,
+        context: { title: topic.title, keywords: [topic.primaryKeyword] },
+        entity: { type: 'BlogTopic', id: topic._id }
+      }, await this._getLLMOptions(settings));
       
       // Parse the response
-      const content = response.data.choices[0].text.trim();
+      const content = response.text;
       
       // Generate meta tags
       const metaTags = await this._generateMetaTags(topic, content);
@@ -507,7 +565,7 @@ class BlogAutomationService {
         },
         categories: topic.relatedCategories,
         tags: [...topic.secondaryKeywords],
-        relatedProducts: topic.relatedProducts,
+        relatedProducts: await this._getRelatedProductIds(topic),
         seo: {
           metaTitle: metaTags.title,
           metaDescription: metaTags.description,
@@ -518,6 +576,7 @@ class BlogAutomationService {
         automation: {
           isAutoGenerated: true,
           generationPrompt: prompt,
+          promptTemplates: [template],
           generationKeywords: [topic.primaryKeyword, ...topic.secondaryKeywords],
           generationDate: new Date(),
           reviewStatus: 'pending'
@@ -538,6 +597,31 @@ class BlogAutomationService {
     }
   }
 
+  /**
+   * Products to show with a post: the topic's own products, followed by the products
+   * most related to its main product
+   * @param {Object} topic - Topic with its related products populated
+   * @returns {Promise<Array>} Product IDs
+   * @private
+   */
+  async _getRelatedProductIds(topic) {
+    const productIds = (topic.relatedProducts || []).map(product => product._id || product);
+    if (productIds.length === 0) {
+      return productIds;
+    }
+    
+    try {
+      const related = await ProductRecommendationService.getRelatedProducts(productIds[0], {
+        limit: 3,
+        exclude: productIds
+      });
+      return [...productIds, ...related.map(item => item.product._id)];
+    } catch (error) {
+      console.error(`Error finding related products for topic ${topic._id}:`, error);
+      return productIds;
+    }
+  }
+
   /**
    * Generate meta tags for a blog post
    * @param {Object} topic - The blog topic
@@ -566,18 +650,20 @@ class BlogAutomationService {
                      The title should include the primary keyword and be compelling.
                      The description should include the primary keyword and provide a clear value proposition.`;
       
-      // Generate the meta tags using OpenAI
-      const response = await this.openai.createCompletion({
-        model: settings.contentGenerationAPI.model,
+      // Generate the meta tags
+      const response = await LLMService.complete({
+        task: 'blog.metaTags',
         prompt,
-        max_tokens: 500,
         temperature: 0.7,
-        n: 1
-      });
+        maxTokens: 500,
+        json: true,
+        context: { title: topic.title, keywords: [topic.primaryKeyword] },
+        entity: { type: 'BlogTopic', id: topic._id }
+      }, await this._getLLMOptions(settings));
       
       // Parse the response
-      const responseText = response.data.choices[0].text.trim();
-      const metaTags = JSON.parse(responseText);
+      const responseText = response.text;
+      const metaTags = LLMService.parseJSON(responseText);
       
       return metaTags;
     } catch (error) {
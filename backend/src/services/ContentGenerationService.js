@@ -1,65 +1,260 @@
-const OpenAI = require('openai');
-const config = require('../config/config');
+const LLMService = require('./LLMService');
+const PromptTemplateService = require('./PromptTemplateService');
+const { validateSchema } = require('../utils/schema');
 
-// Initialize OpenAI client
-const openai = new OpenAI({
-  apiKey: config.OPENAI_API_KEY
-});
+// Sections of a product that can be generated (and regenerated) on their own
+const PRODUCT_SECTIONS = [
+  'title',
+  'description',
+  'shortDescription',
+  'features',
+  'specifications',
+  'applications',
+  'faqs',
+  'seo'
+];
+
+// Shape of the single-call structured response
+const PRODUCT_CONTENT_SCHEMA = {
+  type: 'object',
+  required: [
+    'title',
+    'description',
+    'shortDescription',
+    'features',
+    'specifications',
+    'applications',
+    'faqs',
+    'metaTitle',
+    'metaDescription',
+    'schemaMarkup'
+  ],
+  properties: {
+    title: { type: 'string', minLength: 1 },
+    description: { type: 'string', minLength: 1 },
+    shortDescription: { type: 'string', minLength: 1 },
+    features: {
+      type: 'array',
+      minItems: 1,
+      items: {
+        type: 'object',
+        required: ['title', 'items'],
+        properties: {
+          title: { type: 'string', minLength: 1 },
+          items: { type: 'array', items: { type: 'string' } }
+        }
+      }
+    },
+    specifications: {
+      type: 'object',
+      additionalProperties: { type: ['string', 'number'] }
+    },
+    applications: { type: 'array', minItems: 1, items: { type: 'string' } },
+    faqs: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['question', 'answer'],
+        properties: {
+          question: { type: 'string', minLength: 1 },
+          answer: { type: 'string', minLength: 1 }
+        }
+      }
+    },
+    metaTitle: { type: 'string' },
+    metaDescription: { type: 'string' },
+    schemaMarkup: { type: 'string' }
+  }
+};
+
+/**
+ * System prompt asking the model to address a reviewer's rejection of an earlier version
+ * @param {String} feedback - Rejection reason
+ * @returns {String} System prompt, or undefined without feedback
+ */
+const reviewerFeedbackInstructions = (feedback) => (feedback
+  ? `A reviewer rejected an earlier version of this product with this feedback. Make sure the new content addresses it:\n${feedback}`
+  : undefined);
 
 /**
- * Service for generating product content using OpenAI
+ * Service for generating product content with the configured language model
  */
 class ContentGenerationService {
+  /**
+   * Initialize the content generation service
+   */
+  constructor() {
+    this.sections = PRODUCT_SECTIONS;
+    this.contentSchema = PRODUCT_CONTENT_SCHEMA;
+  }
+
   /**
    * Generate a complete product based on keywords
    * @param {Array} keywords - Array of keywords to use for generation
    * @param {String} categoryName - Name of the product category
+   * @param {Object} options - Generation options
+   * @param {String} options.mode - 'single_call' (default) asks for the whole product in one
+   *   structured response and falls back to sections if it is unusable; 'sections' generates
+   *   each section with its own call, running independent sections concurrently
+   * @param {String} options.feedback - Why a reviewer rejected an earlier version, passed to the model
    * @returns {Object} Generated product content
    */
-  async generateProductContent(keywords, categoryName) {
+  async generateProductContent(keywords, categoryName, options = {}) {
     try {
       console.log(`Generating product content for keywords: ${keywords.join(', ')}`);
       
-      // Generate product title
-      const title = await this.generateProductTitle(keywords, categoryName);
-      
-      // Generate product description
-      const description = await this.generateProductDescription(title, keywords, categoryName);
-      
-      // Generate short description
-      const shortDescription = await this.generateShortDescription(description);
-      
-      // Generate features
-      const features = await this.generateProductFeatures(title, keywords, categoryName);
-      
-      // Generate specifications
-      const specifications = await this.generateProductSpecifications(title, keywords, categoryName);
-      
-      // Generate applications
-      const applications = await this.generateProductApplications(title, keywords, categoryName);
-      
-      // Generate FAQs
-      const faqs = await this.generateProductFAQs(title, keywords, categoryName);
-      
-      // Generate SEO metadata
-      const seoData = await this.generateSEOMetadata(title, description, keywords, categoryName);
+      if ((options.mode || 'single_call') === 'single_call') {
+        try {
+          return await this.generateProductContentInOneCall(keywords, categoryName, options.feedback);
+        } catch (error) {
+          // Only a malformed response is worth a second approach; provider errors go to the queue's retry logic
+          if (error.code !== 'INVALID_GENERATED_CONTENT') {
+            throw error;
+          }
+          console.warn(`${error.message}. Falling back to section-by-section generation.`);
+        }
+      }
       
-      // Return the complete product content
-      return {
-        title,
-        description,
-        shortDescription,
-        features,
-        specifications,
-        applications,
-        faqs,
-        metaTitle: seoData.metaTitle,
-        metaDescription: seoData.metaDescription,
-        schemaMarkup: seoData.schemaMarkup
-      };
+      return await this.generateProductContentBySections(keywords, categoryName, options.feedback);
     } catch (error) {
       console.error('Error generating product content:', error);
-      throw new Error(`Failed to generate product content: ${error.message}`);
+      throw new Error(`Failed to generate product content: ${error.message}`, { cause: error });
+    }
+  }
+
+  /**
+   * Generate a complete product as one structured JSON response validated against the product schema
+   * @param {Array} keywords - Keywords to use for generation
+   * @param {String} categoryName - Category name
+   * @param {String} feedback - Reviewer feedback on a rejected earlier version (optional)
+   * @returns {Object} Generated product content
+   */
+  async generateProductContentInOneCall(keywords, categoryName, feedback) {
+    const { prompt, template } = await PromptTemplateService.render('product.full', {
+      category_name: categoryName,
+      keywords,
+      schema: JSON.stringify(PRODUCT_CONTENT_SCHEMA)
+    });
+    
+    const response = await LLMService.complete({
+      task: 'product.full',
+      prompt,
+      template,
+      system: reviewerFeedbackInstructions(feedback),
+      temperature: 0.7,
+      maxTokens: 4000,
+      json: true,
+      context: { keywords, categoryName }
+    });
+    
+    let content;
+    try {
+      content = LLMService.parseJSON(response.text);
+    } catch (error) {
+      throw Object.assign(new Error(`Generated product content is not valid JSON: ${error.message}`), {
+        code: 'INVALID_GENERATED_CONTENT'
+      });
+    }
+    
+    const errors = validateSchema(content, PRODUCT_CONTENT_SCHEMA, 'product');
+    if (errors.length > 0) {
+      throw Object.assign(new Error(`Generated product content does not match the schema: ${errors.slice(0, 5).join('; ')}`), {
+        code: 'INVALID_GENERATED_CONTENT'
+      });
+    }
+    
+    return {
+      title: content.title.trim(),
+      description: content.description.trim(),
+      shortDescription: content.shortDescription.trim(),
+      features: content.features,
+      specifications: content.specifications,
+      applications: content.applications,
+      faqs: content.faqs,
+      metaTitle: content.metaTitle,
+      metaDescription: content.metaDescription,
+      schemaMarkup: content.schemaMarkup
+    };
+  }
+
+  /**
+   * Generate a complete product one section at a time. The title comes first because every
+   * other section builds on it; the short description and SEO metadata wait for the
+   * description. Everything else runs concurrently.
+   * @param {Array} keywords - Keywords to use for generation
+   * @param {String} categoryName - Category name
+   * @param {String} feedback - Reviewer feedback on a rejected earlier version (optional)
+   * @returns {Object} Generated product content
+   */
+  async generateProductContentBySections(keywords, categoryName, feedback) {
+    const title = await this.generateProductTitle(keywords, categoryName, feedback);
+    
+    const [descriptionContent, features, specifications, applications, faqs] = await Promise.all([
+      this.generateProductDescription(title, keywords, categoryName, feedback).then(async description => {
+        const [shortDescription, seoData] = await Promise.all([
+          this.generateShortDescription(description, feedback),
+          this.generateSEOMetadata(title, description, keywords, categoryName, feedback)
+        ]);
+        return { description, shortDescription, seoData };
+      }),
+      this.generateProductFeatures(title, keywords, categoryName, feedback),
+      this.generateProductSpecifications(title, keywords, categoryName, feedback),
+      this.generateProductApplications(title, keywords, categoryName, feedback),
+      this.generateProductFAQs(title, keywords, categoryName, feedback)
+    ]);
+    
+    const { description, shortDescription, seoData } = descriptionContent;
+    
+    return {
+      title,
+      description,
+      shortDescription,
+      features,
+      specifications,
+      applications,
+      faqs,
+      metaTitle: seoData.metaTitle,
+      metaDescription: seoData.metaDescription,
+      schemaMarkup: seoData.schemaMarkup
+    };
+  }
+
+  /**
+   * Generate a single section for an existing product
+   * @param {String} section - One of the product sections, e.g. 'faqs'
+   * @param {Object} product - Current product content
+   * @param {String} product.title - Product title
+   * @param {String} product.description - Product description
+   * @param {Array} product.keywords - Keywords to use for generation
+   * @param {String} product.categoryName - Category name
+   * @returns {Object} Product fields to update
+   */
+  async generateSection(section, { title, description, keywords, categoryName }) {
+    switch (section) {
+      case 'title':
+        return { title: await this.generateProductTitle(keywords, categoryName) };
+      case 'description':
+        return { description: await this.generateProductDescription(title, keywords, categoryName) };
+      case 'shortDescription':
+        return { shortDescription: await this.generateShortDescription(description) };
+      case 'features':
+        return { features: await this.generateProductFeatures(title, keywords, categoryName) };
+      case 'specifications':
+        return { specifications: await this.generateProductSpecifications(title, keywords, categoryName) };
+      case 'applications':
+        return { applications: await this.generateProductApplications(title, keywords, categoryName) };
+      case 'faqs':
+        return { faqs: await this.generateProductFAQs(title, keywords, categoryName) };
+      case 'seo': {
+        const seoData = await this.generateSEOMetadata(title, description, keywords, categoryName);
+        return {
+          metaTitle: seoData.metaTitle,
+          metaDescription: seoData.metaDescription,
+          schemaMarkup: seoData.schemaMarkup
+        };
+      }
+      default:
+        throw Object.assign(new Error(`Unknown product section: ${section}`), { retryable: false });
     }
   }
 
@@ -67,32 +262,26 @@ class ContentGenerationService {
    * Generate a product title based on keywords
    * @param {Array} keywords - Keywords to use for generation
    * @param {String} categoryName - Category name
+   * @param {String} feedback - Reviewer feedback on a rejected earlier version (optional)
    * @returns {String} Generated title
    */
-  async generateProductTitle(keywords, categoryName) {
-    const prompt = `
-      Create a compelling, SEO-optimized product title for a ${categoryName} product.
-      
-      Keywords: ${keywords.join(', ')}
-      
-      The title should:
-      - Be 60-70 characters long
-      - Include the main keyword naturally
-      - Be clear and descriptive
-      - Appeal to customers looking for industrial coating equipment
-      - Not mention any pricing
-      
-      Return only the title text with no additional commentary.
-    `;
+  async generateProductTitle(keywords, categoryName, feedback) {
+    const { prompt, template } = await PromptTemplateService.render('product.title', {
+      category_name: categoryName,
+      keywords
+    });
     
-    const response = await openai.chat.completions.create({
-      model: 'gpt-4',
-      messages: [{ role: 'user', content: prompt }],
+    const response = await LLMService.complete({
+      task: 'product.title',
+      prompt,
+      template,
+      system: reviewerFeedbackInstructions(feedback),
       temperature: 0.7,
-      max_tokens: 100
+      maxTokens: 100,
+      context: { keywords, categoryName }
     });
     
-    return response.choices[0].message.content.trim();
+    return response.text;
   }
 
   /**
@@ -100,67 +289,50 @@ class ContentGenerationService {
    * @param {String} title - Product title
    * @param {Array} keywords - Keywords to use for generation
    * @param {String} categoryName - Category name
+   * @param {String} feedback - Reviewer feedback on a rejected earlier version (optional)
    * @returns {String} Generated description
    */
-  async generateProductDescription(title, keywords, categoryName) {
-    const prompt = `
-      Create a detailed, SEO-optimized product description for the following product:
-      
-      Product Title: ${title}
-      Product Category: ${categoryName}
-      Keywords: ${keywords.join(', ')}
-      
-      The description should:
-      - Be 400-600 words
-      - Include the main keywords naturally throughout the text
-      - Describe the product's features, benefits, and applications
-      - Use HTML formatting (<p>, <ul>, <li>, <strong>) for better readability
-      - Include technical specifications where relevant
-      - Not mention any pricing information
-      - Focus on quality, reliability, and performance
-      - Target industrial and commercial users
-      
-      Return only the formatted description with no additional commentary.
-    `;
+  async generateProductDescription(title, keywords, categoryName, feedback) {
+    const { prompt, template } = await PromptTemplateService.render('product.description', {
+      title,
+      category_name: categoryName,
+      keywords
+    });
     
-    const response = await openai.chat.completions.create({
-      model: 'gpt-4',
-      messages: [{ role: 'user', content: prompt }],
+    const response = await LLMService.complete({
+      task: 'product.description',
+      prompt,
+      template,
+      system: reviewerFeedbackInstructions(feedback),
       temperature: 0.7,
-      max_tokens: 1000
+      maxTokens: 1000,
+      context: { title, keywords, categoryName }
     });
     
-    return response.choices[0].message.content.trim();
+    return response.text;
   }
 
   /**
    * Generate a short description based on the full description
    * @param {String} fullDescription - Full product description
+   * @param {String} feedback - Reviewer feedback on a rejected earlier version (optional)
    * @returns {String} Generated short description
    */
-  async generateShortDescription(fullDescription) {
-    const prompt = `
-      Create a concise summary of the following product description.
-      The summary should:
-      - Be 150-200 characters long
-      - Capture the essence of the product
-      - Include key selling points
-      - Be compelling and informative
-      
-      Product Description:
-      ${fullDescription}
-      
-      Return only the short description with no additional commentary.
-    `;
+  async generateShortDescription(fullDescription, feedback) {
+    const { prompt, template } = await PromptTemplateService.render('product.shortDescription', {
+      description: fullDescription
+    });
     
-    const response = await openai.chat.completions.create({
-      model: 'gpt-4',
-      messages: [{ role: 'user', content: prompt }],
+    const response = await LLMService.complete({
+      task: 'product.shortDescription',
+      prompt,
+      template,
+      system: reviewerFeedbackInstructions(feedback),
       temperature: 0.7,
-      max_tokens: 200
+      maxTokens: 200
     });
     
-    return response.choices[0].message.content.trim();
+    return response.text;
   }
 
   /**
@@ -168,45 +340,29 @@ class ContentGenerationService {
    * @param {String} title - Product title
    * @param {Array} keywords - Keywords to use for generation
    * @param {String} categoryName - Category name
+   * @param {String} feedback - Reviewer feedback on a rejected earlier version (optional)
    * @returns {Array} Generated features
    */
-  async generateProductFeatures(title, keywords, categoryName) {
-    const prompt = `
-      Create 4 feature categories with bullet points for the following product:
-      
-      Product Title: ${title}
-      Product Category: ${categoryName}
-      Keywords: ${keywords.join(', ')}
-      
-      Each feature category should:
-      - Have a clear, benefit-oriented title
-      - Include 2-3 bullet points explaining the feature
-      - Focus on different aspects of the product (e.g., performance, design, usability, technology)
-      - Include relevant keywords naturally
-      
-      Format the response as a JSON array with this structure:
-      [
-        {
-          "title": "Feature Category Title",
-          "items": ["Bullet point 1", "Bullet point 2", "Bullet point 3"]
-        },
-        ...
-      ]
-      
-      Return only the JSON with no additional commentary.
-    `;
+  async generateProductFeatures(title, keywords, categoryName, feedback) {
+    const { prompt, template } = await PromptTemplateService.render('product.features', {
+      title,
+      category_name: categoryName,
+      keywords
+    });
     
-    const response = await openai.chat.completions.create({
-      model: 'gpt-4',
-      messages: [{ role: 'user', content: prompt }],
+    const response = await LLMService.complete({
+      task: 'product.features',
+      prompt,
+      template,
+      system: reviewerFeedbackInstructions(feedback),
       temperature: 0.7,
-      max_tokens: 800,
-      response_format: { type: "json_object" }
+      maxTokens: 800,
+      json: true,
+      context: { title, keywords, categoryName }
     });
     
     try {
-      const content = response.choices[0].message.content.trim();
-      const parsedContent = JSON.parse(content);
+      const parsedContent = LLMService.parseJSON(response.text);
       return parsedContent.features || [];
     } catch (error) {
       console.error('Error parsing features JSON:', error);
@@ -219,43 +375,29 @@ class ContentGenerationService {
    * @param {String} title - Product title
    * @param {Array} keywords - Keywords to use for generation
    * @param {String} categoryName - Category name
+   * @param {String} feedback - Reviewer feedback on a rejected earlier version (optional)
    * @returns {Object} Generated specifications
    */
-  async generateProductSpecifications(title, keywords, categoryName) {
-    const prompt = `
-      Create technical specifications for the following product:
-      
-      Product Title: ${title}
-      Product Category: ${categoryName}
-      Keywords: ${keywords.join(', ')}
-      
-      The specifications should:
-      - Include 6-10 relevant technical parameters
-      - Be realistic for this type of product
-      - Include dimensions, power requirements, capacity, etc. where applicable
-      - Use industry-standard terminology
-      
-      Format the response as a JSON object with specification names as keys and values as values:
-      {
-        "Dimension": "Value",
-        "Weight": "Value",
-        ...
-      }
-      
-      Return only the JSON with no additional commentary.
-    `;
+  async generateProductSpecifications(title, keywords, categoryName, feedback) {
+    const { prompt, template } = await PromptTemplateService.render('product.specifications', {
+      title,
+      category_name: categoryName,
+      keywords
+    });
     
-    const response = await openai.chat.completions.create({
-      model: 'gpt-4',
-      messages: [{ role: 'user', content: prompt }],
+    const response = await LLMService.complete({
+      task: 'product.specifications',
+      prompt,
+      template,
+      system: reviewerFeedbackInstructions(feedback),
       temperature: 0.7,
-      max_tokens: 500,
-      response_format: { type: "json_object" }
+      maxTokens: 500,
+      json: true,
+      context: { title, keywords, categoryName }
     });
     
     try {
-      const content = response.choices[0].message.content.trim();
-      const parsedContent = JSON.parse(content);
+      const parsedContent = LLMService.parseJSON(response.text);
       return parsedContent.specifications || {};
     } catch (error) {
       console.error('Error parsing specifications JSON:', error);
@@ -268,38 +410,29 @@ class ContentGenerationService {
    * @param {String} title - Product title
    * @param {Array} keywords - Keywords to use for generation
    * @param {String} categoryName - Category name
+   * @param {String} feedback - Reviewer feedback on a rejected earlier version (optional)
    * @returns {Array} Generated applications
    */
-  async generateProductApplications(title, keywords, categoryName) {
-    const prompt = `
-      Create a list of 5-8 industry applications for the following product:
-      
-      Product Title: ${title}
-      Product Category: ${categoryName}
-      Keywords: ${keywords.join(', ')}
-      
-      The applications should:
-      - Be specific to industries that would use this type of product
-      - Include brief explanations of how the product is used in each application
-      - Be realistic and relevant
-      
-      Format the response as a JSON array of strings:
-      ["Application 1", "Application 2", ...]
-      
-      Return only the JSON with no additional commentary.
-    `;
+  async generateProductApplications(title, keywords, categoryName, feedback) {
+    const { prompt, template } = await PromptTemplateService.render('product.applications', {
+      title,
+      category_name: categoryName,
+      keywords
+    });
     
-    const response = await openai.chat.completions.create({
-      model: 'gpt-4',
-      messages: [{ role: 'user', content: prompt }],
+    const response = await LLMService.complete({
+      task: 'product.applications',
+      prompt,
+      template,
+      system: reviewerFeedbackInstructions(feedback),
       temperature: 0.7,
-      max_tokens: 500,
-      response_format: { type: "json_object" }
+      maxTokens: 500,
+      json: true,
+      context: { title, keywords, categoryName }
     });
     
     try {
-      const content = response.choices[0].message.content.trim();
-      const parsedContent = JSON.parse(content);
+      const parsedContent = LLMService.parseJSON(response.text);
       return parsedContent.applications || [];
     } catch (error) {
       console.error('Error parsing applications JSON:', error);
@@ -312,46 +445,29 @@ class ContentGenerationService {
    * @param {String} title - Product title
    * @param {Array} keywords - Keywords to use for generation
    * @param {String} categoryName - Category name
+   * @param {String} feedback - Reviewer feedback on a rejected earlier version (optional)
    * @returns {Array} Generated FAQs
    */
-  async generateProductFAQs(title, keywords, categoryName) {
-    const prompt = `
-      Create 5 frequently asked questions (FAQs) with answers for the following product:
-      
-      Product Title: ${title}
-      Product Category: ${categoryName}
-      Keywords: ${keywords.join(', ')}
-      
-      The FAQs should:
-      - Address common customer questions about this type of product
-      - Include questions about features, benefits, maintenance, etc.
-      - Provide clear, informative answers
-      - Include relevant keywords naturally
-      - Not mention pricing
-      
-      Format the response as a JSON array with this structure:
-      [
-        {
-          "question": "Question text?",
-          "answer": "Answer text."
-        },
-        ...
-      ]
-      
-      Return only the JSON with no additional commentary.
-    `;
+  async generateProductFAQs(title, keywords, categoryName, feedback) {
+    const { prompt, template } = await PromptTemplateService.render('product.faqs', {
+      title,
+      category_name: categoryName,
+      keywords
+    });
     
-    const response = await openai.chat.completions.create({
-      model: 'gpt-4',
-      messages: [{ role: 'user', content: prompt }],
+    const response = await LLMService.complete({
+      task: 'product.faqs',
+      prompt,
+      template,
+      system: reviewerFeedbackInstructions(feedback),
       temperature: 0.7,
-      max_tokens: 800,
-      response_format: { type: "json_object" }
+      maxTokens: 800,
+      json: true,
+      context: { title, keywords, categoryName }
     });
     
     try {
-      const content = response.choices[0].message.content.trim();
-      const parsedContent = JSON.parse(content);
+      const parsedContent = LLMService.parseJSON(response.text);
       return parsedContent.faqs || [];
     } catch (error) {
       console.error('Error parsing FAQs JSON:', error);
@@ -365,47 +481,34 @@ class ContentGenerationService {
    * @param {String} description - Product description
    * @param {Array} keywords - Keywords to use for generation
    * @param {String} categoryName - Category name
+   * @param {String} feedback - Reviewer feedback on a rejected earlier version (optional)
    * @returns {Object} Generated SEO metadata
    */
-  async generateSEOMetadata(title, description, keywords, categoryName) {
-    const prompt = `
-      Create SEO metadata for the following product:
-      
-      Product Title: ${title}
-      Product Category: ${categoryName}
-      Keywords: ${keywords.join(', ')}
-      
-      Generate:
-      1. Meta Title (60-70 characters)
-      2. Meta Description (150-160 characters)
-      3. JSON-LD Schema Markup for Product
-      
-      Format the response as a JSON object with this structure:
-      {
-        "metaTitle": "SEO-optimized title",
-        "metaDescription": "SEO-optimized description",
-        "schemaMarkup": "JSON-LD schema markup as a string"
-      }
-      
-      Return only the JSON with no additional commentary.
-    `;
+  async generateSEOMetadata(title, description, keywords, categoryName, feedback) {
+    const { prompt, template } = await PromptTemplateService.render('product.seo', {
+      title,
+      category_name: categoryName,
+      keywords
+    });
     
-    const response = await openai.chat.completions.create({
-      model: 'gpt-4',
-      messages: [{ role: 'user', content: prompt }],
+    const response = await LLMService.complete({
+      task: 'product.seo',
+      prompt,
+      template,
+      system: reviewerFeedbackInstructions(feedback),
       temperature: 0.7,
-      max_tokens: 800,
-      response_format: { type: "json_object" }
+      maxTokens: 800,
+      json: true,
+      context: { title, keywords, categoryName }
     });
     
     try {
-      const content = response.choices[0].message.content.trim();
-      return JSON.parse(content);
+      return LLMService.parseJSON(response.text);
     } catch (error) {
       console.error('Error parsing SEO metadata JSON:', error);
       return {
         metaTitle: title,
-        metaDescription: shortDescription,
+        metaDescription: description.replace(/<[^>]+>/g, '').slice(0, 160),
         schemaMarkup: ''
       };
     }
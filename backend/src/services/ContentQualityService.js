@@ -0,0 +1,242 @@
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const AutomationSettings = require('../models/AutomationSettings');
+const ContentGenerationService = require('./ContentGenerationService');
+const ProductSpecificationService = require('./ProductSpecificationService');
+const { validateSchema } = require('../utils/schema');
+const {
+  stripHtml,
+  fleschReadingEase,
+  textSimilarity,
+  findBannedPhrases,
+  truncateText
+} = require('../utils/contentQuality');
+
+// Product fields whose maxlength comes from the Product schema
+const LENGTH_LIMITED_FIELDS = ['title', 'shortDescription', 'metaTitle', 'metaDescription'];
+
+// Structured sections, with the empty value used in place of a malformed one
+const STRUCTURED_SECTIONS = {
+  features: () => [],
+  specifications: () => ({}),
+  faqs: () => []
+};
+
+// Existing products compared for near-duplicate descriptions
+const SIMILARITY_SAMPLE_SIZE = 500;
+
+/**
+ * Maximum length of a Product field, read from the schema
+ * @param {String} field - Field name
+ * @returns {Number} Maximum length, or null if unlimited
+ */
+const getMaxLength = (field) => {
+  const path = Product.schema.path(field);
+  const maxlength = path && path.options.maxlength;
+  if (maxlength === undefined) {
+    return null;
+  }
+  return Array.isArray(maxlength) ? maxlength[0] : maxlength;
+};
+
+/**
+ * Escape a string for use in a regular expression
+ * @param {String} value - Literal text
+ * @returns {String} Escaped text
+ */
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Service for checking generated product content before it is saved
+ */
+class ContentQualityService {
+  /**
+   * Check generated product content. Fields over the schema's length limits are shortened
+   * and malformed sections are emptied so the product can still be saved for review;
+   * everything else is reported, not changed. Specifications that don't fit the category's
+   * spec schema are removed and hold the product for review even when the gate is off,
+   * since it could not be published with them.
+   * @param {Object} content - Generated product content
+   * @param {Object} options - Check options
+   * @param {String} options.categoryId - Category the product belongs to (for near-duplicates)
+   * @param {String} options.excludeId - Product to leave out of duplicate checks (when re-checking)
+   * @param {Object} options.settings - AutomationSettings (loaded if not given)
+   * @returns {Promise<Object>} { passed, reasons, readabilityScore, content }
+   */
+  async checkProduct(content, options = {}) {
+    const settings = options.settings || await AutomationSettings.getSettings();
+    const gate = settings.qualityGate;
+    const checked = { ...content };
+    const reasons = [];
+
+    const plainDescription = stripHtml(checked.description);
+    const readabilityScore = fleschReadingEase(plainDescription);
+
+    // Typed specifications from the category's spec schema
+    if (checked.specifications && typeof checked.specifications === 'object' && !Array.isArray(checked.specifications)) {
+      const specs = await ProductSpecificationService.cleanSpecifications(checked.specifications, options.categoryId);
+      checked.specifications = specs.specifications;
+      reasons.push(...specs.reasons);
+    }
+
+    if (!gate.enabled) {
+      return { passed: reasons.length === 0, reasons, readabilityScore, content: checked };
+    }
+
+    // Length limits from the Product schema
+    LENGTH_LIMITED_FIELDS.forEach(field => {
+      const maxLength = getMaxLength(field);
+      const value = checked[field];
+      if (maxLength && typeof value === 'string' && value.length > maxLength) {
+        reasons.push(`${field} is ${value.length} characters (limit ${maxLength}); it was shortened`);
+        checked[field] = truncateText(value, maxLength);
+      }
+    });
+
+    // Structured sections must be well-formed and not empty
+    const { properties } = ContentGenerationService.contentSchema;
+    Object.keys(STRUCTURED_SECTIONS).forEach(section => {
+      const value = checked[section];
+      const errors = validateSchema(value, properties[section], section);
+      if (errors.length > 0) {
+        reasons.push(`${section} is malformed (${errors.slice(0, 3).join('; ')}); it was left empty`);
+        checked[section] = STRUCTURED_SECTIONS[section]();
+      } else if (Object.keys(value).length === 0) {
+        reasons.push(`${section} is empty`);
+      }
+    });
+
+    // Banned phrases anywhere in the content
+    const allText = [
+      checked.title,
+      plainDescription,
+      checked.shortDescription,
+      checked.metaTitle,
+      checked.metaDescription,
+      JSON.stringify(checked.features || []),
+      JSON.stringify(checked.specifications || {}),
+      JSON.stringify(checked.applications || []),
+      JSON.stringify(checked.faqs || [])
+    ].join(' ');
+    const banned = findBannedPhrases(allText, gate.bannedPhrases);
+    if (banned.length > 0) {
+      reasons.push(`Contains banned phrases: ${banned.join(', ')}`);
+    }
+
+    // Readability of the description
+    if (readabilityScore === null) {
+      reasons.push('description has no readable text');
+    } else if (readabilityScore < gate.minReadabilityScore) {
+      reasons.push(`description readability score ${readabilityScore} is below ${gate.minReadabilityScore}`);
+    }
+
+    // Duplicates among existing products
+    reasons.push(...await this._findDuplicates(checked.title, plainDescription, {
+      categoryId: options.categoryId,
+      excludeId: options.excludeId,
+      maxSimilarity: gate.maxDescriptionSimilarity
+    }));
+
+    return {
+      passed: reasons.length === 0,
+      reasons,
+      readabilityScore,
+      content: checked
+    };
+  }
+
+  /**
+   * Re-run the quality gate on a saved product, e.g. after it has been edited. A product
+   * in needs_review that now passes goes back to draft.
+   * @param {String} productId - ID of the product
+   * @returns {Promise<Object>} Updated product, or null if it does not exist
+   */
+  async recheckProduct(productId) {
+    try {
+      const product = await Product.findById(productId);
+      if (!product) {
+        return null;
+      }
+
+      const result = await this.checkProduct({
+        title: product.title,
+        description: product.description,
+        shortDescription: product.shortDescription,
+        features: product.features.map(feature => ({ title: feature.title, items: [...feature.items] })),
+        specifications: product.specifications ? Object.fromEntries(product.specifications) : {},
+        applications: [...product.applications],
+        faqs: product.faqs.map(faq => ({ question: faq.question, answer: faq.answer })),
+        metaTitle: product.metaTitle || '',
+        metaDescription: product.metaDescription || ''
+      }, { categoryId: product.category, excludeId: product._id });
+
+      product.qualityCheck = {
+        passed: result.passed,
+        reasons: result.reasons,
+        readabilityScore: result.readabilityScore,
+        checkedAt: new Date()
+      };
+
+      if (result.passed && product.status === 'needs_review') {
+        product.status = 'draft';
+      } else if (!result.passed && product.status === 'draft') {
+        product.status = 'needs_review';
+      }
+
+      await product.save();
+      return product;
+    } catch (error) {
+      console.error('Error re-checking product quality:', error);
+      throw new Error(`Failed to check product quality: ${error.message}`, { cause: error });
+    }
+  }
+
+  /**
+   * Look for existing products with the same title or a near-identical description
+   * @param {String} title - Product title
+   * @param {String} description - Plain-text description
+   * @param {Object} options - Category, product to exclude and similarity threshold
+   * @returns {Promise<Array<String>>} Reasons
+   * @private
+   */
+  async _findDuplicates(title, description, { categoryId, excludeId, maxSimilarity }) {
+    const reasons = [];
+    const notSelf = excludeId ? { _id: { $ne: excludeId } } : {};
+
+    if (title) {
+      const sameTitle = await Product.findOne({
+        ...notSelf,
+        title: new RegExp(`^${escapeRegExp(title.trim())}$`, 'i')
+      }).select('_id');
+
+      if (sameTitle) {
+        reasons.push(`Another product already has the title "${title}" (${sameTitle._id})`);
+      }
+    }
+
+    if (description && categoryId && mongoose.isValidObjectId(categoryId)) {
+      const candidates = await Product.find({ ...notSelf, category: categoryId })
+        .sort({ createdAt: -1 })
+        .limit(SIMILARITY_SAMPLE_SIZE)
+        .select('title description');
+
+      let closest = null;
+      candidates.forEach(candidate => {
+        const similarity = textSimilarity(description, stripHtml(candidate.description));
+        if (!closest || similarity > closest.similarity) {
+          closest = { product: candidate, similarity };
+        }
+      });
+
+      if (closest && closest.similarity > maxSimilarity) {
+        reasons.push(
+          `description is ${Math.round(closest.similarity * 100)}% similar to "${closest.product.title}" (${closest.product._id})`
+        );
+      }
+    }
+
+    return reasons;
+  }
+}
+
+module.exports = new ContentQualityService();
@@ -7,6 +7,7 @@ const { OpenAI } = require('openai');
 const config = require('../config/config');
 const Image = require('../models/Image');
 const ImageAutomationSettings = require('../models/ImageAutomationSettings');
+const AIUsageService = require('./AIUsageService');
 
 /**
  * Service for managing image sourcing and optimization
@@ -350,6 +351,10 @@ class ImageAutomationService {
       
       const aiSettings = settings.aiGenerationAPI;
       
+      if (await AIUsageService.isPaused('image')) {
+        return { success: false, message: 'Monthly AI budget reached; image generation is paused' };
+      }
+      
       // Build prompt
       let prompt = options.prompt;
       
@@ -393,6 +398,15 @@ class ImageAutomationService {
         return result;
       }
       
+      await AIUsageService.record({
+        subsystem: 'image',
+        task: `image.${options.type}`,
+        provider: aiSettings.provider,
+        model: aiSettings.model,
+        imageCount: 1,
+        entity: options.entityId ? { type: options.entityType, id: options.entityId } : undefined
+      });
+      
       // In a real implementation, we would download the image
       // For this example, we'll simulate a successful download
       const imageData = await this._downloadImage(result.imageUrl);
@@ -37,7 +37,7 @@ class ImageGenerationService {
       return images;
     } catch (error) {
       console.error('Error generating product images:', error);
-      throw new Error(`Failed to generate product images: ${error.message}`);
+      throw new Error(`Failed to generate product images: ${error.message}`, { cause: error });
     }
   }
   
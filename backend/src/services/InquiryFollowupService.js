@@ -0,0 +1,85 @@
+const InquiryFollowup = require('../models/InquiryFollowup');
+
+/**
+ * Service for sending automated inquiry follow-ups
+ */
+class InquiryFollowupService {
+  /**
+   * Send all pending follow-ups scheduled for now or earlier
+   * @returns {Object} Processing results
+   */
+  async processPendingFollowups() {
+    try {
+      console.log('Processing pending inquiry follow-ups');
+
+      const now = new Date();
+
+      // Find all pending follow-ups scheduled for now or earlier
+      const pendingFollowups = await InquiryFollowup.find({
+        status: 'pending',
+        scheduledTime: { $lte: now }
+      }).populate('inquiry');
+
+      const results = {
+        processed: 0,
+        failed: 0,
+        details: []
+      };
+
+      // Process each follow-up
+      for (const followup of pendingFollowups) {
+        try {
+          // Here you would implement the actual sending logic
+          // For email, WhatsApp, etc. based on the channel
+
+          // For demonstration, we'll just mark it as sent
+          followup.status = 'sent';
+          followup.sentTime = new Date();
+          await followup.save();
+
+          // Update inquiry automation tracking
+          if (followup.inquiry) {
+            if (followup.type === 'auto_response') {
+              followup.inquiry.automation.autoResponseSent = true;
+              followup.inquiry.automation.autoResponseTime = new Date();
+            } else if (followup.type === 'quote_followup') {
+              followup.inquiry.automation.followUpEmailsSent += 1;
+            }
+
+            followup.inquiry.automation.lastAutomatedAction = new Date();
+            await followup.inquiry.save();
+          }
+
+          results.processed += 1;
+          results.details.push({
+            id: followup._id,
+            type: followup.type,
+            channel: followup.channel,
+            status: 'sent'
+          });
+        } catch (error) {
+          followup.status = 'failed';
+          await followup.save();
+
+          results.failed += 1;
+          results.details.push({
+            id: followup._id,
+            type: followup.type,
+            channel: followup.channel,
+            status: 'failed',
+            error: error.message
+          });
+        }
+      }
+
+      console.log(`Sent ${results.processed} inquiry follow-ups, ${results.failed} failed`);
+
+      return results;
+    } catch (error) {
+      console.error('Error processing inquiry follow-ups:', error);
+      throw new Error(`Failed to process inquiry follow-ups: ${error.message}`);
+    }
+  }
+}
+
+module.exports = new InquiryFollowupService();
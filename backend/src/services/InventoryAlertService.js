@@ -0,0 +1,303 @@
+const Inventory = require('../models/Inventory');
+const InventorySettings = require('../models/InventorySettings');
+const Product = require('../models/Product');
+const MailService = require('./MailService');
+const StockForecastService = require('./StockForecastService');
+const { renderTemplate } = require('../utils/promptTemplate');
+
+// Alert kinds, with the switch that enables each in the settings and on inventory records
+const ALERT_TYPES = {
+  lowStock: 'lowStockEnabled',
+  outOfStock: 'outOfStockEnabled',
+  restock: 'restockEnabled'
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Days ahead the weekly report lists forecast stock-outs for
+const FORECAST_REPORT_DAYS = 30;
+
+/**
+ * Service for emailing low stock, out of stock and restock alerts, the daily digest and the
+ * weekly inventory report
+ */
+class InventoryAlertService {
+  /**
+   * Send an alert for an inventory record, unless alerts of that kind are switched off, no
+   * one is set to receive them or the same alert was sent too recently
+   * @param {Object} inventory - Inventory document
+   * @param {String} type - lowStock, outOfStock or restock
+   * @param {Date} now - Current time
+   * @returns {Promise<Object>} { sent, reason }
+   */
+  async sendAlert(inventory, type, now = new Date()) {
+    try {
+      const settings = await this.getSettings();
+      const { alerts } = settings;
+
+      if (!alerts.enabled || !alerts[ALERT_TYPES[type]] || inventory.alerts[ALERT_TYPES[type]] === false) {
+        return { sent: false, reason: 'Alerts of this kind are switched off' };
+      }
+
+      const lastSent = inventory.alerts.lastSent && inventory.alerts.lastSent[type];
+      if (lastSent && now - lastSent < alerts.repeatAfterHours * 60 * 60 * 1000) {
+        return { sent: false, reason: 'Alert was sent recently' };
+      }
+
+      const recipients = inventory.alerts.recipients && inventory.alerts.recipients.length > 0
+        ? inventory.alerts.recipients
+        : alerts.defaultRecipients;
+      if (!recipients || recipients.length === 0) {
+        return { sent: false, reason: 'No alert recipients' };
+      }
+
+      const values = await this._templateValues(inventory);
+      const template = alerts.emailTemplates[type];
+
+      await MailService.sendMail({
+        to: recipients,
+        subject: renderTemplate(template.subject, values),
+        text: renderTemplate(template.body, values)
+      });
+
+      inventory.set(`alerts.lastSent.${type}`, now);
+      await Inventory.updateOne({ _id: inventory._id }, { $set: { [`alerts.lastSent.${type}`]: now } });
+
+      return { sent: true };
+    } catch (error) {
+      console.error(`Error sending ${type} alert for inventory ${inventory._id}:`, error);
+      return { sent: false, reason: error.message };
+    }
+  }
+
+  /**
+   * Send restock reminders for items out of stock longer than the configured number of days,
+   * then email the digest of all low and out of stock items to the default recipients
+   * @param {Date} now - Current time
+   * @returns {Promise<Object>} { lowStock, outOfStock, restockReminders, sent }
+   */
+  async sendDailyDigest(now = new Date()) {
+    try {
+      const settings = await this.getSettings();
+      const { alerts } = settings;
+
+      const [lowStock, outOfStock] = await Promise.all([
+        Inventory.findLowStock(),
+        Inventory.findOutOfStock()
+      ]);
+      const outOfStockIds = new Set(outOfStock.map(item => String(item._id)));
+      const low = lowStock.filter(item => !outOfStockIds.has(String(item._id)) && item.status !== 'discontinued');
+      const out = outOfStock.filter(item => item.status !== 'discontinued');
+
+      // Restock reminders
+      const reminderCutoff = new Date(now.getTime() - alerts.restockReminderDays * 24 * 60 * 60 * 1000);
+      let restockReminders = 0;
+      for (const item of out) {
+        const since = item.alerts.outOfStockSince;
+        if (since && since <= reminderCutoff) {
+          const result = await this.sendAlert(item, 'restock', now);
+          restockReminders += result.sent ? 1 : 0;
+        }
+      }
+
+      const summary = { lowStock: low.length, outOfStock: out.length, restockReminders, sent: false };
+      if (low.length === 0 && out.length === 0) {
+        return summary;
+      }
+      if (alerts.defaultRecipients.length === 0) {
+        console.log('Inventory digest not sent: no alert recipients');
+        return summary;
+      }
+
+      const describe = async (items, format) => Promise.all(items.map(async item => {
+        const values = await this._templateValues(item);
+        return `- ${values.product_name}${values.sku ? ` (${values.sku})` : ''}: ${format(item, values)}`;
+      }));
+
+      const lines = [`Inventory summary for ${now.toDateString()}`];
+      if (out.length > 0) {
+        lines.push('', `Out of stock (${out.length}):`, ...await describe(out, (item, values) =>
+          [
+            values.date ? `since ${values.date}` : 'out of stock',
+            item.restockDate ? `restock expected ${item.restockDate.toDateString()}` : null
+          ].filter(Boolean).join(', ')
+        ));
+      }
+      if (low.length > 0) {
+        lines.push('', `Low stock (${low.length}):`, ...await describe(low, (item, values) =>
+          `${item.stockLevel} left, threshold ${item.lowStockThreshold}` +
+            (values.locations ? `; low at ${values.locations}` : '')
+        ));
+      }
+
+      await MailService.sendMail({
+        to: alerts.defaultRecipients,
+        subject: `Inventory digest: ${out.length} out of stock, ${low.length} low on stock`,
+        text: lines.join('\n')
+      });
+
+      return { ...summary, sent: true };
+    } catch (error) {
+      console.error('Error sending inventory digest:', error);
+      throw new Error(`Failed to send inventory digest: ${error.message}`, { cause: error });
+    }
+  }
+
+  /**
+   * Email the weekly inventory report to the report recipients (or the alert recipients if
+   * none are set). The reporting settings choose the sections: out of stock items, low stock
+   * items, stock movements over the week and the stock forecast.
+   * @param {Date} now - Current time
+   * @returns {Promise<Object>} { sent, reason }
+   */
+  async sendWeeklyReport(now = new Date()) {
+    try {
+      const settings = await this.getSettings();
+      const { reporting } = settings;
+
+      if (!reporting.generateWeeklyReport) {
+        return { sent: false, reason: 'Weekly report is switched off' };
+      }
+
+      const recipients = reporting.reportRecipients.length > 0
+        ? reporting.reportRecipients
+        : settings.alerts.defaultRecipients;
+      if (recipients.length === 0) {
+        return { sent: false, reason: 'No report recipients' };
+      }
+
+      const weekStart = new Date(now.getTime() - 7 * DAY_MS);
+      const lines = [`Inventory report for ${weekStart.toDateString()} to ${now.toDateString()}`];
+
+      if (reporting.includeOutOfStockItems || reporting.includeLowStockItems) {
+        const [lowStock, outOfStock] = await Promise.all([
+          Inventory.findLowStock(),
+          Inventory.findOutOfStock()
+        ]);
+        const out = outOfStock.filter(item => item.status !== 'discontinued');
+        const outIds = new Set(out.map(item => String(item._id)));
+        const low = lowStock.filter(item => !outIds.has(String(item._id)) && item.status !== 'discontinued');
+
+        if (reporting.includeOutOfStockItems) {
+          lines.push('', `Out of stock (${out.length}):`);
+          for (const item of out) {
+            const { name } = await this._describeProduct(item.product, item.variant);
+            lines.push(`- ${name}${item.restockDate ? `: restock expected ${item.restockDate.toDateString()}` : ''}`);
+          }
+        }
+        if (reporting.includeLowStockItems) {
+          lines.push('', `Low stock (${low.length}):`);
+          for (const item of low) {
+            const { name } = await this._describeProduct(item.product, item.variant);
+            lines.push(`- ${name}: ${item.stockLevel} left, threshold ${item.lowStockThreshold}`);
+          }
+        }
+      }
+
+      if (reporting.includeStockHistory) {
+        const movements = await Inventory.aggregate([
+          { $unwind: '$history' },
+          { $match: { 'history.date': { $gte: weekStart, $lte: now } } },
+          // Removals are recorded with negative quantities
+          { $group: { _id: '$history.action', quantity: { $sum: { $abs: '$history.quantity' } }, count: { $sum: 1 } } }
+        ]);
+        const byAction = new Map(movements.map(row => [row._id, row]));
+        const total = (...actions) => actions.reduce((sum, action) => sum + (byAction.get(action) ? byAction.get(action).quantity : 0), 0);
+        const count = (action) => (byAction.get(action) ? byAction.get(action).count : 0);
+
+        lines.push(
+          '',
+          'Stock movements this week:',
+          `- Added: ${total('add', 'restock')}`,
+          `- Removed: ${total('remove')}`,
+          `- Adjustments: ${count('adjust')}`,
+          `- Transfers: ${count('transfer')}`
+        );
+      }
+
+      if (reporting.includeStockForecast) {
+        const forecast = await StockForecastService.getForecast({ now });
+        const horizon = new Date(now.getTime() + FORECAST_REPORT_DAYS * DAY_MS);
+        const upcoming = forecast.items.filter(item =>
+          item.reorderNow || (item.stockOutDate && item.stockOutDate <= horizon)
+        );
+
+        lines.push('', `Forecast stock-outs in the next ${FORECAST_REPORT_DAYS} days (${upcoming.length}):`);
+        for (const item of upcoming) {
+          const { name } = await this._describeProduct(item.product, item.variant);
+          lines.push(`- ${name}: ${item.dailyDemand} a day, ` + [
+            item.stockOutDate ? `runs out ${item.stockOutDate.toDateString()}` : null,
+            item.reorderNow ? 'reorder now' : `reorder by ${item.reorderDate.toDateString()}`,
+            item.onOrder > 0 ? `${item.onOrder} on order` : null
+          ].filter(Boolean).join(', '));
+        }
+      }
+
+      await MailService.sendMail({
+        to: recipients,
+        subject: `Weekly inventory report: ${now.toDateString()}`,
+        text: lines.join('\n')
+      });
+
+      return { sent: true };
+    } catch (error) {
+      console.error('Error sending weekly inventory report:', error);
+      throw new Error(`Failed to send weekly inventory report: ${error.message}`, { cause: error });
+    }
+  }
+
+  /**
+   * Get the inventory settings, creating the defaults if none exist
+   * @returns {Promise<Object>} Inventory settings
+   */
+  async getSettings() {
+    let settings = await InventorySettings.findOne();
+    if (!settings) {
+      settings = new InventorySettings();
+      await settings.save();
+    }
+    return settings;
+  }
+
+  /**
+   * Values for the alert template placeholders
+   * @param {Object} inventory - Inventory document
+   * @returns {Promise<Object>} { product_name, sku, stock_level, threshold, date, locations }
+   * @private
+   */
+  async _templateValues(inventory) {
+    const { name, variant } = await this._describeProduct(inventory.product, inventory.variant);
+    const lowLocations = inventory.lowStockScope === 'location' ? inventory.getLowStockLocations() : [];
+
+    return {
+      product_name: name,
+      sku: (variant && variant.sku) || (inventory.metadata && inventory.metadata.sku) || '',
+      stock_level: inventory.stockLevel,
+      threshold: inventory.lowStockThreshold,
+      date: inventory.alerts.outOfStockSince ? inventory.alerts.outOfStockSince.toDateString() : '',
+      locations: lowLocations.map(location => `${location.code}: ${location.stockLevel}`).join(', ')
+    };
+  }
+
+  /**
+   * Name of a product, with the variant label for a variant
+   * @param {*} product - Product ID or populated product
+   * @param {*} variantId - Variant ID, or null
+   * @returns {Promise<Object>} { name, variant }
+   * @private
+   */
+  async _describeProduct(product, variantId) {
+    const productId = product && (product._id || product);
+    const found = await Product.findById(productId).select('title options variants');
+
+    const variant = found && variantId ? found.variants.id(variantId) : null;
+    let name = found ? found.title : String(productId);
+    if (variant) {
+      name = `${name} (${found.getVariantLabel(variant)})`;
+    }
+
+    return { name, variant };
+  }
+}
+
+module.exports = new InventoryAlertService();
@@ -0,0 +1,159 @@
+const config = require('../config/config');
+const createOpenAIProvider = require('./llm/openaiProvider');
+const anthropicProvider = require('./llm/anthropicProvider');
+const createFixtureProvider = require('./llm/fixtureProvider');
+const AIUsageService = require('./AIUsageService');
+
+// Usage accounting subsystem for each task prefix (e.g. 'product.faqs' -> product_generation)
+const TASK_SUBSYSTEMS = {
+  product: 'product_generation',
+  blog: 'blog',
+  seo: 'seo',
+  social: 'social'
+};
+
+/**
+ * Service for text generation through a pluggable language model provider.
+ * Shared by product, blog, SEO and social media content generation.
+ */
+class LLMService {
+  /**
+   * Initialize the LLM service with the built-in providers
+   */
+  constructor() {
+    this.providers = {
+      openai: createOpenAIProvider({
+        name: 'openai',
+        defaultModel: 'gpt-4',
+        getClientOptions: options => ({
+          apiKey: options.apiKey || config.OPENAI_API_KEY,
+          baseURL: options.baseUrl
+        }),
+        supportsJsonMode: true
+      }),
+      anthropic: anthropicProvider,
+      // OpenAI-compatible endpoint, typically a model served locally
+      custom: createOpenAIProvider({
+        name: 'custom',
+        defaultModel: 'llama3',
+        getClientOptions: options => ({
+          // Local servers usually ignore the key, but the client requires one
+          apiKey: options.apiKey || config.LLM_API_KEY || 'not-needed',
+          baseURL: options.baseUrl || config.LLM_BASE_URL
+        }),
+        supportsJsonMode: false
+      }),
+      fixture: createFixtureProvider()
+    };
+  }
+
+  /**
+   * Register a provider (e.g. another hosted API)
+   * @param {String} name - Provider name, selectable via LLM_PROVIDER or per-feature settings
+   * @param {Object} provider - Object with an async complete(request, options) method
+   */
+  registerProvider(name, provider) {
+    if (!provider || typeof provider.complete !== 'function') {
+      throw new Error('An LLM provider must implement complete(request, options)');
+    }
+    this.providers[name] = provider;
+  }
+
+  /**
+   * Get a provider by name
+   * @param {String} name - Provider name
+   * @returns {Object} Provider
+   */
+  getProvider(name) {
+    const provider = this.providers[name];
+    if (!provider) {
+      throw Object.assign(new Error(`Unknown LLM provider: ${name}`), { retryable: false });
+    }
+    return provider;
+  }
+
+  /**
+   * Work out which provider and model a call should use.
+   * LLM_PROVIDER=fixture forces the fixture provider everywhere so nothing leaves the machine.
+   * @param {Object} options - Per-call options
+   * @returns {Object} { providerName, model }
+   */
+  resolve(options = {}) {
+    const providerName = config.LLM_PROVIDER === 'fixture'
+      ? 'fixture'
+      : options.provider || config.LLM_PROVIDER;
+    const provider = this.getProvider(providerName);
+
+    let model = options.model;
+    if (providerName === 'fixture') {
+      model = provider.defaultModel;
+    } else if (!model) {
+      model = (providerName === config.LLM_PROVIDER && config.LLM_MODEL) || provider.defaultModel;
+    }
+
+    return { providerName, model };
+  }
+
+  /**
+   * Generate a completion
+   * @param {Object} request - Completion request
+   * @param {String} request.task - Task name, e.g. 'product.title' (used by fixtures and logging)
+   * @param {String} request.prompt - User prompt
+   * @param {String} request.system - System prompt (optional)
+   * @param {Boolean} request.json - Ask for a JSON object response
+   * @param {Number} request.temperature - Sampling temperature (default 0.7)
+   * @param {Number} request.maxTokens - Maximum tokens to generate (default 1000)
+   * @param {Object} request.context - Structured inputs behind the prompt, e.g. { keywords, title }
+   * @param {Object} request.entity - Record the call is for, e.g. { type: 'Product', id }, for usage accounting
+   * @param {Object} request.template - Prompt template version the prompt was rendered from ({ name, version })
+   * @param {Object} options - Provider selection
+   * @param {String} options.provider - Provider name (defaults to LLM_PROVIDER)
+   * @param {String} options.model - Model name (defaults to LLM_MODEL or the provider default)
+   * @param {String} options.apiKey - API key override
+   * @param {String} options.baseUrl - Endpoint override
+   * @returns {Promise<Object>} { text, provider, model, usage: { inputTokens, outputTokens } }
+   */
+  async complete(request, options = {}) {
+    const { providerName, model } = this.resolve(options);
+
+    const result = await this.getProvider(providerName).complete(
+      {
+        temperature: 0.7,
+        maxTokens: 1000,
+        ...request
+      },
+      { ...options, model }
+    );
+
+    const subsystem = TASK_SUBSYSTEMS[String(request.task).split('.')[0]];
+    if (subsystem) {
+      await AIUsageService.record({
+        subsystem,
+        task: request.task,
+        provider: providerName,
+        model: result.model,
+        inputTokens: result.usage.inputTokens,
+        outputTokens: result.usage.outputTokens,
+        entity: request.entity,
+        promptTemplate: request.template
+      });
+    }
+
+    return {
+      ...result,
+      provider: providerName
+    };
+  }
+
+  /**
+   * Parse JSON from a completion, tolerating a surrounding Markdown code fence
+   * @param {String} text - Completion text
+   * @returns {*} Parsed value
+   */
+  parseJSON(text) {
+    const fenced = text.trim().match(/^```(?:json)?\s*([\s\S]*?)\s*```$/i);
+    return JSON.parse(fenced ? fenced[1] : text);
+  }
+}
+
+module.exports = new LLMService();
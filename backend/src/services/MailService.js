@@ -0,0 +1,137 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const config = require('../config/config');
+
+/**
+ * Transport that prints messages to the console. Useful in development.
+ */
+const consoleTransport = {
+  async send(message) {
+    console.log('--- Outgoing email ---');
+    console.log(`From: ${message.from}`);
+    console.log(`To: ${message.to}`);
+    console.log(`Subject: ${message.subject}`);
+    console.log('');
+    console.log(message.text || message.html);
+    console.log('----------------------');
+    return { messageId: `console-${Date.now()}` };
+  }
+};
+
+/**
+ * Transport that writes each message as a JSON file, so tests can read them back offline.
+ */
+const fileTransport = {
+  async send(message) {
+    const dir = config.MAIL_FILE_DIR;
+    await fs.mkdir(dir, { recursive: true });
+
+    const messageId = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+    const filePath = path.join(dir, `${messageId}.json`);
+
+    await fs.writeFile(filePath, JSON.stringify({ ...message, date: new Date() }, null, 2));
+
+    return { messageId, path: filePath };
+  }
+};
+
+/**
+ * Service for sending transactional email through a pluggable transport
+ */
+class MailService {
+  /**
+   * Initialize the mail service with the built-in transports
+   */
+  constructor() {
+    this.transports = {
+      console: consoleTransport,
+      file: fileTransport
+    };
+  }
+
+  /**
+   * Register a transport (e.g. an SMTP or provider API adapter)
+   * @param {String} name - Transport name, selectable via MAIL_TRANSPORT
+   * @param {Object} transport - Object with an async send(message) method
+   */
+  registerTransport(name, transport) {
+    if (!transport || typeof transport.send !== 'function') {
+      throw new Error('A mail transport must implement send(message)');
+    }
+    this.transports[name] = transport;
+  }
+
+  /**
+   * Get the configured transport
+   * @returns {Object} Transport
+   */
+  getTransport() {
+    const transport = this.transports[config.MAIL_TRANSPORT];
+    if (!transport) {
+      throw new Error(`Unknown mail transport: ${config.MAIL_TRANSPORT}`);
+    }
+    return transport;
+  }
+
+  /**
+   * Send an email
+   * @param {Object} options - Message options
+   * @param {String|Array} options.to - Recipient address(es)
+   * @param {String} options.subject - Subject line
+   * @param {String} options.text - Plain text body
+   * @param {String} options.html - HTML body (optional)
+   * @returns {Promise<Object>} Transport result
+   */
+  async sendMail({ to, subject, text, html }) {
+    const message = {
+      from: config.MAIL_FROM,
+      to: Array.isArray(to) ? to.join(', ') : to,
+      subject,
+      text,
+      html
+    };
+
+    const result = await this.getTransport().send(message);
+    console.log(`Email "${subject}" sent to ${message.to} via ${config.MAIL_TRANSPORT}`);
+
+    return result;
+  }
+
+  /**
+   * Send the password reset email
+   * @param {Object} user - User document
+   * @param {String} resetToken - Unhashed reset token
+   * @returns {Promise<Object>} Transport result
+   */
+  async sendPasswordResetEmail(user, resetToken) {
+    const resetUrl = `${config.CLIENT_URL}/reset-password/${resetToken}`;
+
+    return this.sendMail({
+      to: user.email,
+      subject: 'Password reset request',
+      text: `Hello ${user.name},\n\nYou (or someone else) requested a password reset for your account. ` +
+        `Use the link below to choose a new password. The link expires in ${config.RESET_PASSWORD_EXPIRE_MINUTES} minutes.\n\n` +
+        `${resetUrl}\n\nIf you did not request this, you can ignore this email.`
+    });
+  }
+
+  /**
+   * Send the email address verification email
+   * @param {Object} user - User document
+   * @param {String} verificationToken - Unhashed verification token
+   * @returns {Promise<Object>} Transport result
+   */
+  async sendVerificationEmail(user, verificationToken) {
+    const verifyUrl = `${config.CLIENT_URL}/verify-email/${verificationToken}`;
+
+    return this.sendMail({
+      to: user.email,
+      subject: 'Please verify your email address',
+      text: `Hello ${user.name},\n\nPlease confirm your email address by opening the link below. ` +
+        `The link expires in ${config.EMAIL_VERIFICATION_EXPIRE_HOURS} hours.\n\n${verifyUrl}`
+    });
+  }
+}
+
+module.exports = new MailService();
@@ -4,6 +4,44 @@ const ProductGenerationQueue = require('../models/ProductGenerationQueue');
 const AutomationSettings = require('../models/AutomationSettings');
 const ContentGenerationService = require('../services/ContentGenerationService');
 const ImageGenerationService = require('../services/ImageGenerationService');
+const AIUsageService = require('../services/AIUsageService');
+const PromptTemplateService = require('../services/PromptTemplateService');
+const ContentQualityService = require('../services/ContentQualityService');
+const { recoverExpiredItems, claimNextItem, finishItem, failItem } = require('../utils/queueLease');
+
+// Limits for keyword set imports
+const MAX_KEYWORDS_PER_PRODUCT = 20;
+
+/**
+ * Normalize keywords given as an array or a delimited string (comma, semicolon or pipe)
+ * @param {Array|String} value - Raw keywords
+ * @returns {Array<String>} Trimmed, de-duplicated keywords
+ */
+const parseKeywords = (value) => {
+  const list = Array.isArray(value) ? value : String(value || '').split(/[,;|]/);
+  const seen = new Set();
+
+  return list
+    .map(keyword => String(keyword).trim().replace(/\s+/g, ' '))
+    .filter(keyword => {
+      const key = keyword.toLowerCase();
+      if (!keyword || seen.has(key)) {
+        return false;
+      }
+      seen.add(key);
+      return true;
+    });
+};
+
+/**
+ * Order- and case-insensitive identity of a keyword set, used for de-duplication
+ * @param {Array<String>} keywords - Keywords
+ * @returns {String} Key
+ */
+const keywordSetKey = (keywords) => keywords
+  .map(keyword => keyword.trim().toLowerCase())
+  .sort()
+  .join('|');
 
 /**
  * Service for managing the product generation process
@@ -13,7 +51,8 @@ class ProductGenerationService {
    * Queue a new product for generation
    * @param {Array} keywords - Keywords for product generation
    * @param {String} categoryId - ID of the category
-   * @param {Object} options - Additional options
+   * @param {Object} options - Additional options (priority, scheduledFor, and regeneration
+   *   ({ product, feedback }) when replacing a rejected product)
    * @returns {Object} Created queue item
    */
   async queueProductGeneration(keywords, categoryId, options = {}) {
@@ -25,7 +64,8 @@ class ProductGenerationService {
         keywords,
         category: categoryId,
         priority: options.priority || 1,
-        scheduledFor: options.scheduledFor || new Date()
+        scheduledFor: options.scheduledFor || new Date(),
+        regeneration: options.regeneration
       });
       
       console.log(`Product generation queued with ID: ${queueItem._id}`);
@@ -37,6 +77,133 @@ class ProductGenerationService {
     }
   }
   
+  /**
+   * Queue product generation for many keyword sets at once (bulk import).
+   * Every row is validated and de-duplicated on its own, so bad rows don't block the rest.
+   * @param {Array<Object>} rows - Rows with keywords, category (ID, slug or name), priority and scheduledFor
+   * @param {Object} options - Import options
+   * @param {Boolean} options.dryRun - Validate only, without queueing anything
+   * @returns {Object} Summary counts and a per-row report
+   */
+  async importKeywordSets(rows, options = {}) {
+    try {
+      console.log(`Importing ${rows.length} keyword sets${options.dryRun ? ' (dry run)' : ''}`);
+      
+      // Categories can be referenced by ID, slug or name
+      const categories = await Category.find().select('name slug');
+      const categoryLookup = new Map();
+      categories.forEach(category => {
+        categoryLookup.set(String(category._id), category);
+        categoryLookup.set(category.slug.toLowerCase(), category);
+        categoryLookup.set(category.name.toLowerCase(), category);
+      });
+      
+      // Keyword sets already waiting in the queue or already turned into products
+      const [queueItems, generatedProducts] = await Promise.all([
+        ProductGenerationQueue.find({ status: { $in: ['queued', 'processing', 'completed'] } }).select('keywords'),
+        Product.find({ 'sourceKeywords.0': { $exists: true } }).select('sourceKeywords')
+      ]);
+      const queuedKeys = new Set(queueItems.map(item => keywordSetKey(item.keywords)));
+      const generatedKeys = new Set(generatedProducts.map(product => keywordSetKey(product.sourceKeywords)));
+      const importedKeys = new Set();
+      
+      const report = [];
+      
+      for (const [index, row] of rows.entries()) {
+        const entry = { row: index + 1 };
+        const errors = [];
+        
+        const keywords = parseKeywords(row.keywords);
+        entry.keywords = keywords;
+        
+        if (keywords.length === 0) {
+          errors.push('At least one keyword is required');
+        } else if (keywords.length > MAX_KEYWORDS_PER_PRODUCT) {
+          errors.push(`No more than ${MAX_KEYWORDS_PER_PRODUCT} keywords are allowed`);
+        }
+        
+        const categoryRef = String(row.category || '').trim();
+        const category = categoryLookup.get(categoryRef.toLowerCase()) || categoryLookup.get(categoryRef);
+        if (!categoryRef) {
+          errors.push('Category is required');
+        } else if (!category) {
+          errors.push(`Category not found: ${categoryRef}`);
+        } else {
+          entry.category = { _id: category._id, name: category.name, slug: category.slug };
+        }
+        
+        let priority = 1;
+        if (row.priority !== undefined && row.priority !== null && row.priority !== '') {
+          priority = Number(row.priority);
+          if (!Number.isInteger(priority) || priority < 1) {
+            errors.push('Priority must be a whole number of at least 1');
+          }
+        }
+        
+        let scheduledFor;
+        if (row.scheduledFor) {
+          scheduledFor = new Date(row.scheduledFor);
+          if (isNaN(scheduledFor.getTime())) {
+            errors.push(`Invalid scheduledFor date: ${row.scheduledFor}`);
+          }
+        }
+        
+        if (errors.length > 0) {
+          report.push({ ...entry, status: 'invalid', errors });
+          continue;
+        }
+        
+        // Skip duplicates of existing work and of earlier rows in the same import
+        const key = keywordSetKey(keywords);
+        const duplicateOf = queuedKeys.has(key) ? 'already queued'
+          : generatedKeys.has(key) ? 'already generated'
+            : importedKeys.has(key) ? 'duplicate of an earlier row'
+              : null;
+        
+        if (duplicateOf) {
+          report.push({ ...entry, status: 'skipped', reason: `Keyword set ${duplicateOf}` });
+          continue;
+        }
+        
+        importedKeys.add(key);
+        
+        if (options.dryRun) {
+          report.push({ ...entry, status: 'ready', priority, scheduledFor });
+          continue;
+        }
+        
+        try {
+          const queueItem = await this.queueProductGeneration(keywords, category._id, { priority, scheduledFor });
+          report.push({
+            ...entry,
+            status: 'queued',
+            queueItemId: queueItem._id,
+            priority: queueItem.priority,
+            scheduledFor: queueItem.scheduledFor
+          });
+        } catch (error) {
+          report.push({ ...entry, status: 'failed', errors: [error.message] });
+        }
+      }
+      
+      const summary = report.reduce((counts, entry) => {
+        counts[entry.status] = (counts[entry.status] || 0) + 1;
+        return counts;
+      }, { total: rows.length, queued: 0, skipped: 0, invalid: 0 });
+      
+      console.log(`Keyword import finished: ${summary.queued} queued, ${summary.skipped} skipped, ${summary.invalid} invalid`);
+      
+      return {
+        dryRun: !!options.dryRun,
+        summary,
+        rows: report
+      };
+    } catch (error) {
+      console.error('Error importing keyword sets:', error);
+      throw new Error(`Failed to import keyword sets: ${error.message}`);
+    }
+  }
+  
   /**
    * Process the next item in the generation queue
    * @returns {Object} Processing result
@@ -45,42 +212,64 @@ class ProductGenerationService {
     try {
       console.log('Processing next queue item');
       
-      // Find the next item to process
-      const queueItem = await ProductGenerationQueue.findOne({
-        status: 'queued',
-        $or: [
-          { scheduledFor: { $lte: new Date() } },
-          { scheduledFor: { $exists: false } }
-        ]
-      }).sort({ priority: -1, queuedAt: 1 }).populate('category');
+      // Automated generation stops for the month once the AI budget is used up
+      if (await AIUsageService.isPaused('product_generation')) {
+        return { success: true, message: 'Monthly AI budget reached; product generation is paused' };
+      }
+      
+      const { queueProcessing } = await AutomationSettings.getSettings();
+      
+      // Return items abandoned by crashed or stalled workers to the queue
+      const recovered = await recoverExpiredItems(ProductGenerationQueue, queueProcessing);
+      if (recovered > 0) {
+        console.log(`Requeued ${recovered} queue items whose lease expired`);
+      }
+      
+      // Atomically claim the next item to process
+      const { item: queueItem, limitReached } = await claimNextItem(ProductGenerationQueue, {
+        leaseMinutes: queueProcessing.leaseMinutes,
+        concurrency: queueProcessing.concurrency,
+        populate: 'category'
+      });
+      
+      if (limitReached) {
+        console.log('Queue concurrency limit reached');
+        return { success: true, message: 'Concurrency limit reached' };
+      }
       
       if (!queueItem) {
         console.log('No queue items to process');
         return { success: true, message: 'No queue items to process' };
       }
       
-      console.log(`Processing queue item: ${queueItem._id}`);
-      
-      // Update status to processing
-      queueItem.status = 'processing';
-      queueItem.processingStartedAt = new Date();
-      await queueItem.save();
+      console.log(`Processing queue item: ${queueItem._id} on ${queueItem.workerId}`);
       
       // Start processing timer
       const startTime = Date.now();
       
       try {
         // Generate the product
-        const product = await this.generateProduct(queueItem.keywords, queueItem.category);
+        // Attribute the AI usage to the queue item, since the product doesn't exist yet
+        const product = await AIUsageService.withContext(
+          { entity: { type: 'ProductGenerationQueue', id: queueItem._id } },
+          () => this.generateProduct(queueItem.keywords, queueItem.category, {
+            regeneration: queueItem.regeneration
+          })
+        );
         
         // Update queue item with success
-        queueItem.status = 'completed';
-        queueItem.completedAt = new Date();
-        queueItem.result = {
-          productId: product._id,
-          processingTime: Date.now() - startTime
-        };
-        await queueItem.save();
+        const recorded = await finishItem(ProductGenerationQueue, queueItem, {
+          status: 'completed',
+          completedAt: new Date(),
+          result: {
+            productId: product._id,
+            processingTime: Date.now() - startTime
+          }
+        });
+        
+        if (!recorded) {
+          console.warn(`Lease on queue item ${queueItem._id} expired before it finished; result not recorded`);
+        }
         
         console.log(`Queue item ${queueItem._id} processed successfully`);
         
@@ -90,21 +279,21 @@ class ProductGenerationService {
           product
         };
       } catch (error) {
-        // Update queue item with error
-        queueItem.status = 'failed';
-        queueItem.completedAt = new Date();
-        queueItem.result = {
-          error: error.message,
-          processingTime: Date.now() - startTime
-        };
-        await queueItem.save();
+        // Retry with backoff, or dead-letter the item if the error is permanent or attempts are used up
+        const failure = await failItem(ProductGenerationQueue, queueItem, error, queueProcessing, Date.now() - startTime);
         
         console.error(`Error processing queue item ${queueItem._id}:`, error);
         
+        if (failure.retryScheduled) {
+          console.log(`Retrying queue item ${queueItem._id} at ${failure.nextAttemptAt} (attempt ${queueItem.attempts + 1} of ${queueProcessing.maxAttempts})`);
+        }
+        
         return {
           success: false,
           queueItem,
-          error: error.message
+          error: error.message,
+          errorType: failure.errorType,
+          retryScheduled: failure.retryScheduled
         };
       }
     } catch (error) {
@@ -117,27 +306,64 @@ class ProductGenerationService {
    * Generate a product based on keywords and category
    * @param {Array} keywords - Keywords for product generation
    * @param {Object} category - Category object
+   * @param {Object} options - Generation options
+   * @param {Object} options.regeneration - Rejected product being replaced ({ product, feedback })
    * @returns {Object} Generated product
    */
-  async generateProduct(keywords, category) {
+  async generateProduct(keywords, category, options = {}) {
     try {
       console.log(`Generating product with keywords: ${keywords.join(', ')}`);
       
       // Get automation settings
       const settings = await AutomationSettings.getSettings();
       
-      // Generate product content
-      const content = await ContentGenerationService.generateProductContent(
-        keywords,
-        category.name
+      // Generate product content, noting which prompt template versions were used
+      const { result: generated, templates } = await PromptTemplateService.trackUsage(
+        () => ContentGenerationService.generateProductContent(
+          keywords,
+          category.name,
+          {
+            mode: settings.contentGeneration.generationMode,
+            feedback: options.regeneration ? options.regeneration.feedback : undefined
+          }
+        )
       );
       
+      // Check the content before saving; failures are held for review with the reasons
+      const quality = await ContentQualityService.checkProduct(generated, {
+        categoryId: category._id,
+        settings
+      });
+      const content = quality.content;
+      
+      if (!quality.passed) {
+        console.warn(`Generated product "${content.title}" needs review: ${quality.reasons.join('; ')}`);
+      }
+      
       // Generate product images
       const images = await ImageGenerationService.generateProductImages(
         { title: content.title, description: content.description },
         settings.imageGeneration.imagesPerProduct || 3
       );
       
+      // Products that pass go straight to review when approval is required
+      let status = settings.productListing.requireApproval ? 'in_review' : 'published';
+      if (!quality.passed) {
+        status = 'needs_review';
+      }
+      
+      const review = { comments: [] };
+      if (status === 'in_review') {
+        review.assignedTo = settings.productListing.defaultReviewer;
+        review.submittedAt = new Date();
+        review.comments.push({
+          action: 'submitted',
+          text: options.regeneration && options.regeneration.product
+            ? `Generated to replace rejected product ${options.regeneration.product}`
+            : 'Generated automatically'
+        });
+      }
+      
       // Create the product
       const product = await Product.create({
         title: content.title,
@@ -156,8 +382,16 @@ class ProductGenerationService {
         sourceKeywords: keywords,
         isAutomated: true,
         generationStatus: 'completed',
-        status: settings.productListing.requireApproval ? 'draft' : 'published',
-        publishedAt: settings.productListing.requireApproval ? null : new Date()
+        qualityCheck: {
+          passed: quality.passed,
+          reasons: quality.reasons,
+          readabilityScore: quality.readabilityScore,
+          checkedAt: new Date()
+        },
+        promptTemplates: templates,
+        review,
+        status,
+        publishedAt: status === 'published' ? new Date() : null
       });
       
       console.log(`Product generated with ID: ${product._id}`);
@@ -165,7 +399,52 @@ class ProductGenerationService {
       return product;
     } catch (error) {
       console.error('Error generating product:', error);
-      throw new Error(`Failed to generate product: ${error.message}`);
+      throw new Error(`Failed to generate product: ${error.message}`, { cause: error });
+    }
+  }
+  
+  /**
+   * Regenerate one section of an existing product (e.g. just its FAQs), keeping the rest
+   * @param {String} productId - ID of the product
+   * @param {String} section - Section to regenerate (see ContentGenerationService.sections)
+   * @returns {Object} Updated product, or null if the product does not exist
+   */
+  async regenerateProductSection(productId, section) {
+    try {
+      console.log(`Regenerating ${section} for product ${productId}`);
+      
+      const product = await Product.findById(productId).populate('category', 'name');
+      
+      if (!product) {
+        return null;
+      }
+      
+      const { result: fields, templates } = await AIUsageService.withContext(
+        { entity: { type: 'Product', id: product._id } },
+        () => PromptTemplateService.trackUsage(() => ContentGenerationService.generateSection(section, {
+          title: product.title,
+          description: product.description,
+          keywords: product.sourceKeywords && product.sourceKeywords.length > 0 ? product.sourceKeywords : product.keywords,
+          categoryName: product.category ? product.category.name : 'Industrial Equipment'
+        }))
+      );
+      
+      product.set(fields);
+      
+      // Replace the recorded version of the regenerated section's template
+      const regenerated = templates.map(template => template.name);
+      product.promptTemplates = [
+        ...product.promptTemplates.filter(template => !regenerated.includes(template.name)),
+        ...templates
+      ];
+      await product.save();
+      
+      console.log(`Regenerated ${section} for product ${product._id}`);
+      
+      return product;
+    } catch (error) {
+      console.error('Error regenerating product section:', error);
+      throw new Error(`Failed to regenerate product ${section}: ${error.message}`, { cause: error });
     }
   }
   
@@ -185,19 +464,20 @@ class ProductGenerationService {
         return { success: true, message: 'Product listing automation is disabled' };
       }
       
-      // Get draft products
+      // Get products ready to schedule: approved ones when approval is required, drafts otherwise
+      const readyStatus = settings.productListing.requireApproval ? 'approved' : 'draft';
       const draftProducts = await Product.find({
-        status: 'draft',
+        status: readyStatus,
         isAutomated: true,
         generationStatus: 'completed'
       }).sort({ createdAt: 1 });
       
       if (draftProducts.length === 0) {
-        console.log('No draft products to schedule');
-        return { success: true, message: 'No draft products to schedule' };
+        console.log(`No ${readyStatus} products to schedule`);
+        return { success: true, message: `No ${readyStatus} products to schedule` };
       }
       
-      console.log(`Found ${draftProducts.length} draft products to schedule`);
+      console.log(`Found ${draftProducts.length} ${readyStatus} products to schedule`);
       
       // Calculate next publication date
       let nextPublishDate = new Date();
@@ -272,23 +552,32 @@ class ProductGenerationService {
       
       console.log(`Found ${scheduledProducts.length} scheduled products to publish`);
       
-      // Publish each product
+      // Publish each product. A product that can't be saved, e.g. because a required
+      // specification is missing, stays scheduled and is reported; the rest still publish.
       const publishedProducts = [];
+      const failed = [];
       
       for (const product of scheduledProducts) {
-        product.status = 'published';
-        product.publishedAt = new Date();
-        await product.save();
-        
-        publishedProducts.push(product);
-        
-        console.log(`Published product ${product._id}`);
+        try {
+          product.status = 'published';
+          product.publishedAt = new Date();
+          await product.save();
+          
+          publishedProducts.push(product);
+          
+          console.log(`Published product ${product._id}`);
+        } catch (error) {
+          console.error(`Error publishing product ${product._id}:`, error);
+          failed.push({ product: product._id, error: error.message });
+        }
       }
       
       return {
         success: true,
         publishedCount: publishedProducts.length,
-        publishedProducts
+        publishedProducts,
+        failedCount: failed.length,
+        failed
       };
     } catch (error) {
       console.error('Error publishing scheduled products:', error);
@@ -0,0 +1,301 @@
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const Category = require('../models/Category');
+const Inquiry = require('../models/Inquiry');
+const { tokenize } = require('../utils/searchText');
+
+// How much each signal counts towards the overall score
+const WEIGHTS = {
+  keywords: 0.35,
+  specifications: 0.25,
+  category: 0.2,
+  coInquiry: 0.2
+};
+
+// Categories this many steps apart in the tree no longer count as related
+const MAX_CATEGORY_DISTANCE = 4;
+
+// Products scored per request
+const MAX_CANDIDATES = 300;
+
+/**
+ * Build an error that the routes can turn into a 4xx response
+ * @param {String} message - Error message
+ * @param {Number} status - HTTP status
+ * @returns {Error} Error with a status
+ */
+const recommendationError = (message, status) => Object.assign(new Error(message), { status });
+
+/**
+ * ID of a reference that may or may not be populated
+ * @param {Object} value - ObjectId or populated document
+ * @returns {String} ID, or null
+ */
+const idOf = (value) => {
+  if (!value) {
+    return null;
+  }
+  return String(value._id || value);
+};
+
+/**
+ * Entries of a Mongoose map or the plain object a lean query returns for it
+ * @param {Map|Object} value - Map or object
+ * @returns {Array<Array>} [key, value] pairs
+ */
+const entriesOf = (value) => {
+  if (!value) {
+    return [];
+  }
+  return value instanceof Map ? [...value.entries()] : Object.entries(value);
+};
+
+/**
+ * Similarity of two typed specification values, from 0 to 1
+ * @param {Object} a - Typed value { value, min, max, unit }
+ * @param {Object} b - Typed value { value, min, max, unit }
+ * @returns {Number} Similarity
+ */
+const valueSimilarity = (a, b) => {
+  const numberOf = (typed) => typed.min !== undefined && typed.min !== null
+    ? (typed.min + typed.max) / 2
+    : typed.value;
+  const first = numberOf(a);
+  const second = numberOf(b);
+
+  if (typeof first === 'number' && typeof second === 'number' && a.unit === b.unit) {
+    const scale = Math.max(Math.abs(first), Math.abs(second));
+    return scale === 0 ? 1 : Math.max(0, 1 - Math.abs(first - second) / scale);
+  }
+
+  return String(a.value).toLowerCase() === String(b.value).toLowerCase() ? 1 : 0;
+};
+
+/**
+ * Service for finding products related to a product, used for the storefront's related
+ * products, internal links, blog posts and follow-up emails
+ */
+class ProductRecommendationService {
+  /**
+   * Products related to a product, best first. The score (0-100) combines shared keywords,
+   * similar specifications, how close the categories are in the tree and how often the
+   * products were asked about in the same inquiry.
+   * @param {Object|String} productOrId - Product document or ID
+   * @param {Object} options - Recommendation options
+   * @param {Number} options.limit - Number of products to return
+   * @param {Number} options.minScore - Lowest score to include
+   * @param {Array<String>} options.exclude - IDs of products to leave out
+   * @returns {Promise<Array<Object>>} { product, score, scores, commonKeywords }
+   */
+  async getRelatedProducts(productOrId, { limit = 6, minScore = 0, exclude = [] } = {}) {
+    const product = await this._loadProduct(productOrId);
+    const productId = String(product._id);
+
+    const [categories, coInquiries] = await Promise.all([
+      Category.find().select('parentCategory').lean(),
+      this._getCoInquiryCounts(product._id)
+    ]);
+    const parents = new Map(categories.map(category => [String(category._id), idOf(category.parentCategory)]));
+
+    const categoryId = idOf(product.category);
+    const nearbyCategories = categoryId
+      ? [...parents.keys()].filter(id => this._categoryDistance(categoryId, id, parents) < MAX_CATEGORY_DISTANCE)
+      : [];
+    const excluded = new Set([productId, ...exclude.map(String)]);
+
+    const candidates = await Product.find({
+      _id: { $nin: [...excluded] },
+      status: 'published',
+      $or: [
+        { category: { $in: nearbyCategories } },
+        { keywords: { $in: product.keywords || [] } },
+        { _id: { $in: [...coInquiries.keys()] } }
+      ]
+    })
+      .select('title slug shortDescription images category keywords specifications specificationValues')
+      .populate('category', 'name slug')
+      .limit(MAX_CANDIDATES)
+      .lean();
+
+    const terms = this._keywordTerms(product);
+    const maxCoInquiries = Math.max(0, ...coInquiries.values());
+
+    return candidates
+      .map(candidate => {
+        const candidateTerms = this._keywordTerms(candidate);
+        const commonKeywords = [...terms].filter(term => candidateTerms.has(term));
+        const allTerms = new Set([...terms, ...candidateTerms]);
+        const distance = categoryId && candidate.category
+          ? this._categoryDistance(categoryId, idOf(candidate.category), parents)
+          : Infinity;
+
+        const scores = {
+          keywords: allTerms.size > 0 ? commonKeywords.length / allTerms.size : 0,
+          specifications: this._specificationSimilarity(product, candidate),
+          category: Math.max(0, 1 - distance / MAX_CATEGORY_DISTANCE),
+          coInquiry: maxCoInquiries > 0 ? (coInquiries.get(String(candidate._id)) || 0) / maxCoInquiries : 0
+        };
+        const score = Object.keys(WEIGHTS).reduce((total, signal) => total + WEIGHTS[signal] * scores[signal], 0);
+
+        Object.keys(scores).forEach(signal => {
+          scores[signal] = Math.round(scores[signal] * 1000) / 10;
+        });
+
+        return {
+          product: {
+            _id: candidate._id,
+            title: candidate.title,
+            slug: candidate.slug,
+            shortDescription: candidate.shortDescription,
+            category: candidate.category,
+            image: (candidate.images || []).find(image => image.isMain) || (candidate.images || [])[0] || null
+          },
+          score: Math.round(score * 1000) / 10,
+          scores,
+          commonKeywords
+        };
+      })
+      .filter(related => related.score > 0 && related.score >= minScore)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+  }
+
+  /**
+   * Products related to any of several products, such as the ones in an inquiry, leaving
+   * those products out. A product related to more than one of them keeps its best score.
+   * @param {Array<String>} productIds - Product IDs
+   * @param {Object} options - Number of products to return
+   * @returns {Promise<Array<Object>>} { product, score, scores, commonKeywords }
+   */
+  async getRelatedToProducts(productIds, { limit = 3 } = {}) {
+    const ids = [...new Set(productIds.filter(Boolean).map(String))];
+    const best = new Map();
+
+    for (const id of ids) {
+      const related = await this.getRelatedProducts(id, { limit, exclude: ids }).catch(error => {
+        if (error.status === 404) {
+          return [];
+        }
+        throw error;
+      });
+
+      related.forEach(item => {
+        const key = String(item.product._id);
+        if (!best.has(key) || best.get(key).score < item.score) {
+          best.set(key, item);
+        }
+      });
+    }
+
+    return [...best.values()].sort((a, b) => b.score - a.score).slice(0, limit);
+  }
+
+  /**
+   * Load a product unless a document was passed in
+   * @param {Object|String} productOrId - Product document or ID
+   * @returns {Promise<Object>} Product
+   * @private
+   */
+  async _loadProduct(productOrId) {
+    if (productOrId && productOrId._id) {
+      return productOrId;
+    }
+    if (!mongoose.isValidObjectId(productOrId)) {
+      throw recommendationError('Product not found', 404);
+    }
+
+    const product = await Product.findById(productOrId)
+      .select('title category keywords specifications specificationValues')
+      .lean();
+    if (!product) {
+      throw recommendationError('Product not found', 404);
+    }
+    return product;
+  }
+
+  /**
+   * Number of inquiries each other product was asked about in together with a product
+   * @param {ObjectId} productId - Product ID
+   * @returns {Promise<Map<String, Number>>} Counts by product ID
+   * @private
+   */
+  async _getCoInquiryCounts(productId) {
+    const rows = await Inquiry.aggregate([
+      { $match: { 'products.product': productId } },
+      { $unwind: '$products' },
+      { $match: { 'products.product': { $ne: productId } } },
+      { $group: { _id: '$products.product', inquiries: { $addToSet: '$_id' } } },
+      { $project: { count: { $size: '$inquiries' } } }
+    ]);
+
+    return new Map(rows.filter(row => row._id).map(row => [String(row._id), row.count]));
+  }
+
+  /**
+   * Search terms of a product's keywords and title
+   * @param {Object} product - Product
+   * @returns {Set<String>} Terms
+   * @private
+   */
+  _keywordTerms(product) {
+    return new Set(tokenize([...(product.keywords || []), product.title].join(' ')));
+  }
+
+  /**
+   * Steps between two categories through their closest common ancestor
+   * @param {String} from - Category ID
+   * @param {String} to - Category ID
+   * @param {Map<String, String>} parents - Parent ID of each category
+   * @returns {Number} Distance, or Infinity if they are in different trees
+   * @private
+   */
+  _categoryDistance(from, to, parents) {
+    const stepsFrom = new Map();
+    for (let id = from, steps = 0; id && !stepsFrom.has(id); id = parents.get(id), steps++) {
+      stepsFrom.set(id, steps);
+    }
+
+    const visited = new Set();
+    for (let id = to, steps = 0; id && !visited.has(id); id = parents.get(id), steps++) {
+      if (stepsFrom.has(id)) {
+        return stepsFrom.get(id) + steps;
+      }
+      visited.add(id);
+    }
+    return Infinity;
+  }
+
+  /**
+   * Share of specifications two products have in common, counting numbers by how close
+   * they are
+   * @param {Object} a - Product
+   * @param {Object} b - Product
+   * @returns {Number} Similarity from 0 to 1
+   * @private
+   */
+  _specificationSimilarity(a, b) {
+    const typedA = new Map(entriesOf(a.specificationValues));
+    const typedB = new Map(entriesOf(b.specificationValues));
+    const specsA = new Map(entriesOf(a.specifications).map(([name, value]) => [name.toLowerCase(), value]));
+    const specsB = new Map(entriesOf(b.specifications).map(([name, value]) => [name.toLowerCase(), value]));
+
+    const names = new Set([...specsA.keys(), ...specsB.keys()]);
+    if (names.size === 0) {
+      return 0;
+    }
+
+    let total = 0;
+    entriesOf(a.specifications).forEach(([name, value]) => {
+      const key = name.toLowerCase();
+      if (typedA.has(name) && typedB.has(name)) {
+        total += valueSimilarity(typedA.get(name), typedB.get(name));
+      } else if (specsB.has(key)) {
+        total += String(value).trim().toLowerCase() === String(specsB.get(key)).trim().toLowerCase() ? 1 : 0;
+      }
+    });
+
+    return total / names.size;
+  }
+}
+
+module.exports = new ProductRecommendationService();
@@ -0,0 +1,268 @@
+const Product = require('../models/Product');
+const User = require('../models/User');
+const AutomationSettings = require('../models/AutomationSettings');
+const ProductGenerationService = require('./ProductGenerationService');
+
+// Status changes allowed for a product. Approval is skipped entirely when
+// AutomationSettings.productListing.requireApproval is off.
+const TRANSITIONS = {
+  draft: ['in_review', 'scheduled', 'published'],
+  needs_review: ['draft'],
+  in_review: ['approved', 'draft', 'rejected'],
+  approved: ['scheduled', 'published', 'draft'],
+  rejected: ['draft'],
+  scheduled: ['published', 'approved', 'draft'],
+  published: ['draft']
+};
+
+// Statuses only reachable through the review endpoints
+const REVIEW_STATUSES = ['in_review', 'approved', 'rejected'];
+
+// Statuses that can only be reached from approved while approval is required
+const APPROVAL_GATED_STATUSES = ['scheduled', 'published'];
+
+// Roles that can review products
+const REVIEWER_ROLES = ['admin', 'editor'];
+
+/**
+ * Build an error that the routes can turn into a 4xx response
+ * @param {String} message - Error message
+ * @param {Number} status - HTTP status
+ * @returns {Error} Error with a status
+ */
+const reviewError = (message, status) => Object.assign(new Error(message), { status });
+
+/**
+ * Service for the human approval workflow of generated products
+ */
+class ProductReviewService {
+  /**
+   * Initialize the product review service
+   */
+  constructor() {
+    this.transitions = TRANSITIONS;
+  }
+
+  /**
+   * Check that a product may move to a status
+   * @param {Object} product - Product document
+   * @param {String} status - Target status
+   * @param {Object} settings - AutomationSettings
+   * @throws {Error} 409 error if the change is not allowed
+   */
+  assertTransition(product, status, settings) {
+    const from = product.status;
+    if (from === status) {
+      return;
+    }
+
+    const allowed = TRANSITIONS[from] || [];
+    if (!allowed.includes(status)) {
+      throw reviewError(`A ${from} product cannot be moved to ${status}`, 409);
+    }
+
+    if (settings.productListing.requireApproval && APPROVAL_GATED_STATUSES.includes(status) && from === 'draft') {
+      throw reviewError(`Products must be approved before they are ${status}`, 409);
+    }
+  }
+
+  /**
+   * Check that a product may move to a status by editing it, rather than through the
+   * review endpoints
+   * @param {Object} product - Product document
+   * @param {String} status - Target status
+   * @param {Object} settings - AutomationSettings
+   * @throws {Error} 400 error for a review status, 409 error if the change is not allowed
+   */
+  assertEditTransition(product, status, settings) {
+    if (status !== product.status && REVIEW_STATUSES.includes(status)) {
+      throw reviewError(`Use the review endpoints to move a product to ${status}`, 400);
+    }
+
+    this.assertTransition(product, status, settings);
+  }
+
+  /**
+   * Submit a draft product for review
+   * @param {String} productId - ID of the product
+   * @param {Object} user - User submitting it
+   * @param {Object} options - Reviewer to assign and an optional comment
+   * @returns {Promise<Object>} Updated product, or null if it does not exist
+   */
+  async submitForReview(productId, user, { reviewerId, comment } = {}) {
+    const product = await Product.findById(productId);
+    if (!product) {
+      return null;
+    }
+
+    const settings = await AutomationSettings.getSettings();
+    this.assertTransition(product, 'in_review', settings);
+
+    const reviewer = reviewerId || product.review.assignedTo || settings.productListing.defaultReviewer;
+    if (reviewer) {
+      await this._assertReviewer(reviewer);
+    }
+
+    product.status = 'in_review';
+    product.review.assignedTo = reviewer;
+    product.review.submittedAt = new Date();
+    product.review.decidedBy = undefined;
+    product.review.decidedAt = undefined;
+    product.review.comments.push({ user: user._id, action: 'submitted', text: comment });
+
+    await product.save();
+    console.log(`Product ${product._id} submitted for review`);
+    return product;
+  }
+
+  /**
+   * Assign a reviewer to a product
+   * @param {String} productId - ID of the product
+   * @param {Object} user - User making the assignment
+   * @param {String} reviewerId - User to assign
+   * @returns {Promise<Object>} Updated product, or null if it does not exist
+   */
+  async assignReviewer(productId, user, reviewerId) {
+    const product = await Product.findById(productId);
+    if (!product) {
+      return null;
+    }
+
+    const reviewer = await this._assertReviewer(reviewerId);
+
+    product.review.assignedTo = reviewer._id;
+    product.review.comments.push({ user: user._id, action: 'assigned', text: `Assigned to ${reviewer.name}` });
+
+    await product.save();
+    return product;
+  }
+
+  /**
+   * Approve a product in review. It is then picked up by the publishing schedule.
+   * @param {String} productId - ID of the product
+   * @param {Object} user - Reviewer
+   * @param {String} comment - Optional comment
+   * @returns {Promise<Object>} Updated product, or null if it does not exist
+   */
+  async approve(productId, user, comment) {
+    return this._decide(productId, user, 'approved', comment);
+  }
+
+  /**
+   * Send a product in review back to draft with the changes needed
+   * @param {String} productId - ID of the product
+   * @param {Object} user - Reviewer
+   * @param {String} comment - Changes needed
+   * @returns {Promise<Object>} Updated product, or null if it does not exist
+   */
+  async requestChanges(productId, user, comment) {
+    return this._decide(productId, user, 'draft', comment, 'changes_requested');
+  }
+
+  /**
+   * Reject a product in review. By default a replacement is queued for generation with
+   * the same keywords, and the rejection reason is passed to the model.
+   * @param {String} productId - ID of the product
+   * @param {Object} user - Reviewer
+   * @param {String} reason - Why the product was rejected
+   * @param {Object} options - Rejection options
+   * @param {Boolean} options.regenerate - Queue a replacement (default true)
+   * @returns {Promise<Object>} { product, queueItem }, or null if the product does not exist
+   */
+  async reject(productId, user, reason, { regenerate = true } = {}) {
+    const product = await this._decide(productId, user, 'rejected', reason);
+    if (!product) {
+      return null;
+    }
+
+    product.review.rejectionReason = reason;
+
+    let queueItem = null;
+    if (regenerate) {
+      const keywords = product.sourceKeywords && product.sourceKeywords.length > 0
+        ? product.sourceKeywords
+        : product.keywords;
+
+      queueItem = await ProductGenerationService.queueProductGeneration(keywords, product.category, {
+        priority: 2,
+        regeneration: { product: product._id, feedback: reason }
+      });
+      product.review.regenerationRequest = queueItem._id;
+    }
+
+    await product.save();
+    return { product, queueItem };
+  }
+
+  /**
+   * Add a reviewer comment to a product
+   * @param {String} productId - ID of the product
+   * @param {Object} user - Commenter
+   * @param {String} text - Comment
+   * @returns {Promise<Object>} Updated product, or null if it does not exist
+   */
+  async addComment(productId, user, text) {
+    const product = await Product.findById(productId);
+    if (!product) {
+      return null;
+    }
+
+    product.review.comments.push({ user: user._id, action: 'comment', text });
+    await product.save();
+    return product;
+  }
+
+  /**
+   * Record a reviewer's decision on a product in review
+   * @param {String} productId - ID of the product
+   * @param {Object} user - Reviewer
+   * @param {String} status - Resulting status
+   * @param {String} text - Comment or reason
+   * @param {String} action - Comment action (defaults to the status)
+   * @returns {Promise<Object>} Updated product, or null if it does not exist
+   * @private
+   */
+  async _decide(productId, user, status, text, action = status) {
+    const product = await Product.findById(productId);
+    if (!product) {
+      return null;
+    }
+
+    if (product.status !== 'in_review') {
+      throw reviewError(`Only products in review can be ${action.replace('_', ' ')}; this one is ${product.status}`, 409);
+    }
+
+    const assignee = product.review.assignedTo;
+    if (assignee && String(assignee) !== String(user._id) && user.role !== 'admin') {
+      throw reviewError('Only the assigned reviewer or an admin can decide on this product', 403);
+    }
+
+    product.status = status;
+    product.review.decidedBy = user._id;
+    product.review.decidedAt = new Date();
+    product.review.comments.push({ user: user._id, action, text });
+
+    await product.save();
+    console.log(`Product ${product._id} ${action.replace('_', ' ')} by ${user._id}`);
+    return product;
+  }
+
+  /**
+   * Check that a user exists and can review products
+   * @param {String} userId - ID of the user
+   * @returns {Promise<Object>} The user
+   * @private
+   */
+  async _assertReviewer(userId) {
+    const reviewer = await User.findById(userId).select('name role').catch(() => null);
+    if (!reviewer) {
+      throw reviewError('Reviewer not found', 400);
+    }
+    if (!REVIEWER_ROLES.includes(reviewer.role)) {
+      throw reviewError(`Reviewers must have one of these roles: ${REVIEWER_ROLES.join(', ')}`, 400);
+    }
+    return reviewer;
+  }
+}
+
+module.exports = new ProductReviewService();
@@ -0,0 +1,133 @@
+const Product = require('../models/Product');
+const ProductRevision = require('../models/ProductRevision');
+const { diffSnapshots } = require('../utils/revisionDiff');
+
+// Content fields restored by a rollback. Workflow state (status, review, scheduling)
+// is left as it is, so rolling back never publishes or unpublishes a product.
+const ROLLBACK_FIELDS = [
+  'title',
+  'description',
+  'shortDescription',
+  'features',
+  'specifications',
+  'applications',
+  'faqs',
+  'category',
+  'images',
+  'metaTitle',
+  'metaDescription',
+  'keywords',
+  'schemaMarkup'
+];
+
+/**
+ * Service for browsing, comparing and rolling back product revisions
+ */
+class ProductRevisionService {
+  /**
+   * Initialize the product revision service
+   */
+  constructor() {
+    this.rollbackFields = ROLLBACK_FIELDS;
+  }
+
+  /**
+   * List a product's revisions, newest first, without their snapshots
+   * @param {String} productId - ID of the product
+   * @param {Object} options - Pagination options (page, limit)
+   * @returns {Promise<Object>} { revisions, pagination }
+   */
+  async listRevisions(productId, { page = 1, limit = 20 } = {}) {
+    const query = { product: productId };
+
+    const [revisions, total] = await Promise.all([
+      ProductRevision.find(query)
+        .sort({ revision: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .select('-snapshot')
+        .populate('author.user', 'name email'),
+      ProductRevision.countDocuments(query)
+    ]);
+
+    return {
+      revisions,
+      pagination: {
+        total,
+        page,
+        limit,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  /**
+   * Get one revision with its snapshot
+   * @param {String} productId - ID of the product
+   * @param {Number} revision - Revision number
+   * @returns {Promise<Object>} Revision or null
+   */
+  async getRevision(productId, revision) {
+    return ProductRevision.findOne({ product: productId, revision })
+      .populate('author.user', 'name email');
+  }
+
+  /**
+   * Compare the product as it was at two revisions
+   * @param {String} productId - ID of the product
+   * @param {Number} from - Earlier revision number
+   * @param {Number} to - Later revision number
+   * @returns {Promise<Object>} { from, to, changes }, or null if either revision is missing
+   */
+  async compareRevisions(productId, from, to) {
+    const [fromRevision, toRevision] = await Promise.all([
+      ProductRevision.findOne({ product: productId, revision: from }).select('revision snapshot createdAt'),
+      ProductRevision.findOne({ product: productId, revision: to }).select('revision snapshot createdAt')
+    ]);
+
+    if (!fromRevision || !toRevision) {
+      return null;
+    }
+
+    return {
+      from: { revision: fromRevision.revision, createdAt: fromRevision.createdAt },
+      to: { revision: toRevision.revision, createdAt: toRevision.createdAt },
+      changes: diffSnapshots(fromRevision.snapshot, toRevision.snapshot)
+    };
+  }
+
+  /**
+   * Restore a product's content to how it was at a revision. The rollback is saved as
+   * a new revision, so it can itself be undone.
+   * @param {String} productId - ID of the product
+   * @param {Number} revision - Revision to restore
+   * @returns {Promise<Object>} Updated product, or null if the product or revision is missing
+   */
+  async rollback(productId, revision) {
+    try {
+      const [product, target] = await Promise.all([
+        Product.findById(productId),
+        ProductRevision.findOne({ product: productId, revision })
+      ]);
+
+      if (!product || !target) {
+        return null;
+      }
+
+      ROLLBACK_FIELDS.forEach(field => {
+        product.set(field, target.snapshot[field]);
+      });
+
+      product.$locals.revision = { action: 'rollback', rolledBackTo: target.revision };
+      await product.save();
+
+      console.log(`Rolled back product ${product._id} to revision ${target.revision}`);
+      return product;
+    } catch (error) {
+      console.error('Error rolling back product:', error);
+      throw new Error(`Failed to roll back product: ${error.message}`, { cause: error });
+    }
+  }
+}
+
+module.exports = new ProductRevisionService();
@@ -0,0 +1,394 @@
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const Category = require('../models/Category');
+const Inventory = require('../models/Inventory');
+const { stripHtml } = require('../utils/contentQuality');
+const { tokenize, correctTerms, highlight, snippet } = require('../utils/searchText');
+
+// Sort orders accepted by search; relevance needs a query
+const SORTS = {
+  relevance: { score: -1, publishedAt: -1 },
+  newest: { publishedAt: -1, _id: -1 },
+  oldest: { publishedAt: 1, _id: 1 },
+  title: { title: 1, _id: 1 },
+  '-title': { title: -1, _id: -1 }
+};
+
+// Stock statuses products can be filtered by; products without inventory are 'untracked'
+const STOCK_STATUSES = ['in_stock', 'low_stock', 'out_of_stock', 'discontinued', 'pre_order', 'untracked'];
+
+// Catalogue words used for spelling correction are rebuilt after this long
+const VOCABULARY_TTL_MS = 10 * 60 * 1000;
+
+// Products read when building the vocabulary
+const VOCABULARY_SAMPLE_SIZE = 5000;
+
+// Values listed per text specification facet
+const MAX_FACET_VALUES = 20;
+
+/**
+ * Build an error that the routes can turn into a 4xx response
+ * @param {String} message - Error message
+ * @param {Number} status - HTTP status
+ * @returns {Error} Error with a status
+ */
+const searchError = (message, status) => Object.assign(new Error(message), { status });
+
+/**
+ * Service for full-text, faceted search over published products
+ */
+class ProductSearchService {
+  /**
+   * Initialize the product search service
+   */
+  constructor() {
+    this.sorts = Object.keys(SORTS);
+    this.stockStatuses = STOCK_STATUSES;
+    this.vocabulary = null;
+  }
+
+  /**
+   * Search published products
+   * @param {Object} params - Search parameters
+   * @param {String} params.q - Search text; misspelt words are corrected against the catalogue
+   * @param {String} params.category - Category ID or slug (includes its subcategories)
+   * @param {String} params.stock - Comma-separated stock statuses
+   * @param {Object} params.specs - Specification filters as { name: 'a,b' } or { name: 'min..max' }
+   * @param {String} params.sort - One of SORTS (default relevance with a query, newest without)
+   * @param {Number} params.page - Page number
+   * @param {Number} params.limit - Results per page
+   * @returns {Promise<Object>} { query, correctedQuery, results, facets, pagination }
+   */
+  async search({ q = '', category, stock, specs = {}, sort, page = 1, limit = 20 } = {}) {
+    const sortKey = sort || (q.trim() ? 'relevance' : 'newest');
+    if (!SORTS[sortKey]) {
+      throw searchError(`sort must be one of ${Object.keys(SORTS).join(', ')}`, 400);
+    }
+    if (sortKey === 'relevance' && !q.trim()) {
+      throw searchError('Sorting by relevance needs a search query', 400);
+    }
+
+    const stockStatuses = stock ? String(stock).split(',').map(value => value.trim()).filter(Boolean) : [];
+    const unknownStatus = stockStatuses.find(status => !STOCK_STATUSES.includes(status));
+    if (unknownStatus) {
+      throw searchError(`Unknown stock status ${unknownStatus}`, 400);
+    }
+
+    // Correct misspelt words, then search for the corrected text
+    const terms = tokenize(q);
+    const corrected = terms.length > 0 ? correctTerms(terms, await this._getVocabulary()) : [];
+    const correctedQuery = corrected.some((term, index) => term !== terms[index]) ? corrected.join(' ') : null;
+    const searchText = correctedQuery || q.trim();
+
+    const match = { status: 'published' };
+    if (searchText) {
+      match.$text = { $search: searchText };
+    }
+
+    if (category) {
+      const categoryIds = await this._resolveCategoryIds(category);
+      if (!categoryIds) {
+        return this._emptyResult(q, correctedQuery, page, limit);
+      }
+      match.category = { $in: categoryIds };
+    }
+
+    Object.assign(match, this._buildSpecFilters(specs));
+
+    const pipeline = [
+      { $match: match },
+      ...(searchText ? [{ $addFields: { score: { $meta: 'textScore' } } }] : []),
+      {
+        $lookup: {
+          from: Inventory.collection.name,
+          let: { productId: '$_id' },
+          pipeline: [
+            { $match: { $expr: { $and: [{ $eq: ['$product', '$$productId'] }, { $eq: [{ $ifNull: ['$variant', null] }, null] }] } } },
+            { $project: { status: 1, stockLevel: 1 } }
+          ],
+          as: 'inventory'
+        }
+      },
+      { $addFields: { stockStatus: { $ifNull: [{ $first: '$inventory.status' }, 'untracked'] } } },
+      ...(stockStatuses.length > 0 ? [{ $match: { stockStatus: { $in: stockStatuses } } }] : []),
+      {
+        $facet: {
+          results: [
+            { $sort: SORTS[sortKey] },
+            { $skip: (page - 1) * limit },
+            { $limit: limit },
+            {
+              $project: {
+                title: 1,
+                slug: 1,
+                shortDescription: 1,
+                description: 1,
+                faqs: 1,
+                images: 1,
+                category: 1,
+                specifications: 1,
+                publishedAt: 1,
+                stockStatus: 1,
+                score: 1
+              }
+            }
+          ],
+          total: [{ $count: 'count' }],
+          categories: [
+            { $group: { _id: '$category', count: { $sum: 1 } } },
+            { $sort: { count: -1 } }
+          ],
+          stock: [
+            { $group: { _id: '$stockStatus', count: { $sum: 1 } } },
+            { $sort: { count: -1 } }
+          ],
+          specs: [
+            { $project: { spec: { $objectToArray: { $ifNull: ['$specificationValues', {}] } } } },
+            { $unwind: '$spec' },
+            {
+              $group: {
+                _id: {
+                  name: '$spec.k',
+                  value: { $cond: [{ $isNumber: '$spec.v.value' }, null, { $ifNull: ['$spec.v.value', null] }] }
+                },
+                count: { $sum: 1 },
+                min: { $min: { $ifNull: ['$spec.v.min', '$spec.v.value'] } },
+                max: { $max: { $ifNull: ['$spec.v.max', '$spec.v.value'] } },
+                unit: { $first: '$spec.v.unit' }
+              }
+            },
+            { $sort: { count: -1 } }
+          ]
+        }
+      }
+    ];
+
+    try {
+      const [output] = await Product.aggregate(pipeline);
+      const total = output.total.length > 0 ? output.total[0].count : 0;
+      const highlightTerms = searchText ? tokenize(searchText) : [];
+
+      await Product.populate(output.results, { path: 'category', select: 'name slug' });
+      const facetCategories = await Category.find({ _id: { $in: output.categories.map(bucket => bucket._id) } })
+        .select('name slug')
+        .lean();
+      const categoryById = new Map(facetCategories.map(item => [String(item._id), item]));
+
+      return {
+        query: q,
+        correctedQuery,
+        results: output.results.map(product => this._formatResult(product, highlightTerms)),
+        facets: {
+          categories: output.categories
+            .filter(bucket => categoryById.has(String(bucket._id)))
+            .map(bucket => ({ category: categoryById.get(String(bucket._id)), count: bucket.count })),
+          stock: output.stock.map(bucket => ({ status: bucket._id, count: bucket.count })),
+          specs: this._formatSpecFacets(output.specs)
+        },
+        pagination: {
+          total,
+          page,
+          limit,
+          pages: Math.ceil(total / limit)
+        }
+      };
+    } catch (error) {
+      console.error('Error searching products:', error);
+      throw new Error(`Failed to search products: ${error.message}`, { cause: error });
+    }
+  }
+
+  /**
+   * Forget the spelling vocabulary, e.g. after a bulk import
+   */
+  clearVocabulary() {
+    this.vocabulary = null;
+  }
+
+  /**
+   * Words that occur in published products, with how many products use them
+   * @returns {Promise<Map<String, Number>>} Vocabulary
+   * @private
+   */
+  async _getVocabulary() {
+    if (this.vocabulary && Date.now() - this.vocabulary.builtAt < VOCABULARY_TTL_MS) {
+      return this.vocabulary.words;
+    }
+
+    const products = await Product.find({ status: 'published' })
+      .sort({ publishedAt: -1 })
+      .limit(VOCABULARY_SAMPLE_SIZE)
+      .select('title keywords shortDescription description faqs.question')
+      .lean();
+
+    const words = new Map();
+    products.forEach(product => {
+      const text = [
+        product.title,
+        (product.keywords || []).join(' '),
+        product.shortDescription,
+        stripHtml(product.description),
+        (product.faqs || []).map(faq => faq.question).join(' ')
+      ].join(' ');
+      new Set(tokenize(text)).forEach(word => words.set(word, (words.get(word) || 0) + 1));
+    });
+
+    this.vocabulary = { words, builtAt: Date.now() };
+    return words;
+  }
+
+  /**
+   * IDs of a category (by ID or slug) and all of its subcategories
+   * @param {String} value - Category ID or slug
+   * @returns {Promise<Array>} Category IDs, or null if no category matches
+   * @private
+   */
+  async _resolveCategoryIds(value) {
+    const category = mongoose.isValidObjectId(value)
+      ? await Category.findById(value).select('_id')
+      : await Category.findOne({ slug: value }).select('_id');
+    if (!category) {
+      return null;
+    }
+
+    return [category._id, ...await Category.getDescendantIds(category._id)];
+  }
+
+  /**
+   * Query conditions for specification filters. A value of "min..max" (either end may be
+   * left out) matches numbers and ranges in the spec schema's unit; anything else is a
+   * comma-separated list of accepted values.
+   * @param {Object} specs - Filters as { name: value }
+   * @returns {Object} Query conditions
+   * @private
+   */
+  _buildSpecFilters(specs) {
+    const conditions = {};
+
+    Object.entries(specs).forEach(([name, raw]) => {
+      if (/[.$]/.test(name)) {
+        throw searchError(`Invalid specification name ${name}`, 400);
+      }
+      const path = `specificationValues.${name}`;
+      const value = String(raw);
+      const range = value.match(/^(-?[\d.]*)\.\.(-?[\d.]*)$/);
+
+      if (range) {
+        const min = range[1] === '' ? null : parseFloat(range[1]);
+        const max = range[2] === '' ? null : parseFloat(range[2]);
+        if (Number.isNaN(min) || Number.isNaN(max) || (min === null && max === null)) {
+          throw searchError(`Invalid range for ${name}: ${value}`, 400);
+        }
+        // Numbers must fall inside the range; ranges must overlap it
+        conditions.$and = [...(conditions.$and || []), {
+          $or: [
+            { [`${path}.value`]: { ...(min !== null && { $gte: min }), ...(max !== null && { $lte: max }) } },
+            { [`${path}.min`]: max !== null ? { $lte: max } : { $exists: true }, [`${path}.max`]: min !== null ? { $gte: min } : { $exists: true } }
+          ]
+        }];
+        return;
+      }
+
+      const accepted = value.split(',').map(option => option.trim()).filter(Boolean).map(option => {
+        if (option === 'true' || option === 'false') {
+          return option === 'true';
+        }
+        return option;
+      });
+      conditions[`${path}.value`] = { $in: accepted };
+    });
+
+    return conditions;
+  }
+
+  /**
+   * Shape a search hit with highlighted title and snippet
+   * @param {Object} product - Aggregated product
+   * @param {Array<String>} terms - Terms to highlight
+   * @returns {Object} Result
+   * @private
+   */
+  _formatResult(product, terms) {
+    const texts = [
+      product.shortDescription,
+      stripHtml(product.description),
+      ...(product.faqs || []).map(faq => `${faq.question} ${faq.answer}`)
+    ].filter(Boolean);
+
+    const matched = terms.length > 0
+      ? texts.map(text => snippet(text, terms)).find(Boolean)
+      : null;
+
+    return {
+      _id: product._id,
+      title: product.title,
+      slug: product.slug,
+      category: product.category,
+      image: (product.images || []).find(image => image.isMain) || (product.images || [])[0] || null,
+      specifications: product.specifications,
+      stockStatus: product.stockStatus,
+      publishedAt: product.publishedAt,
+      score: product.score,
+      highlights: {
+        title: highlight(product.title || '', terms),
+        snippet: matched || highlight(product.shortDescription || '', terms)
+      }
+    };
+  }
+
+  /**
+   * Turn grouped specification values into facets: value counts for text, enum and yes/no
+   * specifications, and the lowest and highest value for numbers and ranges
+   * @param {Array<Object>} buckets - Groups from the aggregation
+   * @returns {Array<Object>} Facets
+   * @private
+   */
+  _formatSpecFacets(buckets) {
+    const facets = new Map();
+
+    buckets.forEach(bucket => {
+      const { name, value } = bucket._id;
+      if (!facets.has(name)) {
+        facets.set(name, { name, count: 0 });
+      }
+      const facet = facets.get(name);
+      facet.count += bucket.count;
+
+      if (value === null) {
+        facet.min = bucket.min;
+        facet.max = bucket.max;
+        facet.unit = bucket.unit || null;
+      } else {
+        facet.values = facet.values || [];
+        if (facet.values.length < MAX_FACET_VALUES) {
+          facet.values.push({ value, count: bucket.count });
+        }
+      }
+    });
+
+    return [...facets.values()]
+      .map(facet => ({ type: facet.values ? 'values' : 'range', ...facet }))
+      .sort((a, b) => b.count - a.count);
+  }
+
+  /**
+   * Result for a search that cannot match anything
+   * @param {String} query - Search text
+   * @param {String} correctedQuery - Corrected search text, if any
+   * @param {Number} page - Page number
+   * @param {Number} limit - Results per page
+   * @returns {Object} Empty result
+   * @private
+   */
+  _emptyResult(query, correctedQuery, page, limit) {
+    return {
+      query,
+      correctedQuery,
+      results: [],
+      facets: { categories: [], stock: [], specs: [] },
+      pagination: { total: 0, page, limit, pages: 0 }
+    };
+  }
+}
+
+module.exports = new ProductSearchService();
@@ -0,0 +1,164 @@
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const Category = require('../models/Category');
+const { normalizeSpecifications, formatQuantity } = require('../utils/specifications');
+const { isConvertible, convert } = require('../utils/units');
+
+// Products that can be compared at once
+const MAX_COMPARED_PRODUCTS = 6;
+
+/**
+ * Build an error that the routes can turn into a 4xx response
+ * @param {String} message - Error message
+ * @param {Number} status - HTTP status
+ * @returns {Error} Error with a status
+ */
+const specificationError = (message, status) => Object.assign(new Error(message), { status });
+
+/**
+ * Service for typed product specifications and side-by-side comparison
+ */
+class ProductSpecificationService {
+  /**
+   * Initialize the product specification service
+   */
+  constructor() {
+    this.maxComparedProducts = MAX_COMPARED_PRODUCTS;
+  }
+
+  /**
+   * Check generated specifications against a category's spec schema. Values that don't
+   * fit are dropped so the product can still be saved, and reported with any missing
+   * required attributes.
+   * @param {Object} specifications - Specifications as { name: value }
+   * @param {String} categoryId - Category the product belongs to
+   * @returns {Promise<Object>} { specifications, reasons }
+   */
+  async cleanSpecifications(specifications, categoryId) {
+    const attributes = categoryId && mongoose.isValidObjectId(categoryId)
+      ? await Category.getSpecSchema(categoryId)
+      : [];
+    if (attributes.length === 0) {
+      return { specifications, reasons: [] };
+    }
+
+    const result = normalizeSpecifications(specifications, attributes, { requireAll: true });
+    const cleaned = { ...result.specifications };
+    const reasons = result.errors.map(error => {
+      if (cleaned[error.name] === undefined) {
+        return `specification ${error.message}`;
+      }
+      delete cleaned[error.name];
+      return `specification ${error.message}; it was removed`;
+    });
+
+    return { specifications: cleaned, reasons };
+  }
+
+  /**
+   * Compare products side by side. Rows follow the spec schema of the first product's
+   * category, then any other specifications in the order they appear; values are shown
+   * in the row's unit. Rows no product has a value for are left out.
+   * @param {Array<String>} ids - Product IDs, in display order
+   * @param {Object} options - Comparison options
+   * @param {Boolean} options.publishedOnly - Treat unpublished products as not found
+   * @returns {Promise<Object>} { products, rows } where each row is { name, type, unit, values, differs }
+   */
+  async compareProducts(ids, { publishedOnly = false } = {}) {
+    const uniqueIds = [...new Set(ids.map(String))];
+    if (uniqueIds.length < 2 || uniqueIds.length > MAX_COMPARED_PRODUCTS) {
+      throw specificationError(`Compare between 2 and ${MAX_COMPARED_PRODUCTS} products`, 400);
+    }
+    if (!uniqueIds.every(id => mongoose.isValidObjectId(id))) {
+      throw specificationError('Product not found', 404);
+    }
+
+    const found = await Product.find({ _id: { $in: uniqueIds }, ...(publishedOnly ? { status: 'published' } : {}) })
+      .select('title slug images category specifications specificationValues')
+      .populate('category', 'name slug');
+    const byId = new Map(found.map(product => [String(product._id), product]));
+
+    const missing = uniqueIds.filter(id => !byId.has(id));
+    if (missing.length > 0) {
+      throw specificationError(`Product not found: ${missing.join(', ')}`, 404);
+    }
+
+    const products = uniqueIds.map(id => byId.get(id));
+
+    // Schema attributes of every category involved, the first product's taking precedence
+    const attributes = new Map();
+    for (const product of products) {
+      if (!product.category) {
+        continue;
+      }
+      const schema = await Category.getSpecSchema(product.category._id);
+      schema.forEach(attribute => {
+        if (!attributes.has(attribute.name)) {
+          attributes.set(attribute.name, attribute);
+        }
+      });
+    }
+
+    const names = [...attributes.keys()];
+    products.forEach(product => {
+      (product.specifications ? [...product.specifications.keys()] : []).forEach(name => {
+        if (!names.includes(name)) {
+          names.push(name);
+        }
+      });
+    });
+
+    const rows = names.map(name => {
+      const attribute = attributes.get(name) || { name, type: 'text' };
+      const values = products.map(product => this._displayValue(product, attribute));
+      const present = values.filter(value => value !== null);
+
+      return {
+        name,
+        type: attribute.type,
+        unit: attribute.unit || null,
+        values,
+        differs: new Set(present).size > 1 || present.length < values.length
+      };
+    }).filter(row => row.values.some(value => value !== null));
+
+    return {
+      products: products.map(product => ({
+        _id: product._id,
+        title: product.title,
+        slug: product.slug,
+        category: product.category,
+        image: (product.images.find(image => image.isMain) || product.images[0] || null)
+      })),
+      rows
+    };
+  }
+
+  /**
+   * A product's value for a comparison row, converted to the row's unit where needed
+   * @param {Object} product - Product document
+   * @param {Object} attribute - Row attribute
+   * @returns {String} Display value, or null if the product doesn't have the specification
+   * @private
+   */
+  _displayValue(product, attribute) {
+    const typed = product.specificationValues && product.specificationValues.get(attribute.name);
+    const unit = attribute.unit;
+
+    if (typed && unit && typed.unit && typed.unit !== unit && isConvertible(typed.unit, unit)) {
+      if (attribute.type === 'range' && typed.min !== undefined) {
+        const min = convert(typed.min, typed.unit, unit);
+        const max = convert(typed.max, typed.unit, unit);
+        return min === max ? formatQuantity(min, unit) : `${formatQuantity(min)}-${formatQuantity(max, unit)}`;
+      }
+      if (typeof typed.value === 'number') {
+        return formatQuantity(convert(typed.value, typed.unit, unit), unit);
+      }
+    }
+
+    const display = product.specifications && product.specifications.get(attribute.name);
+    return display === undefined ? null : display;
+  }
+}
+
+module.exports = new ProductSpecificationService();
@@ -0,0 +1,319 @@
+const Product = require('../models/Product');
+const Inventory = require('../models/Inventory');
+const InventorySettings = require('../models/InventorySettings');
+
+// Upper limit on the combinations generated for one product
+const MAX_VARIANTS = 200;
+
+// Variant fields that may be changed after generation
+const EDITABLE_VARIANT_FIELDS = ['sku', 'specificationOverrides', 'images', 'isActive'];
+
+/**
+ * Build an error that the routes can turn into a 4xx response
+ * @param {String} message - Error message
+ * @param {Number} status - HTTP status
+ * @returns {Error} Error with a status
+ */
+const variantError = (message, status) => Object.assign(new Error(message), { status });
+
+/**
+ * Upper-case a value for use in a SKU, e.g. "220 V" -> "220V"
+ * @param {String} value - Option value or prefix
+ * @returns {String} SKU segment
+ */
+const toSkuSegment = (value) => String(value).toUpperCase().replace(/[^A-Z0-9]+/g, '');
+
+/**
+ * Every combination of the options' values, in option order
+ * @param {Array<Object>} options - Product options
+ * @returns {Array<Object>} Combinations as { optionName: value }
+ */
+const combineOptions = (options) => options.reduce(
+  (combinations, option) => combinations.flatMap(combination =>
+    option.values.map(value => ({ ...combination, [option.name]: value }))
+  ),
+  [{}]
+);
+
+/**
+ * Key identifying a combination of option values
+ * @param {Array<Object>} options - Product options
+ * @param {Object|Map} values - Option values
+ * @returns {String} Key
+ */
+const combinationKey = (options, values) => options
+  .map(option => `${option.name}=${values instanceof Map ? values.get(option.name) : values[option.name]}`)
+  .join('|');
+
+/**
+ * Service for product options and the variants generated from them
+ */
+class ProductVariantService {
+  /**
+   * Initialize the product variant service
+   */
+  constructor() {
+    this.maxVariants = MAX_VARIANTS;
+  }
+
+  /**
+   * Replace a product's option definitions. Variants are not changed until they are
+   * generated again.
+   * @param {String} productId - ID of the product
+   * @param {Array<Object>} options - Options as { name, label, values }
+   * @returns {Promise<Object>} Updated product, or null if it does not exist
+   */
+  async setOptions(productId, options) {
+    if (!Array.isArray(options)) {
+      throw variantError('options must be an array', 400);
+    }
+
+    const names = new Set();
+    const cleaned = options.map(option => {
+      const name = String((option && option.name) || '').trim();
+      if (!name) {
+        throw variantError('Every option needs a name', 400);
+      }
+      if (names.has(name)) {
+        throw variantError(`Option ${name} is defined more than once`, 400);
+      }
+      names.add(name);
+
+      const values = [...new Set((option.values || []).map(value => String(value).trim()).filter(Boolean))];
+      if (values.length === 0) {
+        throw variantError(`Option ${name} needs at least one value`, 400);
+      }
+
+      return { name, label: option.label || name, values };
+    });
+
+    const product = await Product.findById(productId);
+    if (!product) {
+      return null;
+    }
+
+    product.options = cleaned;
+    await product.save();
+    return product;
+  }
+
+  /**
+   * Generate a variant for every combination of the product's options. Existing variants
+   * keep their SKU, overrides and images; variants whose combination no longer exists are
+   * deactivated. New variants get an inventory record with no stock.
+   * @param {String} productId - ID of the product
+   * @param {Object} options - Generation options
+   * @param {String} options.skuPrefix - Prefix for new SKUs (defaults to the product slug)
+   * @returns {Promise<Object>} { product, created, reactivated, deactivated }, or null if the product does not exist
+   */
+  async generateVariants(productId, { skuPrefix } = {}) {
+    try {
+      const product = await Product.findById(productId);
+      if (!product) {
+        return null;
+      }
+
+      if (product.options.length === 0) {
+        throw variantError('The product has no options to generate variants from', 400);
+      }
+
+      const combinations = combineOptions(product.options);
+      if (combinations.length > MAX_VARIANTS) {
+        throw variantError(`The options make ${combinations.length} combinations; the limit is ${MAX_VARIANTS}`, 400);
+      }
+
+      const existing = new Map(product.variants.map(variant => [
+        combinationKey(product.options, variant.optionValues || new Map()),
+        variant
+      ]));
+      const wanted = new Set();
+      const created = [];
+      const reactivated = [];
+      const prefix = toSkuSegment(skuPrefix || product.slug);
+      const takenSkus = new Set(product.variants.map(variant => variant.sku));
+
+      for (const values of combinations) {
+        const key = combinationKey(product.options, values);
+        wanted.add(key);
+
+        const variant = existing.get(key);
+        if (variant) {
+          if (!variant.isActive) {
+            variant.isActive = true;
+            reactivated.push(variant);
+          }
+          continue;
+        }
+
+        const baseSku = [prefix, ...product.options.map(option => toSkuSegment(values[option.name]))].join('-');
+        const sku = await this._uniqueSku(baseSku, product._id, takenSkus);
+        takenSkus.add(sku);
+
+        product.variants.push({ sku, optionValues: values });
+        created.push(product.variants[product.variants.length - 1]);
+      }
+
+      const deactivated = product.variants.filter(variant =>
+        variant.isActive && !wanted.has(combinationKey(product.options, variant.optionValues || new Map()))
+      );
+      deactivated.forEach(variant => {
+        variant.isActive = false;
+      });
+
+      await product.save();
+      await this._ensureInventory(product, [...created, ...reactivated]);
+
+      console.log(
+        `Variants for product ${product._id}: ${created.length} created, ${reactivated.length} reactivated, ${deactivated.length} deactivated`
+      );
+
+      return { product, created, reactivated, deactivated };
+    } catch (error) {
+      if (error.status) {
+        throw error;
+      }
+      console.error('Error generating product variants:', error);
+      throw new Error(`Failed to generate product variants: ${error.message}`, { cause: error });
+    }
+  }
+
+  /**
+   * List a product's variants with their label, effective specifications and inventory
+   * @param {String} productId - ID of the product
+   * @param {Object} options - List options
+   * @param {Boolean} options.includeInactive - Include deactivated variants
+   * @returns {Promise<Object>} { options, variants }, or null if the product does not exist
+   */
+  async listVariants(productId, { includeInactive = false } = {}) {
+    const product = await Product.findById(productId);
+    if (!product) {
+      return null;
+    }
+
+    const inventory = await Inventory.find({ product: product._id, variant: { $ne: null } })
+      .select('variant stockLevel status isAvailable');
+    const inventoryByVariant = new Map(inventory.map(record => [String(record.variant), record]));
+
+    const variants = product.variants
+      .filter(variant => includeInactive || variant.isActive)
+      .map(variant => ({
+        ...variant.toObject({ flattenMaps: true }),
+        label: product.getVariantLabel(variant),
+        specifications: product.getVariantSpecifications(variant),
+        inventory: inventoryByVariant.get(String(variant._id)) || null
+      }));
+
+    return { options: product.options, variants };
+  }
+
+  /**
+   * Update a variant's SKU, specification overrides, images or active flag. The option
+   * values of a variant are fixed; change the options and regenerate instead.
+   * @param {String} productId - ID of the product
+   * @param {String} variantId - ID of the variant
+   * @param {Object} data - Fields to update
+   * @returns {Promise<Object>} { product, variant }, or null if either does not exist
+   */
+  async updateVariant(productId, variantId, data = {}) {
+    const product = await Product.findById(productId);
+    const variant = product && product.variants.id(variantId);
+    if (!variant) {
+      return null;
+    }
+
+    const sku = data.sku !== undefined ? String(data.sku).trim().toUpperCase() : variant.sku;
+    if (sku !== variant.sku && await Product.exists({ 'variants.sku': sku })) {
+      throw variantError(`SKU ${sku} is already in use`, 409);
+    }
+
+    EDITABLE_VARIANT_FIELDS.forEach(field => {
+      if (data[field] !== undefined) {
+        variant.set(field, data[field]);
+      }
+    });
+
+    await product.save();
+
+    if (data.sku !== undefined) {
+      await Inventory.updateOne({ product: product._id, variant: variant._id }, { 'metadata.sku': variant.sku });
+    }
+    if (variant.isActive) {
+      await this._ensureInventory(product, [variant]);
+    }
+
+    return { product, variant };
+  }
+
+  /**
+   * Find a variant of a product, e.g. to check a variant referenced by an inquiry
+   * @param {Object} product - Product document
+   * @param {String} variantId - ID of the variant
+   * @returns {Object} Active variant, or null if the product has no such variant
+   */
+  findActiveVariant(product, variantId) {
+    const variant = product.variants.id(variantId);
+    return variant && variant.isActive ? variant : null;
+  }
+
+  /**
+   * A SKU not used by any other product or already taken in this generation run
+   * @param {String} baseSku - Preferred SKU
+   * @param {String} productId - Product the SKU is for
+   * @param {Set<String>} takenSkus - SKUs already used by this product
+   * @returns {Promise<String>} SKU
+   * @private
+   */
+  async _uniqueSku(baseSku, productId, takenSkus) {
+    let sku = baseSku;
+    let suffix = 2;
+
+    while (takenSkus.has(sku) || await Product.exists({ _id: { $ne: productId }, 'variants.sku': sku })) {
+      sku = `${baseSku}-${suffix}`;
+      suffix += 1;
+    }
+
+    return sku;
+  }
+
+  /**
+   * Create an inventory record, with no stock, for variants that do not have one
+   * @param {Object} product - Product document
+   * @param {Array<Object>} variants - Variants to check
+   * @private
+   */
+  async _ensureInventory(product, variants) {
+    if (variants.length === 0) {
+      return;
+    }
+
+    let settings = await InventorySettings.findOne();
+    if (!settings) {
+      settings = new InventorySettings();
+      await settings.save();
+    }
+
+    for (const variant of variants) {
+      const exists = await Inventory.exists({ product: product._id, variant: variant._id });
+      if (exists) {
+        continue;
+      }
+
+      await Inventory.create({
+        product: product._id,
+        variant: variant._id,
+        stockLevel: 0,
+        lowStockThreshold: settings.defaultLowStockThreshold,
+        metadata: { sku: variant.sku },
+        automation: {
+          autoUpdateStatus: settings.defaultAutomation.autoUpdateStatus,
+          autoHideWhenOutOfStock: settings.defaultAutomation.autoHideWhenOutOfStock,
+          displayLimitedStockTag: settings.defaultAutomation.displayLimitedStockTag,
+          limitedStockThreshold: settings.defaultLimitedStockThreshold
+        },
+        notes: `Created for variant ${variant.sku}`
+      });
+    }
+  }
+}
+
+module.exports = new ProductVariantService();
@@ -0,0 +1,334 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const PromptTemplate = require('../models/PromptTemplate');
+const DEFAULT_TEMPLATES = require('./llm/promptDefaults');
+const { checkTemplateVariables, renderDeclaredTemplate } = require('../utils/promptTemplate');
+
+/**
+ * Build an error that the routes can turn into a 4xx response
+ * @param {String} message - Error message
+ * @param {Number} status - HTTP status
+ * @returns {Error} Error with a status
+ */
+const templateError = (message, status) => Object.assign(new Error(message), { status });
+
+/**
+ * Service for managing versioned prompt templates and rendering prompts from them
+ */
+class PromptTemplateService {
+  /**
+   * Initialize the prompt template service
+   */
+  constructor() {
+    this.defaults = DEFAULT_TEMPLATES;
+
+    // Collects the template versions rendered while generating one product or blog post
+    this.tracker = new AsyncLocalStorage();
+  }
+
+  /**
+   * Get the active version of a template, seeding version 1 from the built-in default
+   * the first time it is needed
+   * @param {String} name - Template name
+   * @returns {Promise<Object>} Active template
+   */
+  async getActiveTemplate(name) {
+    const template = await PromptTemplate.findOne({ name, isActive: true });
+    if (template) {
+      return template;
+    }
+
+    const versionCount = await PromptTemplate.countDocuments({ name });
+    if (versionCount > 0) {
+      throw templateError(`Prompt template ${name} has no active version`, 409);
+    }
+
+    if (!this.defaults[name]) {
+      throw templateError(`Prompt template ${name} not found`, 404);
+    }
+
+    try {
+      return await PromptTemplate.create({
+        name,
+        version: 1,
+        isActive: true,
+        notes: 'Built-in default',
+        ...this.defaults[name]
+      });
+    } catch (error) {
+      // Another request seeded it first
+      if (error.code === 11000) {
+        return PromptTemplate.findOne({ name, isActive: true });
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Save the built-in templates that are not in the database yet
+   * @returns {Promise<Number>} Number of templates seeded
+   */
+  async ensureDefaults() {
+    const existing = await PromptTemplate.distinct('name');
+    const missing = Object.keys(this.defaults).filter(name => !existing.includes(name));
+
+    for (const name of missing) {
+      await this.getActiveTemplate(name);
+    }
+
+    if (missing.length > 0) {
+      console.log(`Seeded ${missing.length} default prompt templates`);
+    }
+
+    return missing.length;
+  }
+
+  /**
+   * Render the active version of a template
+   * @param {String} name - Template name
+   * @param {Object} values - Values by variable name
+   * @returns {Promise<Object>} { prompt, template: { name, version } }
+   */
+  async render(name, values) {
+    const template = await this.getActiveTemplate(name);
+    const prompt = renderDeclaredTemplate(template, values);
+    const reference = { name: template.name, version: template.version };
+
+    const used = this.tracker.getStore();
+    if (used) {
+      const index = used.findIndex(entry => entry.name === reference.name);
+      if (index === -1) {
+        used.push(reference);
+      } else {
+        used[index] = reference;
+      }
+    }
+
+    return { prompt, template: reference };
+  }
+
+  /**
+   * Run a function and collect every template version rendered inside it
+   * @param {Function} fn - Async function to run
+   * @returns {Promise<Object>} { result, templates }
+   */
+  async trackUsage(fn) {
+    const templates = [];
+    const result = await this.tracker.run(templates, fn);
+    return { result, templates };
+  }
+
+  /**
+   * List templates with their active version and version count, including built-in
+   * defaults that have not been saved yet
+   * @returns {Promise<Array>} Template summaries
+   */
+  async listTemplates() {
+    const rows = await PromptTemplate.aggregate([
+      { $sort: { version: 1 } },
+      {
+        $group: {
+          _id: '$name',
+          versions: { $sum: 1 },
+          latestVersion: { $max: '$version' },
+          active: {
+            $max: {
+              $cond: ['$isActive', { version: '$version', description: '$description', updatedAt: '$updatedAt' }, null]
+            }
+          }
+        }
+      }
+    ]);
+
+    const summaries = rows.map(row => ({
+      name: row._id,
+      description: row.active ? row.active.description : undefined,
+      activeVersion: row.active ? row.active.version : null,
+      latestVersion: row.latestVersion,
+      versions: row.versions,
+      updatedAt: row.active ? row.active.updatedAt : undefined
+    }));
+
+    Object.keys(this.defaults)
+      .filter(name => !summaries.some(summary => summary.name === name))
+      .forEach(name => {
+        summaries.push({
+          name,
+          description: this.defaults[name].description,
+          activeVersion: null,
+          latestVersion: null,
+          versions: 0,
+          builtIn: true
+        });
+      });
+
+    return summaries.sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Get all versions of a template, newest first
+   * @param {String} name - Template name
+   * @returns {Promise<Array>} Template versions
+   */
+  async getVersions(name) {
+    if (this.defaults[name]) {
+      await this.getActiveTemplate(name).catch(() => null);
+    }
+
+    return PromptTemplate.find({ name })
+      .sort({ version: -1 })
+      .populate('createdBy', 'name email');
+  }
+
+  /**
+   * Get one version of a template
+   * @param {String} name - Template name
+   * @param {Number} version - Version number
+   * @returns {Promise<Object>} Template version or null
+   */
+  async getVersion(name, version) {
+    return PromptTemplate.findOne({ name, version }).populate('createdBy', 'name email');
+  }
+
+  /**
+   * Create a new template (version 1, active)
+   * @param {Object} data - Template name, description, body, variables and notes
+   * @param {String} userId - User creating the template
+   * @returns {Promise<Object>} Created template
+   */
+  async createTemplate(data, userId) {
+    const exists = await PromptTemplate.exists({ name: data.name });
+    if (exists || this.defaults[data.name]) {
+      throw templateError(`Prompt template ${data.name} already exists; create a new version instead`, 409);
+    }
+
+    return this._saveVersion(data.name, 1, data, userId, true);
+  }
+
+  /**
+   * Create the next version of a template. Missing fields are copied from the latest version.
+   * @param {String} name - Template name
+   * @param {Object} data - Changed body, variables, description and notes
+   * @param {String} userId - User creating the version
+   * @param {Boolean} activate - Make the new version the active one
+   * @returns {Promise<Object>} Created version
+   */
+  async createVersion(name, data, userId, activate = true) {
+    if (this.defaults[name]) {
+      await this.getActiveTemplate(name).catch(() => null);
+    }
+
+    const latest = await PromptTemplate.findOne({ name }).sort({ version: -1 });
+    if (!latest) {
+      throw templateError(`Prompt template ${name} not found`, 404);
+    }
+
+    return this._saveVersion(name, latest.version + 1, {
+      description: data.description !== undefined ? data.description : latest.description,
+      body: data.body !== undefined ? data.body : latest.body,
+      variables: data.variables !== undefined ? data.variables : latest.variables.map(variable => variable.toObject()),
+      notes: data.notes
+    }, userId, activate);
+  }
+
+  /**
+   * Make a version the active one
+   * @param {String} name - Template name
+   * @param {Number} version - Version number
+   * @returns {Promise<Object>} Activated version or null
+   */
+  async activateVersion(name, version) {
+    const template = await PromptTemplate.findOne({ name, version });
+    if (!template) {
+      return null;
+    }
+
+    await PromptTemplate.updateMany({ name, version: { $ne: version } }, { isActive: false });
+    template.isActive = true;
+    await template.save();
+
+    console.log(`Activated prompt template ${name} v${version}`);
+    return template;
+  }
+
+  /**
+   * Delete a version that is not active
+   * @param {String} name - Template name
+   * @param {Number} version - Version number
+   * @returns {Promise<Boolean>} False if the version does not exist
+   */
+  async deleteVersion(name, version) {
+    const template = await PromptTemplate.findOne({ name, version });
+    if (!template) {
+      return false;
+    }
+
+    if (template.isActive) {
+      throw templateError('The active version cannot be deleted; activate another version first', 409);
+    }
+
+    await template.deleteOne();
+    return true;
+  }
+
+  /**
+   * Render a stored version (or the active one) without calling a model, for previews
+   * @param {String} name - Template name
+   * @param {Object} values - Values by variable name
+   * @param {Number} version - Version number (defaults to the active version)
+   * @returns {Promise<Object>} { prompt, template: { name, version } }
+   */
+  async preview(name, values, version) {
+    const template = version
+      ? await PromptTemplate.findOne({ name, version })
+      : await this.getActiveTemplate(name);
+
+    if (!template) {
+      throw templateError(`Prompt template ${name} v${version} not found`, 404);
+    }
+
+    try {
+      return {
+        prompt: renderDeclaredTemplate(template, values),
+        template: { name: template.name, version: template.version }
+      };
+    } catch (error) {
+      throw Object.assign(error, { status: 400 });
+    }
+  }
+
+  /**
+   * Validate and save a template version
+   * @param {String} name - Template name
+   * @param {Number} version - Version number
+   * @param {Object} data - Template fields
+   * @param {String} userId - User saving the version
+   * @param {Boolean} activate - Make it the active version
+   * @returns {Promise<Object>} Saved version
+   * @private
+   */
+  async _saveVersion(name, version, data, userId, activate) {
+    const errors = checkTemplateVariables({ body: data.body || '', variables: data.variables || [] });
+    if (errors.length > 0) {
+      throw templateError(`Invalid prompt template: ${errors.join('; ')}`, 400);
+    }
+
+    const template = await PromptTemplate.create({
+      name,
+      version,
+      isActive: false,
+      description: data.description,
+      body: data.body,
+      variables: data.variables || [],
+      notes: data.notes,
+      createdBy: userId
+    });
+
+    if (activate) {
+      return this.activateVersion(name, version);
+    }
+
+    return template;
+  }
+}
+
+module.exports = new PromptTemplateService();
@@ -0,0 +1,530 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const PurchaseOrder = require('../models/PurchaseOrder');
+const Inventory = require('../models/Inventory');
+const InventorySettings = require('../models/InventorySettings');
+const Product = require('../models/Product');
+const StockReservationService = require('./StockReservationService');
+
+/**
+ * Build an error that the routes can turn into a 4xx or 5xx response
+ * @param {String} message - Error message
+ * @param {Number} status - HTTP status
+ * @returns {Error} Error with a status
+ */
+const purchaseOrderError = (message, status) => Object.assign(new Error(message), { status });
+
+// Order numbers are random, so one can clash with an existing order; it is drawn again
+const MAX_NUMBER_ATTEMPTS = 5;
+
+/**
+ * Service for supplier purchase orders: drafting, automatic reordering, sending and receiving
+ */
+class PurchaseOrderService {
+  /**
+   * Draft a reorder for an inventory record whose available stock is at or below the reorder
+   * threshold, if automatic reordering is on and nothing is already on order for it. The
+   * line is added to the supplier's open automatic draft, or to a new one. It orders enough
+   * to get back to the limited stock threshold, and at least the supplier's minimum order
+   * quantity.
+   * @param {Object} inventory - Inventory document
+   * @returns {Promise<Object>} Draft purchase order, or null if no reorder was needed
+   */
+  async reorderIfNeeded(inventory) {
+    const settings = await InventorySettings.findOne();
+    const integration = settings && settings.supplierIntegration;
+    if (!integration || !integration.enabled || !integration.autoReorder) {
+      return null;
+    }
+
+    if (inventory.status === 'discontinued' || !inventory.supplier || !inventory.supplier.name) {
+      return null;
+    }
+
+    const available = await StockReservationService.getAvailableQuantity(inventory);
+    if (available > integration.reorderThreshold) {
+      return null;
+    }
+
+    const onOrder = await this.getOnOrderQuantities([inventory._id]);
+    if (onOrder.has(String(inventory._id))) {
+      return null;
+    }
+
+    const quantity = Math.max(
+      inventory.supplier.minimumOrderQuantity || 1,
+      (inventory.automation.limitedStockThreshold || settings.defaultLimitedStockThreshold) - available
+    );
+    const line = await this._buildLine(inventory, quantity);
+    const supplier = this._supplierDetails(settings, inventory.supplier.name);
+    const draft = { status: 'draft', isAutomatic: true, 'supplier.name': supplier.name };
+
+    // Stock changes saved close together each check for a reorder, so the draft is created
+    // and the line added with single updates: a unique index keeps one automatic draft per
+    // supplier, and the line is only added if the draft doesn't have one for the item yet
+    await this._withNumber(number => PurchaseOrder.updateOne(
+      draft,
+      {
+        $setOnInsert: {
+          number,
+          'supplier.email': supplier.email,
+          'supplier.phone': supplier.phone,
+          lines: [],
+          createdBy: 'auto-reorder'
+        }
+      },
+      { upsert: true }
+    ));
+
+    const order = await PurchaseOrder.findOneAndUpdate(
+      { ...draft, 'lines.inventory': { $ne: inventory._id } },
+      { $push: { lines: line } },
+      { new: true }
+    );
+    if (!order) {
+      return null;
+    }
+
+    console.log(`Drafted reorder of ${quantity} for inventory ${inventory._id} on ${order.number}`);
+    return order;
+  }
+
+  /**
+   * Check every inventory record with a supplier and draft the reorders that are needed
+   * @returns {Promise<Object>} { checked, drafted } where drafted lists the purchase order numbers
+   */
+  async draftReorders() {
+    try {
+      const records = await Inventory.find({
+        'supplier.name': { $nin: [null, ''] },
+        status: { $ne: 'discontinued' }
+      });
+
+      const drafted = new Set();
+      for (const inventory of records) {
+        const order = await this.reorderIfNeeded(inventory);
+        if (order) {
+          drafted.add(order.number);
+        }
+      }
+
+      return { checked: records.length, drafted: [...drafted] };
+    } catch (error) {
+      console.error('Error drafting reorders:', error);
+      throw new Error(`Failed to draft reorders: ${error.message}`, { cause: error });
+    }
+  }
+
+  /**
+   * Create a draft purchase order
+   * @param {Object} data - Order data
+   * @param {String} data.supplier - Supplier name
+   * @param {Array<Object>} data.lines - Lines as { inventory, quantity }
+   * @param {String} data.notes - Notes for the supplier
+   * @param {String} createdBy - Who created the order
+   * @returns {Promise<Object>} Purchase order
+   */
+  async createPurchaseOrder({ supplier, lines, notes }, createdBy) {
+    if (!supplier || typeof supplier !== 'string') {
+      throw purchaseOrderError('Supplier name is required', 400);
+    }
+
+    const settings = await InventorySettings.findOne();
+
+    const data = {
+      supplier: this._supplierDetails(settings, supplier),
+      lines: await this._buildLines(lines),
+      notes,
+      createdBy
+    };
+
+    return this._withNumber(number => PurchaseOrder.create({ ...data, number }));
+  }
+
+  /**
+   * Change the lines or notes of a draft purchase order
+   * @param {String} id - Purchase order ID
+   * @param {Object} data - { lines, notes }
+   * @returns {Promise<Object>} Purchase order
+   */
+  async updatePurchaseOrder(id, { lines, notes }) {
+    const order = await this._findOrder(id);
+    if (order.status !== 'draft') {
+      throw purchaseOrderError('Only draft purchase orders can be changed', 409);
+    }
+
+    if (lines !== undefined) {
+      order.lines = await this._buildLines(lines);
+    }
+    if (notes !== undefined) {
+      order.notes = notes;
+    }
+
+    return order.save();
+  }
+
+  /**
+   * Send a draft purchase order. If the supplier has an HTTP endpoint, the order is
+   * submitted to it first, unless submit is false; a failed submission leaves the order
+   * in draft.
+   * @param {String} id - Purchase order ID
+   * @param {Object} options - { submit }
+   * @returns {Promise<Object>} Purchase order
+   */
+  async sendPurchaseOrder(id, { submit = true } = {}) {
+    const order = await this._findOrder(id);
+    if (order.status !== 'draft') {
+      throw purchaseOrderError('Only draft purchase orders can be sent', 409);
+    }
+    if (order.lines.length === 0) {
+      throw purchaseOrderError('Purchase order has no lines', 400);
+    }
+
+    const settings = await InventorySettings.findOne()
+      .select('+supplierIntegration.suppliers.apiKey');
+    const supplier = settings ? this._findSupplier(settings, order.supplier.name) : null;
+
+    if (submit && supplier && supplier.apiEndpoint) {
+      try {
+        const result = await this._submit(order, supplier);
+        order.submission = { submittedAt: new Date(), externalReference: result.reference };
+      } catch (error) {
+        order.submission = { error: error.message };
+        await order.save();
+        throw purchaseOrderError(`Supplier rejected the purchase order: ${error.message}`, 502);
+      }
+    }
+
+    // Expected delivery after the longest lead time of the ordered items
+    const records = await Inventory.find({ _id: { $in: order.lines.map(line => line.inventory) } })
+      .select('supplier.leadTime');
+    const leadTime = Math.max(0, ...records.map(record => (record.supplier && record.supplier.leadTime) || 0));
+
+    order.status = 'sent';
+    order.sentAt = new Date();
+    if (leadTime > 0) {
+      order.expectedDeliveryDate = new Date(order.sentAt.getTime() + leadTime * 24 * 60 * 60 * 1000);
+    }
+    await order.save();
+
+    // Items without stock are expected back when the order arrives
+    if (order.expectedDeliveryDate) {
+      await Inventory.updateMany(
+        { _id: { $in: order.lines.map(line => line.inventory) }, stockLevel: { $lte: 0 } },
+        { $set: { restockDate: order.expectedDeliveryDate } }
+      );
+    }
+
+    return order;
+  }
+
+  /**
+   * Receive a delivery against a sent purchase order. Each received quantity is added to its
+   * inventory record as a restock. The receipt is saved before any stock is added, so a
+   * retried request finds the quantities already received instead of adding them twice.
+   * Stock from an earlier receipt that couldn't be added is added first.
+   * @param {String} id - Purchase order ID
+   * @param {Array<Object>} items - Received items as { line, quantity, location }
+   * @param {String} performedBy - Who received the delivery
+   * @returns {Promise<Object>} Purchase order
+   */
+  async receive(id, items, performedBy = 'system') {
+    const order = await this._findOrder(id);
+    await this._restockReceipts(order, performedBy);
+
+    if (!['sent', 'partially_received'].includes(order.status)) {
+      throw purchaseOrderError('Only sent purchase orders can be received', 409);
+    }
+    if (!Array.isArray(items) || items.length === 0) {
+      throw purchaseOrderError('Items to receive are required', 400);
+    }
+
+    // Check everything before recording anything
+    const settings = await InventorySettings.findOne();
+    const receipts = items.map(item => {
+      const line = item && mongoose.isValidObjectId(item.line) ? order.lines.id(item.line) : null;
+      if (!line) {
+        throw purchaseOrderError(`Line ${item && item.line} is not on this purchase order`, 400);
+      }
+
+      const quantity = Number(item.quantity);
+      if (!Number.isInteger(quantity) || quantity < 1) {
+        throw purchaseOrderError('Received quantities must be positive whole numbers', 400);
+      }
+      if (quantity > order.getOutstandingQuantity(line)) {
+        throw purchaseOrderError(`Only ${order.getOutstandingQuantity(line)} of ${line.sku || line.description} are outstanding`, 400);
+      }
+
+      if (item.location) {
+        const location = settings ? settings.getLocation(item.location) : null;
+        if (!location || !location.isActive) {
+          throw purchaseOrderError(`Unknown or inactive location: ${item.location}`, 400);
+        }
+      }
+
+      return { line, quantity, location: item.location || null };
+    });
+
+    for (const { line } of receipts) {
+      if (!(await Inventory.exists({ _id: line.inventory }))) {
+        throw purchaseOrderError(`Inventory record for ${line.sku || line.description} no longer exists`, 409);
+      }
+    }
+
+    for (const { line, quantity, location } of receipts) {
+      line.quantityReceived += quantity;
+      order.receipts.push({ line: line._id, quantity, location, receivedBy: performedBy, pendingRestock: true });
+    }
+    order.status = order.lines.every(orderLine => order.getOutstandingQuantity(orderLine) === 0)
+      ? 'received'
+      : 'partially_received';
+    if (order.status === 'received') {
+      order.receivedAt = new Date();
+    }
+    await order.save();
+
+    return this._restockReceipts(order, performedBy);
+  }
+
+  /**
+   * Cancel a purchase order that hasn't been received yet
+   * @param {String} id - Purchase order ID
+   * @returns {Promise<Object>} Purchase order
+   */
+  async cancel(id) {
+    const order = await this._findOrder(id);
+    if (!['draft', 'sent'].includes(order.status)) {
+      throw purchaseOrderError('Only draft or sent purchase orders can be cancelled', 409);
+    }
+
+    order.status = 'cancelled';
+    order.cancelledAt = new Date();
+    return order.save();
+  }
+
+  /**
+   * Quantities still to be delivered on open purchase orders, by inventory record
+   * @param {Array<String>} inventoryIds - Inventory record IDs
+   * @returns {Promise<Map<String, Number>>} Quantity on order by inventory ID
+   */
+  async getOnOrderQuantities(inventoryIds) {
+    const rows = await PurchaseOrder.aggregate([
+      { $match: { status: { $in: PurchaseOrder.OPEN_STATUSES }, 'lines.inventory': { $in: inventoryIds } } },
+      { $unwind: '$lines' },
+      { $match: { 'lines.inventory': { $in: inventoryIds } } },
+      {
+        $group: {
+          _id: '$lines.inventory',
+          quantity: { $sum: { $subtract: ['$lines.quantityOrdered', '$lines.quantityReceived'] } }
+        }
+      }
+    ]);
+
+    return new Map(rows.filter(row => row.quantity > 0).map(row => [String(row._id), row.quantity]));
+  }
+
+  /**
+   * Add the stock of an order's receipts that hasn't been added yet. Each receipt is claimed
+   * with a single update before its stock is added, so it is only added once however often
+   * this runs; if adding it fails, the claim is given up and the error thrown.
+   * @param {Object} order - Purchase order document
+   * @param {String} performedBy - Who received the delivery
+   * @returns {Promise<Object>} Purchase order
+   * @private
+   */
+  async _restockReceipts(order, performedBy) {
+    for (const [index, receipt] of order.receipts.entries()) {
+      if (!receipt.pendingRestock) {
+        continue;
+      }
+
+      // Receipts are only ever added, so their position identifies them
+      const pending = `receipts.${index}.pendingRestock`;
+      const claimed = await PurchaseOrder.updateOne({ _id: order._id, [pending]: true }, { $set: { [pending]: false } });
+      if (claimed.modifiedCount === 0) {
+        continue;
+      }
+
+      const line = order.lines.id(receipt.line);
+      try {
+        const inventory = await Inventory.findById(line.inventory);
+        if (!inventory) {
+          throw purchaseOrderError(`Inventory record for ${line.sku || line.description} no longer exists`, 409);
+        }
+
+        await inventory.restock(receipt.quantity, `Received on ${order.number}`, performedBy, receipt.location);
+      } catch (error) {
+        await PurchaseOrder.updateOne({ _id: order._id }, { $set: { [pending]: true } });
+        throw error;
+      }
+
+      receipt.pendingRestock = false;
+    }
+
+    return order;
+  }
+
+  /**
+   * Find a purchase order by ID
+   * @param {String} id - Purchase order ID
+   * @returns {Promise<Object>} Purchase order
+   * @private
+   */
+  async _findOrder(id) {
+    const order = mongoose.isValidObjectId(id) ? await PurchaseOrder.findById(id) : null;
+    if (!order) {
+      throw purchaseOrderError('Purchase order not found', 404);
+    }
+    return order;
+  }
+
+  /**
+   * Build order lines from { inventory, quantity } entries
+   * @param {Array<Object>} lines - Requested lines
+   * @returns {Promise<Array<Object>>} Order lines
+   * @private
+   */
+  async _buildLines(lines) {
+    if (!Array.isArray(lines) || lines.length === 0) {
+      throw purchaseOrderError('At least one line is required', 400);
+    }
+
+    const built = [];
+    for (const line of lines) {
+      const quantity = Number(line && line.quantity);
+      if (!Number.isInteger(quantity) || quantity < 1) {
+        throw purchaseOrderError('Line quantities must be positive whole numbers', 400);
+      }
+
+      const inventory = line && mongoose.isValidObjectId(line.inventory)
+        ? await Inventory.findById(line.inventory)
+        : null;
+      if (!inventory) {
+        throw purchaseOrderError(`Inventory record ${line && line.inventory} not found`, 400);
+      }
+
+      built.push(await this._buildLine(inventory, quantity));
+    }
+    return built;
+  }
+
+  /**
+   * Order line for an inventory record
+   * @param {Object} inventory - Inventory document
+   * @param {Number} quantity - Quantity to order
+   * @returns {Promise<Object>} Order line
+   * @private
+   */
+  async _buildLine(inventory, quantity) {
+    const product = await Product.findById(inventory.product).select('title options variants');
+    const variant = product && inventory.variant ? product.variants.id(inventory.variant) : null;
+
+    let description = product ? product.title : String(inventory.product);
+    if (variant) {
+      description = `${description} (${product.getVariantLabel(variant)})`;
+    }
+
+    return {
+      inventory: inventory._id,
+      product: inventory.product,
+      variant: inventory.variant || null,
+      sku: (variant && variant.sku) || (inventory.metadata && inventory.metadata.sku) || undefined,
+      description,
+      quantityOrdered: quantity
+    };
+  }
+
+  /**
+   * Supplier from the settings' supplier list, matched by name
+   * @param {Object} settings - Inventory settings
+   * @param {String} name - Supplier name
+   * @returns {Object} Supplier, or null if it isn't listed
+   * @private
+   */
+  _findSupplier(settings, name) {
+    const key = String(name).trim().toLowerCase();
+    return settings.supplierIntegration.suppliers
+      .find(supplier => supplier.name && supplier.name.toLowerCase() === key) || null;
+  }
+
+  /**
+   * Supplier details to store on an order
+   * @param {Object} settings - Inventory settings
+   * @param {String} name - Supplier name
+   * @returns {Object} { name, email, phone }
+   * @private
+   */
+  _supplierDetails(settings, name) {
+    const supplier = settings ? this._findSupplier(settings, name) : null;
+    return supplier
+      ? { name: supplier.name, email: supplier.email, phone: supplier.phone }
+      : { name: String(name).trim() };
+  }
+
+  /**
+   * Submit an order to the supplier's HTTP endpoint
+   * @param {Object} order - Purchase order
+   * @param {Object} supplier - Supplier with apiEndpoint and apiKey
+   * @returns {Promise<Object>} { reference } with the supplier's reference, if it returned one
+   * @private
+   */
+  async _submit(order, supplier) {
+    const headers = { 'content-type': 'application/json' };
+    if (supplier.apiKey) {
+      headers.authorization = `Bearer ${supplier.apiKey}`;
+    }
+
+    const response = await fetch(supplier.apiEndpoint, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify({
+        number: order.number,
+        lines: order.lines.map(line => ({
+          sku: line.sku,
+          description: line.description,
+          quantity: line.quantityOrdered
+        })),
+        notes: order.notes
+      }),
+      signal: AbortSignal.timeout(30000)
+    });
+
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}${data.message ? `: ${data.message}` : ''}`);
+    }
+
+    return { reference: data.reference || data.id || undefined };
+  }
+
+  /**
+   * Write a new order with a generated number, drawing the number again if another order
+   * already has it
+   * @param {Function} write - Async function given the number, returning the order
+   * @returns {Promise<Object>} Purchase order
+   * @private
+   */
+  async _withNumber(write) {
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await write(this._generateNumber());
+      } catch (error) {
+        if (error.code !== 11000 || attempt >= MAX_NUMBER_ATTEMPTS) {
+          throw error;
+        }
+      }
+    }
+  }
+
+  /**
+   * Generate an order number, e.g. PO-20250301-4F3A
+   * @returns {String} Order number
+   * @private
+   */
+  _generateNumber() {
+    const date = new Date().toISOString().slice(0, 10).replace(/-/g, '');
+    return `PO-${date}-${crypto.randomBytes(2).toString('hex').toUpperCase()}`;
+  }
+}
+
+module.exports = new PurchaseOrderService();
@@ -1,13 +1,11 @@
-const OpenAI = require('openai');
 const Product = require('../models/Product');
 const SEOOptimizationQueue = require('../models/SEOOptimizationQueue');
 const SEOSettings = require('../models/SEOSettings');
-const config = require('../config/config');
-
-// Initialize OpenAI client
-const openai = new OpenAI({
-  apiKey: config.OPENAI_API_KEY
-});
+const AutomationSettings = require('../models/AutomationSettings');
+const { recoverExpiredItems, claimNextItem, finishItem, failItem } = require('../utils/queueLease');
+const LLMService = require('./LLMService');
+const AIUsageService = require('./AIUsageService');
+const ProductRecommendationService = require('./ProductRecommendationService');
 
 /**
  * Service for optimizing product SEO
@@ -27,7 +25,9 @@ class SEOOptimizationService {
       const product = await Product.findById(productId).populate('category');
       
       if (!product) {
-        throw new Error(`Product not found with ID: ${productId}`);
+        const notFound = new Error(`Product not found with ID: ${productId}`);
+        notFound.retryable = false;
+        throw notFound;
       }
       
       // Get SEO settings
@@ -123,7 +123,7 @@ class SEOOptimizationService {
       return result;
     } catch (error) {
       console.error('Error optimizing product SEO:', error);
-      throw new Error(`Failed to optimize product SEO: ${error.message}`);
+      throw new Error(`Failed to optimize product SEO: ${error.message}`, { cause: error });
     }
   }
   
@@ -278,17 +278,18 @@ class SEOOptimizationService {
         Return only the JSON with no additional commentary.
       `;
       
-      const response = await openai.chat.completions.create({
-        model: 'gpt-4',
-        messages: [{ role: 'user', content: prompt }],
+      const response = await LLMService.complete({
+        task: 'seo.metaTags',
+        prompt,
         temperature: 0.7,
-        max_tokens: 500,
-        response_format: { type: "json_object" }
+        maxTokens: 500,
+        json: true,
+        context: { title: product.title, keywords: product.keywords },
+        entity: { type: 'Product', id: product._id }
       });
       
       try {
-        const content = response.choices[0].message.content.trim();
-        return JSON.parse(content);
+        return LLMService.parseJSON(response.text);
       } catch (error) {
         console.error('Error parsing meta tags JSON:', error);
         return {
@@ -346,17 +347,18 @@ class SEOOptimizationService {
         Return only the JSON with no additional commentary.
       `;
       
-      const response = await openai.chat.completions.create({
-        model: 'gpt-4',
-        messages: [{ role: 'user', content: prompt }],
+      const response = await LLMService.complete({
+        task: 'seo.headings',
+        prompt,
         temperature: 0.7,
-        max_tokens: 800,
-        response_format: { type: "json_object" }
+        maxTokens: 800,
+        json: true,
+        context: { title: product.title, keywords: product.keywords },
+        entity: { type: 'Product', id: product._id }
       });
       
       try {
-        const content = response.choices[0].message.content.trim();
-        return JSON.parse(content);
+        return LLMService.parseJSON(response.text);
       } catch (error) {
         console.error('Error parsing headings JSON:', error);
         return {
@@ -403,14 +405,16 @@ class SEOOptimizationService {
         Return only the optimized description with no additional commentary.
       `;
       
-      const response = await openai.chat.completions.create({
-        model: 'gpt-4',
-        messages: [{ role: 'user', content: prompt }],
+      const response = await LLMService.complete({
+        task: 'seo.description',
+        prompt,
         temperature: 0.7,
-        max_tokens: 1000
+        maxTokens: 1000,
+        context: { title: product.title, keywords: product.keywords },
+        entity: { type: 'Product', id: product._id }
       });
       
-      const optimizedDescription = response.choices[0].message.content.trim();
+      const optimizedDescription = response.text;
       
       return {
         description: optimizedDescription
@@ -460,14 +464,16 @@ class SEOOptimizationService {
             Return only the alt text with no additional commentary.
           `;
           
-          const response = await openai.chat.completions.create({
-            model: 'gpt-4',
-            messages: [{ role: 'user', content: prompt }],
+          const response = await LLMService.complete({
+            task: 'seo.imageAlt',
+            prompt,
             temperature: 0.7,
-            max_tokens: 100
+            maxTokens: 100,
+            context: { title: product.title, keywords: product.keywords },
+            entity: { type: 'Product', id: product._id }
           });
           
-          optimizedImages[i].alt = response.choices[0].message.content.trim();
+          optimizedImages[i].alt = response.text;
         }
       }
       
@@ -506,14 +512,16 @@ class SEOOptimizationService {
         Return only the JSON-LD schema markup with no additional commentary.
       `;
       
-      const response = await openai.chat.completions.create({
-        model: 'gpt-4',
-        messages: [{ role: 'user', content: prompt }],
+      const response = await LLMService.complete({
+        task: 'seo.structuredData',
+        prompt,
         temperature: 0.7,
-        max_tokens: 1000
+        maxTokens: 1000,
+        context: { title: product.title, keywords: product.keywords },
+        entity: { type: 'Product', id: product._id }
       });
       
-      const schemaMarkup = response.choices[0].message.content.trim();
+      const schemaMarkup = response.text;
       
       return {
         schemaMarkup
@@ -559,17 +567,18 @@ class SEOOptimizationService {
         Return only the JSON with no additional commentary.
       `;
       
-      const response = await openai.chat.completions.create({
-        model: 'gpt-4',
-        messages: [{ role: 'user', content: prompt }],
+      const response = await LLMService.complete({
+        task: 'seo.socialMedia',
+        prompt,
         temperature: 0.7,
-        max_tokens: 500,
-        response_format: { type: "json_object" }
+        maxTokens: 500,
+        json: true,
+        context: { title: product.title, keywords: product.keywords },
+        entity: { type: 'Product', id: product._id }
       });
       
       try {
-        const content = response.choices[0].message.content.trim();
-        return JSON.parse(content);
+        return LLMService.parseJSON(response.text);
       } catch (error) {
         console.error('Error parsing social media JSON:', error);
         return {
@@ -600,53 +609,19 @@ class SEOOptimizationService {
     try {
       console.log(`Generating internal linking suggestions for product ${product._id}`);
       
-      // Find related products
-      const relatedProducts = await Product.find({
-        _id: { $ne: product._id },
-        category: product.category,
-        status: 'published'
-      }).limit(20);
-      
-      if (relatedProducts.length === 0) {
-        return [];
-      }
-      
-      // Calculate relevance scores
-      const suggestions = [];
-      
-      for (const relatedProduct of relatedProducts) {
-        // Simple relevance calculation based on keyword overlap
-        // In a real implementation, this would be more sophisticated
-        const productKeywords = product.keywords || [];
-        const relatedKeywords = relatedProduct.keywords || [];
-        
-        const commonKeywords = productKeywords.filter(keyword => 
-          relatedKeywords.some(relatedKeyword => 
-            relatedKeyword.toLowerCase().includes(keyword.toLowerCase()) || 
-            keyword.toLowerCase().includes(relatedKeyword.toLowerCase())
-          )
-        );
-        
-        const relevanceScore = commonKeywords.length > 0 
-          ? (commonKeywords.length / Math.max(productKeywords.length, 1)) * 100 
-          : 0;
-        
-        if (relevanceScore >= settings.minRelevanceScore) {
-          suggestions.push({
-            productId: relatedProduct._id,
-            title: relatedProduct.title,
-            relevanceScore,
-            commonKeywords,
-            linkText: `Check out our ${relatedProduct.title}`,
-            approved: !settings.requireApproval
-          });
-        }
-      }
+      const related = await ProductRecommendationService.getRelatedProducts(product, {
+        limit: settings.maxLinksPerProduct,
+        minScore: settings.minRelevanceScore
+      });
       
-      // Sort by relevance score and limit to max links per product
-      return suggestions
-        .sort((a, b) => b.relevanceScore - a.relevanceScore)
-        .slice(0, settings.maxLinksPerProduct);
+      return related.map(({ product: relatedProduct, score, commonKeywords }) => ({
+        productId: relatedProduct._id,
+        title: relatedProduct.title,
+        relevanceScore: score,
+        commonKeywords,
+        linkText: `Check out our ${relatedProduct.title}`,
+        approved: !settings.requireApproval
+      }));
     } catch (error) {
       console.error('Error generating internal linking suggestions:', error);
       return [];
@@ -689,26 +664,37 @@ class SEOOptimizationService {
     try {
       console.log('Processing next SEO optimization queue item');
       
-      // Find the next item to process
-      const queueItem = await SEOOptimizationQueue.findOne({
-        status: 'queued',
-        $or: [
-          { scheduledFor: { $lte: new Date() } },
-          { scheduledFor: { $exists: false } }
-        ]
-      }).sort({ priority: -1, queuedAt: 1 }).populate('product');
+      // Automated optimization stops for the month once the AI budget is used up
+      if (await AIUsageService.isPaused('seo')) {
+        return { success: true, message: 'Monthly AI budget reached; SEO optimization is paused' };
+      }
+      
+      const { queueProcessing } = await AutomationSettings.getSettings();
+      
+      // Return items abandoned by crashed or stalled workers to the queue
+      const recovered = await recoverExpiredItems(SEOOptimizationQueue, queueProcessing);
+      if (recovered > 0) {
+        console.log(`Requeued ${recovered} SEO optimization queue items whose lease expired`);
+      }
+      
+      // Atomically claim the next item to process
+      const { item: queueItem, limitReached } = await claimNextItem(SEOOptimizationQueue, {
+        leaseMinutes: queueProcessing.leaseMinutes,
+        concurrency: queueProcessing.concurrency,
+        populate: 'product'
+      });
+      
+      if (limitReached) {
+        console.log('SEO optimization queue concurrency limit reached');
+        return { success: true, message: 'Concurrency limit reached' };
+      }
       
       if (!queueItem) {
         console.log('No SEO optimization queue items to process');
         return { success: true, message: 'No queue items to process' };
       }
       
-      console.log(`Processing SEO optimization queue item: ${queueItem._id}`);
-      
-      // Update status to processing
-      queueItem.status = 'processing';
-      queueItem.processingStartedAt = new Date();
-      await queueItem.save();
+      console.log(`Processing SEO optimization queue item: ${queueItem._id} on ${queueItem.workerId}`);
       
       // Start processing timer
       const startTime = Date.now();
@@ -718,14 +704,19 @@ class SEOOptimizationService {
         const result = await this.optimizeProductSEO(queueItem.product._id, queueItem.optimizationType);
         
         // Update queue item with success
-        queueItem.status = 'completed';
-        queueItem.completedAt = new Date();
-        queueItem.result = {
-          changes: result.changes,
-          performance: result.performance,
-          processingTime: Date.now() - startTime
-        };
-        await queueItem.save();
+        const recorded = await finishItem(SEOOptimizationQueue, queueItem, {
+          status: 'completed',
+          completedAt: new Date(),
+          result: {
+            changes: result.changes,
+            performance: result.performance,
+            processingTime: Date.now() - startTime
+          }
+        });
+        
+        if (!recorded) {
+          console.warn(`Lease on SEO optimization queue item ${queueItem._id} expired before it finished; result not recorded`);
+        }
         
         console.log(`SEO optimization queue item ${queueItem._id} processed successfully`);
         
@@ -735,21 +726,21 @@ class SEOOptimizationService {
           result
         };
       } catch (error) {
-        // Update queue item with error
-        queueItem.status = 'failed';
-        queueItem.completedAt = new Date();
-        queueItem.result = {
-          error: error.message,
-          processingTime: Date.now() - startTime
-        };
-        await queueItem.save();
+        // Retry with backoff, or dead-letter the item if the error is permanent or attempts are used up
+        const failure = await failItem(SEOOptimizationQueue, queueItem, error, queueProcessing, Date.now() - startTime);
         
         console.error(`Error processing SEO optimization queue item ${queueItem._id}:`, error);
         
+        if (failure.retryScheduled) {
+          console.log(`Retrying SEO optimization queue item ${queueItem._id} at ${failure.nextAttemptAt} (attempt ${queueItem.attempts + 1} of ${queueProcessing.maxAttempts})`);
+        }
+        
         return {
           success: false,
           queueItem,
-          error: error.message
+          error: error.message,
+          errorType: failure.errorType,
+          retryScheduled: failure.retryScheduled
         };
       }
     } catch (error) {
@@ -0,0 +1,341 @@
+const AutomationSettings = require('../models/AutomationSettings');
+const JobRun = require('../models/JobRun');
+const ScheduledJob = require('../models/ScheduledJob');
+const jobs = require('../jobs');
+const config = require('../config/config');
+const { runAsActor } = require('../utils/actorContext');
+
+/**
+ * In-process scheduler for the recurring automation jobs.
+ *
+ * Jobs are polled every SCHEDULER_POLL_SECONDS. Each job's next run is worked out
+ * from its settings on every poll, so settings changes take effect without a restart.
+ * Runs are claimed with a lease on the ScheduledJob document, which keeps several
+ * server processes from running the same job at once.
+ */
+class SchedulerService {
+  /**
+   * Initialize the scheduler with the built-in jobs
+   */
+  constructor() {
+    this.jobs = new Map();
+    this.timer = null;
+    this.ticking = false;
+    this.workerId = config.WORKER_ID;
+
+    jobs.forEach(job => this.register(job));
+  }
+
+  /**
+   * Register a job
+   * @param {Object} job - Job definition with name, description, getNextRun(from) and run(context)
+   */
+  register(job) {
+    if (!job || !job.name || typeof job.getNextRun !== 'function' || typeof job.run !== 'function') {
+      throw new Error('A job must have a name, getNextRun(from) and run(context)');
+    }
+    this.jobs.set(job.name, job);
+  }
+
+  /**
+   * Get a registered job definition
+   * @param {String} name - Job name
+   * @returns {Object|null} Job definition
+   */
+  getJob(name) {
+    return this.jobs.get(name) || null;
+  }
+
+  /**
+   * Start polling for due jobs
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    console.log(`Job scheduler started on ${this.workerId} with ${this.jobs.size} jobs`);
+
+    this.timer = setInterval(() => this.tick(), config.SCHEDULER_POLL_SECONDS * 1000);
+    this.tick();
+  }
+
+  /**
+   * Stop polling. Runs already in progress finish on their own.
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+      console.log('Job scheduler stopped');
+    }
+  }
+
+  /**
+   * Run every job that is due
+   */
+  async tick() {
+    // A slow job can outlast the poll interval; don't start a second pass on top of it
+    if (this.ticking) {
+      return;
+    }
+
+    this.ticking = true;
+
+    try {
+      for (const job of this.jobs.values()) {
+        try {
+          await this.runIfDue(job);
+        } catch (error) {
+          console.error(`Error checking job ${job.name}:`, error);
+        }
+      }
+    } finally {
+      this.ticking = false;
+    }
+  }
+
+  /**
+   * Get the stored state of a job, creating it on first use
+   * @param {String} name - Job name
+   * @returns {Object} ScheduledJob document
+   */
+  async getState(name) {
+    return ScheduledJob.findOneAndUpdate(
+      { name },
+      { $setOnInsert: { name } },
+      { upsert: true, new: true }
+    );
+  }
+
+  /**
+   * Run a job if it is due, unpaused and not already running elsewhere
+   * @param {Object} job - Job definition
+   * @returns {Object|null} The completed JobRun, or null if the job didn't run
+   */
+  async runIfDue(job) {
+    const state = await this.getState(job.name);
+
+    // Jobs that have never run count from when they were first registered
+    const nextRunAt = await job.getNextRun(state.lastRunAt || state.createdAt);
+
+    if (String(nextRunAt) !== String(state.nextRunAt)) {
+      await ScheduledJob.updateOne({ _id: state._id }, { nextRunAt });
+    }
+
+    if (state.paused || !nextRunAt || nextRunAt > new Date()) {
+      return null;
+    }
+
+    // Only claim if nobody has run the job since we read its state
+    const claimed = await this.claim(job.name, { lastRunAt: state.lastRunAt || null });
+    if (!claimed) {
+      return null;
+    }
+
+    const run = await this.createRun(job, { trigger: 'schedule', scheduledFor: nextRunAt });
+    return this.completeRun(job, run);
+  }
+
+  /**
+   * Trigger a job immediately, even if it is paused. The run continues in the background.
+   * @param {String} name - Job name
+   * @param {String} userId - ID of the user triggering the run
+   * @returns {Object|null} The started JobRun, or null if the job is already running
+   */
+  async trigger(name, userId) {
+    const job = this.getJob(name);
+    if (!job) {
+      throw new Error(`Unknown job: ${name}`);
+    }
+
+    await this.getState(name);
+
+    const claimed = await this.claim(name);
+    if (!claimed) {
+      return null;
+    }
+
+    const run = await this.createRun(job, {
+      trigger: 'manual',
+      scheduledFor: new Date(),
+      triggeredBy: userId
+    });
+
+    this.completeRun(job, run).catch(error => {
+      console.error(`Error completing manual run of job ${name}:`, error);
+    });
+
+    return run;
+  }
+
+  /**
+   * Take the run lease on a job
+   * @param {String} name - Job name
+   * @param {Object} conditions - Extra conditions the stored state must match
+   * @returns {Object|null} Updated ScheduledJob document, or null if the lease is held
+   */
+  async claim(name, conditions = {}) {
+    const now = new Date();
+
+    return ScheduledJob.findOneAndUpdate(
+      {
+        name,
+        ...conditions,
+        $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }]
+      },
+      {
+        lockedBy: this.workerId,
+        lockedUntil: new Date(now.getTime() + config.SCHEDULER_LOCK_MINUTES * 60 * 1000)
+      },
+      { new: true }
+    );
+  }
+
+  /**
+   * Record the start of a run
+   * @param {Object} job - Job definition
+   * @param {Object} context - Run context: trigger, scheduledFor, triggeredBy
+   * @returns {Object} JobRun document
+   */
+  async createRun(job, { trigger, scheduledFor, triggeredBy }) {
+    const run = await JobRun.create({
+      job: job.name,
+      trigger,
+      triggeredBy,
+      scheduledFor,
+      workerId: this.workerId,
+      startedAt: new Date()
+    });
+
+    console.log(`Running job ${job.name} (${trigger})`);
+    await this.updateSystemStatus('running', run.startedAt);
+
+    return run;
+  }
+
+  /**
+   * Execute a job for a started run, record the outcome and release the lease
+   * @param {Object} job - Job definition
+   * @param {Object} run - JobRun document
+   * @returns {Object} Completed JobRun document
+   */
+  async completeRun(job, run) {
+    try {
+      // Changes made by the job are attributed to it (and to whoever triggered it manually)
+      run.result = await runAsActor(
+        { type: 'job', job: job.name, user: run.triggeredBy },
+        () => job.run({ trigger: run.trigger, scheduledFor: run.scheduledFor })
+      );
+      run.status = 'succeeded';
+    } catch (error) {
+      console.error(`Job ${job.name} failed:`, error);
+      run.status = 'failed';
+      run.error = error.message;
+    }
+
+    run.finishedAt = new Date();
+    run.durationMs = run.finishedAt - run.startedAt;
+    await run.save();
+
+    const update = {
+      lastRunAt: run.startedAt,
+      lastStatus: run.status,
+      lastError: run.error || null,
+      lockedBy: null,
+      lockedUntil: null
+    };
+
+    try {
+      update.nextRunAt = await job.getNextRun(run.startedAt);
+    } catch (error) {
+      console.error(`Error computing next run of job ${job.name}:`, error);
+    }
+
+    await ScheduledJob.updateOne({ name: job.name }, update);
+
+    console.log(`Job ${job.name} ${run.status} in ${run.durationMs}ms`);
+    await this.updateSystemStatus(run.status === 'failed' ? 'error' : 'idle');
+
+    return run;
+  }
+
+  /**
+   * Mirror scheduler activity into AutomationSettings.system for the settings status endpoint
+   * @param {String} status - idle, running or error
+   * @param {Date} lastRun - Start time of the latest run (optional)
+   */
+  async updateSystemStatus(status, lastRun) {
+    try {
+      const settings = await AutomationSettings.getSettings();
+      const next = await ScheduledJob.findOne({
+        name: { $in: Array.from(this.jobs.keys()) },
+        paused: false,
+        nextRunAt: { $ne: null }
+      }).sort({ nextRunAt: 1 });
+
+      settings.system.status = status;
+      settings.system.nextScheduledRun = next ? next.nextRunAt : undefined;
+      if (lastRun) {
+        settings.system.lastRun = lastRun;
+      }
+
+      await settings.save();
+    } catch (error) {
+      // Status reporting must never break a job run
+      console.error('Error updating automation system status:', error);
+    }
+  }
+
+  /**
+   * Pause or resume a job
+   * @param {String} name - Job name
+   * @param {Boolean} paused - Whether the job should be paused
+   * @returns {Object} Updated ScheduledJob document
+   */
+  async setPaused(name, paused) {
+    if (!this.getJob(name)) {
+      throw new Error(`Unknown job: ${name}`);
+    }
+
+    const state = await ScheduledJob.findOneAndUpdate(
+      { name },
+      { paused },
+      { upsert: true, new: true }
+    );
+
+    console.log(`Job ${name} ${paused ? 'paused' : 'resumed'}`);
+
+    return state;
+  }
+
+  /**
+   * Describe a job together with its stored state
+   * @param {Object} job - Job definition
+   * @returns {Object} Job summary
+   */
+  async describe(job) {
+    const state = await this.getState(job.name);
+
+    return {
+      name: job.name,
+      description: job.description,
+      paused: state.paused,
+      running: !!(state.lockedUntil && state.lockedUntil > new Date()),
+      nextRunAt: state.nextRunAt || null,
+      lastRunAt: state.lastRunAt || null,
+      lastStatus: state.lastStatus || null,
+      lastError: state.lastError || null
+    };
+  }
+
+  /**
+   * List all registered jobs with their state
+   * @returns {Array} Job summaries
+   */
+  async listJobs() {
+    return Promise.all(Array.from(this.jobs.values()).map(job => this.describe(job)));
+  }
+}
+
+module.exports = new SchedulerService();
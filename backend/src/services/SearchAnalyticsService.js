@@ -0,0 +1,259 @@
+const mongoose = require('mongoose');
+const SearchQuery = require('../models/SearchQuery');
+const Product = require('../models/Product');
+const Category = require('../models/Category');
+const ProductGenerationQueue = require('../models/ProductGenerationQueue');
+const { tokenize } = require('../utils/searchText');
+
+// Clicks recorded per search; more than this is a bot or a double-counting client
+const MAX_CLICKS_PER_SEARCH = 20;
+
+/**
+ * Default reporting window: the last 30 days
+ * @returns {Object} { start, end }
+ */
+const lastThirtyDays = () => {
+  const end = new Date();
+  const start = new Date(end.getTime() - 30 * 24 * 60 * 60 * 1000);
+  return { start, end };
+};
+
+/**
+ * Service for logging storefront searches and turning them into reports and suggestions
+ */
+class SearchAnalyticsService {
+  /**
+   * Log a search. Logging problems are reported, never thrown, so they can't break search.
+   * @param {Object} search - Search details
+   * @param {String} search.query - Search text as typed
+   * @param {String} search.correctedQuery - Corrected text, if any
+   * @param {Object} search.filters - Category, stock and spec filters
+   * @param {Number} search.resultCount - Number of matching products
+   * @returns {Promise<Object>} Logged search, or null if it was not logged
+   */
+  async logSearch({ query, correctedQuery, filters = {}, resultCount }) {
+    const normalizedQuery = tokenize(query).join(' ');
+    if (!normalizedQuery) {
+      return null;
+    }
+
+    try {
+      return await SearchQuery.create({
+        query: String(query).trim().slice(0, 200),
+        normalizedQuery,
+        correctedQuery: correctedQuery || undefined,
+        filters: {
+          category: filters.category,
+          stock: filters.stock,
+          specs: filters.specs && Object.keys(filters.specs).length > 0 ? filters.specs : undefined
+        },
+        resultCount
+      });
+    } catch (error) {
+      console.error('Error logging search:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Record a click on a search result
+   * @param {String} searchId - ID of the logged search
+   * @param {String} productId - Product clicked
+   * @param {Number} position - 1-based position in the results
+   * @returns {Promise<Boolean>} Whether the search exists
+   */
+  async recordClick(searchId, productId, position) {
+    const result = await SearchQuery.updateOne(
+      { _id: searchId, [`clicks.${MAX_CLICKS_PER_SEARCH - 1}`]: { $exists: false } },
+      { $push: { clicks: { product: productId, position: position || undefined } } }
+    );
+
+    if (result.matchedCount > 0) {
+      return true;
+    }
+    return !!(await SearchQuery.exists({ _id: searchId }));
+  }
+
+  /**
+   * Most frequent searches in a period
+   * @param {Object} options - Report options
+   * @param {Date} options.start - Start of the period (default 30 days ago)
+   * @param {Date} options.end - End of the period (default now)
+   * @param {Number} options.limit - Number of searches to return
+   * @param {Boolean} options.zeroResultsOnly - Only searches that found nothing
+   * @returns {Promise<Array<Object>>} { term, count, averageResults, clickThroughRate, lastSearchedAt }
+   */
+  async getTopQueries({ start, end, limit = 20, zeroResultsOnly = false } = {}) {
+    const range = start && end ? { start, end } : lastThirtyDays();
+    const match = { createdAt: { $gte: range.start, $lte: range.end } };
+    if (zeroResultsOnly) {
+      match.resultCount = 0;
+    }
+
+    const rows = await SearchQuery.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: '$normalizedQuery',
+          term: { $last: '$query' },
+          count: { $sum: 1 },
+          averageResults: { $avg: '$resultCount' },
+          clicked: { $sum: { $cond: [{ $gt: [{ $size: '$clicks' }, 0] }, 1, 0] } },
+          lastSearchedAt: { $max: '$createdAt' }
+        }
+      },
+      { $sort: { count: -1, lastSearchedAt: -1 } },
+      { $limit: limit }
+    ]);
+
+    return rows.map(row => ({
+      term: row.term,
+      normalizedQuery: row._id,
+      count: row.count,
+      averageResults: Math.round(row.averageResults * 10) / 10,
+      clickThroughRate: Math.round((row.clicked / row.count) * 1000) / 10,
+      lastSearchedAt: row.lastSearchedAt
+    }));
+  }
+
+  /**
+   * Summary of search activity in a period, for analytics reports and the dashboard
+   * @param {Object} options - Period as { start, end } and number of searches to list
+   * @returns {Promise<Object>} { totalSearches, zeroResultRate, clickThroughRate, topQueries, zeroResultQueries }
+   */
+  async getSummary({ start, end, limit = 10 } = {}) {
+    const range = start && end ? { start, end } : lastThirtyDays();
+
+    const [totals] = await SearchQuery.aggregate([
+      { $match: { createdAt: { $gte: range.start, $lte: range.end } } },
+      {
+        $group: {
+          _id: null,
+          searches: { $sum: 1 },
+          zeroResults: { $sum: { $cond: [{ $eq: ['$resultCount', 0] }, 1, 0] } },
+          clicked: { $sum: { $cond: [{ $gt: [{ $size: '$clicks' }, 0] }, 1, 0] } }
+        }
+      }
+    ]);
+
+    const [topQueries, zeroResultQueries] = await Promise.all([
+      this.getTopQueries({ ...range, limit }),
+      this.getTopQueries({ ...range, limit, zeroResultsOnly: true })
+    ]);
+
+    const searches = totals ? totals.searches : 0;
+    return {
+      dateRange: range,
+      totalSearches: searches,
+      zeroResultRate: searches > 0 ? Math.round((totals.zeroResults / searches) * 1000) / 10 : 0,
+      clickThroughRate: searches > 0 ? Math.round((totals.clicked / searches) * 1000) / 10 : 0,
+      topQueries,
+      zeroResultQueries
+    };
+  }
+
+  /**
+   * Keyword sets worth generating products for: searches that found nothing, or whose
+   * results nobody clicked, and that are not already queued. Each suggestion names the
+   * category whose name best matches the search, or else the category most of its
+   * results are in.
+   * @param {Object} options - Suggestion options
+   * @param {Number} options.days - How far back to look
+   * @param {Number} options.limit - Number of suggestions
+   * @param {Number} options.minSearches - Searches needed before a query is suggested
+   * @returns {Promise<Array<Object>>} { keywords, searches, averageResults, clickThroughRate, suggestedCategory }
+   */
+  async getKeywordSuggestions({ days = 30, limit = 10, minSearches = 2 } = {}) {
+    const start = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+    const candidates = await this.getTopQueries({ start, end: new Date(), limit: limit * 5 });
+
+    const queued = await ProductGenerationQueue.find({ status: { $in: ['queued', 'processing'] } })
+      .select('keywords')
+      .lean();
+    const queuedTerms = new Set(queued.map(item => tokenize(item.keywords.join(' ')).sort().join(' ')));
+
+    const suggestions = [];
+    for (const candidate of candidates) {
+      if (suggestions.length >= limit) {
+        break;
+      }
+
+      const underServed = candidate.averageResults === 0 || candidate.clickThroughRate === 0;
+      const alreadyQueued = queuedTerms.has(candidate.normalizedQuery.split(' ').sort().join(' '));
+      if (candidate.count < minSearches || !underServed || alreadyQueued) {
+        continue;
+      }
+
+      suggestions.push({
+        keywords: [candidate.term.trim().toLowerCase()],
+        searches: candidate.count,
+        averageResults: candidate.averageResults,
+        clickThroughRate: candidate.clickThroughRate,
+        suggestedCategory: await this._suggestCategory(candidate.normalizedQuery)
+      });
+    }
+
+    return suggestions;
+  }
+
+  /**
+   * Frequent searches to seed blog topics with, giving priority to ones with no results
+   * @param {Object} options - Number of searches and how far back to look
+   * @returns {Promise<Array<String>>} Search terms
+   */
+  async getTopicSeeds({ days = 30, limit = 10 } = {}) {
+    const start = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+    const [zeroResults, top] = await Promise.all([
+      this.getTopQueries({ start, end: new Date(), limit, zeroResultsOnly: true }),
+      this.getTopQueries({ start, end: new Date(), limit })
+    ]);
+
+    const seen = new Set();
+    return [...zeroResults, ...top]
+      .filter(row => {
+        if (seen.has(row.normalizedQuery)) {
+          return false;
+        }
+        seen.add(row.normalizedQuery);
+        return true;
+      })
+      .slice(0, limit)
+      .map(row => row.term);
+  }
+
+  /**
+   * Category a search most likely belongs to
+   * @param {String} normalizedQuery - Normalised search
+   * @returns {Promise<Object>} Category { _id, name, slug }, or null if none fits
+   * @private
+   */
+  async _suggestCategory(normalizedQuery) {
+    const terms = normalizedQuery.split(' ');
+
+    const categories = await Category.find().select('name slug').lean();
+    let best = null;
+    categories.forEach(category => {
+      const overlap = tokenize(category.name).filter(word => terms.includes(word)).length;
+      if (overlap > 0 && (!best || overlap > best.overlap)) {
+        best = { category, overlap };
+      }
+    });
+    if (best) {
+      return best.category;
+    }
+
+    const [top] = await Product.aggregate([
+      { $match: { $text: { $search: normalizedQuery }, status: 'published' } },
+      { $group: { _id: '$category', count: { $sum: 1 } } },
+      { $sort: { count: -1 } },
+      { $limit: 1 }
+    ]);
+    if (!top || !mongoose.isValidObjectId(top._id)) {
+      return null;
+    }
+
+    return Category.findById(top._id).select('name slug').lean();
+  }
+}
+
+module.exports = new SearchAnalyticsService();
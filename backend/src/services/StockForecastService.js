@@ -0,0 +1,161 @@
+const Inventory = require('../models/Inventory');
+const Inquiry = require('../models/Inquiry');
+const StockReservation = require('../models/StockReservation');
+const StockReservationService = require('./StockReservationService');
+const PurchaseOrderService = require('./PurchaseOrderService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Default number of days of history demand is estimated from
+const DEFAULT_HISTORY_DAYS = 90;
+
+/**
+ * Key matching an inventory record to inquiry lines for the same product and variant
+ * @param {*} product - Product ID
+ * @param {*} variant - Variant ID, or null
+ * @returns {String} Key
+ */
+const productKey = (product, variant) => `${product}:${variant || ''}`;
+
+/**
+ * Service for estimating demand from stock history and predicting stock-outs and reorder dates
+ */
+class StockForecastService {
+  /**
+   * Forecast every inventory record that isn't discontinued. Daily demand is the stock
+   * removed over the history window, plus converted inquiry lines whose stock wasn't taken
+   * out through a reservation, divided by the days in the window. The stock-out date is when
+   * the available stock (on hand minus reserved) runs out at that rate. The reorder date is
+   * the supplier lead time before the stock on hand and on order runs out.
+   * @param {Object} options - Forecast options
+   * @param {Number} options.days - Days of history to estimate demand from
+   * @param {String} options.productId - Only forecast this product's records
+   * @param {Date} options.now - Current time
+   * @returns {Promise<Object>} { from, to, days, items } with items ordered by stock-out date
+   */
+  async getForecast({ days = DEFAULT_HISTORY_DAYS, productId, now = new Date() } = {}) {
+    try {
+      const from = new Date(now.getTime() - days * DAY_MS);
+
+      const filter = { status: { $ne: 'discontinued' } };
+      if (productId) {
+        filter.product = productId;
+      }
+      const inventories = await Inventory.find(filter).populate('product', 'title slug');
+      const ids = inventories.map(inventory => inventory._id);
+
+      const [reserved, onOrder, inquiryDemand] = await Promise.all([
+        StockReservationService.getReservedQuantities(ids),
+        PurchaseOrderService.getOnOrderQuantities(ids),
+        this._getConvertedInquiryDemand(from, now)
+      ]);
+
+      const items = inventories.map(inventory => {
+        const product = inventory.product && inventory.product._id ? inventory.product : null;
+        // Removals are recorded with negative quantities
+        const removed = inventory.history
+          .filter(entry => entry.action === 'remove' && entry.date >= from && entry.date <= now)
+          .reduce((sum, entry) => sum + Math.abs(entry.quantity), 0);
+        const converted = inquiryDemand.get(productKey(product ? product._id : inventory.product, inventory.variant)) || 0;
+
+        return this._forecastItem(inventory, {
+          product,
+          demand: removed + converted,
+          days,
+          reserved: reserved.get(String(inventory._id)) || 0,
+          onOrder: onOrder.get(String(inventory._id)) || 0,
+          now
+        });
+      });
+
+      // Soonest stock-outs first; items without demand last
+      items.sort((a, b) => (a.stockOutDate || Infinity) - (b.stockOutDate || Infinity));
+
+      return { from, to: now, days, items };
+    } catch (error) {
+      console.error('Error forecasting stock:', error);
+      throw new Error(`Failed to forecast stock: ${error.message}`, { cause: error });
+    }
+  }
+
+  /**
+   * Forecast one inventory record
+   * @param {Object} inventory - Inventory document
+   * @param {Object} values - { product, demand, days, reserved, onOrder, now }
+   * @returns {Object} Forecast for the record
+   * @private
+   */
+  _forecastItem(inventory, { product, demand, days, reserved, onOrder, now }) {
+    const dailyDemand = demand / days;
+    const available = Math.max(inventory.stockLevel - reserved, 0);
+    const leadTimeDays = (inventory.supplier && inventory.supplier.leadTime) || 0;
+
+    let daysUntilStockOut = null;
+    let stockOutDate = null;
+    let reorderDate = null;
+
+    if (dailyDemand > 0) {
+      daysUntilStockOut = Math.floor(available / dailyDemand);
+      stockOutDate = new Date(now.getTime() + daysUntilStockOut * DAY_MS);
+
+      // Stock already on order pushes the reorder back, but not the stock-out
+      const daysOfCover = Math.floor((available + onOrder) / dailyDemand);
+      reorderDate = new Date(now.getTime() + Math.max(daysOfCover - leadTimeDays, 0) * DAY_MS);
+    }
+
+    return {
+      inventory: inventory._id,
+      product: product ? { _id: product._id, title: product.title, slug: product.slug } : inventory.product,
+      variant: inventory.variant,
+      stockLevel: inventory.stockLevel,
+      reservedLevel: reserved,
+      availableLevel: available,
+      onOrder,
+      demand,
+      dailyDemand: Math.round(dailyDemand * 100) / 100,
+      daysUntilStockOut,
+      stockOutDate,
+      leadTimeDays,
+      reorderDate,
+      reorderNow: reorderDate !== null && reorderDate <= now
+    };
+  }
+
+  /**
+   * Quantities of converted inquiry lines, by product and variant, leaving out lines whose
+   * stock was removed through a reservation (those removals are already in the stock history).
+   * Inquiries count from when they were last updated, which is when they were converted
+   * unless they were edited afterwards.
+   * @param {Date} from - Start of the window
+   * @param {Date} to - End of the window
+   * @returns {Promise<Map<String, Number>>} Quantity by product and variant key
+   * @private
+   */
+  async _getConvertedInquiryDemand(from, to) {
+    const inquiries = await Inquiry.find({
+      status: 'converted',
+      updatedAt: { $gte: from, $lte: to }
+    }).select('products');
+
+    const reservedLines = await StockReservation.find({
+      inquiry: { $in: inquiries.map(inquiry => inquiry._id) },
+      status: 'converted'
+    }).distinct('inquiryItem');
+    const reservedIds = new Set(reservedLines.map(String));
+
+    const demand = new Map();
+    for (const inquiry of inquiries) {
+      for (const item of inquiry.products) {
+        if (!item.product || reservedIds.has(String(item._id))) {
+          continue;
+        }
+        const key = productKey(item.product, item.variant);
+        demand.set(key, (demand.get(key) || 0) + (item.quantity || 1));
+      }
+    }
+
+    return demand;
+  }
+}
+
+module.exports = new StockForecastService();
@@ -0,0 +1,346 @@
+const StockReservation = require('../models/StockReservation');
+const Inventory = require('../models/Inventory');
+const InventorySettings = require('../models/InventorySettings');
+
+/**
+ * ID of a reference that may or may not be populated
+ * @param {Object} value - ObjectId or populated document
+ * @returns {String} ID, or null
+ */
+const idOf = (value) => {
+  if (!value) {
+    return null;
+  }
+  return String(value._id || value);
+};
+
+/**
+ * Service for holding stock for quoted inquiries
+ */
+class StockReservationService {
+  /**
+   * Reserve stock for each line of a quoted inquiry. Lines that already hold stock keep
+   * it and get the new expiry. Lines are only reserved in full; lines without inventory or
+   * without enough available stock are reported as skipped. If reserving fails part way,
+   * the stock reserved so far is released again.
+   * @param {Object} inquiry - Inquiry document
+   * @param {Object} options - Reservation options
+   * @param {Date} options.expiresAt - Expiry (default from the inventory settings)
+   * @param {String} options.performedBy - Who made the reservation
+   * @returns {Promise<Object>} { reservations, skipped, created } where skipped is
+   *   [{ product, variant, reason }] and created lists the IDs of the new reservations
+   */
+  async reserveForInquiry(inquiry, { expiresAt, performedBy = 'system' } = {}) {
+    const created = [];
+
+    try {
+      const settings = await InventorySettings.findOne();
+      if (settings && settings.reservations && !settings.reservations.enabled) {
+        return { reservations: [], skipped: [], created };
+      }
+
+      const expiryDays = settings && settings.reservations ? settings.reservations.expiryDays : 14;
+      const expiry = expiresAt || new Date(Date.now() + expiryDays * 24 * 60 * 60 * 1000);
+
+      const existing = await StockReservation.find({ inquiry: inquiry._id, status: 'active' });
+      const existingByItem = new Map(existing.map(reservation => [String(reservation.inquiryItem), reservation]));
+
+      const reservations = [];
+      const skipped = [];
+
+      for (const item of inquiry.products || []) {
+        const productId = idOf(item.product);
+        if (!productId) {
+          continue;
+        }
+
+        const current = existingByItem.get(String(item._id));
+        if (current) {
+          current.expiresAt = expiry;
+          await current.save();
+          reservations.push(current);
+          continue;
+        }
+
+        const skip = (reason) => skipped.push({ product: productId, variant: item.variant || null, reason });
+        const quantity = item.quantity || 1;
+
+        const inventory = await Inventory.findOne({ product: productId, variant: item.variant || null });
+        if (!inventory) {
+          skip('Stock is not tracked for this product');
+          continue;
+        }
+
+        const reservation = await this._hold(inventory, {
+          inquiry: inquiry._id,
+          inquiryItem: item._id,
+          product: productId,
+          variant: item.variant || null,
+          quantity,
+          expiresAt: expiry,
+          createdBy: performedBy
+        });
+
+        if (!reservation) {
+          const current = await Inventory.findById(inventory._id).select('stockLevel reservedLevel');
+          skip(`Only ${await this.getAvailableQuantity(current || inventory)} available`);
+          continue;
+        }
+
+        created.push(reservation._id);
+        reservations.push(reservation);
+      }
+
+      console.log(`Reserved stock for ${reservations.length} lines of inquiry ${inquiry._id}, skipped ${skipped.length}`);
+
+      return { reservations, skipped, created };
+    } catch (error) {
+      console.error(`Error reserving stock for inquiry ${inquiry._id}:`, error);
+
+      if (created.length > 0) {
+        await this.releaseReservations(created, 'Reservation failed').catch(releaseError => {
+          console.error(`Error releasing stock reserved for inquiry ${inquiry._id}:`, releaseError);
+        });
+      }
+
+      throw new Error(`Failed to reserve stock: ${error.message}`, { cause: error });
+    }
+  }
+
+  /**
+   * Stop holding stock for an inquiry
+   * @param {String} inquiryId - Inquiry ID
+   * @param {String} reason - Why the stock is released
+   * @returns {Promise<Number>} Number of reservations released
+   */
+  async releaseForInquiry(inquiryId, reason = 'Released') {
+    return this._endReservations({ inquiry: inquiryId, status: 'active' }, 'released', reason);
+  }
+
+  /**
+   * Stop holding stock for the given reservations, e.g. to undo a status change that failed
+   * @param {Array<String>} reservationIds - Reservation IDs
+   * @param {String} reason - Why the stock is released
+   * @returns {Promise<Number>} Number of reservations released
+   */
+  async releaseReservations(reservationIds, reason = 'Released') {
+    return this._endReservations({ _id: { $in: reservationIds }, status: 'active' }, 'released', reason);
+  }
+
+  /**
+   * Mark reservations past their expiry as expired
+   * @returns {Promise<Number>} Number of reservations expired
+   */
+  async releaseExpired() {
+    const expired = await this._endReservations(
+      { status: 'active', expiresAt: { $lte: new Date() } },
+      'expired',
+      'Expired'
+    );
+
+    if (expired > 0) {
+      console.log(`Expired ${expired} stock reservations`);
+    }
+
+    return expired;
+  }
+
+  /**
+   * Take the reserved stock out of inventory for a converted inquiry. Each reservation is
+   * recorded as a remove in its inventory history. Reservations whose stock can't be
+   * removed stay active and are reported, so they can be converted again.
+   * @param {Object} inquiry - Inquiry document
+   * @param {String} performedBy - Who converted the inquiry
+   * @returns {Promise<Object>} { converted, failed } where failed is [{ reservation, error }]
+   */
+  async convertForInquiry(inquiry, performedBy = 'system') {
+    const reservations = await StockReservation.find({
+      inquiry: inquiry._id,
+      status: 'active',
+      expiresAt: { $gt: new Date() }
+    });
+
+    let converted = 0;
+    const failed = [];
+
+    for (const reservation of reservations) {
+      // Claim the reservation first, so a conversion running at the same time can't remove its
+      // stock twice. The stock stays counted as reserved until it has left the inventory.
+      const claimed = await StockReservation.findOneAndUpdate(
+        { _id: reservation._id, status: 'active' },
+        { $set: { status: 'converted', endedAt: new Date(), endReason: 'Inquiry converted' } },
+        { new: true }
+      );
+      if (!claimed) {
+        continue;
+      }
+
+      try {
+        const inventory = await Inventory.findById(claimed.inventory);
+        if (!inventory) {
+          throw new Error('Inventory record no longer exists');
+        }
+
+        await this._removeReservedStock(inventory, claimed, `Inquiry ${inquiry._id} converted`, performedBy);
+        await Inventory.updateOne({ _id: inventory._id }, { $inc: { reservedLevel: -claimed.quantity } });
+        converted += 1;
+      } catch (error) {
+        console.error(`Error converting stock reservation ${claimed._id}:`, error);
+        await StockReservation.updateOne(
+          { _id: claimed._id },
+          { $set: { status: 'active' }, $unset: { endedAt: 1, endReason: 1 } }
+        );
+        failed.push({ reservation: claimed._id, error: error.message });
+      }
+    }
+
+    return { converted, failed };
+  }
+
+  /**
+   * Quantities held by active reservations, by inventory record
+   * @param {Array<String>} inventoryIds - Inventory record IDs
+   * @returns {Promise<Map<String, Number>>} Reserved quantity by inventory ID
+   */
+  async getReservedQuantities(inventoryIds) {
+    const records = await Inventory.find({ _id: { $in: inventoryIds } }).select('reservedLevel');
+    return new Map(records.map(record => [String(record._id), record.reservedLevel || 0]));
+  }
+
+  /**
+   * Stock on hand that isn't reserved
+   * @param {Object} inventory - Inventory document
+   * @returns {Promise<Number>} Available quantity
+   */
+  async getAvailableQuantity(inventory) {
+    return Math.max(inventory.stockLevel - (inventory.reservedLevel || 0), 0);
+  }
+
+  /**
+   * Set the reserved level of inventory records from before it was kept, from their
+   * active reservations. Records that already have one are left alone.
+   * @returns {Promise<Number>} Number of records updated
+   */
+  async backfillReservedLevels() {
+    const rows = await StockReservation.aggregate([
+      { $match: { status: 'active' } },
+      { $group: { _id: '$inventory', reserved: { $sum: '$quantity' } } }
+    ]);
+
+    let updated = 0;
+    for (const row of rows) {
+      const result = await Inventory.updateOne(
+        { _id: row._id, reservedLevel: { $exists: false } },
+        { $set: { reservedLevel: row.reserved } }
+      );
+      updated += result.modifiedCount;
+    }
+
+    const rest = await Inventory.updateMany({ reservedLevel: { $exists: false } }, { $set: { reservedLevel: 0 } });
+
+    return updated + rest.modifiedCount;
+  }
+
+  /**
+   * Reserve stock in an inventory record if enough of it is available
+   * @param {Object} inventory - Inventory document
+   * @param {Object} data - Reservation fields, including quantity
+   * @returns {Promise<Object>} Reservation, or null if not enough stock is available
+   * @private
+   */
+  async _hold(inventory, data) {
+    // Expired reservations the expiry job hasn't released yet would still hold their stock
+    await this._endReservations(
+      { inventory: inventory._id, status: 'active', expiresAt: { $lte: new Date() } },
+      'expired',
+      'Expired'
+    );
+
+    // The availability check and the hold are one update, so two quotes made at the same
+    // moment can't both take the last units
+    const held = await Inventory.findOneAndUpdate(
+      {
+        _id: inventory._id,
+        $expr: { $gte: [{ $subtract: ['$stockLevel', { $ifNull: ['$reservedLevel', 0] }] }, data.quantity] }
+      },
+      { $inc: { reservedLevel: data.quantity } },
+      { new: true }
+    );
+
+    if (!held) {
+      return null;
+    }
+
+    try {
+      return await StockReservation.create({ ...data, inventory: inventory._id });
+    } catch (error) {
+      await Inventory.updateOne({ _id: inventory._id }, { $inc: { reservedLevel: -data.quantity } });
+      throw error;
+    }
+  }
+
+  /**
+   * End active reservations and give their stock back to the available level
+   * @param {Object} filter - Reservations to end
+   * @param {String} status - released or expired
+   * @param {String} reason - Why they ended
+   * @returns {Promise<Number>} Number of reservations ended
+   * @private
+   */
+  async _endReservations(filter, status, reason) {
+    const reservations = await StockReservation.find(filter).select('_id');
+    let ended = 0;
+
+    for (const { _id } of reservations) {
+      const reservation = await StockReservation.findOneAndUpdate(
+        { _id, status: 'active' },
+        { $set: { status, endedAt: new Date(), endReason: reason } },
+        { new: true }
+      );
+
+      // Only the update that ended the reservation gives its stock back
+      if (reservation) {
+        await Inventory.updateOne({ _id: reservation.inventory }, { $inc: { reservedLevel: -reservation.quantity } });
+        ended += 1;
+      }
+    }
+
+    return ended;
+  }
+
+  /**
+   * Remove a reservation's stock, taking it from the fullest locations first for records
+   * that track stock per location
+   * @param {Object} inventory - Inventory document
+   * @param {Object} reservation - Reservation
+   * @param {String} notes - History notes
+   * @param {String} performedBy - Who removed the stock
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _removeReservedStock(inventory, reservation, notes, performedBy) {
+    if (inventory.locations.length === 0) {
+      await inventory.removeStock(reservation.quantity, notes, performedBy);
+      return;
+    }
+
+    if (reservation.quantity > inventory.stockLevel) {
+      throw new Error('Cannot remove more than available stock');
+    }
+
+    let remaining = reservation.quantity;
+    const locations = [...inventory.locations].sort((a, b) => b.stockLevel - a.stockLevel);
+    for (const location of locations) {
+      if (remaining <= 0) {
+        break;
+      }
+      const quantity = Math.min(remaining, location.stockLevel);
+      if (quantity > 0) {
+        await inventory.removeStock(quantity, notes, performedBy, location.code);
+        remaining -= quantity;
+      }
+    }
+  }
+}
+
+module.exports = new StockReservationService();
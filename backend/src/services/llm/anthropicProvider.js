@@ -0,0 +1,70 @@
+const config = require('../../config/config');
+
+const API_VERSION = '2023-06-01';
+
+/**
+ * Provider for the Anthropic Messages API, called over HTTP so no extra SDK is needed
+ */
+const anthropicProvider = {
+  name: 'anthropic',
+  defaultModel: 'claude-3-5-sonnet-latest',
+
+  async complete(request, options) {
+    const apiKey = options.apiKey || config.ANTHROPIC_API_KEY;
+    if (!apiKey) {
+      throw Object.assign(new Error('No API key configured for the anthropic provider'), { retryable: false });
+    }
+
+    // The Messages API has no JSON mode, so ask for it in the system prompt
+    const system = [
+      request.system,
+      request.json ? 'Respond with a single valid JSON object and nothing else.' : null
+    ].filter(Boolean).join('\n\n');
+
+    const body = {
+      model: options.model,
+      max_tokens: request.maxTokens,
+      temperature: request.temperature,
+      messages: [{ role: 'user', content: request.prompt }]
+    };
+
+    if (system) {
+      body.system = system;
+    }
+
+    const baseUrl = (options.baseUrl || config.ANTHROPIC_BASE_URL).replace(/\/+$/, '');
+    const response = await fetch(`${baseUrl}/v1/messages`, {
+      method: 'POST',
+      headers: {
+        'content-type': 'application/json',
+        'x-api-key': apiKey,
+        'anthropic-version': API_VERSION
+      },
+      body: JSON.stringify(body)
+    });
+
+    const data = await response.json().catch(() => ({}));
+
+    if (!response.ok) {
+      const message = data.error && data.error.message ? data.error.message : response.statusText;
+      throw Object.assign(new Error(`Anthropic API error (${response.status}): ${message}`), { status: response.status });
+    }
+
+    const usage = data.usage || {};
+
+    return {
+      text: (data.content || [])
+        .filter(block => block.type === 'text')
+        .map(block => block.text)
+        .join('')
+        .trim(),
+      model: data.model || options.model,
+      usage: {
+        inputTokens: usage.input_tokens || 0,
+        outputTokens: usage.output_tokens || 0
+      }
+    };
+  }
+};
+
+module.exports = anthropicProvider;
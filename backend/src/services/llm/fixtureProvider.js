@@ -0,0 +1,182 @@
+const crypto = require('crypto');
+
+// Deterministic offline provider. Responses are built from the request's task name and
+// context, so the generation pipeline can run end to end in tests without network access.
+// The same request always produces the same response.
+
+/**
+ * Short stable hash of a request, used to make fixture text unique per prompt
+ * @param {Object} request - Completion request
+ * @returns {String} Hex digest
+ */
+const digest = (request) => crypto
+  .createHash('sha1')
+  .update(`${request.task || ''}\n${request.system || ''}\n${request.prompt || ''}`)
+  .digest('hex')
+  .slice(0, 8);
+
+/**
+ * Subject of the request, taken from its context
+ * @param {Object} context - Request context
+ * @param {String} id - Request digest
+ * @returns {String} Subject text
+ */
+const subjectOf = (context, id) => context.title ||
+  (context.keywords && context.keywords.length ? context.keywords.join(' ') : `Fixture item ${id}`);
+
+// Built-in responses by task. Objects are returned as JSON text.
+const builtInResponses = {
+  'product.title': ({ context, id }) => {
+    const keywords = context.keywords && context.keywords.length ? context.keywords.join(' ') : `item ${id}`;
+    return `Industrial ${keywords} ${context.categoryName || 'Equipment'}`;
+  },
+  'product.description': ({ context, id }) => `<p>${subjectOf(context, id)} is built for reliable, ` +
+    'high-throughput industrial coating.</p><ul><li><strong>Durable</strong> construction</li>' +
+    '<li><strong>Consistent</strong> finish quality</li></ul>',
+  'product.shortDescription': ({ context, id }) =>
+    `${subjectOf(context, id)}: durable, consistent and ready for industrial production lines.`,
+  'product.features': ({ context, id }) => ({
+    features: ['Performance', 'Design', 'Usability', 'Technology'].map(area => ({
+      title: `${area} of ${subjectOf(context, id)}`,
+      items: [`Reliable ${area.toLowerCase()}`, `Proven ${area.toLowerCase()} in production`]
+    }))
+  }),
+  'product.specifications': () => ({
+    specifications: {
+      Dimensions: '2000 x 1500 x 1800 mm',
+      Weight: '450 kg',
+      'Power Supply': '380 V / 50 Hz',
+      'Power Consumption': '7.5 kW',
+      'Operating Temperature': '0-40 °C',
+      Warranty: '2 years'
+    }
+  }),
+  'product.applications': ({ context }) => ({
+    applications: ['Automotive parts', 'Metal furniture', 'Architectural aluminium', 'Appliances', 'Agricultural machinery']
+      .map(industry => `${industry}: coating with ${context.categoryName || 'this equipment'}`)
+  }),
+  'product.faqs': ({ context, id }) => ({
+    faqs: [1, 2, 3, 4, 5].map(number => ({
+      question: `Question ${number} about ${subjectOf(context, id)}?`,
+      answer: `Answer ${number} about ${subjectOf(context, id)}.`
+    }))
+  }),
+  'product.seo': ({ context, id }) => ({
+    metaTitle: subjectOf(context, id).slice(0, 60),
+    metaDescription: `Buy ${subjectOf(context, id)} for reliable industrial coating. Request a quote today.`.slice(0, 160),
+    schemaMarkup: JSON.stringify({ '@context': 'https://schema.org', '@type': 'Product', name: subjectOf(context, id) })
+  }),
+  // Single-call product generation: every section in one object
+  'product.full': (request) => {
+    const titled = { ...request, context: { ...request.context, title: builtInResponses['product.title'](request) } };
+    return {
+      title: titled.context.title,
+      description: builtInResponses['product.description'](titled),
+      shortDescription: builtInResponses['product.shortDescription'](titled),
+      ...builtInResponses['product.features'](titled),
+      ...builtInResponses['product.specifications'](titled),
+      ...builtInResponses['product.applications'](titled),
+      ...builtInResponses['product.faqs'](titled),
+      ...builtInResponses['product.seo'](titled)
+    };
+  },
+  'seo.metaTags': ({ context, id }) => ({
+    metaTitle: `${subjectOf(context, id)} | Industrial Coating`.slice(0, 60),
+    metaDescription: `Discover ${subjectOf(context, id)} for dependable industrial coating. Contact us for a quote.`.slice(0, 160)
+  }),
+  'seo.headings': ({ context, id }) => ({
+    h1: subjectOf(context, id),
+    sections: ['Key Features', 'Technical Specifications', 'Applications'].map(h2 => ({ h2, h3s: [`${h2} overview`] }))
+  }),
+  'seo.description': ({ context, id }) => `<p>${subjectOf(context, id)} delivers consistent, efficient coating.</p>`,
+  'seo.imageAlt': ({ context, id }) => `${subjectOf(context, id)} product image`,
+  'seo.structuredData': ({ context, id }) =>
+    JSON.stringify({ '@context': 'https://schema.org', '@type': 'Product', name: subjectOf(context, id) }),
+  'seo.socialMedia': ({ context, id }) => ({
+    ogTitle: subjectOf(context, id),
+    ogDescription: `See how ${subjectOf(context, id)} improves your coating line.`,
+    twitterTitle: subjectOf(context, id),
+    twitterDescription: `Meet ${subjectOf(context, id)}.`
+  }),
+  'blog.topic': ({ context, id }) => ({
+    title: `How to get the most from ${subjectOf(context, id)}`,
+    description: `A practical guide to ${subjectOf(context, id)}.`,
+    primaryKeyword: subjectOf(context, id).toLowerCase(),
+    secondaryKeywords: ['industrial coating', 'powder coating', 'coating equipment'],
+    outline: 'Introduction; Key considerations; Best practices; Conclusion'
+  }),
+  'blog.topics': ({ context, id }) => {
+    const contentTypes = context.contentTypes && context.contentTypes.length ? context.contentTypes : ['how_to'];
+    return Array.from({ length: context.count || 1 }, (value, index) => ({
+      title: `Coating industry insight ${id}-${index + 1}`,
+      description: `Fixture topic ${index + 1} about industrial coating.`,
+      contentType: contentTypes[index % contentTypes.length],
+      primaryKeyword: 'industrial coating',
+      secondaryKeywords: ['powder coating', 'coating equipment', 'coating technology'],
+      outline: 'Introduction; Main points; Conclusion'
+    }));
+  },
+  'blog.post': ({ context, id }) => `<h2>${subjectOf(context, id)}</h2>` +
+    `<p>This fixture post covers ${subjectOf(context, id)} for industrial coating teams.</p>`,
+  'blog.metaTags': ({ context, id }) => ({
+    title: subjectOf(context, id).slice(0, 60),
+    description: `Read about ${subjectOf(context, id)} and industrial coating best practices.`.slice(0, 160)
+  }),
+  'social.post': ({ context, id }) => `Check out ${subjectOf(context, id)}!`
+};
+
+/**
+ * Create the fixture provider
+ * @returns {Object} Provider with complete(), setResponse() and clearResponses()
+ */
+const createFixtureProvider = () => {
+  // Responses registered by tests take precedence over the built-in ones
+  const overrides = new Map();
+
+  return {
+    name: 'fixture',
+    defaultModel: 'fixture',
+
+    /**
+     * Set the response for a task
+     * @param {String} task - Task name, e.g. 'product.title'
+     * @param {String|Object|Function} response - Text, JSON-serialisable value or function(request)
+     */
+    setResponse(task, response) {
+      overrides.set(task, response);
+    },
+
+    /**
+     * Remove all registered responses
+     */
+    clearResponses() {
+      overrides.clear();
+    },
+
+    async complete(request, options) {
+      const id = digest(request);
+      let response = overrides.has(request.task) ? overrides.get(request.task) : builtInResponses[request.task];
+
+      if (typeof response === 'function') {
+        response = response({ ...request, context: request.context || {}, id });
+      }
+
+      if (response === undefined) {
+        response = request.json ? {} : `Fixture response ${id}`;
+      }
+
+      const text = typeof response === 'string' ? response : JSON.stringify(response);
+
+      return {
+        text,
+        model: options.model,
+        usage: {
+          inputTokens: Math.ceil((request.prompt || '').length / 4),
+          outputTokens: Math.ceil(text.length / 4)
+        }
+      };
+    }
+  };
+};
+
+module.exports = createFixtureProvider;
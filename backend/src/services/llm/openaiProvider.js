@@ -0,0 +1,67 @@
+const OpenAI = require('openai');
+
+/**
+ * Create a provider for the OpenAI chat completions API or any server that speaks
+ * the same protocol (e.g. a local Ollama, vLLM or LM Studio endpoint)
+ * @param {Object} options - Provider options
+ * @param {String} options.name - Provider name reported in results
+ * @param {String} options.defaultModel - Model used when the caller does not pick one
+ * @param {Function} options.getClientOptions - Returns { apiKey, baseURL } for a request's options
+ * @param {Boolean} options.supportsJsonMode - Whether response_format json_object is accepted
+ * @returns {Object} Provider with an async complete(request, options) method
+ */
+const createOpenAIProvider = ({ name, defaultModel, getClientOptions, supportsJsonMode }) => {
+  // Clients are created lazily and reused per API key and base URL
+  const clients = new Map();
+
+  const getClient = (options) => {
+    const { apiKey, baseURL } = getClientOptions(options);
+    if (!apiKey) {
+      throw Object.assign(new Error(`No API key configured for the ${name} provider`), { retryable: false });
+    }
+
+    const key = `${baseURL || ''}|${apiKey}`;
+    if (!clients.has(key)) {
+      clients.set(key, new OpenAI({ apiKey, baseURL }));
+    }
+    return clients.get(key);
+  };
+
+  return {
+    name,
+    defaultModel,
+
+    async complete(request, options) {
+      const messages = [];
+      if (request.system) {
+        messages.push({ role: 'system', content: request.system });
+      }
+      messages.push({ role: 'user', content: request.prompt });
+
+      const params = {
+        model: options.model,
+        messages,
+        temperature: request.temperature,
+        max_tokens: request.maxTokens
+      };
+
+      if (request.json && supportsJsonMode) {
+        params.response_format = { type: 'json_object' };
+      }
+
+      const response = await getClient(options).chat.completions.create(params);
+      const usage = response.usage || {};
+
+      return {
+        text: (response.choices[0].message.content || '').trim(),
+        model: response.model || options.model,
+        usage: {
+          inputTokens: usage.prompt_tokens || 0,
+          outputTokens: usage.completion_tokens || 0
+        }
+      };
+    }
+  };
+};
+
+module.exports = createOpenAIProvider;
@@ -0,0 +1,306 @@
+// Built-in prompt templates. Each one is saved as version 1 of its PromptTemplate the
+// first time it is needed; after that the stored versions are used and can be revised
+// through /api/prompt-templates without a deploy.
+
+const productVariables = [
+  { name: 'title', description: 'Product title' },
+  { name: 'category_name', description: 'Product category name' },
+  { name: 'keywords', description: 'Keywords to target' }
+];
+
+module.exports = {
+  'product.full': {
+    description: 'Whole product listing as one structured JSON response',
+    variables: [
+      { name: 'category_name', description: 'Product category name' },
+      { name: 'keywords', description: 'Keywords to target' },
+      { name: 'schema', description: 'JSON Schema the response must match' }
+    ],
+    body: `Create a complete, SEO-optimized product listing for a {category_name} product.
+
+Keywords: {keywords}
+
+The listing should:
+- Have a compelling title of 60-70 characters that includes the main keyword naturally
+- Have a 400-600 word description using HTML formatting (<p>, <ul>, <li>, <strong>)
+- Have a 150-200 character short description with key selling points
+- Have 4 feature categories, each with a benefit-oriented title and 2-3 bullet points
+- Have 6-10 realistic technical specifications using industry-standard terminology
+- Have 5-8 specific industry applications with brief explanations
+- Have 5 frequently asked questions with clear, informative answers
+- Have a meta title (60-70 characters), a meta description (150-160 characters)
+  and JSON-LD Product schema markup as a string
+- Target industrial and commercial users and never mention pricing
+
+Format the response as a JSON object matching this JSON Schema:
+{schema}
+
+Return only the JSON with no additional commentary.`
+  },
+
+  'product.title': {
+    description: 'Product title',
+    variables: [
+      { name: 'category_name', description: 'Product category name' },
+      { name: 'keywords', description: 'Keywords to target' }
+    ],
+    body: `Create a compelling, SEO-optimized product title for a {category_name} product.
+
+Keywords: {keywords}
+
+The title should:
+- Be 60-70 characters long
+- Include the main keyword naturally
+- Be clear and descriptive
+- Appeal to customers looking for industrial coating equipment
+- Not mention any pricing
+
+Return only the title text with no additional commentary.`
+  },
+
+  'product.description': {
+    description: 'Long HTML product description',
+    variables: productVariables,
+    body: `Create a detailed, SEO-optimized product description for the following product:
+
+Product Title: {title}
+Product Category: {category_name}
+Keywords: {keywords}
+
+The description should:
+- Be 400-600 words
+- Include the main keywords naturally throughout the text
+- Describe the product's features, benefits, and applications
+- Use HTML formatting (<p>, <ul>, <li>, <strong>) for better readability
+- Include technical specifications where relevant
+- Not mention any pricing information
+- Focus on quality, reliability, and performance
+- Target industrial and commercial users
+
+Return only the formatted description with no additional commentary.`
+  },
+
+  'product.shortDescription': {
+    description: 'Short summary of the product description',
+    variables: [
+      { name: 'description', description: 'Full product description' }
+    ],
+    body: `Create a concise summary of the following product description.
+
+The summary should:
+- Be 150-200 characters long
+- Capture the essence of the product
+- Include key selling points
+- Be compelling and informative
+
+Product Description:
+{description}
+
+Return only the short description with no additional commentary.`
+  },
+
+  'product.features': {
+    description: 'Feature categories with bullet points',
+    variables: productVariables,
+    body: `Create 4 feature categories with bullet points for the following product:
+
+Product Title: {title}
+Product Category: {category_name}
+Keywords: {keywords}
+
+Each feature category should:
+- Have a clear, benefit-oriented title
+- Include 2-3 bullet points explaining the feature
+- Focus on different aspects of the product (e.g., performance, design, usability, technology)
+- Include relevant keywords naturally
+
+Format the response as a JSON object with this structure:
+{
+  "features": [
+    {
+      "title": "Feature Category Title",
+      "items": ["Bullet point 1", "Bullet point 2", "Bullet point 3"]
+    },
+    ...
+  ]
+}
+
+Return only the JSON with no additional commentary.`
+  },
+
+  'product.specifications': {
+    description: 'Technical specifications',
+    variables: productVariables,
+    body: `Create technical specifications for the following product:
+
+Product Title: {title}
+Product Category: {category_name}
+Keywords: {keywords}
+
+The specifications should:
+- Include 6-10 relevant technical parameters
+- Be realistic for this type of product
+- Include dimensions, power requirements, capacity, etc. where applicable
+- Use industry-standard terminology
+
+Format the response as a JSON object with specification names as keys and values as values:
+{
+  "specifications": {
+    "Dimension": "Value",
+    "Weight": "Value",
+    ...
+  }
+}
+
+Return only the JSON with no additional commentary.`
+  },
+
+  'product.applications': {
+    description: 'Industry applications',
+    variables: productVariables,
+    body: `Create a list of 5-8 industry applications for the following product:
+
+Product Title: {title}
+Product Category: {category_name}
+Keywords: {keywords}
+
+The applications should:
+- Be specific to industries that would use this type of product
+- Include brief explanations of how the product is used in each application
+- Be realistic and relevant
+
+Format the response as a JSON object with this structure:
+{
+  "applications": ["Application 1", "Application 2", ...]
+}
+
+Return only the JSON with no additional commentary.`
+  },
+
+  'product.faqs': {
+    description: 'Frequently asked questions',
+    variables: productVariables,
+    body: `Create 5 frequently asked questions (FAQs) with answers for the following product:
+
+Product Title: {title}
+Product Category: {category_name}
+Keywords: {keywords}
+
+The FAQs should:
+- Address common customer questions about this type of product
+- Include questions about features, benefits, maintenance, etc.
+- Provide clear, informative answers
+- Include relevant keywords naturally
+- Not mention pricing
+
+Format the response as a JSON object with this structure:
+{
+  "faqs": [
+    {
+      "question": "Question text?",
+      "answer": "Answer text."
+    },
+    ...
+  ]
+}
+
+Return only the JSON with no additional commentary.`
+  },
+
+  'product.seo': {
+    description: 'Meta title, meta description and schema markup',
+    variables: productVariables,
+    body: `Create SEO metadata for the following product:
+
+Product Title: {title}
+Product Category: {category_name}
+Keywords: {keywords}
+
+Generate:
+1. Meta Title (60-70 characters)
+2. Meta Description (150-160 characters)
+3. JSON-LD Schema Markup for Product
+
+Format the response as a JSON object with this structure:
+{
+  "metaTitle": "SEO-optimized title",
+  "metaDescription": "SEO-optimized description",
+  "schemaMarkup": "JSON-LD schema markup as a string"
+}
+
+Return only the JSON with no additional commentary.`
+  },
+
+  'blog.topic': {
+    description: 'Blog topic idea based on a product',
+    variables: [
+      { name: 'content_type', description: 'Kind of article, e.g. "how-to guide"' },
+      { name: 'product_name', description: 'Product the topic is based on' },
+      { name: 'category_name', description: 'Product category name', required: false, defaultValue: 'coating machines' },
+      { name: 'article_brief', description: 'Brief for this content type from the blog automation settings', required: false, defaultValue: 'No specific brief.' }
+    ],
+    body: `Generate a blog topic idea for a {content_type} related to {product_name} ({category_name}).
+
+The article will be written from this brief:
+{article_brief}
+
+Include a compelling title and brief description.
+
+Format your response as JSON with the following structure:
+{
+  "title": "The blog post title",
+  "description": "A brief description of the blog post (100-200 words)",
+  "primaryKeyword": "The main keyword to target",
+  "secondaryKeywords": ["keyword1", "keyword2", "keyword3"],
+  "outline": "A brief outline of the main sections of the blog post"
+}`
+  },
+
+  'blog.post': {
+    description: 'Blog post draft for a topic',
+    variables: [
+      { name: 'title', description: 'Blog post title' },
+      { name: 'content_type', description: 'Content type of the post' },
+      { name: 'primary_keyword', description: 'Main keyword to target' },
+      { name: 'secondary_keywords', description: 'Other keywords to include', required: false },
+      { name: 'outline', description: 'Outline of the main sections', required: false, defaultValue: 'Use your own judgement.' },
+      { name: 'min_words', description: 'Minimum word count' },
+      { name: 'max_words', description: 'Maximum word count' },
+      { name: 'article_brief', description: 'Brief for this content type from the blog automation settings', required: false, defaultValue: 'No specific brief.' },
+      { name: 'related_product', description: 'Product the post is about', required: false, defaultValue: 'None' },
+      { name: 'related_product_features', description: 'Feature headings of that product', required: false, defaultValue: 'None' }
+    ],
+    body: `Write a comprehensive blog post with the title "{title}".
+
+Content type: {content_type}
+Primary keyword: {primary_keyword}
+Secondary keywords: {secondary_keywords}
+
+Use this outline as a guide:
+{outline}
+
+The blog post should be between {min_words} and {max_words} words.
+
+Article brief:
+{article_brief}
+
+Related product: {related_product}
+Related product features: {related_product_features}
+If a related product is given, focus on how it solves customer problems and end with a call to action
+encouraging readers to inquire about it. Do NOT include any pricing information.
+
+Include the following elements:
+- An engaging introduction that hooks the reader
+- Well-structured sections with appropriate H2 and H3 headings
+- Practical information and actionable advice
+- A compelling conclusion with a call to action
+
+Format the content with proper HTML tags for headings, paragraphs, lists, etc.
+
+Optimize the content for SEO:
+- Use the primary keyword in the first paragraph, at least one H2 heading, and throughout the content naturally
+- Include secondary keywords throughout the content
+- Keep paragraphs and sentences relatively short for readability
+- Use bullet points and numbered lists where appropriate`
+  }
+};
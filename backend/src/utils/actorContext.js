@@ -0,0 +1,26 @@
+// Who is making the current change: a signed-in user (set by the protect middleware)
+// or a scheduled job (set by the scheduler). Carried through async calls so models can
+// record the author of a change without it being passed down explicitly.
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+const storage = new AsyncLocalStorage();
+
+/**
+ * Run a function on behalf of an actor
+ * @param {Object} actor - { type: 'user', user } or { type: 'job', job, user }
+ * @param {Function} fn - Function to run
+ * @returns {*} Result of fn
+ */
+const runAsActor = (actor, fn) => storage.run(actor, fn);
+
+/**
+ * The actor for the current call
+ * @returns {Object} Actor, or { type: 'system' } outside any request or job
+ */
+const getActor = () => storage.getStore() || { type: 'system' };
+
+module.exports = {
+  runAsActor,
+  getActor
+};
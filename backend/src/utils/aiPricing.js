@@ -0,0 +1,89 @@
+// Estimated prices for AI usage accounting, in US dollars. These are list prices at the
+// time of writing and only need to be close enough for budgeting; update them when
+// providers change their pricing.
+
+// Per million tokens. Models are matched by the longest prefix, so dated snapshots
+// (e.g. gpt-4o-2024-08-06) use their family's price.
+const TOKEN_PRICES = {
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'gpt-4o': { input: 2.5, output: 10 },
+  'gpt-4.1-nano': { input: 0.1, output: 0.4 },
+  'gpt-4.1-mini': { input: 0.4, output: 1.6 },
+  'gpt-4.1': { input: 2, output: 8 },
+  'gpt-4-turbo': { input: 10, output: 30 },
+  'gpt-4': { input: 30, output: 60 },
+  'gpt-3.5-turbo': { input: 0.5, output: 1.5 },
+  'claude-3-haiku': { input: 0.25, output: 1.25 },
+  'claude-3-5-haiku': { input: 0.8, output: 4 },
+  'claude-3-5-sonnet': { input: 3, output: 15 },
+  'claude-3-7-sonnet': { input: 3, output: 15 },
+  'claude-sonnet-4': { input: 3, output: 15 },
+  'claude-3-opus': { input: 15, output: 75 },
+  'claude-opus-4': { input: 15, output: 75 }
+};
+
+// Per generated image
+const IMAGE_PRICES = {
+  'dall-e-3': 0.04,
+  'dall-e-2': 0.02
+};
+
+// Providers that cost nothing per call (local models and offline fixtures)
+const FREE_PROVIDERS = ['custom', 'fixture'];
+
+/**
+ * Find the price entry for a model by longest matching prefix
+ * @param {Object} prices - Price table
+ * @param {String} model - Model name
+ * @returns {*} Price entry, or undefined if the model is unknown
+ */
+const findPrice = (prices, model) => {
+  const match = Object.keys(prices)
+    .filter(prefix => String(model || '').startsWith(prefix))
+    .sort((a, b) => b.length - a.length)[0];
+
+  return match ? prices[match] : undefined;
+};
+
+/**
+ * Estimate the cost of a call
+ * @param {Object} usage - Usage of one call
+ * @param {String} usage.provider - Provider name
+ * @param {String} usage.model - Model name
+ * @param {Number} usage.inputTokens - Prompt tokens
+ * @param {Number} usage.outputTokens - Completion tokens
+ * @param {Number} usage.imageCount - Images generated
+ * @returns {Object} { cost, priced } where priced is false for unknown models
+ */
+const estimateCost = ({ provider, model, inputTokens = 0, outputTokens = 0, imageCount = 0 }) => {
+  if (FREE_PROVIDERS.includes(provider)) {
+    return { cost: 0, priced: true };
+  }
+
+  let cost = 0;
+  let priced = true;
+
+  if (inputTokens || outputTokens) {
+    const price = findPrice(TOKEN_PRICES, model);
+    if (price) {
+      cost += (inputTokens * price.input + outputTokens * price.output) / 1000000;
+    } else {
+      priced = false;
+    }
+  }
+
+  if (imageCount) {
+    const price = findPrice(IMAGE_PRICES, model);
+    if (price !== undefined) {
+      cost += imageCount * price;
+    } else {
+      priced = false;
+    }
+  }
+
+  return { cost: Math.round(cost * 1000000) / 1000000, priced };
+};
+
+module.exports = {
+  estimateCost
+};
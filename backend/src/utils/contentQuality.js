@@ -0,0 +1,123 @@
+// Text measures used by the generated content quality gate
+
+/**
+ * Remove HTML tags and collapse whitespace
+ * @param {String} html - HTML or plain text
+ * @returns {String} Plain text
+ */
+const stripHtml = (html) => String(html || '')
+  .replace(/<[^>]+>/g, ' ')
+  .replace(/&nbsp;/g, ' ')
+  .replace(/&amp;/g, '&')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+/**
+ * Lower-case words of a text
+ * @param {String} text - Plain text
+ * @returns {Array<String>} Words
+ */
+const toWords = (text) => String(text).toLowerCase().match(/[a-z0-9']+/g) || [];
+
+/**
+ * Estimate the syllables in an English word
+ * @param {String} word - Lower-case word
+ * @returns {Number} Syllable count (at least 1)
+ */
+const countSyllables = (word) => {
+  if (/^\d+$/.test(word)) {
+    return 1;
+  }
+  const trimmed = word.replace(/'/g, '').replace(/(?:[^laeiouy]es|ed|[^laeiouy]e)$/, '').replace(/^y/, '');
+  const groups = trimmed.match(/[aeiouy]{1,2}/g);
+  return Math.max(groups ? groups.length : 0, 1);
+};
+
+/**
+ * Flesch reading ease of a text: 0-100, higher is easier to read
+ * @param {String} text - Plain text
+ * @returns {Number} Score rounded to one decimal, or null for text without words
+ */
+const fleschReadingEase = (text) => {
+  const words = toWords(text);
+  if (words.length === 0) {
+    return null;
+  }
+
+  const sentences = Math.max((String(text).match(/[.!?]+(\s|$)/g) || []).length, 1);
+  const syllables = words.reduce((total, word) => total + countSyllables(word), 0);
+  const score = 206.835 - 1.015 * (words.length / sentences) - 84.6 * (syllables / words.length);
+
+  return Math.round(Math.min(Math.max(score, 0), 100) * 10) / 10;
+};
+
+/**
+ * Overlapping three-word sequences of a text
+ * @param {String} text - Plain text
+ * @returns {Set<String>} Shingles
+ */
+const shingles = (text) => {
+  const words = toWords(text);
+  const result = new Set();
+  for (let i = 0; i + 3 <= words.length; i++) {
+    result.add(words.slice(i, i + 3).join(' '));
+  }
+  return result;
+};
+
+/**
+ * Similarity of two texts as the Jaccard index of their three-word sequences
+ * @param {String} a - Plain text
+ * @param {String} b - Plain text
+ * @returns {Number} 0 (nothing shared) to 1 (same wording)
+ */
+const textSimilarity = (a, b) => {
+  const first = shingles(a);
+  const second = shingles(b);
+  if (first.size === 0 || second.size === 0) {
+    return 0;
+  }
+
+  let shared = 0;
+  first.forEach(shingle => {
+    if (second.has(shingle)) {
+      shared += 1;
+    }
+  });
+
+  return shared / (first.size + second.size - shared);
+};
+
+/**
+ * Find banned phrases in a text
+ * @param {String} text - Text to search
+ * @param {Array<String>} phrases - Phrases to look for (case-insensitive)
+ * @returns {Array<String>} Phrases found
+ */
+const findBannedPhrases = (text, phrases = []) => {
+  const haystack = String(text).toLowerCase();
+  return phrases.filter(phrase => phrase && haystack.includes(phrase.toLowerCase()));
+};
+
+/**
+ * Shorten text to a maximum length, cutting at a word boundary where possible
+ * @param {String} text - Text to shorten
+ * @param {Number} maxLength - Maximum length
+ * @returns {String} Shortened text
+ */
+const truncateText = (text, maxLength) => {
+  if (text.length <= maxLength) {
+    return text;
+  }
+  const cut = text.slice(0, maxLength);
+  const lastSpace = cut.lastIndexOf(' ');
+  return (lastSpace > maxLength * 0.6 ? cut.slice(0, lastSpace) : cut).trim();
+};
+
+module.exports = {
+  stripHtml,
+  fleschReadingEase,
+  textSimilarity,
+  findBannedPhrases,
+  truncateText
+};
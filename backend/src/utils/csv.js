@@ -0,0 +1,84 @@
+// Minimal CSV parsing (RFC 4180: quoted fields, escaped quotes, CRLF line endings).
+
+/**
+ * Parse CSV text into rows of fields
+ * @param {String} text - CSV content
+ * @returns {Array<Array<String>>} Rows, with blank lines dropped
+ */
+const parseCsvRows = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  // Strip a UTF-8 byte order mark left by spreadsheet exports
+  const input = String(text).replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error('Unterminated quoted field in CSV');
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(fields => fields.some(value => value.trim() !== ''));
+};
+
+/**
+ * Parse CSV text with a header line into objects keyed by column name
+ * @param {String} text - CSV content
+ * @returns {Array<Object>} One object per data row
+ */
+const parseCsv = (text) => {
+  const [header, ...rows] = parseCsvRows(text);
+
+  if (!header) {
+    return [];
+  }
+
+  const columns = header.map(column => column.trim());
+
+  return rows.map(fields => columns.reduce((record, column, index) => {
+    if (column) {
+      record[column] = (fields[index] || '').trim();
+    }
+    return record;
+  }, {}));
+};
+
+module.exports = {
+  parseCsvRows,
+  parseCsv
+};
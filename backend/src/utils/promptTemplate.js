@@ -0,0 +1,114 @@
+// Prompt template rendering. Placeholders use the same {variable_name} syntax as the
+// other templates in the settings models (social post templates, blog content type
+// prompts, image prompt templates). JSON examples inside prompts are left alone because
+// a placeholder name can only contain letters, digits and underscores.
+
+const PLACEHOLDER_PATTERN = /\{([A-Za-z][A-Za-z0-9_]*)\}/g;
+
+/**
+ * List the placeholders used in a template body
+ * @param {String} body - Template body
+ * @returns {Array<String>} Unique placeholder names in order of appearance
+ */
+const extractPlaceholders = (body) => {
+  const names = [];
+  for (const match of String(body).matchAll(PLACEHOLDER_PATTERN)) {
+    if (!names.includes(match[1])) {
+      names.push(match[1]);
+    }
+  }
+  return names;
+};
+
+/**
+ * Turn a variable value into prompt text
+ * @param {*} value - Variable value
+ * @returns {String} Text
+ */
+const formatValue = (value) => {
+  if (Array.isArray(value)) {
+    return value.map(formatValue).join(', ');
+  }
+  if (value !== null && typeof value === 'object') {
+    return JSON.stringify(value);
+  }
+  return String(value);
+};
+
+/**
+ * Replace placeholders with values. Placeholders without a value are left as they are.
+ * @param {String} body - Template body
+ * @param {Object} values - Values by variable name
+ * @returns {String} Rendered text
+ */
+const renderTemplate = (body, values = {}) => String(body).replace(PLACEHOLDER_PATTERN, (placeholder, name) => {
+  const value = values[name];
+  return value === undefined || value === null ? placeholder : formatValue(value);
+});
+
+/**
+ * Check that a template's declared variables match the placeholders in its body
+ * @param {Object} template - Template with body and variables
+ * @returns {Array<String>} Problems (empty when consistent)
+ */
+const checkTemplateVariables = ({ body, variables = [] }) => {
+  const declared = variables.map(variable => variable.name);
+  const used = extractPlaceholders(body);
+  const errors = [];
+
+  used.filter(name => !declared.includes(name)).forEach(name => {
+    errors.push(`Placeholder {${name}} is not declared as a variable`);
+  });
+
+  declared.filter(name => !used.includes(name)).forEach(name => {
+    errors.push(`Variable ${name} is declared but not used in the template`);
+  });
+
+  declared.filter((name, index) => declared.indexOf(name) !== index).forEach(name => {
+    errors.push(`Variable ${name} is declared more than once`);
+  });
+
+  return errors;
+};
+
+/**
+ * Render a template, enforcing its declared variables: required variables (the default) must
+ * have a value, and optional ones fall back to their default (or an empty string)
+ * @param {Object} template - Template with name, version, body and variables
+ * @param {Object} values - Values by variable name
+ * @returns {String} Rendered prompt
+ */
+const renderDeclaredTemplate = (template, values = {}) => {
+  const resolved = {};
+  const missing = [];
+
+  (template.variables || []).forEach(variable => {
+    const value = values[variable.name];
+    const isEmpty = value === undefined || value === null || value === '' ||
+      (Array.isArray(value) && value.length === 0);
+
+    if (!isEmpty) {
+      resolved[variable.name] = value;
+    } else if (variable.required !== false) {
+      missing.push(variable.name);
+    } else {
+      resolved[variable.name] = variable.defaultValue || '';
+    }
+  });
+
+  if (missing.length > 0) {
+    throw Object.assign(
+      new Error(`Missing required variables for prompt template ${template.name} v${template.version}: ${missing.join(', ')}`),
+      { retryable: false, missingVariables: missing }
+    );
+  }
+
+  return renderTemplate(template.body, resolved).trim();
+};
+
+module.exports = {
+  extractPlaceholders,
+  renderTemplate,
+  checkTemplateVariables,
+  renderDeclaredTemplate
+};
@@ -0,0 +1,238 @@
+// Lease-based claiming for the work queues (ProductGenerationQueue, SEOOptimizationQueue).
+// A worker atomically moves an item from queued to processing and stamps it with its
+// worker ID and a lease expiry, so concurrent workers never pick up the same item.
+// Each claim counts as an attempt; failed attempts are retried with backoff until
+// maxAttempts is reached, after which the item is parked in dead_letter. Items whose
+// error isn't worth retrying are marked failed straight away.
+
+const config = require('../config/config');
+const { classifyError, getRetryDelay } = require('./retry');
+
+// Statuses an item can be manually requeued from
+const REQUEUEABLE_STATUSES = ['failed', 'dead_letter'];
+
+/**
+ * Query matching items currently held by a live lease
+ * @param {Date} now - Current time
+ * @returns {Object} Mongo query
+ */
+const activeLeaseQuery = (now) => ({
+  status: 'processing',
+  leaseExpiresAt: { $gt: now }
+});
+
+/**
+ * Return items stuck in processing past their lease to the queue, or dead-letter them
+ * if they have used up their attempts (e.g. an item that crashes its worker every time)
+ * @param {Object} Model - Queue model
+ * @param {Object} settings - AutomationSettings.queueProcessing
+ * @returns {Promise<Number>} Number of recovered items
+ */
+const recoverExpiredItems = async (Model, { leaseMinutes, maxAttempts }) => {
+  const now = new Date();
+  const expired = {
+    status: 'processing',
+    $or: [
+      { leaseExpiresAt: { $lte: now } },
+      {
+        leaseExpiresAt: { $exists: false },
+        processingStartedAt: { $lte: new Date(now.getTime() - leaseMinutes * 60 * 1000) }
+      }
+    ]
+  };
+
+  const deadLettered = await Model.updateMany(
+    { ...expired, attempts: { $gte: maxAttempts } },
+    {
+      $set: {
+        status: 'dead_letter',
+        completedAt: now,
+        lastError: { message: 'Worker lease expired before processing finished', type: 'retryable', at: now }
+      },
+      $unset: { leaseExpiresAt: '' }
+    }
+  );
+
+  const requeued = await Model.updateMany(
+    expired,
+    {
+      $set: { status: 'queued' },
+      $unset: { workerId: '', leaseExpiresAt: '', processingStartedAt: '' }
+    }
+  );
+
+  return deadLettered.modifiedCount + requeued.modifiedCount;
+};
+
+/**
+ * Give a claimed item back to the queue untouched
+ * @param {Object} Model - Queue model
+ * @param {Object} item - Claimed queue item
+ */
+const releaseItem = async (Model, item) => {
+  await Model.updateOne(
+    { _id: item._id, status: 'processing', workerId: item.workerId },
+    {
+      $set: { status: 'queued' },
+      $inc: { attempts: -1 },
+      $unset: { workerId: '', leaseExpiresAt: '', processingStartedAt: '' }
+    }
+  );
+};
+
+/**
+ * Atomically claim the next due queue item
+ * @param {Object} Model - Queue model
+ * @param {Object} options - Claim options
+ * @param {Number} options.leaseMinutes - How long the claim is valid
+ * @param {Number} options.concurrency - Maximum items processing at once across all workers
+ * @param {String} options.populate - Path to populate on the claimed item
+ * @returns {Promise<Object>} { item, limitReached }
+ */
+const claimNextItem = async (Model, { leaseMinutes, concurrency, populate }) => {
+  const now = new Date();
+
+  if (concurrency && await Model.countDocuments(activeLeaseQuery(now)) >= concurrency) {
+    return { item: null, limitReached: true };
+  }
+
+  let query = Model.findOneAndUpdate(
+    {
+      status: 'queued',
+      $or: [
+        { scheduledFor: { $lte: now } },
+        { scheduledFor: { $exists: false } }
+      ]
+    },
+    {
+      $set: {
+        status: 'processing',
+        processingStartedAt: now,
+        workerId: config.WORKER_ID,
+        leaseExpiresAt: new Date(now.getTime() + leaseMinutes * 60 * 1000)
+      },
+      $inc: { attempts: 1 }
+    },
+    { sort: { priority: -1, queuedAt: 1 }, new: true }
+  );
+
+  if (populate) {
+    query = query.populate(populate);
+  }
+
+  const item = await query;
+
+  if (!item) {
+    return { item: null, limitReached: false };
+  }
+
+  // Several workers can pass the count check at the same moment. Any worker that
+  // finds the limit exceeded after claiming backs off and leaves the item for later.
+  if (concurrency && await Model.countDocuments(activeLeaseQuery(now)) > concurrency) {
+    await releaseItem(Model, item);
+    return { item: null, limitReached: true };
+  }
+
+  return { item, limitReached: false };
+};
+
+/**
+ * Record the outcome of a claimed item, only if this worker still holds its lease
+ * @param {Object} Model - Queue model
+ * @param {Object} item - Claimed queue item (updated in place)
+ * @param {Object} update - Fields to set, e.g. status, completedAt and result
+ * @returns {Promise<Boolean>} False if the lease was lost to another worker
+ */
+const finishItem = async (Model, item, update) => {
+  const result = await Model.updateOne(
+    {
+      _id: item._id,
+      status: 'processing',
+      workerId: item.workerId,
+      processingStartedAt: item.processingStartedAt
+    },
+    {
+      $set: update,
+      $unset: { leaseExpiresAt: '' }
+    }
+  );
+
+  item.set(update);
+  item.leaseExpiresAt = undefined;
+
+  return result.modifiedCount === 1;
+};
+
+/**
+ * Record a failed attempt: reschedule it with exponential backoff if the error is
+ * retryable and attempts remain, mark the item failed if the error is permanent, or move
+ * it to dead_letter once a retryable error has used up its attempts
+ * @param {Object} Model - Queue model
+ * @param {Object} item - Claimed queue item (updated in place)
+ * @param {Error} error - Error thrown while processing
+ * @param {Object} settings - AutomationSettings.queueProcessing
+ * @param {Number} processingTime - Time spent on the attempt in milliseconds
+ * @returns {Promise<Object>} { retryScheduled, errorType, nextAttemptAt }
+ */
+const failItem = async (Model, item, error, settings, processingTime) => {
+  const now = new Date();
+  const errorType = classifyError(error);
+  const lastError = { message: error.message, type: errorType, at: now };
+  const retryScheduled = errorType === 'retryable' && item.attempts < settings.maxAttempts;
+
+  const update = retryScheduled
+    ? {
+      status: 'queued',
+      scheduledFor: new Date(now.getTime() + getRetryDelay(item.attempts, settings)),
+      lastError
+    }
+    : {
+      status: errorType === 'permanent' ? 'failed' : 'dead_letter',
+      completedAt: now,
+      lastError,
+      result: { error: error.message, processingTime }
+    };
+
+  await finishItem(Model, item, update);
+
+  return {
+    retryScheduled,
+    errorType,
+    nextAttemptAt: retryScheduled ? update.scheduledFor : null
+  };
+};
+
+/**
+ * Put failed or dead-lettered items back in the queue with a fresh set of attempts
+ * @param {Object} Model - Queue model
+ * @param {Object} filter - Extra conditions, e.g. { _id: { $in: ids } } or a single status
+ * @returns {Promise<Number>} Number of requeued items
+ */
+const requeueItems = async (Model, filter = {}) => {
+  const result = await Model.updateMany(
+    { status: { $in: REQUEUEABLE_STATUSES }, ...filter },
+    {
+      $set: { status: 'queued', attempts: 0 },
+      $unset: {
+        scheduledFor: '',
+        completedAt: '',
+        processingStartedAt: '',
+        workerId: '',
+        leaseExpiresAt: '',
+        result: ''
+      }
+    }
+  );
+
+  return result.modifiedCount;
+};
+
+module.exports = {
+  REQUEUEABLE_STATUSES,
+  recoverExpiredItems,
+  claimNextItem,
+  releaseItem,
+  finishItem,
+  failItem,
+  requeueItems
+};
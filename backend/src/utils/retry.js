@@ -0,0 +1,71 @@
+// Error classification and backoff for retrying failed queue items.
+
+// HTTP statuses that signal a temporary condition (timeouts, conflicts, rate limits)
+const RETRYABLE_STATUS_CODES = [408, 409, 425, 429];
+
+// Network-level failures
+const RETRYABLE_ERROR_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN'];
+const RETRYABLE_ERROR_NAMES = [
+  'APIConnectionError',
+  'APIConnectionTimeoutError',
+  'MongoNetworkError',
+  'MongoServerSelectionError'
+];
+
+// Bad data or programming errors that will fail the same way every time
+const PERMANENT_ERROR_NAMES = ['ValidationError', 'CastError', 'TypeError', 'ReferenceError'];
+
+/**
+ * Decide whether an error is worth retrying
+ *
+ * Services wrap errors with context (`new Error(message, { cause })`), so the chain is
+ * walked to the original error. An explicit boolean `retryable` property anywhere in
+ * the chain always wins.
+ * @param {Error} error - Error thrown while processing
+ * @returns {String} 'retryable' or 'permanent'
+ */
+const classifyError = (error) => {
+  const chain = [];
+  for (let current = error; current && chain.length < 10; current = current.cause) {
+    chain.push(current);
+  }
+
+  const flagged = chain.find(err => typeof err.retryable === 'boolean');
+  if (flagged) {
+    return flagged.retryable ? 'retryable' : 'permanent';
+  }
+
+  const root = chain[chain.length - 1] || {};
+  const status = root.status || root.statusCode || (root.response && root.response.status);
+
+  if (status) {
+    return RETRYABLE_STATUS_CODES.includes(status) || status >= 500 ? 'retryable' : 'permanent';
+  }
+
+  if (RETRYABLE_ERROR_CODES.includes(root.code) || RETRYABLE_ERROR_NAMES.includes(root.name)) {
+    return 'retryable';
+  }
+
+  if (PERMANENT_ERROR_NAMES.includes(root.name)) {
+    return 'permanent';
+  }
+
+  // Anything else, such as a malformed model response, may well succeed on another attempt
+  return 'retryable';
+};
+
+/**
+ * Exponential backoff delay before the next attempt
+ * @param {Number} attempts - Attempts made so far (1 after the first failure)
+ * @param {Object} settings - AutomationSettings.queueProcessing
+ * @returns {Number} Delay in milliseconds
+ */
+const getRetryDelay = (attempts, { retryBaseSeconds, retryMaxMinutes }) => {
+  const delaySeconds = retryBaseSeconds * Math.pow(2, Math.max(attempts - 1, 0));
+  return Math.min(delaySeconds, retryMaxMinutes * 60) * 1000;
+};
+
+module.exports = {
+  classifyError,
+  getRetryDelay
+};
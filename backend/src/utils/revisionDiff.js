@@ -0,0 +1,37 @@
+// Field-level comparison of document snapshots for revision history
+
+// Bookkeeping fields that never count as a change
+const IGNORED_FIELDS = ['_id', '__v', 'createdAt', 'updatedAt'];
+
+/**
+ * Plain JSON copy of a document or object, with ObjectIds, Dates and Maps flattened
+ * @param {Object} doc - Mongoose document or plain object
+ * @returns {Object} Snapshot
+ */
+const toSnapshot = (doc) => {
+  const plain = doc && typeof doc.toObject === 'function'
+    ? doc.toObject({ flattenMaps: true, depopulate: true, versionKey: false })
+    : doc;
+  return JSON.parse(JSON.stringify(plain || {}));
+};
+
+/**
+ * Compare two snapshots field by field (top-level fields only)
+ * @param {Object} before - Earlier snapshot
+ * @param {Object} after - Later snapshot
+ * @returns {Array<Object>} Changes as { field, before, after }
+ */
+const diffSnapshots = (before = {}, after = {}) => {
+  const fields = [...new Set([...Object.keys(before), ...Object.keys(after)])]
+    .filter(field => !IGNORED_FIELDS.includes(field))
+    .sort();
+
+  return fields
+    .filter(field => JSON.stringify(before[field]) !== JSON.stringify(after[field]))
+    .map(field => ({ field, before: before[field], after: after[field] }));
+};
+
+module.exports = {
+  toSnapshot,
+  diffSnapshots
+};
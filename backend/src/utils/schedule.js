@@ -0,0 +1,101 @@
+// Helpers for computing the next run time of recurring tasks from the
+// "HH:MM" / day-of-week / day-of-month fields used across the settings models.
+
+const DAY_NAMES = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+/**
+ * Return a copy of a date with its time set to a "HH:MM" string
+ * @param {Date} date - Base date
+ * @param {String} timeOfDay - Time in 24-hour "HH:MM" format
+ * @returns {Date} New date
+ */
+const atTimeOfDay = (date, timeOfDay = '00:00') => {
+  const [hours, minutes] = String(timeOfDay).split(':').map(part => parseInt(part, 10));
+  const result = new Date(date);
+  result.setHours(hours || 0, minutes || 0, 0, 0);
+  return result;
+};
+
+/**
+ * Next occurrence of a time of day strictly after `from`, then `intervalDays - 1` more days
+ * @param {Date} from - Reference date (usually the last run)
+ * @param {String} timeOfDay - Time in "HH:MM" format
+ * @param {Number} intervalDays - Days between runs
+ * @returns {Date} Next run
+ */
+const nextDailyRun = (from, timeOfDay, intervalDays = 1) => {
+  const next = atTimeOfDay(from, timeOfDay);
+  if (next <= from) {
+    next.setDate(next.getDate() + 1);
+  }
+  next.setDate(next.getDate() + Math.max(intervalDays, 1) - 1);
+  return next;
+};
+
+/**
+ * Next occurrence of a time of day on one of the given weekdays, strictly after `from`
+ * @param {Date} from - Reference date
+ * @param {Array<Number|String>} daysOfWeek - Days as numbers (0 = Sunday) or names ('monday')
+ * @param {String} timeOfDay - Time in "HH:MM" format
+ * @returns {Date|null} Next run, or null if no days are given
+ */
+const nextWeeklyRun = (from, daysOfWeek, timeOfDay) => {
+  const days = (daysOfWeek || [])
+    .map(day => (typeof day === 'string' ? DAY_NAMES.indexOf(day.toLowerCase()) : day))
+    .filter(day => day >= 0 && day <= 6);
+
+  if (days.length === 0) {
+    return null;
+  }
+
+  const next = atTimeOfDay(from, timeOfDay);
+  if (next <= from) {
+    next.setDate(next.getDate() + 1);
+  }
+  while (!days.includes(next.getDay())) {
+    next.setDate(next.getDate() + 1);
+  }
+  return next;
+};
+
+/**
+ * Next occurrence of a day of month at a time of day, strictly after `from`
+ * Days past the end of a short month fall on its last day.
+ * @param {Date} from - Reference date
+ * @param {Number} dayOfMonth - Day of month (1-31)
+ * @param {String} timeOfDay - Time in "HH:MM" format
+ * @param {Number} intervalMonths - Months between runs
+ * @returns {Date} Next run
+ */
+const nextMonthlyRun = (from, dayOfMonth, timeOfDay, intervalMonths = 1) => {
+  const inMonth = (year, month) => {
+    const lastDay = new Date(year, month + 1, 0).getDate();
+    return atTimeOfDay(new Date(year, month, Math.min(dayOfMonth || 1, lastDay)), timeOfDay);
+  };
+
+  let next = inMonth(from.getFullYear(), from.getMonth());
+  if (next <= from) {
+    next = inMonth(from.getFullYear(), from.getMonth() + 1);
+  }
+  if (intervalMonths > 1) {
+    next = inMonth(next.getFullYear(), next.getMonth() + intervalMonths - 1);
+  }
+  return next;
+};
+
+/**
+ * Fixed interval after `from`
+ * @param {Date} from - Reference date
+ * @param {Number} minutes - Interval in minutes
+ * @returns {Date} Next run
+ */
+const nextIntervalRun = (from, minutes) => new Date(new Date(from).getTime() + minutes * 60 * 1000);
+
+module.exports = {
+  DAY_NAMES,
+  atTimeOfDay,
+  nextDailyRun,
+  nextWeeklyRun,
+  nextMonthlyRun,
+  nextIntervalRun
+};
@@ -0,0 +1,68 @@
+// Minimal validator for the subset of JSON Schema used to check generated content:
+// type (single or list), required, properties, additionalProperties, items,
+// minLength and minItems.
+
+/**
+ * JSON Schema type name of a value
+ * @param {*} value - Value to inspect
+ * @returns {String} Type name
+ */
+const typeOf = (value) => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+};
+
+/**
+ * Validate a value against a schema
+ * @param {*} value - Value to check
+ * @param {Object} schema - Schema
+ * @param {String} path - Location of the value, used in messages
+ * @returns {Array<String>} Validation errors (empty when valid)
+ */
+const validateSchema = (value, schema, path = 'value') => {
+  const types = [].concat(schema.type || []);
+  const actual = typeOf(value);
+
+  if (types.length && !types.includes(actual)) {
+    return [`${path} must be ${types.join(' or ')}, got ${actual}`];
+  }
+
+  const errors = [];
+
+  if (actual === 'string' && schema.minLength && value.trim().length < schema.minLength) {
+    errors.push(`${path} must be at least ${schema.minLength} characters`);
+  }
+
+  if (actual === 'array') {
+    if (schema.minItems && value.length < schema.minItems) {
+      errors.push(`${path} must have at least ${schema.minItems} items`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) => {
+        errors.push(...validateSchema(item, schema.items, `${path}[${index}]`));
+      });
+    }
+  }
+
+  if (actual === 'object') {
+    (schema.required || []).forEach(key => {
+      if (value[key] === undefined) {
+        errors.push(`${path}.${key} is required`);
+      }
+    });
+
+    Object.keys(value).forEach(key => {
+      const propertySchema = (schema.properties && schema.properties[key]) || schema.additionalProperties;
+      if (propertySchema && typeof propertySchema === 'object') {
+        errors.push(...validateSchema(value[key], propertySchema, `${path}.${key}`));
+      }
+    });
+  }
+
+  return errors;
+};
+
+module.exports = {
+  validateSchema
+};
@@ -0,0 +1,183 @@
+// Text helpers for product search: tokenising, spelling correction and highlighted snippets
+
+// Words MongoDB's English text index ignores, which are not worth correcting or highlighting
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'in', 'is', 'it', 'of',
+  'on', 'or', 'the', 'to', 'with', 'without'
+]);
+
+/**
+ * Lower-case search terms of a text, without stop words
+ * @param {String} text - Text
+ * @returns {Array<String>} Terms
+ */
+const tokenize = (text) => (String(text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [])
+  .filter(term => !STOP_WORDS.has(term));
+
+/**
+ * Crude English stem, enough to match plurals and simple verb forms
+ * @param {String} term - Lower-case term
+ * @returns {String} Stem
+ */
+const stem = (term) => term.length > 4 ? term.replace(/(?:ing|ed|es|s)$/, '') : term;
+
+/**
+ * Edit distance between two words, counting a swap of neighbouring letters as one edit
+ * @param {String} a - First word
+ * @param {String} b - Second word
+ * @param {Number} max - Give up once the distance is known to exceed this
+ * @returns {Number} Distance, or max + 1 if it is larger than max
+ */
+const editDistance = (a, b, max) => {
+  if (Math.abs(a.length - b.length) > max) {
+    return max + 1;
+  }
+
+  let previousRow = null;
+  let row = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+  for (let i = 1; i <= a.length; i++) {
+    const nextRow = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let value = Math.min(row[j] + 1, nextRow[j - 1] + 1, row[j - 1] + cost);
+      if (previousRow && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        value = Math.min(value, previousRow[j - 2] + 1);
+      }
+      nextRow.push(value);
+      rowMin = Math.min(rowMin, value);
+    }
+    if (rowMin > max) {
+      return max + 1;
+    }
+    previousRow = row;
+    row = nextRow;
+  }
+
+  return row[b.length];
+};
+
+/**
+ * Most edits allowed when correcting a term: none for short terms, more for long ones
+ * @param {String} term - Search term
+ * @returns {Number} Maximum edit distance
+ */
+const allowedEdits = (term) => {
+  if (term.length < 4) {
+    return 0;
+  }
+  return term.length < 8 ? 1 : 2;
+};
+
+/**
+ * Correct misspelt search terms against the words that occur in the catalogue
+ * @param {Array<String>} terms - Search terms
+ * @param {Map<String, Number>} vocabulary - Catalogue words with how often they occur
+ * @returns {Array<String>} Terms, with unknown ones replaced by the closest catalogue word
+ */
+const correctTerms = (terms, vocabulary) => terms.map(term => {
+  if (vocabulary.has(term) || vocabulary.has(stem(term)) || /^\d/.test(term)) {
+    return term;
+  }
+
+  const max = allowedEdits(term);
+  if (max === 0) {
+    return term;
+  }
+
+  let best = null;
+  vocabulary.forEach((count, word) => {
+    // Skip words that differ in both of their first two letters, which can't be close
+    if (word[0] !== term[0] && word[1] !== term[1]) {
+      return;
+    }
+    const distance = editDistance(term, word, max);
+    if (distance <= max && (!best || distance < best.distance || (distance === best.distance && count > best.count))) {
+      best = { word, distance, count };
+    }
+  });
+
+  return best ? best.word : term;
+});
+
+/**
+ * Escape text for use in HTML
+ * @param {String} text - Plain text
+ * @returns {String} Escaped text
+ */
+const escapeHtml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Regular expression matching words that start with one of the terms' stems
+ * @param {Array<String>} terms - Search terms
+ * @returns {RegExp} Expression, or null if there are no terms
+ */
+const termPattern = (terms) => {
+  const stems = [...new Set(terms.map(stem))]
+    .filter(Boolean)
+    .map(value => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+  return stems.length > 0 ? new RegExp(`(?<![\\p{L}\\p{N}])(?:${stems.join('|')})[\\p{L}\\p{N}]*`, 'giu') : null;
+};
+
+/**
+ * Escape text and wrap the words matching the search terms in <mark>
+ * @param {String} text - Plain text
+ * @param {Array<String>} terms - Search terms
+ * @returns {String} HTML
+ */
+const highlight = (text, terms) => {
+  const pattern = termPattern(terms);
+  if (!pattern) {
+    return escapeHtml(text);
+  }
+
+  let html = '';
+  let last = 0;
+  String(text).replace(pattern, (match, offset) => {
+    html += `${escapeHtml(text.slice(last, offset))}<mark>${escapeHtml(match)}</mark>`;
+    last = offset + match.length;
+    return match;
+  });
+  return html + escapeHtml(text.slice(last));
+};
+
+/**
+ * Short extract of a text around the first match of the search terms, highlighted
+ * @param {String} text - Plain text
+ * @param {Array<String>} terms - Search terms
+ * @param {Number} length - Approximate length of the extract
+ * @returns {String} HTML, or null if the text does not match
+ */
+const snippet = (text, terms, length = 160) => {
+  const pattern = termPattern(terms);
+  const match = pattern && pattern.exec(text);
+  if (!match) {
+    return null;
+  }
+
+  let start = Math.max(match.index - Math.floor(length / 3), 0);
+  let end = Math.min(start + length, text.length);
+  if (start > 0) {
+    const space = text.indexOf(' ', start);
+    start = space !== -1 && space < match.index ? space + 1 : start;
+  }
+  if (end < text.length) {
+    const space = text.lastIndexOf(' ', end);
+    end = space > match.index ? space : end;
+  }
+
+  return `${start > 0 ? '… ' : ''}${highlight(text.slice(start, end), terms)}${end < text.length ? ' …' : ''}`;
+};
+
+module.exports = {
+  tokenize,
+  correctTerms,
+  editDistance,
+  highlight,
+  snippet
+};
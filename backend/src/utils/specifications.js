@@ -0,0 +1,139 @@
+// Validation and normalisation of product specifications against a category's spec schema
+const { parseQuantity, parseRange, isConvertible, convert, roundValue } = require('./units');
+
+const TRUE_VALUES = ['yes', 'true', 'y', 'included', 'available'];
+const FALSE_VALUES = ['no', 'false', 'n', 'not included', 'none'];
+
+/**
+ * Format a number with its unit, e.g. "7.5 kW"
+ * @param {Number} value - Value
+ * @param {String} unit - Unit symbol, if any
+ * @returns {String} Display text
+ */
+const formatQuantity = (value, unit) => (unit ? `${roundValue(value)} ${unit}` : String(roundValue(value)));
+
+/**
+ * Convert a parsed value to the attribute's unit. A value without a unit is taken to be
+ * in the attribute's unit already.
+ * @param {Number} value - Value
+ * @param {String} unit - Unit the value was written in
+ * @param {Object} attribute - Spec schema attribute
+ * @returns {Number} Value in the attribute's unit
+ */
+const toAttributeUnit = (value, unit, attribute) => {
+  if (!unit || unit === attribute.unit) {
+    return value;
+  }
+  if (!attribute.unit || !isConvertible(unit, attribute.unit)) {
+    throw new Error(attribute.unit
+      ? `${unit} cannot be converted to ${attribute.unit}`
+      : `should be a plain number, not ${unit}`);
+  }
+  return convert(value, unit, attribute.unit);
+};
+
+/**
+ * Parse one specification value for an attribute
+ * @param {String} raw - Value as written
+ * @param {Object} attribute - Spec schema attribute
+ * @returns {Object} { display, value } where value is the typed value stored for filtering
+ * @throws {Error} If the value does not fit the attribute
+ */
+const parseValue = (raw, attribute) => {
+  const text = String(raw).trim();
+
+  switch (attribute.type) {
+    case 'number': {
+      const quantity = parseQuantity(text);
+      if (!quantity || Number.isNaN(quantity.value)) {
+        throw new Error(`"${text}" is not a number`);
+      }
+      const value = roundValue(toAttributeUnit(quantity.value, quantity.unit, attribute));
+      return { display: formatQuantity(value, attribute.unit), value: { value, unit: attribute.unit } };
+    }
+    case 'range': {
+      const range = parseRange(text);
+      const quantity = range ? null : parseQuantity(text);
+      if (!range && (!quantity || Number.isNaN(quantity.value))) {
+        throw new Error(`"${text}" is not a number or range`);
+      }
+      const min = roundValue(toAttributeUnit(range ? range.min : quantity.value, range ? range.unit : quantity.unit, attribute));
+      const max = roundValue(toAttributeUnit(range ? range.max : quantity.value, range ? range.unit : quantity.unit, attribute));
+      const display = min === max
+        ? formatQuantity(min, attribute.unit)
+        : `${roundValue(min)}-${formatQuantity(max, attribute.unit)}`;
+      return { display, value: { min: Math.min(min, max), max: Math.max(min, max), unit: attribute.unit } };
+    }
+    case 'boolean': {
+      const lower = text.toLowerCase();
+      if (!TRUE_VALUES.includes(lower) && !FALSE_VALUES.includes(lower)) {
+        throw new Error(`"${text}" is not yes or no`);
+      }
+      const value = TRUE_VALUES.includes(lower);
+      return { display: value ? 'Yes' : 'No', value: { value } };
+    }
+    case 'enum': {
+      const allowed = (attribute.allowedValues || []).find(option => option.toLowerCase() === text.toLowerCase());
+      if (!allowed) {
+        throw new Error(`"${text}" is not one of ${(attribute.allowedValues || []).join(', ')}`);
+      }
+      return { display: allowed, value: { value: allowed } };
+    }
+    default:
+      if (!text) {
+        throw new Error('is empty');
+      }
+      return { display: text, value: { value: text } };
+  }
+};
+
+/**
+ * Check specifications against a spec schema. Keys are matched to attributes
+ * case-insensitively and renamed to the attribute's name; numbers are converted to the
+ * attribute's unit. Specifications the schema does not define are kept as they are.
+ * @param {Object|Map} specifications - Specifications as { name: value }
+ * @param {Array<Object>} attributes - Spec schema attributes
+ * @param {Object} options - Normalisation options
+ * @param {Boolean} options.requireAll - Report required attributes that are missing
+ * @returns {Object} { specifications, values, errors } where errors are { name, message }
+ */
+const normalizeSpecifications = (specifications, attributes = [], { requireAll = false } = {}) => {
+  const entries = specifications instanceof Map
+    ? [...specifications.entries()]
+    : Object.entries(specifications || {});
+  const byName = new Map(attributes.map(attribute => [attribute.name.toLowerCase(), attribute]));
+
+  const normalized = {};
+  const values = {};
+  const errors = [];
+
+  entries.forEach(([name, raw]) => {
+    const attribute = byName.get(String(name).trim().toLowerCase());
+    if (!attribute) {
+      normalized[name] = raw;
+      return;
+    }
+
+    try {
+      const { display, value } = parseValue(raw, attribute);
+      normalized[attribute.name] = display;
+      values[attribute.name] = value;
+    } catch (error) {
+      normalized[attribute.name] = raw;
+      errors.push({ name: attribute.name, message: `${attribute.name} ${error.message}` });
+    }
+  });
+
+  if (requireAll) {
+    attributes
+      .filter(attribute => attribute.required && normalized[attribute.name] === undefined)
+      .forEach(attribute => errors.push({ name: attribute.name, message: `${attribute.name} is required` }));
+  }
+
+  return { specifications: normalized, values, errors };
+};
+
+module.exports = {
+  normalizeSpecifications,
+  formatQuantity
+};
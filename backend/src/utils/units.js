@@ -0,0 +1,248 @@
+// Units of measure used in product specifications, with conversion to a base unit per dimension
+
+// factor converts to the dimension's base unit; offset is added first (temperatures only)
+const UNITS = {
+  // Power (base W)
+  mW: { dimension: 'power', factor: 0.001 },
+  W: { dimension: 'power', factor: 1 },
+  kW: { dimension: 'power', factor: 1000 },
+  MW: { dimension: 'power', factor: 1000000 },
+  hp: { dimension: 'power', factor: 745.7 },
+  // Voltage (base V)
+  mV: { dimension: 'voltage', factor: 0.001 },
+  V: { dimension: 'voltage', factor: 1 },
+  kV: { dimension: 'voltage', factor: 1000 },
+  // Current (base A)
+  mA: { dimension: 'current', factor: 0.001 },
+  A: { dimension: 'current', factor: 1 },
+  // Frequency (base Hz)
+  Hz: { dimension: 'frequency', factor: 1 },
+  kHz: { dimension: 'frequency', factor: 1000 },
+  MHz: { dimension: 'frequency', factor: 1000000 },
+  // Length (base m)
+  mm: { dimension: 'length', factor: 0.001 },
+  cm: { dimension: 'length', factor: 0.01 },
+  m: { dimension: 'length', factor: 1 },
+  in: { dimension: 'length', factor: 0.0254 },
+  ft: { dimension: 'length', factor: 0.3048 },
+  µm: { dimension: 'length', factor: 0.000001 },
+  // Mass (base kg)
+  g: { dimension: 'mass', factor: 0.001 },
+  kg: { dimension: 'mass', factor: 1 },
+  t: { dimension: 'mass', factor: 1000 },
+  lb: { dimension: 'mass', factor: 0.45359237 },
+  // Volume (base L)
+  mL: { dimension: 'volume', factor: 0.001 },
+  L: { dimension: 'volume', factor: 1 },
+  'm³': { dimension: 'volume', factor: 1000 },
+  gal: { dimension: 'volume', factor: 3.785411784 },
+  // Flow rate (base L/min)
+  'L/min': { dimension: 'flow', factor: 1 },
+  'L/h': { dimension: 'flow', factor: 1 / 60 },
+  'm³/h': { dimension: 'flow', factor: 1000 / 60 },
+  CFM: { dimension: 'flow', factor: 28.316846592 },
+  // Pressure (base kPa)
+  Pa: { dimension: 'pressure', factor: 0.001 },
+  kPa: { dimension: 'pressure', factor: 1 },
+  MPa: { dimension: 'pressure', factor: 1000 },
+  bar: { dimension: 'pressure', factor: 100 },
+  psi: { dimension: 'pressure', factor: 6.894757 },
+  // Temperature (base °C)
+  '°C': { dimension: 'temperature', factor: 1 },
+  '°F': { dimension: 'temperature', factor: 5 / 9, offset: -32 },
+  K: { dimension: 'temperature', factor: 1, offset: -273.15 },
+  // Time (base s)
+  s: { dimension: 'time', factor: 1 },
+  min: { dimension: 'time', factor: 60 },
+  h: { dimension: 'time', factor: 3600 },
+  // Speed (base m/min)
+  'm/min': { dimension: 'speed', factor: 1 },
+  'm/s': { dimension: 'speed', factor: 60 },
+  // Area (base m²)
+  'm²': { dimension: 'area', factor: 1 },
+  'cm²': { dimension: 'area', factor: 0.0001 },
+  'ft²': { dimension: 'area', factor: 0.09290304 },
+  // Unitless
+  '%': { dimension: 'ratio', factor: 1 }
+};
+
+// Other spellings, matched case-insensitively
+const ALIASES = {
+  watt: 'W',
+  watts: 'W',
+  kilowatt: 'kW',
+  kilowatts: 'kW',
+  volt: 'V',
+  volts: 'V',
+  vac: 'V',
+  vdc: 'V',
+  amp: 'A',
+  amps: 'A',
+  ampere: 'A',
+  amperes: 'A',
+  um: 'µm',
+  micron: 'µm',
+  microns: 'µm',
+  inch: 'in',
+  inches: 'in',
+  '"': 'in',
+  feet: 'ft',
+  foot: 'ft',
+  kgs: 'kg',
+  kilogram: 'kg',
+  kilograms: 'kg',
+  tonne: 't',
+  tonnes: 't',
+  ton: 't',
+  lbs: 'lb',
+  ml: 'mL',
+  l: 'L',
+  litre: 'L',
+  litres: 'L',
+  liter: 'L',
+  liters: 'L',
+  m3: 'm³',
+  'l/min': 'L/min',
+  lpm: 'L/min',
+  'l/h': 'L/h',
+  'm3/h': 'm³/h',
+  'm³/hr': 'm³/h',
+  'm3/hr': 'm³/h',
+  cfm: 'CFM',
+  c: '°C',
+  '℃': '°C',
+  'deg c': '°C',
+  f: '°F',
+  '℉': '°F',
+  'deg f': '°F',
+  sec: 's',
+  secs: 's',
+  second: 's',
+  seconds: 's',
+  mins: 'min',
+  minute: 'min',
+  minutes: 'min',
+  hr: 'h',
+  hrs: 'h',
+  hour: 'h',
+  hours: 'h',
+  m2: 'm²',
+  sqm: 'm²',
+  cm2: 'cm²',
+  ft2: 'ft²',
+  sqft: 'ft²',
+  percent: '%'
+};
+
+// A number, allowing thousands separators ("2,000") and decimal commas ("0,5")
+const NUMBER = '[-+]?(?:\\d{1,3}(?:,\\d{3})+|\\d+)(?:[.,]\\d+)?';
+
+/**
+ * Look up a unit by symbol or alias
+ * @param {String} unit - Unit as written
+ * @returns {String} Canonical unit symbol, or null if unknown
+ */
+const resolveUnit = (unit) => {
+  if (!unit) {
+    return null;
+  }
+  const trimmed = String(unit).trim();
+  if (UNITS[trimmed]) {
+    return trimmed;
+  }
+  const lower = trimmed.toLowerCase();
+  if (ALIASES[lower]) {
+    return ALIASES[lower];
+  }
+  return Object.keys(UNITS).find(symbol => symbol.toLowerCase() === lower) || null;
+};
+
+/**
+ * Parse a number as written in a specification
+ * @param {String} text - Number text
+ * @returns {Number} Value
+ */
+const parseNumber = (text) => {
+  const value = /^[-+]?\d{1,3}(,\d{3})+(\.\d+)?$/.test(text)
+    ? text.replace(/,/g, '')
+    : text.replace(',', '.');
+  return parseFloat(value);
+};
+
+/**
+ * Parse a quantity such as "7.5 kW" or "50W"
+ * @param {String|Number} text - Quantity
+ * @returns {Object} { value, unit } (unit is null when none is given), or null if the text is not a quantity
+ */
+const parseQuantity = (text) => {
+  if (typeof text === 'number') {
+    return Number.isFinite(text) ? { value: text, unit: null } : null;
+  }
+  const match = String(text).trim().match(new RegExp(`^(${NUMBER})\\s*(.*)$`));
+  if (!match) {
+    return null;
+  }
+  const unit = match[2].trim();
+  return { value: parseNumber(match[1]), unit: unit ? resolveUnit(unit) || unit : null };
+};
+
+/**
+ * Parse a range such as "0-40 °C" or "10 to 20 bar"
+ * @param {String} text - Range
+ * @returns {Object} { min, max, unit }, or null if the text is not a range
+ */
+const parseRange = (text) => {
+  const match = String(text).trim().match(new RegExp(`^(${NUMBER})\\s*([^\\d\\s-][^\\d]*?)?\\s*(?:-|–|to|~)\\s*(${NUMBER})\\s*(.*)$`));
+  if (!match) {
+    return null;
+  }
+  const unitText = (match[4] || match[2] || '').trim();
+  return {
+    min: parseNumber(match[1]),
+    max: parseNumber(match[3]),
+    unit: unitText ? resolveUnit(unitText) || unitText : null
+  };
+};
+
+/**
+ * Whether two units measure the same thing
+ * @param {String} from - Unit symbol
+ * @param {String} to - Unit symbol
+ * @returns {Boolean} Whether one converts to the other
+ */
+const isConvertible = (from, to) => !!(UNITS[from] && UNITS[to] && UNITS[from].dimension === UNITS[to].dimension);
+
+/**
+ * Convert a value between units of the same dimension
+ * @param {Number} value - Value in the source unit
+ * @param {String} from - Source unit symbol
+ * @param {String} to - Target unit symbol
+ * @returns {Number} Value in the target unit
+ */
+const convert = (value, from, to) => {
+  if (from === to) {
+    return value;
+  }
+  if (!isConvertible(from, to)) {
+    throw new Error(`Cannot convert ${from} to ${to}`);
+  }
+  const base = (value + (UNITS[from].offset || 0)) * UNITS[from].factor;
+  return base / UNITS[to].factor - (UNITS[to].offset || 0);
+};
+
+/**
+ * Round a converted value to six significant digits, e.g. 0.30000000000000004 -> 0.3
+ * @param {Number} value - Value
+ * @returns {Number} Rounded value
+ */
+const roundValue = (value) => Number(value.toPrecision(6));
+
+module.exports = {
+  UNITS,
+  resolveUnit,
+  parseQuantity,
+  parseRange,
+  isConvertible,
+  convert,
+  roundValue
+};
@@ -0,0 +1,44 @@
+/**
+ * Convert a Mongoose error caused by bad client input into an array shaped
+ * like express-validator's `errors.array()`, so routes can return both kinds
+ * of validation failure the same way.
+ * @param {Error} error - Error thrown by a Mongoose operation
+ * @returns {Array|null} Validation errors, or null if the error is not a client error
+ */
+const getValidationErrors = (error) => {
+  if (!error) {
+    return null;
+  }
+
+  // Schema validation (required, maxlength, enum, ...)
+  if (error.name === 'ValidationError') {
+    return Object.values(error.errors).map(err => ({
+      msg: err.message,
+      path: err.path,
+      value: err.value
+    }));
+  }
+
+  // Malformed ObjectId or wrong type in a query/update
+  if (error.name === 'CastError') {
+    return [{
+      msg: `Invalid value for ${error.path}`,
+      path: error.path,
+      value: error.value
+    }];
+  }
+
+  // Unique index violation
+  if (error.code === 11000) {
+    const fields = Object.keys(error.keyValue || error.keyPattern || {});
+    return fields.map(field => ({
+      msg: `A record with this ${field} already exists`,
+      path: field,
+      value: error.keyValue ? error.keyValue[field] : undefined
+    }));
+  }
+
+  return null;
+};
+
+module.exports = { getValidationErrors };
@@ -0,0 +1,65 @@
+// Category deletes through the HTTP API, with the models replaced by in-memory stand-ins
+const { test, mock, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const { standIn, listen } = require('./helpers');
+const Category = require('../src/models/Category');
+const Product = require('../src/models/Product');
+const User = require('../src/models/User');
+const categoryRoutes = require('../src/routes/categories');
+
+const editor = new User({ name: 'Eddie', email: 'editor@example.com', role: 'editor', isEmailVerified: true });
+
+let server;
+let baseUrl;
+
+before(async () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/categories', categoryRoutes);
+  const started = await listen(app);
+  server = started.server;
+  baseUrl = `${started.url}/api/categories`;
+});
+
+after(() => server.close());
+
+afterEach(() => mock.restoreAll());
+
+test('deleting a category saves each reassigned product so the move gets a revision', async () => {
+  const booths = new Category({ name: 'Booths', slug: 'booths' });
+  const ovens = new Category({ name: 'Ovens', slug: 'ovens' });
+  const products = [
+    new Product({ title: 'Spray booth', slug: 'spray-booth', category: booths._id }),
+    new Product({ title: 'Paint booth', slug: 'paint-booth', category: booths._id })
+  ];
+
+  standIn(User, { findById: editor });
+  standIn(Category, {
+    findById: booths,
+    countDocuments: 0,
+    exists: { _id: ovens._id },
+    getDescendantIds: [],
+    updateMany: { modifiedCount: 0 }
+  });
+  const { updateMany } = standIn(Product, {
+    countDocuments: products.length,
+    find: products,
+    updateMany: { modifiedCount: products.length }
+  });
+  const saved = [];
+  mock.method(Product.prototype, 'save', async function() {
+    saved.push({ id: this._id, category: this.category });
+    return this;
+  });
+  mock.method(Category.prototype, 'deleteOne', async () => ({ deletedCount: 1 }));
+
+  const response = await fetch(`${baseUrl}/${booths._id}?reassignTo=${ovens._id}`, {
+    method: 'DELETE',
+    headers: { Authorization: `Bearer ${editor.getSignedJwtToken()}` }
+  });
+
+  assert.equal(response.status, 200);
+  assert.equal(updateMany.mock.callCount(), 0);
+  assert.deepEqual(saved, products.map(product => ({ id: product._id, category: ovens._id })));
+});
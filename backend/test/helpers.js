@@ -0,0 +1,63 @@
+// Stand-ins shared by the tests. Requiring this module also makes any database call a test
+// doesn't stand in for fail at once instead of waiting for a connection.
+const { mock } = require('node:test');
+const mongoose = require('mongoose');
+
+mongoose.set('bufferCommands', false);
+
+/**
+ * Query stand-in whose chained calls (populate, select, sort, ...) resolve to a value
+ * @param {*} value - Query result
+ * @returns {Object} Thenable query
+ */
+const query = (value) => {
+  const chain = {
+    populate: () => chain,
+    select: () => chain,
+    sort: () => chain,
+    skip: () => chain,
+    limit: () => chain,
+    lean: () => chain,
+    distinct: () => chain,
+    then: (resolve, reject) => Promise.resolve(value).then(resolve, reject)
+  };
+  return chain;
+};
+
+/**
+ * Stand in for a model's static methods. A function replaces the method as it is;
+ * any other value becomes the result of a query.
+ * @param {Object} Model - Mongoose model (or service object)
+ * @param {Object} results - Result or implementation by method name
+ * @returns {Object} Mocks by method name
+ */
+const standIn = (Model, results) => Object.fromEntries(
+  Object.entries(results).map(([method, result]) => [
+    method,
+    mock.method(Model, method, typeof result === 'function' ? result : () => query(result))
+  ])
+);
+
+/**
+ * Error MongoDB reports when a write breaks a unique index
+ * @returns {Error} Duplicate key error
+ */
+const duplicateKeyError = () => Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+
+/**
+ * Start an app on a free local port
+ * @param {Object} app - Express app
+ * @returns {Promise<Object>} { server, url }
+ */
+const listen = async (app) => {
+  const server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  return { server, url: `http://127.0.0.1:${server.address().port}` };
+};
+
+module.exports = {
+  query,
+  standIn,
+  duplicateKeyError,
+  listen
+};
@@ -0,0 +1,113 @@
+// Inquiry status changes through the HTTP API, with the models and the reservation service
+// replaced by stand-ins
+const { test, mock, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const mongoose = require('mongoose');
+const { standIn, listen } = require('./helpers');
+const Inquiry = require('../src/models/Inquiry');
+const InquiryFollowupSettings = require('../src/models/InquiryFollowupSettings');
+const User = require('../src/models/User');
+const StockReservationService = require('../src/services/StockReservationService');
+const inquiryRoutes = require('../src/routes/inquiry');
+
+const sales = new User({ name: 'Sam', email: 'sales@example.com', role: 'sales', isEmailVerified: true });
+
+let server;
+let baseUrl;
+
+before(async () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/inquiry', inquiryRoutes);
+  const started = await listen(app);
+  server = started.server;
+  baseUrl = `${started.url}/api/inquiry`;
+});
+
+after(() => server.close());
+
+afterEach(() => mock.restoreAll());
+
+/**
+ * Stand in for one quoted inquiry and record what happens to it, in order
+ * @param {Function} save - Implementation of Inquiry#save
+ * @returns {Object} { inquiry, events }
+ */
+const standInInquiry = (save = async () => {}) => {
+  const events = [];
+  const inquiry = new Inquiry({
+    customer: { name: 'Quinn', email: 'quinn@example.com' },
+    subject: 'Spray booth',
+    message: 'Price for two booths?',
+    status: 'quoted'
+  });
+
+  standIn(User, { findById: sales });
+  standIn(Inquiry, { findById: inquiry });
+  standIn(InquiryFollowupSettings, { findOne: new InquiryFollowupSettings({ enabled: false }) });
+  mock.method(Inquiry.prototype, 'save', async function() {
+    events.push(`save ${this.status}`);
+    await save();
+    return this;
+  });
+
+  return { inquiry, events };
+};
+
+/**
+ * Change the inquiry's status
+ * @param {Object} inquiry - Inquiry
+ * @param {String} status - New status
+ * @returns {Promise<Response>} Response
+ */
+const changeStatus = (inquiry, status) => fetch(`${baseUrl}/${inquiry._id}/status`, {
+  method: 'PUT',
+  headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${sales.getSignedJwtToken()}` },
+  body: JSON.stringify({ status })
+});
+
+test('an inquiry is not converted when some of its reserved stock could not be removed', async () => {
+  const { inquiry, events } = standInInquiry();
+  const failed = [{ reservation: String(new mongoose.Types.ObjectId()), error: 'Cannot remove more than available stock' }];
+  standIn(StockReservationService, { convertForInquiry: async () => ({ converted: 1, failed }) });
+
+  const response = await changeStatus(inquiry, 'converted');
+
+  assert.equal(response.status, 409);
+  assert.deepEqual((await response.json()).reservations.failed, failed);
+  assert.deepEqual(events, []);
+});
+
+test('stock reserved for a quote is released again when the inquiry cannot be saved', async () => {
+  const { inquiry } = standInInquiry(async () => {
+    throw new Error('Connection lost');
+  });
+  inquiry.status = 'in_progress';
+  const created = [new mongoose.Types.ObjectId()];
+  standIn(StockReservationService, {
+    reserveForInquiry: async () => ({ reservations: [], skipped: [], created })
+  });
+  const { releaseReservations } = standIn(StockReservationService, { releaseReservations: async () => 1 });
+
+  const response = await changeStatus(inquiry, 'quoted');
+
+  assert.equal(response.status, 500);
+  assert.deepEqual(releaseReservations.mock.calls.map(call => call.arguments[0]), [created]);
+});
+
+test('closing an inquiry releases its stock only once the new status is saved', async () => {
+  const { inquiry, events } = standInInquiry();
+  standIn(StockReservationService, {
+    releaseForInquiry: async () => {
+      events.push('release');
+      return 2;
+    }
+  });
+
+  const response = await changeStatus(inquiry, 'closed');
+
+  assert.equal(response.status, 200);
+  assert.deepEqual((await response.json()).reservations, { released: 2 });
+  assert.deepEqual(events, ['save closed', 'release']);
+});
@@ -0,0 +1,163 @@
+// Provider selection and the provider adapters. The hosted APIs are replaced with a local
+// server that records each request and answers like the real one.
+const { test, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const { listen } = require('./helpers');
+const config = require('../src/config/config');
+const LLMService = require('../src/services/LLMService');
+
+const originalConfig = { ...config };
+const requests = [];
+
+let server;
+let baseUrl;
+
+before(async () => {
+  const app = express();
+  app.use(express.json());
+
+  app.post('/v1/chat/completions', (req, res) => {
+    requests.push({ headers: req.headers, body: req.body });
+    res.json({
+      model: req.body.model,
+      choices: [{ message: { role: 'assistant', content: '  OpenAI says hello  ' } }],
+      usage: { prompt_tokens: 12, completion_tokens: 4 }
+    });
+  });
+
+  app.post('/v1/messages', (req, res) => {
+    requests.push({ headers: req.headers, body: req.body });
+    if (req.body.model === 'overloaded') {
+      return res.status(529).json({ error: { type: 'overloaded_error', message: 'Overloaded' } });
+    }
+    res.json({
+      model: req.body.model,
+      content: [{ type: 'text', text: 'Anthropic ' }, { type: 'text', text: 'says hello' }],
+      usage: { input_tokens: 10, output_tokens: 3 }
+    });
+  });
+
+  ({ server, url: baseUrl } = await listen(app));
+});
+
+after(() => server.close());
+
+afterEach(() => {
+  Object.assign(config, originalConfig);
+  requests.length = 0;
+  LLMService.getProvider('fixture').clearResponses();
+});
+
+test('resolve uses the configured provider and model unless the call picks its own', () => {
+  Object.assign(config, { LLM_PROVIDER: 'anthropic', LLM_MODEL: 'claude-test' });
+
+  assert.deepEqual(LLMService.resolve(), { providerName: 'anthropic', model: 'claude-test' });
+  assert.deepEqual(LLMService.resolve({ model: 'claude-other' }), { providerName: 'anthropic', model: 'claude-other' });
+  // LLM_MODEL only applies to LLM_PROVIDER; other providers fall back to their own default
+  assert.deepEqual(LLMService.resolve({ provider: 'custom' }), { providerName: 'custom', model: 'llama3' });
+  assert.deepEqual(LLMService.resolve({ provider: 'openai', model: 'gpt-test' }), { providerName: 'openai', model: 'gpt-test' });
+});
+
+test('resolve forces the fixture provider when LLM_PROVIDER is fixture', () => {
+  config.LLM_PROVIDER = 'fixture';
+
+  assert.deepEqual(LLMService.resolve({ provider: 'openai', model: 'gpt-4' }), { providerName: 'fixture', model: 'fixture' });
+});
+
+test('resolve rejects an unknown provider as a permanent error', () => {
+  assert.throws(() => LLMService.resolve({ provider: 'nope' }), { message: 'Unknown LLM provider: nope', retryable: false });
+});
+
+test('the fixture provider answers the same request the same way, and tests can override a task', async () => {
+  config.LLM_PROVIDER = 'fixture';
+  const request = { task: 'product.title', prompt: 'Title please', context: { keywords: ['spray gun'], categoryName: 'Guns' } };
+
+  const first = await LLMService.complete(request);
+  const second = await LLMService.complete(request);
+  assert.equal(first.text, 'Industrial spray gun Guns');
+  assert.deepEqual(second, first);
+  assert.equal(first.provider, 'fixture');
+
+  const specifications = await LLMService.complete({ task: 'product.specifications', prompt: 'Specs', json: true });
+  assert.equal(LLMService.parseJSON(specifications.text).specifications.Weight, '450 kg');
+
+  LLMService.getProvider('fixture').setResponse('product.title', ({ context }) => `Custom ${context.keywords[0]}`);
+  assert.equal((await LLMService.complete(request)).text, 'Custom spray gun');
+
+  assert.equal((await LLMService.complete({ task: 'unknown.task', prompt: 'x', json: true })).text, '{}');
+});
+
+test('the openai provider sends a chat completion and reports its usage', async () => {
+  const result = await LLMService.complete(
+    { task: 'test.openai', system: 'Be brief', prompt: 'Hello', json: true, maxTokens: 50 },
+    { provider: 'openai', apiKey: 'sk-test', baseUrl: `${baseUrl}/v1` }
+  );
+
+  assert.deepEqual(result, {
+    text: 'OpenAI says hello',
+    model: 'gpt-4',
+    usage: { inputTokens: 12, outputTokens: 4 },
+    provider: 'openai'
+  });
+
+  const [{ headers, body }] = requests;
+  assert.equal(headers.authorization, 'Bearer sk-test');
+  assert.deepEqual(body.messages, [{ role: 'system', content: 'Be brief' }, { role: 'user', content: 'Hello' }]);
+  assert.equal(body.max_tokens, 50);
+  assert.equal(body.temperature, 0.7);
+  assert.deepEqual(body.response_format, { type: 'json_object' });
+});
+
+test('the custom provider talks to an OpenAI-compatible endpoint without JSON mode or a key', async () => {
+  Object.assign(config, { LLM_BASE_URL: `${baseUrl}/v1`, LLM_API_KEY: undefined });
+
+  const result = await LLMService.complete({ task: 'test.custom', prompt: 'Hello', json: true }, { provider: 'custom' });
+
+  assert.equal(result.text, 'OpenAI says hello');
+  assert.equal(result.model, 'llama3');
+  assert.equal(requests[0].headers.authorization, 'Bearer not-needed');
+  assert.equal(requests[0].body.response_format, undefined);
+});
+
+test('the anthropic provider calls the Messages API and asks for JSON in the system prompt', async () => {
+  Object.assign(config, { ANTHROPIC_API_KEY: 'anthropic-test', ANTHROPIC_BASE_URL: `${baseUrl}/` });
+
+  const result = await LLMService.complete(
+    { task: 'test.anthropic', system: 'Be brief', prompt: 'Hello', json: true },
+    { provider: 'anthropic' }
+  );
+
+  assert.deepEqual(result, {
+    text: 'Anthropic says hello',
+    model: 'claude-3-5-sonnet-latest',
+    usage: { inputTokens: 10, outputTokens: 3 },
+    provider: 'anthropic'
+  });
+
+  const [{ headers, body }] = requests;
+  assert.equal(headers['x-api-key'], 'anthropic-test');
+  assert.equal(headers['anthropic-version'], '2023-06-01');
+  assert.equal(body.system, 'Be brief\n\nRespond with a single valid JSON object and nothing else.');
+  assert.deepEqual(body.messages, [{ role: 'user', content: 'Hello' }]);
+});
+
+test('the anthropic provider reports API errors with their status', async () => {
+  Object.assign(config, { ANTHROPIC_API_KEY: 'anthropic-test', ANTHROPIC_BASE_URL: baseUrl });
+
+  await assert.rejects(
+    LLMService.complete({ task: 'test.anthropic', prompt: 'Hello' }, { provider: 'anthropic', model: 'overloaded' }),
+    { message: 'Anthropic API error (529): Overloaded', status: 529 }
+  );
+});
+
+test('hosted providers without an API key fail with a permanent error', async () => {
+  Object.assign(config, { OPENAI_API_KEY: undefined, ANTHROPIC_API_KEY: undefined });
+
+  for (const provider of ['openai', 'anthropic']) {
+    await assert.rejects(
+      LLMService.complete({ task: 'test.missingKey', prompt: 'Hello' }, { provider }),
+      { message: `No API key configured for the ${provider} provider`, retryable: false }
+    );
+  }
+});
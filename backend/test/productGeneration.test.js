@@ -0,0 +1,119 @@
+// Runs one generation queue item through the whole pipeline with the fixture provider.
+// The database calls are replaced with in-memory stand-ins, so no MongoDB is needed.
+process.env.LLM_PROVIDER = 'fixture';
+
+const { test, mock, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { query, standIn } = require('./helpers');
+const AutomationSettings = require('../src/models/AutomationSettings');
+const AIUsage = require('../src/models/AIUsage');
+const Category = require('../src/models/Category');
+const Product = require('../src/models/Product');
+const ProductGenerationQueue = require('../src/models/ProductGenerationQueue');
+const PromptTemplate = require('../src/models/PromptTemplate');
+const DEFAULT_TEMPLATES = require('../src/services/llm/promptDefaults');
+const AIUsageService = require('../src/services/AIUsageService');
+const ImageGenerationService = require('../src/services/ImageGenerationService');
+const ProductGenerationService = require('../src/services/ProductGenerationService');
+
+/**
+ * Stand in for the database with one queued item in the given settings
+ * @param {Object} settings - AutomationSettings document
+ * @returns {Object} { category, created, finished } with the Product.create and queue updateOne mocks
+ */
+const queueOneItem = (settings) => {
+  const category = new Category({ name: 'Powder Coating Booths', slug: 'powder-coating-booths' });
+  const queueItem = new ProductGenerationQueue({
+    keywords: ['powder coating booth'],
+    category,
+    status: 'processing',
+    attempts: 1,
+    workerId: 'test-worker',
+    processingStartedAt: new Date()
+  });
+
+  standIn(AutomationSettings, { getSettings: settings });
+  standIn(AIUsageService, { isPaused: false });
+  standIn(AIUsage, { create: async (data) => data });
+  standIn(PromptTemplate, { findOne: ({ name }) => query({ name, version: 1, ...DEFAULT_TEMPLATES[name] }) });
+  standIn(ProductGenerationQueue, {
+    updateMany: { modifiedCount: 0 },
+    countDocuments: 0,
+    findOneAndUpdate: queueItem
+  });
+  standIn(Category, {
+    getSpecSchema: [{ name: 'Power Consumption', type: 'number', unit: 'W', required: true }]
+  });
+  standIn(Product, { findOne: null, find: [] });
+  standIn(ImageGenerationService, { generateProductImages: [] });
+
+  return {
+    category,
+    created: standIn(Product, { create: async (data) => ({ _id: new mongoose.Types.ObjectId(), ...data }) }).create,
+    finished: standIn(ProductGenerationQueue, { updateOne: { modifiedCount: 1 } }).updateOne
+  };
+};
+
+afterEach(() => mock.restoreAll());
+
+test('processNextQueueItem generates, checks and saves a product from a queue item', async () => {
+  // The fixture description is short and technical, so it doesn't reach the default readability score
+  const { category, created, finished } = queueOneItem(new AutomationSettings({ qualityGate: { minReadabilityScore: 0 } }));
+
+  const result = await ProductGenerationService.processNextQueueItem();
+
+  assert.equal(result.error, undefined);
+  assert.equal(result.success, true);
+  assert.equal(created.mock.callCount(), 1);
+
+  const product = created.mock.calls[0].arguments[0];
+  assert.equal(product.title, 'Industrial powder coating booth Powder Coating Booths');
+  assert.equal(product.category, category._id);
+  assert.deepEqual(product.sourceKeywords, ['powder coating booth']);
+
+  // The quality gate ran: specifications are converted to the category's units
+  assert.equal(product.specifications['Power Consumption'], '7500 W');
+  assert.equal(product.qualityCheck.passed, true, product.qualityCheck.reasons.join('; '));
+  assert.equal(product.status, 'in_review');
+
+  // Every prompt template version used is recorded on the product
+  assert.ok(product.promptTemplates.length > 0);
+  assert.ok(product.promptTemplates.every(template => template.version === 1));
+
+  // The queue item is completed under this worker's lease
+  const [filter, update] = finished.mock.calls.at(-1).arguments;
+  assert.equal(filter.workerId, 'test-worker');
+  assert.equal(update.$set.status, 'completed');
+  assert.equal(update.$set.result.productId, result.product._id);
+});
+
+test('processNextQueueItem holds a product that fails the quality gate for review', async () => {
+  const { created, finished } = queueOneItem(new AutomationSettings());
+
+  const result = await ProductGenerationService.processNextQueueItem();
+
+  assert.equal(result.success, true);
+  const product = created.mock.calls[0].arguments[0];
+  assert.equal(product.status, 'needs_review');
+  assert.equal(product.qualityCheck.passed, false);
+  assert.match(product.qualityCheck.reasons.join('; '), /readability score/);
+  assert.equal(finished.mock.calls.at(-1).arguments[1].$set.status, 'completed');
+});
+
+test('publishScheduledProducts publishes the other due products when one cannot be saved', async () => {
+  const products = ['Spray booth', 'Curing oven'].map(title => new Product({ title, status: 'scheduled' }));
+  standIn(Product, { find: products });
+  mock.method(Product.prototype, 'save', async function() {
+    if (this.title === 'Spray booth') {
+      throw new mongoose.Error.ValidationError();
+    }
+    return this;
+  });
+
+  const result = await ProductGenerationService.publishScheduledProducts();
+
+  assert.equal(result.publishedCount, 1);
+  assert.equal(result.publishedProducts[0].title, 'Curing oven');
+  assert.deepEqual(result.failed.map(failure => failure.product), [products[0]._id]);
+});
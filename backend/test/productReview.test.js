@@ -0,0 +1,27 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const AutomationSettings = require('../src/models/AutomationSettings');
+const ProductReviewService = require('../src/services/ProductReviewService');
+
+const requireApproval = new AutomationSettings({ productListing: { requireApproval: true } });
+const noApproval = new AutomationSettings({ productListing: { requireApproval: false } });
+
+/**
+ * Assert that a check throws an error with the given HTTP status
+ * @param {Function} fn - Check to run
+ * @param {Number} status - Expected status
+ */
+const assertStatus = (fn, status) => assert.throws(fn, error => error.status === status);
+
+test('assertEditTransition keeps edits from publishing an unapproved product', () => {
+  assertStatus(() => ProductReviewService.assertEditTransition({ status: 'draft' }, 'published', requireApproval), 409);
+  assertStatus(() => ProductReviewService.assertEditTransition({ status: 'needs_review' }, 'published', noApproval), 409);
+  assert.doesNotThrow(() => ProductReviewService.assertEditTransition({ status: 'approved' }, 'published', requireApproval));
+  assert.doesNotThrow(() => ProductReviewService.assertEditTransition({ status: 'draft' }, 'published', noApproval));
+});
+
+test('assertEditTransition sends review statuses to the review endpoints', () => {
+  assertStatus(() => ProductReviewService.assertEditTransition({ status: 'draft' }, 'in_review', requireApproval), 400);
+  assertStatus(() => ProductReviewService.assertEditTransition({ status: 'in_review' }, 'approved', requireApproval), 400);
+  assert.doesNotThrow(() => ProductReviewService.assertEditTransition({ status: 'approved' }, 'approved', requireApproval));
+});
@@ -0,0 +1,58 @@
+const { test, mock, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { query, standIn, duplicateKeyError } = require('./helpers');
+const Product = require('../src/models/Product');
+const ProductRevision = require('../src/models/ProductRevision');
+
+afterEach(() => mock.restoreAll());
+
+/**
+ * Stand in for the revisions collection, enforcing the unique { product, revision } index
+ * @returns {Array} Stored revisions
+ */
+const storeRevisions = () => {
+  const stored = [];
+  standIn(ProductRevision, {
+    findOne: ({ product }) => query(
+      stored.filter(revision => revision.product.equals(product)).sort((a, b) => b.revision - a.revision)[0] || null
+    ),
+    create: async (data) => {
+      // Let every concurrent save read the latest revision before any of them writes
+      await new Promise(resolve => setImmediate(resolve));
+      if (stored.some(revision => revision.product.equals(data.product) && revision.revision === data.revision)) {
+        throw duplicateKeyError();
+      }
+      stored.push(data);
+      return data;
+    }
+  });
+  return stored;
+};
+
+test('record gives concurrent saves of a product different revision numbers', async () => {
+  const stored = storeRevisions();
+  const product = new Product({ title: 'Spray booth', slug: 'spray-booth' });
+  await ProductRevision.record(product, null);
+
+  const saves = ['Spray booth A', 'Spray booth B', 'Spray booth C'].map(title => {
+    const before = product.toObject();
+    return ProductRevision.record({ ...before, title }, before);
+  });
+  const revisions = await Promise.all(saves);
+
+  assert.deepEqual(revisions.map(revision => revision.revision).sort(), [2, 3, 4]);
+  assert.deepEqual(stored.map(revision => revision.action), ['create', 'update', 'update', 'update']);
+});
+
+test('record gives up on a duplicate key after a few attempts', async () => {
+  const { create } = standIn(ProductRevision, {
+    findOne: { revision: 1 },
+    create: async () => {
+      throw duplicateKeyError();
+    }
+  });
+  const product = new Product({ title: 'Spray booth', slug: 'spray-booth' });
+
+  await assert.rejects(ProductRevision.record(product, null), { code: 11000 });
+  assert.equal(create.mock.callCount(), 5);
+});
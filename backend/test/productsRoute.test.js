@@ -0,0 +1,105 @@
+// Product reads through the HTTP API, with the models replaced by in-memory stand-ins
+const { test, mock, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const { query, standIn, listen } = require('./helpers');
+const Product = require('../src/models/Product');
+const User = require('../src/models/User');
+const ProductRecommendationService = require('../src/services/ProductRecommendationService');
+const ProductRevisionService = require('../src/services/ProductRevisionService');
+const productRoutes = require('../src/routes/products');
+
+const editor = new User({ name: 'Eddie', email: 'editor@example.com', role: 'editor', isEmailVerified: true });
+const customer = new User({ name: 'Cass', email: 'customer@example.com', role: 'user', isEmailVerified: true });
+const draft = new Product({ title: 'Draft booth', slug: 'draft-booth', status: 'draft' });
+
+let server;
+let baseUrl;
+
+before(async () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/products', productRoutes);
+  const started = await listen(app);
+  server = started.server;
+  baseUrl = `${started.url}/api/products`;
+});
+
+after(() => server.close());
+
+afterEach(() => mock.restoreAll());
+
+/**
+ * Stand in for the users collection and return the headers of a signed-in request
+ * @param {Object} user - User document, or null for a guest
+ * @returns {Object} Request headers
+ */
+const signedIn = (user) => {
+  mock.method(User, 'findById', async (id) => ([editor, customer].find(candidate => candidate._id.equals(id)) || null));
+  return user ? { Authorization: `Bearer ${user.getSignedJwtToken()}` } : {};
+};
+
+test('guests and customers only list published products, whatever status they ask for', async () => {
+  const { find } = standIn(Product, { find: [], countDocuments: 0 });
+
+  for (const user of [null, customer]) {
+    const response = await fetch(`${baseUrl}?status=draft`, { headers: signedIn(user) });
+    assert.equal(response.status, 200);
+  }
+
+  assert.deepEqual(find.mock.calls.map(call => call.arguments[0].status), ['published', 'published']);
+});
+
+test('editors can list products in any status', async () => {
+  const { find } = standIn(Product, { find: [], countDocuments: 0 });
+
+  await fetch(`${baseUrl}?status=draft`, { headers: signedIn(editor) });
+  await fetch(baseUrl, { headers: signedIn(editor) });
+
+  assert.deepEqual(find.mock.calls.map(call => call.arguments[0].status), ['draft', undefined]);
+});
+
+test('unpublished products are not found for guests by ID or slug, but are for editors', async () => {
+  mock.method(Product, 'findOne', (filter) => query(filter.status && filter.status !== draft.status ? null : draft));
+
+  for (const path of [`/${draft._id}`, '/slug/draft-booth']) {
+    const guest = await fetch(`${baseUrl}${path}`, { headers: signedIn(null) });
+    assert.equal(guest.status, 404);
+
+    const invalidToken = await fetch(`${baseUrl}${path}`, { headers: { Authorization: 'Bearer not-a-token' } });
+    assert.equal(invalidToken.status, 404);
+
+    const staff = await fetch(`${baseUrl}${path}`, { headers: signedIn(editor) });
+    assert.equal(staff.status, 200);
+    assert.equal((await staff.json()).product.title, 'Draft booth');
+  }
+});
+
+test('guests get no related products for an unpublished product', async () => {
+  mock.method(Product, 'findOne', (filter) => query(filter.status && filter.status !== draft.status ? null : draft));
+  const { getRelatedProducts } = standIn(ProductRecommendationService, { getRelatedProducts: async () => [] });
+
+  const guest = await fetch(`${baseUrl}/${draft._id}/related`, { headers: signedIn(null) });
+  assert.equal(guest.status, 404);
+  assert.equal(getRelatedProducts.mock.callCount(), 0);
+
+  const staff = await fetch(`${baseUrl}/${draft._id}/related`, { headers: signedIn(editor) });
+  assert.equal(staff.status, 200);
+  assert.equal(getRelatedProducts.mock.calls[0].arguments[0], draft);
+});
+
+test('a rollback to content that fails validation is a 400', async () => {
+  // Wrapped the way the revision service reports a failed save
+  const cause = new Product({ slug: 'untitled' }).validateSync();
+  mock.method(ProductRevisionService, 'rollback', async () => {
+    throw new Error(`Failed to roll back product: ${cause.message}`, { cause });
+  });
+
+  const response = await fetch(`${baseUrl}/${draft._id}/revisions/2/rollback`, {
+    method: 'POST',
+    headers: signedIn(editor)
+  });
+
+  assert.equal(response.status, 400);
+  assert.ok((await response.json()).errors.some(error => error.path === 'title'));
+});
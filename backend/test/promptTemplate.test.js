@@ -0,0 +1,51 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  extractPlaceholders,
+  renderTemplate,
+  checkTemplateVariables,
+  renderDeclaredTemplate
+} = require('../src/utils/promptTemplate');
+
+test('extractPlaceholders lists each placeholder once and skips JSON examples', () => {
+  assert.deepEqual(
+    extractPlaceholders('Write about {product_name} in {category}. Return {"title": "..."} for {product_name}.'),
+    ['product_name', 'category']
+  );
+});
+
+test('renderTemplate formats values and leaves unknown placeholders alone', () => {
+  assert.equal(
+    renderTemplate('{name}: {keywords} {spec} {missing}', { name: 'Booth', keywords: ['a', 'b'], spec: { kW: 5 } }),
+    'Booth: a, b {"kW":5} {missing}'
+  );
+});
+
+test('checkTemplateVariables reports undeclared, unused and duplicate variables', () => {
+  const errors = checkTemplateVariables({
+    body: '{title} {keywords}',
+    variables: [{ name: 'title' }, { name: 'title' }, { name: 'tone' }]
+  });
+
+  assert.deepEqual(errors, [
+    'Placeholder {keywords} is not declared as a variable',
+    'Variable tone is declared but not used in the template',
+    'Variable title is declared more than once'
+  ]);
+});
+
+test('renderDeclaredTemplate fills optional defaults and rejects missing required values', () => {
+  const template = {
+    name: 'product.title',
+    version: 2,
+    body: 'Title for {keywords} in a {tone} tone',
+    variables: [{ name: 'keywords' }, { name: 'tone', required: false, defaultValue: 'neutral' }]
+  };
+
+  assert.equal(renderDeclaredTemplate(template, { keywords: ['spray gun'] }), 'Title for spray gun in a neutral tone');
+  assert.throws(() => renderDeclaredTemplate(template, { keywords: [] }), error => {
+    assert.match(error.message, /product\.title v2: keywords/);
+    assert.equal(error.retryable, false);
+    return true;
+  });
+});
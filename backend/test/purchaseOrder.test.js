@@ -0,0 +1,154 @@
+// Purchase orders, with the models replaced by in-memory stand-ins
+const { test, mock, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { query, standIn, duplicateKeyError } = require('./helpers');
+const Inventory = require('../src/models/Inventory');
+const InventorySettings = require('../src/models/InventorySettings');
+const Product = require('../src/models/Product');
+const PurchaseOrder = require('../src/models/PurchaseOrder');
+const PurchaseOrderService = require('../src/services/PurchaseOrderService');
+
+afterEach(() => mock.restoreAll());
+
+/**
+ * Stand in for the purchase orders collection, with its one automatic draft per supplier
+ * unique index
+ * @returns {Array} Purchase orders held in memory
+ */
+const standInOrders = () => {
+  const orders = [];
+  const findDraft = (filter) => orders.find(order => order.status === filter.status &&
+    order.isAutomatic === filter.isAutomatic &&
+    order.supplier.name === filter['supplier.name']);
+
+  standIn(PurchaseOrder, {
+    aggregate: [],
+    updateOne: async (filter, update, { upsert }) => {
+      if (findDraft(filter) || !upsert) {
+        return { upsertedCount: 0 };
+      }
+      // Let concurrent upserts interleave between the lookup and the insert
+      await new Promise(resolve => setImmediate(resolve));
+      if (findDraft(filter)) {
+        throw duplicateKeyError();
+      }
+      const { lines, ...fields } = update.$setOnInsert;
+      orders.push({
+        ...fields,
+        status: filter.status,
+        isAutomatic: filter.isAutomatic,
+        supplier: { name: filter['supplier.name'] },
+        lines: [...lines]
+      });
+      return { upsertedCount: 1 };
+    },
+    findOneAndUpdate: async (filter, update) => {
+      const order = findDraft(filter);
+      const excluded = filter['lines.inventory'].$ne;
+      if (!order || order.lines.some(line => String(line.inventory) === String(excluded))) {
+        return null;
+      }
+      order.lines.push(update.$push.lines);
+      return order;
+    }
+  });
+
+  return orders;
+};
+
+test('an order number already in use is drawn again', async () => {
+  const inventory = new Inventory({ product: new mongoose.Types.ObjectId(), stockLevel: 0 });
+  standIn(InventorySettings, { findOne: null });
+  standIn(Inventory, { findById: inventory });
+  standIn(Product, { findById: new Product({ title: 'Spray booth' }) });
+  const numbers = [];
+  standIn(PurchaseOrder, {
+    create: async (data) => {
+      numbers.push(data.number);
+      if (numbers.length === 1) {
+        throw duplicateKeyError();
+      }
+      return data;
+    }
+  });
+
+  const order = await PurchaseOrderService.createPurchaseOrder({
+    supplier: 'Booth Supplies',
+    lines: [{ inventory: inventory._id, quantity: 2 }]
+  }, 'admin');
+
+  assert.equal(numbers.length, 2);
+  assert.notEqual(numbers[0], numbers[1]);
+  assert.equal(order.number, numbers[1]);
+});
+
+test('stock changes saved close together draft one reorder line for an item', async () => {
+  const inventory = new Inventory({
+    product: new mongoose.Types.ObjectId(),
+    stockLevel: 1,
+    supplier: { name: 'Booth Supplies', minimumOrderQuantity: 4 }
+  });
+  standIn(InventorySettings, {
+    findOne: () => query(new InventorySettings({
+      supplierIntegration: { enabled: true, autoReorder: true, reorderThreshold: 3 }
+    }))
+  });
+  standIn(Product, { findById: new Product({ title: 'Spray booth' }) });
+  const orders = standInOrders();
+
+  const drafted = await Promise.all([
+    PurchaseOrderService.reorderIfNeeded(inventory),
+    PurchaseOrderService.reorderIfNeeded(inventory)
+  ]);
+
+  assert.equal(orders.length, 1);
+  assert.equal(orders[0].lines.length, 1);
+  assert.equal(drafted.filter(Boolean).length, 1);
+});
+
+test('a delivery is recorded before its stock is added, and a retry adds the stock once', async () => {
+  const inventory = new Inventory({ product: new mongoose.Types.ObjectId(), stockLevel: 0 });
+  const order = new PurchaseOrder({
+    number: 'PO-20250301-4F3A',
+    status: 'sent',
+    supplier: { name: 'Booth Supplies' },
+    lines: [{ inventory: inventory._id, product: inventory.product, quantityOrdered: 5 }]
+  });
+  const events = [];
+
+  standIn(InventorySettings, { findOne: null });
+  standIn(Inventory, { exists: { _id: inventory._id }, findById: inventory });
+  standIn(PurchaseOrder, {
+    findById: order,
+    updateOne: async (filter, { $set }) => {
+      const [[path, value]] = Object.entries($set);
+      if (filter[path] !== undefined && order.get(path) !== filter[path]) {
+        return { modifiedCount: 0 };
+      }
+      order.set(path, value);
+      return { modifiedCount: 1 };
+    }
+  });
+  mock.method(PurchaseOrder.prototype, 'save', async function() {
+    events.push(`save ${this.status}`);
+    return this;
+  });
+  mock.method(Inventory.prototype, 'restock', async (quantity) => {
+    if (events.length === 1) {
+      events.push('restock failed');
+      throw new Error('Connection lost');
+    }
+    events.push(`restock ${quantity}`);
+  });
+
+  const items = [{ line: String(order.lines[0]._id), quantity: 5 }];
+  await assert.rejects(PurchaseOrderService.receive(order._id, items), /Connection lost/);
+  assert.equal(order.receipts[0].pendingRestock, true);
+
+  await assert.rejects(PurchaseOrderService.receive(order._id, items), { status: 409 });
+
+  assert.deepEqual(events, ['save received', 'restock failed', 'restock 5']);
+  assert.equal(order.receipts.length, 1);
+  assert.equal(order.receipts[0].pendingRestock, false);
+});
@@ -0,0 +1,36 @@
+const { test, mock, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { standIn } = require('./helpers');
+const ProductGenerationQueue = require('../src/models/ProductGenerationQueue');
+const { failItem } = require('../src/utils/queueLease');
+
+const settings = { maxAttempts: 3, retryBaseSeconds: 30, retryMaxMinutes: 5 };
+
+afterEach(() => mock.restoreAll());
+
+/**
+ * Fail a claimed item with an error and return its new status
+ * @param {Number} attempts - Attempts made so far
+ * @param {Error} error - Error thrown while processing
+ * @returns {Promise<String>} Status after the failure
+ */
+const failWith = async (attempts, error) => {
+  standIn(ProductGenerationQueue, { updateOne: { modifiedCount: 1 } });
+  const item = new ProductGenerationQueue({ status: 'processing', attempts, workerId: 'test-worker' });
+
+  await failItem(ProductGenerationQueue, item, error, settings, 10);
+
+  return item.status;
+};
+
+test('failItem retries a retryable error while attempts remain', async () => {
+  assert.equal(await failWith(1, Object.assign(new Error('HTTP 503'), { status: 503 })), 'queued');
+});
+
+test('failItem marks an item failed on a permanent error', async () => {
+  assert.equal(await failWith(1, Object.assign(new Error('HTTP 400'), { status: 400 })), 'failed');
+});
+
+test('failItem parks an item in dead_letter once a retryable error uses up its attempts', async () => {
+  assert.equal(await failWith(3, Object.assign(new Error('HTTP 503'), { status: 503 })), 'dead_letter');
+});
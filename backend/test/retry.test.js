@@ -0,0 +1,35 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { classifyError, getRetryDelay } = require('../src/utils/retry');
+
+const withStatus = (status) => Object.assign(new Error(`HTTP ${status}`), { status });
+
+test('classifyError retries rate limits, server errors and network failures', () => {
+  assert.equal(classifyError(withStatus(429)), 'retryable');
+  assert.equal(classifyError(withStatus(503)), 'retryable');
+  assert.equal(classifyError(Object.assign(new Error('reset'), { code: 'ECONNRESET' })), 'retryable');
+  assert.equal(classifyError(new Error('Unexpected token in model response')), 'retryable');
+});
+
+test('classifyError does not retry client errors or programming errors', () => {
+  assert.equal(classifyError(withStatus(400)), 'permanent');
+  assert.equal(classifyError(new ReferenceError('x is not defined')), 'permanent');
+  assert.equal(classifyError(new TypeError('x is not a function')), 'permanent');
+});
+
+test('classifyError looks through wrapped errors, and an explicit flag wins', () => {
+  const wrapped = new Error('Failed to generate product', { cause: new ReferenceError('x is not defined') });
+  assert.equal(classifyError(wrapped), 'permanent');
+
+  const flagged = new Error('Failed', { cause: Object.assign(withStatus(400), { retryable: true }) });
+  assert.equal(classifyError(flagged), 'retryable');
+});
+
+test('getRetryDelay doubles with each attempt up to the maximum', () => {
+  const settings = { retryBaseSeconds: 30, retryMaxMinutes: 5 };
+
+  assert.equal(getRetryDelay(1, settings), 30000);
+  assert.equal(getRetryDelay(2, settings), 60000);
+  assert.equal(getRetryDelay(3, settings), 120000);
+  assert.equal(getRetryDelay(10, settings), 300000);
+});
@@ -0,0 +1,27 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { toSnapshot, diffSnapshots } = require('../src/utils/revisionDiff');
+
+test('toSnapshot turns dates and documents into plain JSON', () => {
+  const doc = {
+    toObject: () => ({ title: 'Booth', publishedAt: new Date('2026-01-02T00:00:00Z') })
+  };
+
+  assert.deepEqual(toSnapshot(doc), { title: 'Booth', publishedAt: '2026-01-02T00:00:00.000Z' });
+  assert.deepEqual(toSnapshot(null), {});
+});
+
+test('diffSnapshots lists changed, added and removed fields in name order', () => {
+  const before = { title: 'Booth', features: ['a'], price: 10, updatedAt: '2026-01-01' };
+  const after = { title: 'Booth', features: ['a', 'b'], status: 'published', updatedAt: '2026-02-01' };
+
+  assert.deepEqual(diffSnapshots(before, after), [
+    { field: 'features', before: ['a'], after: ['a', 'b'] },
+    { field: 'price', before: 10, after: undefined },
+    { field: 'status', before: undefined, after: 'published' }
+  ]);
+});
+
+test('diffSnapshots ignores bookkeeping fields', () => {
+  assert.deepEqual(diffSnapshots({ _id: '1', __v: 0 }, { _id: '2', __v: 1 }), []);
+});
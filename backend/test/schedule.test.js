@@ -0,0 +1,39 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  atTimeOfDay,
+  nextDailyRun,
+  nextWeeklyRun,
+  nextMonthlyRun,
+  nextIntervalRun
+} = require('../src/utils/schedule');
+
+// Sunday 18 October 2026, 12:00 local time
+const sunday = new Date(2026, 9, 18, 12, 0);
+
+test('atTimeOfDay sets the time without changing the date', () => {
+  assert.deepEqual(atTimeOfDay(sunday, '08:30'), new Date(2026, 9, 18, 8, 30));
+});
+
+test('nextDailyRun is later today, or tomorrow once the time has passed', () => {
+  assert.deepEqual(nextDailyRun(sunday, '18:00'), new Date(2026, 9, 18, 18, 0));
+  assert.deepEqual(nextDailyRun(sunday, '12:00'), new Date(2026, 9, 19, 12, 0));
+  assert.deepEqual(nextDailyRun(sunday, '09:00', 2), new Date(2026, 9, 20, 9, 0));
+});
+
+test('nextWeeklyRun finds the next listed weekday', () => {
+  assert.deepEqual(nextWeeklyRun(sunday, [1, 4], '09:00'), new Date(2026, 9, 19, 9, 0));
+  assert.deepEqual(nextWeeklyRun(sunday, ['sunday'], '09:00'), new Date(2026, 9, 25, 9, 0));
+  assert.deepEqual(nextWeeklyRun(sunday, ['Sunday'], '13:00'), new Date(2026, 9, 18, 13, 0));
+  assert.equal(nextWeeklyRun(sunday, [], '09:00'), null);
+});
+
+test('nextMonthlyRun falls on the last day of short months', () => {
+  assert.deepEqual(nextMonthlyRun(sunday, 31, '06:00'), new Date(2026, 9, 31, 6, 0));
+  assert.deepEqual(nextMonthlyRun(new Date(2026, 0, 31, 7, 0), 31, '06:00'), new Date(2026, 1, 28, 6, 0));
+  assert.deepEqual(nextMonthlyRun(sunday, 1, '06:00', 3), new Date(2027, 0, 1, 6, 0));
+});
+
+test('nextIntervalRun adds minutes', () => {
+  assert.deepEqual(nextIntervalRun(sunday, 90), new Date(2026, 9, 18, 13, 30));
+});
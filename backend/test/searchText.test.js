@@ -0,0 +1,37 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { tokenize, correctTerms, editDistance, highlight, snippet } = require('../src/utils/searchText');
+
+test('tokenize lower-cases and drops stop words', () => {
+  assert.deepEqual(tokenize('The Powder Coating Booth, for 2 guns'), ['powder', 'coating', 'booth', '2', 'guns']);
+  assert.deepEqual(tokenize(null), []);
+});
+
+test('editDistance counts swapped letters as one edit and stops past the maximum', () => {
+  assert.equal(editDistance('booth', 'booth', 2), 0);
+  assert.equal(editDistance('boht', 'both', 2), 1);
+  assert.equal(editDistance('kitten', 'sitting', 3), 3);
+  assert.equal(editDistance('oven', 'conveyor', 2), 3);
+});
+
+test('correctTerms replaces unknown terms with the closest, most common catalogue word', () => {
+  const vocabulary = new Map([['powder', 10], ['coating', 8], ['booth', 5], ['boots', 1]]);
+
+  assert.deepEqual(correctTerms(['powdr', 'coatings', 'booht', 'gun', '40mm'], vocabulary),
+    ['powder', 'coatings', 'booth', 'gun', '40mm']);
+});
+
+test('highlight escapes the text and marks words starting with a term stem', () => {
+  assert.equal(
+    highlight('Coating <b>booths</b> & coated parts', ['coating', 'booth']),
+    '<mark>Coating</mark> &lt;b&gt;<mark>booths</mark>&lt;/b&gt; &amp; <mark>coated</mark> parts'
+  );
+  assert.equal(highlight('a < b', []), 'a &lt; b');
+});
+
+test('snippet extracts the text around the first match', () => {
+  const text = 'This line has plenty of words before the conveyor oven appears and plenty after it too.';
+
+  assert.equal(snippet(text, ['oven'], 30), '… conveyor <mark>oven</mark> appears and …');
+  assert.equal(snippet(text, ['booth']), null);
+});
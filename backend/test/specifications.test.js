@@ -0,0 +1,56 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeSpecifications, formatQuantity } = require('../src/utils/specifications');
+
+const attributes = [
+  { name: 'Power', type: 'number', unit: 'kW', required: true },
+  { name: 'Operating Temperature', type: 'range', unit: '°C' },
+  { name: 'CE Marked', type: 'boolean' },
+  { name: 'Gun Type', type: 'enum', allowedValues: ['Corona', 'Tribo'] },
+  { name: 'Weight', type: 'number', unit: 'kg', required: true }
+];
+
+test('normalizeSpecifications renames keys and converts values to the attribute unit', () => {
+  const result = normalizeSpecifications({
+    power: '7500 W',
+    'operating temperature': '32-104 °F',
+    'ce marked': 'yes',
+    'gun type': 'tribo',
+    Colour: 'Blue'
+  }, attributes);
+
+  assert.deepEqual(result.errors, []);
+  assert.deepEqual(result.specifications, {
+    Power: '7.5 kW',
+    'Operating Temperature': '0-40 °C',
+    'CE Marked': 'Yes',
+    'Gun Type': 'Tribo',
+    Colour: 'Blue'
+  });
+  assert.deepEqual(result.values.Power, { value: 7.5, unit: 'kW' });
+  assert.deepEqual(result.values['Operating Temperature'], { min: 0, max: 40, unit: '°C' });
+  assert.deepEqual(result.values['CE Marked'], { value: true });
+});
+
+test('normalizeSpecifications reports values that do not fit, keeping them as written', () => {
+  const result = normalizeSpecifications({ Power: '5 kg', 'Gun Type': 'Spray' }, attributes);
+
+  assert.equal(result.specifications.Power, '5 kg');
+  assert.deepEqual(result.errors.map(error => error.name), ['Power', 'Gun Type']);
+  assert.match(result.errors[0].message, /kg cannot be converted to kW/);
+});
+
+test('normalizeSpecifications reports missing required attributes only when asked', () => {
+  const specifications = new Map([['Power', '3']]);
+
+  assert.deepEqual(normalizeSpecifications(specifications, attributes).errors, []);
+  assert.deepEqual(
+    normalizeSpecifications(specifications, attributes, { requireAll: true }).errors,
+    [{ name: 'Weight', message: 'Weight is required' }]
+  );
+});
+
+test('formatQuantity rounds and appends the unit', () => {
+  assert.equal(formatQuantity(0.1 + 0.2, 'mm'), '0.3 mm');
+  assert.equal(formatQuantity(12, null), '12');
+});
@@ -0,0 +1,106 @@
+const { test, mock, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { standIn } = require('./helpers');
+const Inventory = require('../src/models/Inventory');
+const Inquiry = require('../src/models/Inquiry');
+const StockReservation = require('../src/models/StockReservation');
+const StockReservationService = require('../src/services/StockReservationService');
+const PurchaseOrderService = require('../src/services/PurchaseOrderService');
+const StockForecastService = require('../src/services/StockForecastService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Stand in for the database with the given inventory records and converted inquiries
+ * @param {Object} data - { inventories, inquiries, reservedLines, reserved, onOrder }
+ */
+const standInStock = ({ inventories, inquiries = [], reservedLines = [], reserved = new Map(), onOrder = new Map() }) => {
+  standIn(Inventory, { find: inventories });
+  standIn(Inquiry, { find: inquiries });
+  standIn(StockReservation, { find: reservedLines });
+  standIn(StockReservationService, { getReservedQuantities: reserved });
+  standIn(PurchaseOrderService, { getOnOrderQuantities: onOrder });
+};
+
+afterEach(() => mock.restoreAll());
+
+test('getForecast turns stock removals into demand and predicts the stock-out and reorder dates', async () => {
+  mock.method(Inventory.prototype, 'save', async function() {
+    return this;
+  });
+
+  const inventory = new Inventory({
+    product: new mongoose.Types.ObjectId(),
+    stockLevel: 100,
+    supplier: { name: 'Acme', leadTime: 5 }
+  });
+  await inventory.removeStock(30, 'Order 1');
+  await inventory.removeStock(15, 'Order 2');
+  standInStock({ inventories: [inventory] });
+
+  const now = new Date();
+  const { items } = await StockForecastService.getForecast({ days: 30, now });
+
+  assert.equal(items.length, 1);
+  assert.equal(items[0].demand, 45);
+  assert.equal(items[0].dailyDemand, 1.5);
+  assert.equal(items[0].availableLevel, 55);
+  assert.equal(items[0].daysUntilStockOut, 36);
+  assert.deepEqual(items[0].stockOutDate, new Date(now.getTime() + 36 * DAY_MS));
+  assert.deepEqual(items[0].reorderDate, new Date(now.getTime() + 31 * DAY_MS));
+  assert.equal(items[0].reorderNow, false);
+});
+
+test('getForecast adds converted inquiry lines not already removed through a reservation', async () => {
+  const product = new mongoose.Types.ObjectId();
+  const reservedItem = new mongoose.Types.ObjectId();
+  const now = new Date();
+
+  const inventory = new Inventory({
+    product,
+    stockLevel: 20,
+    supplier: { leadTime: 10 },
+    history: [{ action: 'remove', quantity: -12, date: new Date(now.getTime() - 2 * DAY_MS) }]
+  });
+  standInStock({
+    inventories: [inventory],
+    inquiries: [{
+      _id: new mongoose.Types.ObjectId(),
+      products: [
+        { _id: reservedItem, product, quantity: 12 },
+        { _id: new mongoose.Types.ObjectId(), product, quantity: 18 }
+      ]
+    }],
+    reservedLines: [reservedItem],
+    reserved: new Map([[String(inventory._id), 5]]),
+    onOrder: new Map([[String(inventory._id), 10]])
+  });
+
+  const { items } = await StockForecastService.getForecast({ days: 30, now });
+
+  assert.equal(items[0].demand, 30);
+  assert.equal(items[0].availableLevel, 15);
+  assert.equal(items[0].daysUntilStockOut, 15);
+  // 25 units on hand and on order last 25 days, less the 10 day lead time
+  assert.deepEqual(items[0].reorderDate, new Date(now.getTime() + 15 * DAY_MS));
+});
+
+test('getForecast recommends reordering now when the lead time is longer than the stock lasts', async () => {
+  const now = new Date();
+  const quiet = new Inventory({ product: new mongoose.Types.ObjectId(), stockLevel: 50 });
+  const busy = new Inventory({
+    product: new mongoose.Types.ObjectId(),
+    stockLevel: 10,
+    supplier: { leadTime: 14 },
+    history: [{ action: 'remove', quantity: -30, date: new Date(now.getTime() - DAY_MS) }]
+  });
+  standInStock({ inventories: [quiet, busy] });
+
+  const { items } = await StockForecastService.getForecast({ days: 30, now });
+
+  assert.deepEqual(items.map(item => item.inventory), [busy._id, quiet._id]);
+  assert.equal(items[0].reorderNow, true);
+  assert.equal(items[1].stockOutDate, null);
+  assert.equal(items[1].reorderNow, false);
+});
@@ -0,0 +1,203 @@
+// Stock reservations against an in-memory store that applies filters and updates one at a
+// time, the way MongoDB applies a single-document update atomically
+const { test, mock, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { query, standIn } = require('./helpers');
+const Inventory = require('../src/models/Inventory');
+const InventorySettings = require('../src/models/InventorySettings');
+const StockReservation = require('../src/models/StockReservation');
+const StockReservationService = require('../src/services/StockReservationService');
+
+afterEach(() => mock.restoreAll());
+
+/**
+ * Value of an aggregation expression ($gte, $subtract and $ifNull) for a document
+ * @param {Object} doc - Document
+ * @param {*} expression - Expression
+ * @returns {*} Value
+ */
+const evaluate = (doc, expression) => {
+  if (typeof expression === 'string' && expression.startsWith('$')) {
+    return doc[expression.slice(1)];
+  }
+  if (!expression || typeof expression !== 'object') {
+    return expression;
+  }
+
+  const [[operator, args]] = Object.entries(expression);
+  const [a, b] = args.map(arg => evaluate(doc, arg));
+  return { $gte: () => a >= b, $subtract: () => a - b, $ifNull: () => a ?? b }[operator]();
+};
+
+/**
+ * Whether a document matches a filter (equality, $in, $gt, $lte and $expr)
+ * @param {Object} doc - Document
+ * @param {Object} filter - Filter
+ * @returns {Boolean} True if it matches
+ */
+const matches = (doc, filter) => Object.entries(filter).every(([path, condition]) => {
+  if (path === '$expr') {
+    return evaluate(doc, condition);
+  }
+  const value = doc[path];
+  if (condition && condition.$in) {
+    return condition.$in.some(candidate => String(candidate) === String(value));
+  }
+  if (condition && condition.$gt) {
+    return value > condition.$gt;
+  }
+  if (condition && condition.$lte) {
+    return value <= condition.$lte;
+  }
+  return String(value) === String(condition);
+});
+
+/**
+ * Apply an update ($set, $inc and $unset) to a document
+ * @param {Object} doc - Document
+ * @param {Object} update - Update
+ */
+const apply = (doc, { $set = {}, $inc = {}, $unset = {} }) => {
+  Object.assign(doc, $set);
+  Object.entries($inc).forEach(([path, amount]) => {
+    doc[path] = (doc[path] || 0) + amount;
+  });
+  Object.keys($unset).forEach(path => delete doc[path]);
+};
+
+/**
+ * Stand in for the inventory and reservations collections
+ * @param {Array} inventories - Inventory records as plain objects
+ * @returns {Object} { inventories, reservations } held in memory
+ */
+const standInStore = (inventories) => {
+  const reservations = [];
+  const collection = (docs) => ({
+    find: (filter) => query(docs.filter(doc => matches(doc, filter))),
+    findOne: (filter) => query(docs.find(doc => matches(doc, filter)) || null),
+    findById: (id) => query(docs.find(doc => String(doc._id) === String(id)) || null),
+    findOneAndUpdate: async (filter, update) => {
+      const doc = docs.find(candidate => matches(candidate, filter));
+      if (doc) {
+        apply(doc, update);
+      }
+      return doc ? { ...doc } : null;
+    },
+    updateOne: async (filter, update) => {
+      const doc = docs.find(candidate => matches(candidate, filter));
+      if (doc) {
+        apply(doc, update);
+      }
+      return { modifiedCount: doc ? 1 : 0 };
+    }
+  });
+
+  standIn(InventorySettings, { findOne: null });
+  standIn(Inventory, collection(inventories));
+  standIn(StockReservation, {
+    ...collection(reservations),
+    create: async (data) => {
+      // Let concurrent reservations interleave between the check and the write
+      await new Promise(resolve => setImmediate(resolve));
+      const reservation = { _id: new mongoose.Types.ObjectId(), status: 'active', ...data };
+      reservations.push(reservation);
+      return reservation;
+    }
+  });
+
+  return { inventories, reservations };
+};
+
+/**
+ * Inquiry asking for a quantity of a product
+ * @param {Object} product - Product ID
+ * @param {Number} quantity - Quantity
+ * @returns {Object} Inquiry
+ */
+const inquiryFor = (product, quantity) => ({
+  _id: new mongoose.Types.ObjectId(),
+  products: [{ _id: new mongoose.Types.ObjectId(), product, quantity }]
+});
+
+test('two quotes made at the same moment cannot both reserve the last units', async () => {
+  const product = new mongoose.Types.ObjectId();
+  const { inventories, reservations } = standInStore([
+    { _id: new mongoose.Types.ObjectId(), product, variant: null, stockLevel: 8, reservedLevel: 3 }
+  ]);
+
+  const results = await Promise.all([
+    StockReservationService.reserveForInquiry(inquiryFor(product, 5)),
+    StockReservationService.reserveForInquiry(inquiryFor(product, 5))
+  ]);
+
+  assert.equal(reservations.length, 1);
+  assert.equal(inventories[0].reservedLevel, 8);
+  assert.deepEqual(results.map(result => result.created.length).sort(), [0, 1]);
+  assert.deepEqual(results.flatMap(result => result.skipped.map(skip => skip.reason)), ['Only 0 available']);
+});
+
+test('released and expired reservations give their stock back once', async () => {
+  const product = new mongoose.Types.ObjectId();
+  const { inventories, reservations } = standInStore([
+    { _id: new mongoose.Types.ObjectId(), product, variant: null, stockLevel: 10, reservedLevel: 0 }
+  ]);
+  const inquiry = inquiryFor(product, 4);
+  await StockReservationService.reserveForInquiry(inquiry);
+  await StockReservationService.reserveForInquiry(inquiryFor(product, 2), { expiresAt: new Date(Date.now() - 1000) });
+  assert.equal(inventories[0].reservedLevel, 6);
+
+  const released = await Promise.all([
+    StockReservationService.releaseForInquiry(inquiry._id),
+    StockReservationService.releaseForInquiry(inquiry._id)
+  ]);
+  assert.deepEqual(released.sort(), [0, 1]);
+  assert.equal(await StockReservationService.releaseExpired(), 1);
+
+  assert.equal(inventories[0].reservedLevel, 0);
+  assert.deepEqual(reservations.map(reservation => reservation.status), ['released', 'expired']);
+});
+
+test('a conversion that cannot remove the stock keeps the reservation active and held', async () => {
+  const product = new mongoose.Types.ObjectId();
+  const { reservations } = standInStore([
+    { _id: new mongoose.Types.ObjectId(), product, variant: null, stockLevel: 10, reservedLevel: 0 }
+  ]);
+  const inquiry = inquiryFor(product, 4);
+  await StockReservationService.reserveForInquiry(inquiry);
+
+  // The inventory record disappears before the inquiry is converted
+  reservations[0].inventory = new mongoose.Types.ObjectId();
+
+  const result = await StockReservationService.convertForInquiry(inquiry);
+
+  assert.equal(result.converted, 0);
+  assert.equal(result.failed.length, 1);
+  assert.equal(reservations[0].status, 'active');
+  assert.equal(reservations[0].endedAt, undefined);
+});
+
+test('a converted reservation takes its stock out of inventory and stops holding it', async () => {
+  const product = new mongoose.Types.ObjectId();
+  const { inventories } = standInStore([
+    { _id: new mongoose.Types.ObjectId(), product, variant: null, stockLevel: 10, reservedLevel: 0 }
+  ]);
+  const inquiry = inquiryFor(product, 4);
+  await StockReservationService.reserveForInquiry(inquiry);
+
+  // removeStock works on a document and saves it back into the store
+  mock.method(Inventory, 'findById', (id) => query(new Inventory(inventories.find(doc => String(doc._id) === String(id)))));
+  mock.method(Inventory.prototype, 'save', async function() {
+    Object.assign(inventories[0], { stockLevel: this.stockLevel });
+    return this;
+  });
+
+  const results = await Promise.all([
+    StockReservationService.convertForInquiry(inquiry),
+    StockReservationService.convertForInquiry(inquiry)
+  ]);
+
+  assert.deepEqual(results.map(result => result.converted).sort(), [0, 1]);
+  assert.equal(inventories[0].stockLevel, 6);
+  assert.equal(inventories[0].reservedLevel, 0);
+});
@@ -0,0 +1,53 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  resolveUnit,
+  parseQuantity,
+  parseRange,
+  isConvertible,
+  convert,
+  roundValue
+} = require('../src/utils/units');
+
+test('resolveUnit accepts symbols, aliases and other capitalisations', () => {
+  assert.equal(resolveUnit('kW'), 'kW');
+  assert.equal(resolveUnit('kilowatts'), 'kW');
+  assert.equal(resolveUnit('LPM'), 'L/min');
+  assert.equal(resolveUnit('KG'), 'kg');
+  assert.equal(resolveUnit('furlong'), null);
+  assert.equal(resolveUnit(''), null);
+});
+
+test('parseQuantity reads numbers with units, separators and decimal commas', () => {
+  assert.deepEqual(parseQuantity('7.5 kW'), { value: 7.5, unit: 'kW' });
+  assert.deepEqual(parseQuantity('50W'), { value: 50, unit: 'W' });
+  assert.deepEqual(parseQuantity('2,000 mm'), { value: 2000, unit: 'mm' });
+  assert.deepEqual(parseQuantity('0,5 bar'), { value: 0.5, unit: 'bar' });
+  assert.deepEqual(parseQuantity(12), { value: 12, unit: null });
+  assert.deepEqual(parseQuantity('3 widgets'), { value: 3, unit: 'widgets' });
+  assert.equal(parseQuantity('about five'), null);
+});
+
+test('parseRange reads ranges with the unit on either end', () => {
+  assert.deepEqual(parseRange('0-40 °C'), { min: 0, max: 40, unit: '°C' });
+  assert.deepEqual(parseRange('10 to 20 bar'), { min: 10, max: 20, unit: 'bar' });
+  assert.deepEqual(parseRange('5 kg - 8'), { min: 5, max: 8, unit: 'kg' });
+  assert.equal(parseRange('40 °C'), null);
+});
+
+test('convert converts within a dimension, including temperature offsets', () => {
+  assert.equal(convert(7.5, 'kW', 'W'), 7500);
+  assert.equal(roundValue(convert(1, 'in', 'mm')), 25.4);
+  assert.equal(roundValue(convert(212, '°F', '°C')), 100);
+  assert.equal(roundValue(convert(0, '°C', 'K')), 273.15);
+  assert.equal(convert(3, 'bar', 'bar'), 3);
+});
+
+test('convert refuses units of different dimensions', () => {
+  assert.equal(isConvertible('kW', 'kg'), false);
+  assert.throws(() => convert(1, 'kW', 'kg'), /Cannot convert kW to kg/);
+});
+
+test('roundValue drops floating point noise', () => {
+  assert.equal(roundValue(0.1 + 0.2), 0.3);
+});
@@ -0,0 +1,146 @@
+// Profile updates through the HTTP API, with the users collection replaced by a stand-in
+const { test, mock, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const bcrypt = require('bcrypt');
+const express = require('express');
+const { query, standIn, listen } = require('./helpers');
+const User = require('../src/models/User');
+const MailService = require('../src/services/MailService');
+const userRoutes = require('../src/routes/users');
+
+let server;
+let baseUrl;
+
+before(async () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/users', userRoutes);
+  const started = await listen(app);
+  server = started.server;
+  baseUrl = `${started.url}/api/users`;
+});
+
+after(() => server.close());
+
+afterEach(() => mock.restoreAll());
+
+/**
+ * Stand in for the users collection with one verified account
+ * @returns {Promise<Object>} { user, saved, headers } with the save mock and signed-in request headers
+ */
+const signedInUser = async () => {
+  const user = new User({ name: 'Uma', email: 'uma@example.com', isEmailVerified: true });
+  user.password = await bcrypt.hash('old-secret', 4);
+
+  standIn(User, {
+    findById: () => query(user),
+    findOne: null
+  });
+  standIn(MailService, { sendVerificationEmail: async () => {} });
+  const saved = mock.method(User.prototype, 'save', async function() {
+    return this;
+  });
+
+  return {
+    user,
+    saved,
+    headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${user.getSignedJwtToken()}` }
+  };
+};
+
+/**
+ * Send a profile update
+ * @param {Object} headers - Request headers
+ * @param {Object} body - Fields to update
+ * @returns {Promise<Response>} Response
+ */
+const updateProfile = (headers, body) => fetch(`${baseUrl}/me`, {
+  method: 'PUT',
+  headers,
+  body: JSON.stringify(body)
+});
+
+test('changing the password or email needs the current password', async () => {
+  const { user, saved, headers } = await signedInUser();
+
+  for (const body of [
+    { password: 'new-secret' },
+    { password: 'new-secret', currentPassword: 'wrong-secret' },
+    { email: 'mallory@example.com' },
+    { email: 'mallory@example.com', currentPassword: 'wrong-secret' }
+  ]) {
+    const response = await updateProfile(headers, body);
+    assert.equal(response.status, 401);
+  }
+
+  assert.equal(saved.mock.callCount(), 0);
+  assert.equal(user.email, 'uma@example.com');
+  assert.ok(await user.matchPassword('old-secret'));
+});
+
+test('the password changes when the current password is given', async () => {
+  const { saved, headers } = await signedInUser();
+  let savedPassword;
+  saved.mock.mockImplementation(async function() {
+    savedPassword = this.password;
+    return this;
+  });
+
+  const response = await updateProfile(headers, { password: 'new-secret', currentPassword: 'old-secret' });
+
+  assert.equal(response.status, 200);
+  assert.equal(saved.mock.callCount(), 1);
+  assert.equal(savedPassword, 'new-secret');
+});
+
+test('the name changes without the current password', async () => {
+  const { user, headers } = await signedInUser();
+
+  const response = await updateProfile(headers, { name: 'Uma Updated', email: 'UMA@example.com' });
+
+  assert.equal(response.status, 200);
+  assert.equal(user.name, 'Uma Updated');
+  assert.equal(user.isEmailVerified, true);
+});
+
+test('changing the password signs out other sessions but keeps this one', async () => {
+  const { headers } = await signedInUser();
+
+  const response = await updateProfile(headers, { password: 'new-secret', currentPassword: 'old-secret' });
+  const { token } = await response.json();
+
+  assert.equal((await fetch(`${baseUrl}/me`, { headers })).status, 401);
+  assert.equal((await fetch(`${baseUrl}/me`, { headers: { Authorization: `Bearer ${token}` } })).status, 200);
+});
+
+test('changing the email revokes the token and the account needs verifying again', async () => {
+  const { user, headers } = await signedInUser();
+
+  const response = await updateProfile(headers, { email: 'uma@example.org', currentPassword: 'old-secret' });
+  const body = await response.json();
+
+  assert.equal(response.status, 200);
+  assert.equal(body.token, undefined);
+  assert.equal(user.isEmailVerified, false);
+  assert.equal((await fetch(`${baseUrl}/me`, { headers })).status, 401);
+
+  const fresh = { Authorization: `Bearer ${user.getSignedJwtToken()}` };
+  assert.equal((await fetch(`${baseUrl}/me`, { headers: fresh })).status, 403);
+});
+
+test('resetting the password revokes tokens issued before the reset', async () => {
+  const { user, headers } = await signedInUser();
+  const resetToken = user.getResetPasswordToken();
+  standIn(User, { findOne: user });
+
+  const response = await fetch(`${baseUrl}/reset-password/${resetToken}`, {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ password: 'new-secret' })
+  });
+  const { token } = await response.json();
+
+  assert.equal(response.status, 200);
+  assert.equal((await fetch(`${baseUrl}/me`, { headers })).status, 401);
+  assert.equal((await fetch(`${baseUrl}/me`, { headers: { Authorization: `Bearer ${token}` } })).status, 200);
+});